@@ -8,20 +8,58 @@
  * - Step-by-step building execution
  */
 
+const fs = require('fs');
+const path = require('path');
 const logger = require('../utils/logger');
 const Vec3 = require('vec3');
+const { loadBlueprints, parseBlockState, getItemForCell, countMaterials } = require('../utils/blueprintLoader');
+const { isSecondaryPart, getPlacementPlan, getStateMismatches, inferBlockStates } = require('../utils/blockStates');
 
 class BuildingAbility {
-    constructor(bot, pathfinder, minerAbility = null) {
+    /**
+     * @param {object} options - { checkpointPath } to save build progress somewhere other than data/
+     */
+    constructor(bot, pathfinder, minerAbility = null, options = {}) {
         this.bot = bot;
         this.pathfinder = pathfinder;
         this.minerAbility = minerAbility;
         this.isActive = false;
         this.currentBuild = null;
 
+        // Unfinished build (origin, blueprint id, placed cells) for -bot build resume
+        this.checkpointPath = options.checkpointPath || path.join(__dirname, '../data/build-checkpoint.json');
+
+        // Team builds split layers between bots (set by setCoordinator)
+        this.coordinator = null;
+        this.memberId = null;
+
         // Building blueprints - each is a 3D array of blocks
         // Format: { name, size: {x, y, z}, materials: {blockName: count}, layers: [...] }
-        this.blueprints = this.initializeBlueprints();
+        // Built-in blueprints plus .schem/.litematic/.nbt files from blueprints/
+        this.blueprintsDir = path.join(__dirname, '../blueprints');
+        this.builtinBlueprints = this.initializeBlueprints();
+        this.blueprints = this.builtinBlueprints;
+        this.refreshBlueprints();
+    }
+
+    /**
+     * Share team builds with the other bots of a TeamCoordinator
+     */
+    setCoordinator(coordinator, memberId) {
+        this.coordinator = coordinator;
+        this.memberId = memberId;
+    }
+
+    /**
+     * Reload blueprint files so new files are picked up without a restart
+     * Files override built-in blueprints with the same id
+     */
+    refreshBlueprints() {
+        this.blueprints = {
+            ...this.builtinBlueprints,
+            ...loadBlueprints(this.blueprintsDir)
+        };
+        return this.blueprints;
     }
 
     /**
@@ -941,11 +979,24 @@ class BuildingAbility {
         const customWidth = command.customWidth || null;
         const customLength = command.customLength || null;
 
+        if (buildType === 'resume') {
+            await this.resumeFromCheckpoint(creativeMode);
+            return;
+        }
+
+        // One bot's layers of a -bot team build
+        if (command.team && command.layers) {
+            await this.buildTeamRange(command);
+            return;
+        }
+
         // Check if this is a custom size build
+        const resume = command.progress || null;
+
         if (customWidth && customLength) {
-            await this.buildCustomHouse(customWidth, customLength, creativeMode);
+            await this.buildCustomHouse(customWidth, customLength, creativeMode, resume);
         } else {
-            await this.build(buildType, gatherMaterials, creativeMode);
+            await this.build(buildType, gatherMaterials, creativeMode, resume);
         }
     }
 
@@ -954,41 +1005,37 @@ class BuildingAbility {
      * @param {number} width - Width of the house (X dimension, 5-50)
      * @param {number} length - Length of the house (Z dimension, 5-50)
      * @param {boolean} creativeMode - Whether to use /give commands
+     * @param {object} resume - Saved progress ({ origin, layersPlaced }) to continue from
      */
-    async buildCustomHouse(width, length, creativeMode = false) {
-        // Clamp dimensions to valid range
-        width = Math.max(5, Math.min(50, width));
-        length = Math.max(5, Math.min(50, length));
-
-        const wallHeight = Math.min(6, Math.max(3, Math.floor(Math.max(width, length) / 5))); // Scale height with size
-        const totalHeight = wallHeight + 3; // Walls + foundation + roof layers
+    async buildCustomHouse(width, length, creativeMode = false, resume = null) {
+        const blueprint = this.createCustomBlueprint(width, length);
+        width = blueprint.size.x;
+        length = blueprint.size.z;
+        const totalHeight = blueprint.size.y;
 
         this.isActive = true;
-        this.sendChat(`🏗️ Generating custom ${width}x${length} house (height: ${wallHeight} walls)...`);
-
-        // Calculate materials needed
-        const materials = this.calculateCustomHouseMaterials(width, length, wallHeight);
-
-        // Generate blueprint dynamically
-        const blueprint = {
-            name: `Custom House ${width}x${length}`,
-            description: `A dynamically generated ${width}x${length} house with ${wallHeight}-high walls`,
-            size: { x: width, y: totalHeight, z: length },
-            materials: materials,
-            layers: this.generateCustomHouseLayers(width, length, wallHeight)
-        };
+        this.sendChat(`🏗️ Generating custom ${width}x${length} house (height: ${totalHeight - 3} walls)...`);
 
         this.currentBuild = {
             type: 'custom',
+            customSize: { width, length },
             blueprint,
             startTime: Date.now(),
-            blocksPlaced: 0
+            blocksPlaced: 0,
+            origin: null,
+            layersPlaced: 0,
+            placed: new Set()
         };
 
         this.sendChat(`Starting to build: ${blueprint.name}`);
         logger.info(`Building custom house: ${width}x${length}x${totalHeight}`);
 
         try {
+            if (resume && resume.origin) {
+                await this.resumeBuild(blueprint, resume, creativeMode);
+                return;
+            }
+
             // Creative mode: Get materials via /give
             if (creativeMode) {
                 this.sendChat('🎨 Creative mode: Getting all materials via /give commands...');
@@ -1024,6 +1071,9 @@ class BuildingAbility {
             await this.navigateToBuildSite(startPos);
             await this.buildStructure(blueprint, startPos);
 
+            if (this.isActive) {
+                this.clearCheckpoint();
+            }
             const duration = Math.floor((Date.now() - this.currentBuild.startTime) / 1000);
             this.sendChat(`✅ Completed ${blueprint.name}! Placed ${this.currentBuild.blocksPlaced} blocks in ${duration}s`);
 
@@ -1036,6 +1086,113 @@ class BuildingAbility {
         }
     }
 
+    /**
+     * Generate the blueprint of a custom-sized house
+     * @param {number} width - Width of the house (X dimension, clamped to 5-50)
+     * @param {number} length - Length of the house (Z dimension, clamped to 5-50)
+     */
+    createCustomBlueprint(width, length) {
+        // Clamp dimensions to valid range
+        width = Math.max(5, Math.min(50, width));
+        length = Math.max(5, Math.min(50, length));
+
+        const wallHeight = Math.min(6, Math.max(3, Math.floor(Math.max(width, length) / 5))); // Scale height with size
+        const totalHeight = wallHeight + 3; // Walls + foundation + roof layers
+
+        return {
+            name: `Custom House ${width}x${length}`,
+            description: `A dynamically generated ${width}x${length} house with ${wallHeight}-high walls`,
+            size: { x: width, y: totalHeight, z: length },
+            materials: this.calculateCustomHouseMaterials(width, length, wallHeight),
+            layers: this.generateCustomHouseLayers(width, length, wallHeight)
+        };
+    }
+
+    /**
+     * Blueprint for a parsed build command (built-in, file or custom size)
+     * @returns {object|null} - Blueprint, or null for an unknown build type
+     */
+    getBlueprint(command) {
+        if (command.customWidth && command.customLength) {
+            return this.createCustomBlueprint(command.customWidth, command.customLength);
+        }
+        this.refreshBlueprints();
+        return this.blueprints[command.target] || null;
+    }
+
+    /**
+     * Materials needed for some layers of a blueprint
+     * @param {number} from - First layer (0 = bottom)
+     * @param {number} to - Last layer, included
+     */
+    getLayerMaterials(blueprint, from, to) {
+        return countMaterials(inferBlockStates(blueprint.layers).slice(from, to + 1));
+    }
+
+    /**
+     * Build one bot's range of layers of a team build (-bot team build)
+     * Other bots build the other ranges at the same origin, bottom range first
+     * @param {object} command - Build command with origin, layers { from, to } and team { jobId }
+     */
+    async buildTeamRange(command) {
+        this.isActive = true;
+
+        const blueprint = this.getBlueprint(command);
+        if (!blueprint) {
+            this.isActive = false;
+            throw new Error(`Unknown build type: ${command.target}`);
+        }
+
+        const { from, to } = command.layers;
+        const startPos = new Vec3(command.origin.x, command.origin.y, command.origin.z);
+        const resume = command.progress || null;
+
+        this.currentBuild = {
+            type: command.target,
+            customSize: command.customWidth ? { width: command.customWidth, length: command.customLength } : null,
+            blueprint,
+            startTime: Date.now(),
+            blocksPlaced: resume ? resume.blocksPlaced || 0 : 0,
+            origin: null,
+            layersPlaced: from,
+            placed: new Set(),
+            team: command.team
+        };
+
+        this.sendChat(`Building layers ${from + 1}-${to + 1} of ${blueprint.name} at ${startPos.x}, ${startPos.y}, ${startPos.z}`);
+
+        try {
+            const materials = this.getLayerMaterials(blueprint, from, to);
+            if (command.creative) {
+                await this.giveMaterials(materials);
+                await this.delay(1000);
+            }
+
+            let missingMaterials = this.checkMaterials(materials);
+            if (missingMaterials.length > 0 && command.gather) {
+                await this.gatherMaterials(missingMaterials);
+                missingMaterials = this.checkMaterials(materials);
+            }
+            if (missingMaterials.length > 0 && !command.creative) {
+                throw new Error(`Missing materials: ${missingMaterials.map(m => `${m.count}x ${m.name}`).join(', ')}`);
+            }
+
+            // Continue after the last layer this bot finished
+            const startLayer = resume && resume.layersPlaced > from ? resume.layersPlaced : from;
+
+            await this.navigateToBuildSite(startPos);
+            await this.buildStructure(blueprint, startPos, startLayer, null, to);
+
+            if (this.isActive) {
+                const duration = Math.floor((Date.now() - this.currentBuild.startTime) / 1000);
+                this.sendChat(`✅ Built layers ${from + 1}-${to + 1} of ${blueprint.name} in ${duration}s`);
+            }
+        } finally {
+            this.isActive = false;
+            this.currentBuild = null;
+        }
+    }
+
     /**
      * Calculate materials needed for a custom house
      */
@@ -1171,8 +1328,9 @@ class BuildingAbility {
      * @param {boolean} gatherMaterials - Whether to gather missing materials in survival
      * @param {boolean} creativeMode - Whether to use /give commands to get all materials
      */
-    async build(buildType, gatherMaterials = false, creativeMode = false) {
+    async build(buildType, gatherMaterials = false, creativeMode = false, resume = null) {
         this.isActive = true;
+        this.refreshBlueprints();
 
         const blueprint = this.blueprints[buildType];
         if (!blueprint) {
@@ -1185,7 +1343,10 @@ class BuildingAbility {
             type: buildType,
             blueprint,
             startTime: Date.now(),
-            blocksPlaced: 0
+            blocksPlaced: 0,
+            origin: null,
+            layersPlaced: 0,
+            placed: new Set()
         };
 
         this.sendChat(`Starting to build: ${blueprint.name}`);
@@ -1193,6 +1354,11 @@ class BuildingAbility {
         logger.info(`Building: ${blueprint.name} (${blueprint.size.x}x${blueprint.size.y}x${blueprint.size.z})`);
 
         try {
+            if (resume && resume.origin) {
+                await this.resumeBuild(blueprint, resume, creativeMode);
+                return;
+            }
+
             // Creative mode: Use /give commands to get all materials automatically
             if (creativeMode) {
                 this.sendChat('🎨 Creative mode: Getting all materials via /give commands...');
@@ -1247,6 +1413,9 @@ class BuildingAbility {
             await this.buildStructure(blueprint, startPos);
 
             // Step 5: Completion
+            if (this.isActive) {
+                this.clearCheckpoint();
+            }
             const duration = Math.floor((Date.now() - this.currentBuild.startTime) / 1000);
             this.sendChat(`✅ Completed ${blueprint.name}! Placed ${this.currentBuild.blocksPlaced} blocks in ${duration}s`);
             logger.info(`Build complete: ${blueprint.name}`);
@@ -1260,6 +1429,220 @@ class BuildingAbility {
         }
     }
 
+    /**
+     * Continue an interrupted build at its saved origin
+     * Compares the world with the blueprint and only places missing or wrong blocks
+     * @param {object} resume - { origin, placed? } from the checkpoint or saved task progress
+     */
+    async resumeBuild(blueprint, resume, creativeMode) {
+        const startPos = new Vec3(resume.origin.x, resume.origin.y, resume.origin.z);
+
+        // Task progress only has the origin; take placed cells from the checkpoint if it matches
+        let placed = resume.placed;
+        if (!placed) {
+            const checkpoint = this.loadCheckpoint();
+            const origin = checkpoint && checkpoint.origin;
+            if (origin && origin.x === startPos.x && origin.y === startPos.y && origin.z === startPos.z) {
+                placed = checkpoint.placed;
+            }
+        }
+        this.currentBuild.placed = new Set(placed || []);
+        this.currentBuild.blocksPlaced = resume.blocksPlaced || 0;
+        this.currentBuild.origin = { x: startPos.x, y: startPos.y, z: startPos.z };
+
+        this.sendChat(`Resuming ${blueprint.name} at ${startPos.x}, ${startPos.y}, ${startPos.z}`);
+
+        if (creativeMode) {
+            await this.giveMaterials(blueprint.materials);
+            await this.delay(1000);
+        }
+
+        await this.navigateToBuildSite(startPos);
+
+        const { missing, wrong, total } = this.compareWithWorld(blueprint, startPos);
+        if (missing.length === 0 && wrong.length === 0) {
+            this.clearCheckpoint();
+            this.sendChat(`${blueprint.name} is already complete (${total} blocks checked)`);
+            return;
+        }
+        this.sendChat(`${missing.length} missing and ${wrong.length} wrong blocks out of ${total}`);
+
+        await this.breakWrongBlocks(wrong, startPos);
+
+        const todo = new Set([...missing, ...wrong].map(({ x, y, z }) => `${x},${y},${z}`));
+        await this.buildStructure(blueprint, startPos, 0, todo);
+
+        if (this.isActive) {
+            this.clearCheckpoint();
+            const duration = Math.floor((Date.now() - this.currentBuild.startTime) / 1000);
+            this.sendChat(`✅ Completed ${blueprint.name}! Placed ${this.currentBuild.blocksPlaced} blocks in ${duration}s`);
+            logger.info(`Build complete (resumed): ${blueprint.name}`);
+        }
+    }
+
+    /**
+     * Resume the build saved in the checkpoint file (-bot build resume)
+     */
+    async resumeFromCheckpoint(creativeMode = false) {
+        const checkpoint = this.loadCheckpoint();
+        if (!checkpoint || !checkpoint.origin) {
+            this.sendChat('No unfinished build to resume');
+            return;
+        }
+
+        const resume = { origin: checkpoint.origin, placed: checkpoint.placed, blocksPlaced: checkpoint.blocksPlaced };
+        logger.info(`Resuming ${checkpoint.type} build from checkpoint saved ${checkpoint.savedAt}`);
+
+        if (checkpoint.type === 'custom' && checkpoint.customSize) {
+            await this.buildCustomHouse(checkpoint.customSize.width, checkpoint.customSize.length, creativeMode, resume);
+        } else {
+            await this.build(checkpoint.type, false, creativeMode, resume);
+        }
+    }
+
+    /**
+     * Compare the world at the build origin with the blueprint
+     * Cells in unloaded chunks count as done if the checkpoint says we placed them
+     * @returns {object} - { missing, wrong, total } with cells as { x, y, z } relative to the origin
+     */
+    compareWithWorld(blueprint, startPos) {
+        const layers = inferBlockStates(blueprint.layers);
+        const placed = this.currentBuild ? this.currentBuild.placed : new Set();
+        const missing = [];
+        const wrong = [];
+        let total = 0;
+
+        for (let y = 0; y < layers.length; y++) {
+            for (let x = 0; x < layers[y].length; x++) {
+                for (let z = 0; z < layers[y][x].length; z++) {
+                    const cell = layers[y][x][z];
+                    const { name, properties } = parseBlockState(cell);
+                    if (name === 'air' || isSecondaryPart(name, properties)) continue;
+                    total++;
+
+                    const block = this.bot.blockAt(startPos.offset(x, y, z));
+                    if (!block) {
+                        if (!placed.has(`${x},${y},${z}`)) missing.push({ x, y, z });
+                    } else if (['air', 'cave_air', 'water', 'lava'].includes(block.name)) {
+                        missing.push({ x, y, z });
+                    } else if (block.name !== name) {
+                        wrong.push({ x, y, z, cell, found: block.name });
+                    } else if (getStateMismatches(block, properties).some(key => key !== 'hinge' && key !== 'open')) {
+                        wrong.push({ x, y, z, cell, found: block.name });
+                    }
+                }
+            }
+        }
+
+        return { missing, wrong, total };
+    }
+
+    /**
+     * Break blocks that don't match the blueprint so they can be placed again
+     * Blocks are only broken if we hold the right replacement, top layer first
+     */
+    async breakWrongBlocks(wrong, startPos) {
+        const sorted = [...wrong].sort((a, b) => b.y - a.y);
+
+        for (const cell of sorted) {
+            if (!this.isActive) break;
+
+            // Leave it alone rather than leave a hole
+            const needed = getItemForCell(cell.cell);
+            if (needed && !this.bot.inventory.items().some(i => i.name === needed.item)) {
+                logger.debug(`No ${needed.item} to replace ${cell.found}, leaving it`);
+                continue;
+            }
+
+            const position = startPos.offset(cell.x, cell.y, cell.z);
+            await this.moveCloserToBlock(position, position.y);
+
+            const block = this.bot.blockAt(position);
+            if (!block || block.name === 'air') continue;
+
+            try {
+                if (this.minerAbility && this.minerAbility.equipBestTool) {
+                    await this.minerAbility.equipBestTool(block.name);
+                }
+                await this.bot.dig(block);
+                this.currentBuild.placed.delete(`${cell.x},${cell.y},${cell.z}`);
+            } catch (e) {
+                logger.debug(`Couldn't break wrong block ${cell.found} at ${position}: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Load the unfinished build checkpoint from disk
+     */
+    loadCheckpoint() {
+        try {
+            if (fs.existsSync(this.checkpointPath)) {
+                return JSON.parse(fs.readFileSync(this.checkpointPath, 'utf8'));
+            }
+        } catch (error) {
+            logger.error(`Failed to load build checkpoint: ${error.message}`);
+        }
+        return null;
+    }
+
+    /**
+     * Save the current build's origin, blueprint id and placed cells to disk
+     */
+    saveCheckpoint() {
+        const build = this.currentBuild;
+        // Team builds resume through their queued task, not the checkpoint
+        if (!build || !build.origin || build.team) return false;
+
+        try {
+            const dir = path.dirname(this.checkpointPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const checkpoint = {
+                type: build.type,
+                name: build.blueprint.name,
+                customSize: build.customSize || null,
+                origin: build.origin,
+                layersPlaced: build.layersPlaced,
+                blocksPlaced: build.blocksPlaced,
+                placed: [...build.placed],
+                savedAt: new Date()
+            };
+            fs.writeFileSync(this.checkpointPath, JSON.stringify(checkpoint, null, 2));
+            return true;
+        } catch (error) {
+            logger.error(`Failed to save build checkpoint: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Remove the checkpoint once a build is complete
+     */
+    clearCheckpoint() {
+        try {
+            if (fs.existsSync(this.checkpointPath)) {
+                fs.unlinkSync(this.checkpointPath);
+            }
+        } catch (error) {
+            logger.error(`Failed to remove build checkpoint: ${error.message}`);
+        }
+    }
+
+    /**
+     * Progress of the current build, saved so it can resume after a reconnect
+     */
+    getProgress() {
+        if (!this.currentBuild || !this.currentBuild.origin) return null;
+        return {
+            origin: this.currentBuild.origin,
+            layersPlaced: this.currentBuild.layersPlaced,
+            blocksPlaced: this.currentBuild.blocksPlaced
+        };
+    }
+
     /**
      * Check if we have all required materials
      */
@@ -1467,15 +1850,39 @@ class BuildingAbility {
 
     /**
      * Build the structure layer by layer with improved technique
+     * @param {object} blueprint - Blueprint to build
+     * @param {Vec3} startPos - Origin of the build
+     * @param {number} startLayer - First layer to build
+     * @param {Set} onlyCells - Only place these "x,y,z" cells (relative to origin), e.g. when resuming
+     * @param {number} endLayer - Last layer to build (default: the top layer)
      */
-    async buildStructure(blueprint, startPos) {
-        const { layers } = blueprint;
+    async buildStructure(blueprint, startPos, startLayer = 0, onlyCells = null, endLayer = null) {
+        // Built-in blueprints list plain names; give stairs, doors and logs a state
+        const layers = inferBlockStates(blueprint.layers);
+        const lastLayer = endLayer === null ? layers.length - 1 : Math.min(endLayer, layers.length - 1);
         const failedBlocks = []; // Track blocks that failed to place
         let scaffoldBlocks = []; // Track scaffolding blocks to remove later
 
-        for (let y = 0; y < layers.length; y++) {
+        // Team builds wait for the layer below and skip cells another bot holds
+        const team = this.coordinator && this.currentBuild ? this.currentBuild.team : null;
+
+        if (this.currentBuild) {
+            this.currentBuild.origin = { x: startPos.x, y: startPos.y, z: startPos.z };
+            this.saveCheckpoint();
+        }
+
+        for (let y = startLayer; y <= lastLayer; y++) {
             if (!this.isActive) break;
 
+            if (onlyCells && !layers[y].some((row, x) => row.some((cell, z) => onlyCells.has(`${x},${y},${z}`)))) {
+                continue;
+            }
+
+            if (team) {
+                await this.coordinator.waitForLayer(team.jobId, y - 1, () => this.isActive);
+                if (!this.isActive) break;
+            }
+
             this.sendChat(`Building layer ${y + 1}/${layers.length}...`);
             const layer = layers[y];
             const layerFailedBlocks = [];
@@ -1491,14 +1898,16 @@ class BuildingAbility {
             for (const { x, z } of buildOrder) {
                 if (!this.isActive) break;
 
-                const blockName = layer[x][z];
-                if (!blockName || blockName === 'air') continue;
+                const cell = layer[x][z];
+                if (!cell || cell === 'air') continue;
+                if (onlyCells && !onlyCells.has(`${x},${y},${z}`)) continue;
 
                 const placePos = new Vec3(
                     startPos.x + x,
                     currentLayerY,
                     startPos.z + z
                 );
+                if (team && !this.coordinator.reserveCell(team.jobId, this.memberId, placePos)) continue;
 
                 // Check if we need to move closer (both horizontal AND vertical)
                 const botPos = this.bot.entity.position;
@@ -1513,9 +1922,11 @@ class BuildingAbility {
                     await this.moveCloserToBlock(placePos, currentLayerY);
                 }
 
-                const success = await this.placeBlock(blockName, placePos);
-                if (!success) {
-                    layerFailedBlocks.push({ blockName, position: placePos, retries: 0 });
+                const success = await this.placeBlock(cell, placePos);
+                if (success) {
+                    this.markPlaced(x, y, z);
+                } else {
+                    layerFailedBlocks.push({ cell, x, z, position: placePos, retries: 0 });
                 }
             }
 
@@ -1532,8 +1943,10 @@ class BuildingAbility {
                     await this.moveCloserToBlock(failedBlock.position, currentLayerY);
                     await this.delay(250);
 
-                    const success = await this.placeBlock(failedBlock.blockName, failedBlock.position);
-                    if (!success) {
+                    const success = await this.placeBlock(failedBlock.cell, failedBlock.position);
+                    if (success) {
+                        this.markPlaced(failedBlock.x, y, failedBlock.z);
+                    } else {
                         failedBlock.retries++;
                         stillFailed.push(failedBlock);
                     }
@@ -1544,6 +1957,14 @@ class BuildingAbility {
 
             // Add remaining failed blocks to global list for final retry
             failedBlocks.push(...layerFailedBlocks);
+
+            if (this.isActive && this.currentBuild) {
+                this.currentBuild.layersPlaced = y + 1;
+                this.saveCheckpoint();
+            }
+            if (this.isActive && team) {
+                this.coordinator.reportLayer(team.jobId, y);
+            }
         }
 
         // Final retry pass for all remaining failed blocks
@@ -1553,8 +1974,22 @@ class BuildingAbility {
                 if (!this.isActive) break;
                 await this.moveCloserToBlock(failedBlock.position, failedBlock.position.y);
                 await this.delay(300);
-                await this.placeBlock(failedBlock.blockName, failedBlock.position);
+                if (await this.placeBlock(failedBlock.cell, failedBlock.position, false)) {
+                    this.markPlaced(failedBlock.x, failedBlock.position.y - startPos.y, failedBlock.z);
+                }
             }
+            this.saveCheckpoint();
+        }
+    }
+
+    /**
+     * Record a finished cell, saving the checkpoint every 25 blocks
+     */
+    markPlaced(x, y, z) {
+        if (!this.currentBuild) return;
+        this.currentBuild.placed.add(`${x},${y},${z}`);
+        if (this.currentBuild.placed.size % 25 === 0) {
+            this.saveCheckpoint();
         }
     }
 
@@ -1754,60 +2189,67 @@ class BuildingAbility {
     }
 
     /**
-     * Place a single block
+     * Place a single block in the state given by its blueprint cell
+     * @param {string} cell - Block name or state, e.g. 'oak_stairs[facing=north,half=bottom]'
+     * @param {Vec3} position - Where to place it
+     * @param {boolean} replaceWrongState - Break the block again if it came out in the wrong state
+     * @returns {boolean} - True if the block is in place
      */
-    async placeBlock(blockName, position) {
+    async placeBlock(cell, position, replaceWrongState = true) {
+        const { name: blockName, properties } = parseBlockState(cell);
+
         try {
+            // Upper door halves and bed heads appear together with the other half
+            if (isSecondaryPart(blockName, properties)) {
+                return true;
+            }
+
             // Check if block already exists at this position
             const existingBlock = this.bot.blockAt(position);
             if (existingBlock && existingBlock.name !== 'air' && existingBlock.name !== 'water') {
-                // Block already placed
+                // Block already placed - finish double slabs and opened doors
+                if (existingBlock.name === blockName) {
+                    return await this.finishBlockState(cell, existingBlock, false);
+                }
                 return true;
             }
 
-            // Find the block in inventory - try exact match first, then partial
-            let item = this.bot.inventory.items().find(i => i.name === blockName);
-            if (!item) {
-                // Try partial match
-                item = this.bot.inventory.items().find(i =>
-                    i.name.includes(blockName.split('_')[0]) ||
-                    blockName.includes(i.name.split('_')[0])
-                );
-            }
-
-            if (!item) {
-                logger.debug(`No ${blockName} in inventory`);
+            if (!await this.equipBlockItem(cell)) {
                 return false;
             }
 
-            // Equip the block
-            await this.bot.equip(item, 'hand');
-            await this.delay(150);
-
-            // Find a reference block to place against
-            const refPos = this.findReferenceBlock(position);
-            if (!refPos) {
+            // Pick the neighbour and face that give the requested state
+            const plan = getPlacementPlan(blockName, properties);
+            const option = this.findReferenceBlock(position, plan.options);
+            if (!option) {
                 logger.debug(`No reference block for placement at ${JSON.stringify(position)}`);
                 return false;
             }
 
-            const refBlock = this.bot.blockAt(refPos);
-            if (refBlock && refBlock.boundingBox === 'block') {
-                // Look at the reference block for accurate placement
-                await this.bot.lookAt(new Vec3(refPos.x + 0.5, refPos.y + 0.5, refPos.z + 0.5));
-                await this.delay(100);
+            const refBlock = this.bot.blockAt(option.refPos);
+            const delta = new Vec3(option.delta.x, option.delta.y, option.delta.z);
 
-                const faceVector = new Vec3(
-                    position.x - refPos.x,
-                    position.y - refPos.y,
-                    position.z - refPos.z
-                );
+            // Stairs, doors and trapdoors take their facing from where the bot looks
+            if (plan.yaw !== null) {
+                await this.standFacing(refBlock, plan);
+            }
 
-                await this.bot.placeBlock(refBlock, faceVector);
-                this.currentBuild.blocksPlaced++;
-                await this.delay(150);
+            // The click position on the face sets half and hinge
+            const faceVector = new Vec3(option.faceVector.x, option.faceVector.y, option.faceVector.z);
+            this.bot.swingArm('right');
+            await this.bot.activateBlock(refBlock, faceVector, delta);
+            this.currentBuild.blocksPlaced++;
+
+            // Check what actually ended up in the world
+            const placed = await this.waitForBlock(position);
+            if (!placed || placed.name === 'air') {
+                return false;
+            }
+            if (placed.name !== blockName) {
+                logger.debug(`Placed ${placed.name} instead of ${blockName} at ${position}`);
                 return true;
             }
+            return await this.finishBlockState(cell, placed, replaceWrongState);
         } catch (error) {
             logger.debug(`Failed to place ${blockName}: ${error.message}`);
         }
@@ -1816,28 +2258,164 @@ class BuildingAbility {
     }
 
     /**
-     * Find a reference block to place against
+     * Move so that looking at the middle of refBlock points the way plan asks for.
+     * activateBlock always turns to the clicked block, so the look that sets the facing
+     * comes from where the bot stands. Up/down facings are left to finishBlockState
      */
-    findReferenceBlock(position) {
-        const offsets = [
-            { x: 0, y: -1, z: 0 }, // Below
-            { x: -1, y: 0, z: 0 }, // West
-            { x: 1, y: 0, z: 0 },  // East
-            { x: 0, y: 0, z: -1 }, // North
-            { x: 0, y: 0, z: 1 },  // South
-            { x: 0, y: 1, z: 0 }   // Above
-        ];
+    async standFacing(refBlock, plan) {
+        const center = refBlock.position.offset(0.5, 0.5, 0.5);
+        if (this.isFacing(center, plan) || plan.pitch !== 0 || !this.bot.pathfinder) return;
+
+        const { goals } = require('mineflayer-pathfinder');
+        const forwardX = -Math.sin(plan.yaw);
+        const forwardZ = -Math.cos(plan.yaw);
+
+        // Stand behind the block, as seen along the wanted look direction
+        for (const distance of [3, 4]) {
+            const x = Math.floor(center.x - forwardX * distance);
+            const z = Math.floor(center.z - forwardZ * distance);
+            try {
+                const pathPromise = this.bot.pathfinder.goto(new goals.GoalNear(x, refBlock.position.y, z, 1));
+                const timeoutPromise = this.delay(3000).then(() => {
+                    throw new Error('Pathfinding timeout');
+                });
+                await Promise.race([pathPromise, timeoutPromise]);
+            } catch (e) {
+                logger.debug(`Move error: ${e.message}`);
+                this.bot.pathfinder.setGoal(null);
+            }
+            if (this.isFacing(center, plan)) return;
+        }
+    }
 
-        for (const offset of offsets) {
+    /**
+     * Whether looking from the bot's eyes at point gives the plan's facing direction
+     */
+    isFacing(point, plan) {
+        const eye = this.bot.entity.position.offset(0, this.bot.entity.eyeHeight, 0);
+        const dx = point.x - eye.x;
+        const dy = point.y - eye.y;
+        const dz = point.z - eye.z;
+        const pitch = Math.atan2(dy, Math.sqrt(dx * dx + dz * dz));
+
+        if (plan.pitch !== 0) {
+            return Math.sign(pitch) === Math.sign(plan.pitch) && Math.abs(pitch) > Math.PI / 4;
+        }
+
+        // Keep clear of the 45 degree edges, the server rounds the look to one direction
+        const yaw = Math.atan2(-dx, -dz);
+        const offset = Math.abs(Math.atan2(Math.sin(yaw - plan.yaw), Math.cos(yaw - plan.yaw)));
+        return offset < Math.PI * 0.22 && Math.abs(pitch) < Math.PI / 4;
+    }
+
+    /**
+     * Wait for the server to confirm a placement
+     * @returns {object|null} - The block now at position
+     */
+    async waitForBlock(position, timeout = 1000) {
+        const deadline = Date.now() + timeout;
+        let block = this.bot.blockAt(position);
+        while ((!block || block.name === 'air') && Date.now() < deadline) {
+            await this.delay(50);
+            block = this.bot.blockAt(position);
+        }
+        return block;
+    }
+
+    /**
+     * Find the blueprint cell's item in inventory and hold it
+     * @returns {boolean} - True if an item was equipped
+     */
+    async equipBlockItem(cell) {
+        const needed = getItemForCell(cell);
+        const itemName = needed ? needed.item : parseBlockState(cell).name;
+
+        // Find the block in inventory - try exact match first, then partial
+        let item = this.bot.inventory.items().find(i => i.name === itemName);
+        if (!item) {
+            // Try partial match
+            item = this.bot.inventory.items().find(i =>
+                i.name.includes(itemName.split('_')[0]) ||
+                itemName.includes(i.name.split('_')[0])
+            );
+        }
+
+        if (!item) {
+            logger.debug(`No ${itemName} in inventory`);
+            return false;
+        }
+
+        // Equip the block
+        await this.bot.equip(item, 'hand');
+        await this.delay(150);
+        return true;
+    }
+
+    /**
+     * Compare a placed block with its cell and fix what can be fixed in place:
+     * a second slab for double slabs and a click to open doors, trapdoors and gates.
+     * Wrong facing, half, axis or type can only be fixed by breaking the block.
+     * @returns {boolean} - True if the block is in the requested state
+     */
+    async finishBlockState(cell, block, replaceWrongState) {
+        const { properties } = parseBlockState(cell);
+        const position = block.position;
+
+        if (properties.type === 'double' && block.getProperties().type !== 'double') {
+            const clickTop = block.getProperties().type === 'bottom';
+            if (await this.equipBlockItem(cell)) {
+                await this.bot.activateBlock(block, new Vec3(0, clickTop ? 1 : -1, 0), new Vec3(0.5, clickTop ? 1 : 0, 0.5));
+                await this.delay(250);
+                block = this.bot.blockAt(position);
+            }
+        }
+
+        if (getStateMismatches(block, properties).includes('open')) {
+            await this.bot.activateBlock(block);
+            await this.delay(250);
+            block = this.bot.blockAt(position);
+        }
+
+        const mismatches = getStateMismatches(block, properties);
+        if (mismatches.length === 0) {
+            return true;
+        }
+
+        const actual = block.getProperties();
+        const details = mismatches.map(key => `${key}=${actual[key]} (want ${properties[key]})`).join(', ');
+        logger.warn(`Placed ${block.name} at ${position} with ${details}`);
+
+        // Hinges follow neighbouring doors and iron doors need redstone, so accept those
+        if (!replaceWrongState || mismatches.every(key => key === 'hinge' || key === 'open')) {
+            return true;
+        }
+
+        // Break it so a retry can place it again
+        try {
+            await this.bot.dig(block);
+        } catch (e) {
+            logger.debug(`Couldn't break misplaced ${block.name}: ${e.message}`);
+        }
+        return false;
+    }
+
+    /**
+     * Find a reference block to place against
+     * @param {Vec3} position - Where the new block goes
+     * @param {Array} options - Placement options from getPlacementPlan, in order of preference
+     * @returns {object|null} - The first usable option with its refPos
+     */
+    findReferenceBlock(position, options) {
+        for (const option of options) {
             const checkPos = new Vec3(
-                position.x + offset.x,
-                position.y + offset.y,
-                position.z + offset.z
+                position.x + option.refOffset.x,
+                position.y + option.refOffset.y,
+                position.z + option.refOffset.z
             );
 
             const block = this.bot.blockAt(checkPos);
             if (block && block.boundingBox === 'block') {
-                return checkPos;
+                return { ...option, refPos: checkPos };
             }
         }
 
@@ -1848,11 +2426,12 @@ class BuildingAbility {
      * Get list of available builds
      */
     getAvailableBuilds() {
-        return Object.entries(this.blueprints).map(([key, bp]) => ({
+        return Object.entries(this.refreshBlueprints()).map(([key, bp]) => ({
             id: key,
             name: bp.name,
             description: bp.description,
-            size: bp.size
+            size: bp.size,
+            source: bp.source || 'builtin'
         }));
     }
 
@@ -1861,8 +2440,12 @@ class BuildingAbility {
      */
     stop() {
         this.isActive = false;
-        if (this.currentBuild) {
+        if (this.currentBuild && this.currentBuild.team) {
             this.sendChat(`Stopped building ${this.currentBuild.blueprint.name}`);
+        } else if (this.currentBuild) {
+            // Keep the checkpoint so -bot build resume can finish it
+            this.saveCheckpoint();
+            this.sendChat(`Stopped building ${this.currentBuild.blueprint.name}. Use -bot build resume to continue`);
         }
         this.currentBuild = null;
     }
@@ -5,6 +5,7 @@
 
 const logger = require('../utils/logger');
 const { resolveMobAlias } = require('../data/recipes');
+const ToolManager = require('./toolManager');
 
 class CombatAbility {
     constructor(bot, pathfinder) {
@@ -32,6 +33,15 @@ class CombatAbility {
 
         // PVP State
         this.pvpEnabled = false;
+
+        this.toolManager = new ToolManager(bot, pathfinder);
+    }
+
+    /**
+     * Share a tool manager that tracks weapon durability
+     */
+    setToolManager(toolManager) {
+        this.toolManager = toolManager;
     }
 
     /**
@@ -271,31 +281,10 @@ class CombatAbility {
     }
 
     /**
-     * Equip the best available weapon
+     * Equip the best available weapon that is not about to break
      */
     async equipBestWeapon() {
-        const inventory = this.bot.inventory.items();
-
-        // Weapon priority (best first)
-        const weaponPriority = [
-            'netherite_sword', 'diamond_sword', 'iron_sword', 'golden_sword', 'stone_sword', 'wooden_sword',
-            'netherite_axe', 'diamond_axe', 'iron_axe', 'golden_axe', 'stone_axe', 'wooden_axe'
-        ];
-
-        for (const weaponName of weaponPriority) {
-            const weapon = inventory.find(item => item.name === weaponName);
-            if (weapon) {
-                try {
-                    await this.bot.equip(weapon, 'hand');
-                    logger.debug(`Equipped ${weaponName}`);
-                    return true;
-                } catch (error) {
-                    logger.debug(`Failed to equip ${weaponName}: ${error.message}`);
-                }
-            }
-        }
-
-        return false;
+        return await this.toolManager.equipBestWeapon();
     }
 
     /**
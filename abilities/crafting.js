@@ -1,18 +1,42 @@
 /**
  * Crafting Ability Module
- * Handles the -bot make command for crafting any item
- * Includes auto-crafting table creation and recursive material gathering
+ * Handles the -bot make command for crafting any item and -bot plan to preview it
+ * Includes auto-crafting table creation and recursive material gathering;
+ * netherite gear is upgraded at a smithing table by the smithing ability
  */
 
 const logger = require('../utils/logger');
-const { getRecipe, resolveBlockAlias, craftingRecipes } = require('../data/recipes');
+const { getRecipe, resolveBlockAlias, getSmeltingInputs, getSmeltingSource, matchesItem } = require('../data/recipes');
+const { planCrafting, describePlan } = require('../utils/craftingPlanner');
+
+// Containers whose items count towards a crafting plan
+const CHEST_BLOCKS = ['chest', 'trapped_chest', 'barrel'];
+const CHEST_SCAN_RANGE = 16;
+const CHEST_MEMORY_MS = 5 * 60 * 1000; // Look into a chest again after 5 minutes
 
 class CraftingAbility {
-    constructor(bot, pathfinder) {
+    constructor(bot, pathfinder, smeltingAbility = null) {
         this.bot = bot;
         this.pathfinder = pathfinder;
+        this.smeltingAbility = smeltingAbility;
+        this.smithingAbility = null;
         this.isActive = false;
         this.craftingTablePos = null;
+        this.knownChests = new Map(); // "(x, y, z)" -> { position, items, seenAt }
+    }
+
+    /**
+     * Set the smelting ability used for smelt products like iron_ingot
+     */
+    setSmeltingAbility(smeltingAbility) {
+        this.smeltingAbility = smeltingAbility;
+    }
+
+    /**
+     * Set the smithing ability used for netherite upgrades like netherite_pickaxe
+     */
+    setSmithingAbility(smithingAbility) {
+        this.smithingAbility = smithingAbility;
     }
 
     /**
@@ -26,67 +50,41 @@ class CraftingAbility {
 
         logger.info(`Crafting: ${itemName} x${count}`);
 
-        // Build the to-do list
-        this.todoList = [];
-        this.buildTodoList(itemName, count, 0);
+        try {
+            // Look in nearby chests when the inventory and the chests seen before fall short,
+            // so their items are used before gathering new ones
+            let plan = this.makePlan(itemName, count);
+            if (plan.steps.some(step => step.action === 'gather') || Object.keys(plan.missing).length > 0) {
+                await this.scanChests();
+                plan = this.makePlan(itemName, count);
+            }
 
-        // Check if we already have the item
-        if (this.todoList.length === 0) {
-            const currentCount = this.countInventoryItem(itemName);
-            if (currentCount >= count) {
-                this.sendChat(`Already have ${itemName} x${currentCount}!`);
+            // Smithing templates can't be gathered; stop before using up anything
+            const missing = Object.entries(plan.missing).map(([name, amount]) => `${name} x${amount}`);
+            if (missing.length > 0) {
+                this.sendChat(`Can't make ${itemName}: need ${missing.join(', ')} (can't be gathered, find one in a chest)`);
                 this.isActive = false;
                 return;
-            } else {
-                this.sendChat(`Cannot craft ${itemName} - unknown recipe or missing materials`);
+            }
+            if (plan.steps.length === 0) {
+                this.sendChat(`Already have ${itemName} x${this.countInventoryItem(itemName)}!`);
                 this.isActive = false;
                 return;
             }
-        }
-
-        // Log the to-do list (without spamming chat)
-        logger.info(`Crafting plan for ${itemName}: ${this.todoList.length} steps`);
-        for (let i = 0; i < this.todoList.length; i++) {
-            const task = this.todoList[i];
-            logger.info(`  Step ${i + 1}: ${task.action} ${task.item} x${task.count}`);
-        }
-
-        try {
-            for (let i = 0; i < this.todoList.length; i++) {
-                if (!this.isActive) break;
 
-                const task = this.todoList[i];
+            let result = await this.runPlan(plan);
 
-                // Check if we already have this item (skip silently)
-                const currentCount = this.countInventoryItem(task.item);
-                if (currentCount >= task.count) {
-                    logger.info(`Step ${i + 1}: SKIP - Already have ${task.item} (${currentCount})`);
-                    task.status = 'skipped';
-                    continue;
-                }
-
-                logger.info(`Step ${i + 1}: ${task.action} ${task.item}...`);
-
-                // Execute the task
-                const success = await this.executeTask(task);
-
-                if (success) {
-                    task.status = 'done';
-                    logger.info(`Step ${i + 1}: DONE - ${task.item}`);
-                } else {
-                    task.status = 'failed';
-                    this.sendChat(`Failed to get ${task.item}`);
-                    break;
-                }
-
-                await this.delay(200);
+            // A chest held less than we remembered: plan again with what is really there
+            if (result === 'replan' && this.isActive) {
+                plan = this.makePlan(itemName, count);
+                result = await this.runPlan(plan);
             }
 
             // Check if final item was crafted
             const finalCount = this.countInventoryItem(itemName);
             if (finalCount >= count) {
                 this.sendChat(`🎉 Crafted ${itemName} x${count}!`);
-            } else {
+            } else if (result !== 'failed') {
                 this.sendChat(`Could not complete crafting ${itemName}`);
             }
 
@@ -99,132 +97,190 @@ class CraftingAbility {
     }
 
     /**
-     * Build a to-do list for crafting an item
+     * Show the plan for an item in chat without running it (-bot plan)
+     * Uses the chests seen before instead of walking to them
      */
-    buildTodoList(itemName, count, depth) {
-        logger.info(`[buildTodoList] Item: ${itemName}, Count: ${count}, Depth: ${depth}`);
+    async previewPlan(command) {
+        const itemName = this.normalizeItemName(command.target);
+        const plan = this.makePlan(itemName, command.count || 1);
 
-        if (depth > 10) {
-            logger.warn(`[buildTodoList] Max depth reached for ${itemName}`);
-            return;
+        for (const line of describePlan(plan)) {
+            this.sendChat(line);
+            await this.delay(500); // Prevent spam
         }
+    }
 
-        // Check if we already have enough
-        const currentCount = this.countInventoryItem(itemName);
-        logger.info(`[buildTodoList] ${itemName}: have ${currentCount}, need ${count}`);
+    /**
+     * Plan the withdraw/gather/smelt/craft/smith steps for an item from the inventory,
+     * remembered chests and nearby crafting table, furnace and smithing table
+     */
+    makePlan(itemName, count) {
+        const position = this.bot.entity.position;
+        const chests = [...this.knownChests.values()]
+            .filter(chest => position.distanceTo(chest.position) <= CHEST_SCAN_RANGE * 2);
+
+        const plan = planCrafting(itemName, count, {
+            inventory: this.getInventoryCounts(),
+            chests,
+            hasCraftingTable: this.findNearbyCraftingTableSync(),
+            hasFurnace: this.findNearbyFurnaceSync(),
+            hasSmithingTable: this.findNearbySmithingTableSync(),
+            smelting: !!this.smeltingAbility,
+            smithing: !!this.smithingAbility,
+            registry: this.bot.registry
+        });
 
-        if (currentCount >= count) {
-            logger.info(`[buildTodoList] Already have enough ${itemName}, skipping`);
-            return;
+        logger.info(`Crafting plan for ${itemName}: ${plan.steps.length} steps`);
+        for (const line of describePlan(plan).slice(1)) {
+            logger.info(`  ${line}`);
         }
+        return plan;
+    }
 
-        const needed = count - currentCount;
-        logger.info(`[buildTodoList] ${itemName}: need to get ${needed} more`);
+    /**
+     * Run the steps of a plan in order
+     * @returns {string} - 'done', 'failed', 'stopped' or 'replan' (a chest had less than planned)
+     */
+    async runPlan(plan) {
+        this.todoList = plan.steps.map(step => ({ ...step, status: 'pending' }));
 
-        // Special handling for generic ingredient names
-        // 'planks' - needs logs to craft
-        if (itemName === 'planks') {
-            logger.info(`[buildTodoList] PLANKS special handling triggered`);
-            // Check if we have any planks already
-            const planksHave = this.findPlanksInInventory();
-            const planksCount = planksHave ? planksHave.count : 0;
-            logger.info(`[buildTodoList] Planks in inventory: ${planksCount}, needed: ${needed}`);
-
-            if (planksCount >= needed) {
-                logger.info(`[buildTodoList] Already have enough planks`);
-                return;
+        for (let i = 0; i < this.todoList.length; i++) {
+            if (!this.isActive) return 'stopped';
+
+            const task = this.todoList[i];
+
+            // Skip steps whose result is already in the inventory (e.g. after a resume)
+            const result = task.yields || task.item;
+            const currentCount = this.countInventoryItem(result);
+            if (currentCount >= task.total) {
+                logger.info(`Step ${i + 1}: SKIP - Already have ${result} (${currentCount})`);
+                task.status = 'skipped';
+                continue;
             }
 
-            const planksNeeded = needed - planksCount;
-            const logsNeeded = Math.ceil(planksNeeded / 4);
-            logger.info(`[buildTodoList] Need ${planksNeeded} planks, ${logsNeeded} logs`);
+            logger.info(`Step ${i + 1}: ${task.action} ${task.item}...`);
+            const success = await this.executeTask(task);
 
-            // Add log gathering task
-            this.todoList.push({
-                action: 'gather',
-                item: 'oak_log',
-                count: logsNeeded,
-                status: 'pending'
-            });
+            if (success) {
+                task.status = 'done';
+                logger.info(`Step ${i + 1}: DONE - ${task.item}`);
+            } else if (task.action === 'withdraw') {
+                task.status = 'failed';
+                logger.info(`Step ${i + 1}: chest had less ${task.item} than remembered, planning again`);
+                return 'replan';
+            } else {
+                task.status = 'failed';
+                this.sendChat(`Failed to get ${task.item}`);
+                return 'failed';
+            }
 
-            // Add planks crafting task  
-            this.todoList.push({
-                action: 'craft',
-                item: 'planks',
-                count: planksNeeded,
-                status: 'pending'
-            });
-            return;
+            await this.delay(200);
         }
 
-        // 'stick' - needs planks to craft
-        if (itemName === 'stick') {
-            logger.info(`[buildTodoList] STICK special handling triggered`);
-            const sticksHave = this.countInventoryItem('stick');
-            if (sticksHave >= count) {
-                logger.info(`[buildTodoList] Already have enough sticks`);
-                return;
+        return 'done';
+    }
+
+    /**
+     * Item counts in the inventory by name
+     */
+    getInventoryCounts() {
+        const counts = {};
+        for (const item of this.bot.inventory.items()) {
+            counts[item.name] = (counts[item.name] || 0) + item.count;
+        }
+        return counts;
+    }
+
+    /**
+     * Open nearby chests and remember what they hold
+     * Chests looked into during the last few minutes are not opened again
+     */
+    async scanChests() {
+        const mcData = require('minecraft-data')(this.bot.version);
+        const blockIds = CHEST_BLOCKS
+            .map(name => mcData.blocksByName[name]?.id)
+            .filter(id => id !== undefined);
+
+        const positions = this.bot.findBlocks({
+            matching: blockIds,
+            maxDistance: CHEST_SCAN_RANGE,
+            count: 8
+        });
+
+        const doubleChests = [];
+        for (const position of positions) {
+            if (!this.isActive) break;
+
+            // The other half of a double chest shows the same items
+            if (doubleChests.some(other => other.distanceTo(position) <= 1)) {
+                this.knownChests.delete(position.toString());
+                continue;
             }
 
-            const sticksNeeded = count - sticksHave;
-            const planksNeeded = Math.ceil(sticksNeeded / 2);
-            logger.info(`[buildTodoList] Need ${sticksNeeded} sticks, ${planksNeeded} planks`);
+            const known = this.knownChests.get(position.toString());
+            if (known && Date.now() - known.seenAt < CHEST_MEMORY_MS) continue;
 
-            // Ensure we have planks first
-            this.buildTodoList('planks', planksNeeded, depth + 1);
+            const block = this.bot.blockAt(position);
+            if (!block) continue;
 
-            // Add sticks crafting task
-            this.todoList.push({
-                action: 'craft',
-                item: 'stick',
-                count: sticksNeeded,
-                status: 'pending'
-            });
-            return;
-        }
+            try {
+                await this.moveToBlock(block);
+                const container = await this.bot.openContainer(block);
+                this.rememberChest(position, container.containerItems());
+                container.close();
 
-        // Get the recipe
-        const recipe = this.findRecipe(itemName);
-        logger.info(`[buildTodoList] Recipe for ${itemName}: ${recipe ? 'found' : 'NOT FOUND'}`);
+                if (block.getProperties?.().type && block.getProperties().type !== 'single') {
+                    doubleChests.push(position);
+                }
+            } catch (error) {
+                logger.debug(`Could not look in chest at ${position}: ${error.message}`);
+            }
+        }
+    }
 
-        if (!recipe) {
-            // This is a raw material - need to mine/gather it
-            logger.info(`[buildTodoList] Adding GATHER task for ${itemName} x${needed}`);
-            this.todoList.push({
-                action: 'gather',
-                item: itemName,
-                count: needed,
-                status: 'pending'
-            });
-            return;
+    /**
+     * Remember the items in a chest
+     */
+    rememberChest(position, containerItems) {
+        const items = {};
+        for (const item of containerItems) {
+            items[item.name] = (items[item.name] || 0) + item.count;
         }
+        this.knownChests.set(position.toString(), { position, items, seenAt: Date.now() });
+    }
 
-        // First, ensure we have crafting table if needed
-        if (recipe.needsTable) {
-            const hasTable = this.countInventoryItem('crafting_table') > 0 ||
-                this.findNearbyCraftingTableSync();
-            if (!hasTable) {
-                // Need crafting table - add its dependencies first
-                this.buildTodoList('crafting_table', 1, depth + 1);
-            }
+    /**
+     * Take a plan's items out of a chest
+     * @returns {boolean} - True if the chest had all of them
+     */
+    async withdrawFromChest(task) {
+        const block = this.bot.blockAt(task.chest);
+        if (!block || !CHEST_BLOCKS.includes(block.name)) {
+            this.knownChests.delete(task.chest.toString());
+            return false;
         }
 
-        // Add ingredient tasks (recursively)
-        if (recipe.ingredients) {
-            for (const [ingredient, amount] of Object.entries(recipe.ingredients)) {
-                const ingredientNeeded = amount * Math.ceil(needed / (recipe.count || 1));
-                this.buildTodoList(ingredient, ingredientNeeded, depth + 1);
+        await this.moveToBlock(block);
+        const container = await this.bot.openContainer(block);
+        let left = task.count;
+
+        try {
+            for (const item of container.containerItems()) {
+                if (left <= 0) break;
+                if (item.name !== task.item) continue;
+
+                const amount = Math.min(left, item.count);
+                await container.withdraw(item.type, null, amount);
+                left -= amount;
             }
+        } catch (error) {
+            logger.debug(`Could not withdraw ${task.item}: ${error.message}`);
+        } finally {
+            this.rememberChest(block.position, container.containerItems());
+            container.close();
         }
 
-        // Add the crafting task itself
-        this.todoList.push({
-            action: 'craft',
-            item: itemName,
-            count: needed,
-            recipe: recipe,
-            status: 'pending'
-        });
+        return left <= 0;
     }
 
     /**
@@ -249,17 +305,88 @@ class CraftingAbility {
     }
 
     /**
-     * Execute a single task from the to-do list
+     * Synchronous check for a nearby furnace, smoker or blast furnace
+     */
+    findNearbyFurnaceSync() {
+        try {
+            const mcData = require('minecraft-data')(this.bot.version);
+            const furnaceIds = ['furnace', 'smoker', 'blast_furnace']
+                .map(name => mcData.blocksByName[name]?.id)
+                .filter(id => id !== undefined);
+
+            const blocks = this.bot.findBlocks({
+                matching: furnaceIds,
+                maxDistance: 32,
+                count: 1
+            });
+
+            return blocks.length > 0;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Synchronous check for a nearby smithing table
+     */
+    findNearbySmithingTableSync() {
+        try {
+            const mcData = require('minecraft-data')(this.bot.version);
+            const tableId = mcData.blocksByName['smithing_table']?.id;
+            if (!tableId) return false;
+
+            const blocks = this.bot.findBlocks({
+                matching: [tableId],
+                maxDistance: 32,
+                count: 1
+            });
+
+            return blocks.length > 0;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Execute a single step of the plan
      */
     async executeTask(task) {
-        if (task.action === 'gather') {
-            return await this.gatherItem(task.item, task.count);
-        } else if (task.action === 'craft') {
-            return await this.craftSingleItem(task.item, task.count, task.recipe);
+        switch (task.action) {
+            case 'withdraw':
+                return await this.withdrawFromChest(task);
+            case 'gather':
+                if (task.item === 'log' || task.item.endsWith('_log')) {
+                    return await this.ensureLogs(task.total);
+                }
+                return await this.mineIngredient(task.source, task.count);
+            case 'smelt':
+                return await this.smeltingAbility.smelt(task.item, task.count);
+            case 'smith':
+                return await this.smithingAbility.upgrade(task.item, task.count);
+            case 'craft':
+                if (task.item === 'planks') {
+                    return await this.ensurePlanks(task.total);
+                }
+                return await this.craftSingleItem(task.item, task.count, task.recipe);
         }
         return false;
     }
 
+    /**
+     * Decide whether an item should be smelted instead of crafted
+     * (e.g. iron_ingot has a crafting recipe from iron_block, but normally comes from a furnace)
+     */
+    shouldSmelt(itemName, recipe, count) {
+        if (!this.smeltingAbility || getSmeltingInputs(itemName).length === 0) return false;
+        if (!recipe) return true;
+
+        // Only craft if every ingredient is already in inventory
+        const crafts = Math.ceil(count / (recipe.count || 1));
+        return Object.entries(recipe.ingredients || {}).some(
+            ([ingredient, amount]) => this.countInventoryItem(ingredient) < amount * crafts
+        );
+    }
+
     /**
      * Gather/mine a raw material
      */
@@ -283,17 +410,15 @@ class CraftingAbility {
      * Ensure we have enough planks
      */
     async ensurePlanks(count) {
-        let planks = this.findPlanksInInventory();
-        if (planks && planks.count >= count) return true;
-
-        // Get logs and convert
-        const logsNeeded = Math.ceil(count / 4);
-        if (await this.ensureLogs(logsNeeded)) {
-            await this.convertLogsToPlanks();
-            planks = this.findPlanksInInventory();
-            return planks && planks.count >= count;
+        // Convert one log at a time, getting more logs when they run out
+        while (this.countInventoryItem('planks') < count) {
+            if (this.countInventoryItem('log') === 0) {
+                const logsNeeded = Math.ceil((count - this.countInventoryItem('planks')) / 4);
+                if (!await this.ensureLogs(logsNeeded)) return false;
+            }
+            if (!await this.convertLogsToPlanks()) return false;
         }
-        return false;
+        return true;
     }
 
     /**
@@ -356,12 +481,21 @@ class CraftingAbility {
             'table': 'crafting_table',
             'workbench': 'crafting_table',
             'sticks': 'stick',
-            'plank': 'oak_planks',
-            'planks': 'oak_planks',
+            'plank': 'planks', // Any wood
+            'planks': 'planks',
             'torch': 'torch',
-            'bed': 'bed',
+            'bed': 'white_bed',
             'chest': 'chest',
             'furnace': 'furnace',
+            // Wooden blocks that come in every wood type
+            'door': 'oak_door',
+            'trapdoor': 'oak_trapdoor',
+            'fence': 'oak_fence',
+            'fence_gate': 'oak_fence_gate',
+            'sign': 'oak_sign',
+            'boat': 'oak_boat',
+            'button': 'oak_button',
+            'wooden_button': 'oak_button',
         };
 
         return aliases[normalized] || normalized;
@@ -403,24 +537,10 @@ class CraftingAbility {
     }
 
     /**
-     * Find recipe for an item (checking multiple variants)
+     * Find the recipe for an item in the connected version
      */
     findRecipe(itemName) {
-        // Try direct match
-        let recipe = getRecipe(itemName);
-        if (recipe) return recipe;
-
-        // Try with _planks suffix variants
-        const plankTypes = ['oak', 'birch', 'spruce', 'jungle', 'acacia', 'dark_oak'];
-
-        // If recipe requires "planks", any planks type works
-        for (const [name, r] of Object.entries(craftingRecipes)) {
-            if (name === itemName || r.output === itemName) {
-                return { ...r, name };
-            }
-        }
-
-        return null;
+        return getRecipe(itemName, this.bot.registry);
     }
 
     /**
@@ -516,8 +636,7 @@ class CraftingAbility {
      * Ensure we have logs (mine if needed)
      */
     async ensureLogs(count) {
-        let logs = this.findLogsInInventory();
-        if (logs && logs.count >= count) return true;
+        if (this.countInventoryItem('log') >= count) return true;
 
         logger.info('Getting wood...');
 
@@ -553,16 +672,14 @@ class CraftingAbility {
                 await this.bot.dig(block);
                 await this.delay(200);
 
-                logs = this.findLogsInInventory();
-                if (logs && logs.count >= count) return true;
+                if (this.countInventoryItem('log') >= count) return true;
 
             } catch (error) {
                 logger.debug(`Failed to mine log: ${error.message}`);
             }
         }
 
-        logs = this.findLogsInInventory();
-        return logs && logs.count >= count;
+        return this.countInventoryItem('log') >= count;
     }
 
     /**
@@ -744,8 +861,17 @@ class CraftingAbility {
             return await this.craftSticks(count);
         }
 
-        // Check if we can craft it
+        // Check if we can smelt it
         const recipe = this.findRecipe(ingredient);
+        if (this.shouldSmelt(ingredient, recipe, count)) {
+            const inputsHave = this.smeltingAbility.countInputs(ingredient);
+            if (inputsHave < count) {
+                await this.mineIngredient(getSmeltingSource(ingredient), count - inputsHave);
+            }
+            return await this.smeltingAbility.smelt(ingredient, count);
+        }
+
+        // Check if we can craft it
         if (recipe) {
             return await this.craftItem(ingredient, count);
         }
@@ -869,11 +995,8 @@ class CraftingAbility {
         let count = 0;
 
         for (const item of items) {
-            if (item.name === itemName) {
-                count += item.count;
-            }
-            // Handle generic planks
-            if (itemName === 'planks' && item.name.endsWith('_planks')) {
+            // Generic names (planks, log) count every variant
+            if (matchesItem(itemName, item.name)) {
                 count += item.count;
             }
         }
@@ -948,6 +1071,12 @@ class CraftingAbility {
      */
     async stop() {
         this.isActive = false;
+        if (this.smeltingAbility) {
+            await this.smeltingAbility.stop();
+        }
+        if (this.smithingAbility) {
+            await this.smithingAbility.stop();
+        }
         this.stopMovement();
     }
 
@@ -0,0 +1,437 @@
+/**
+ * Enchanting Ability Module
+ * Handles -bot enchant at an enchanting table, -bot repair (repair, combine, rename) at an anvil
+ * and -bot disenchant at a grindstone
+ */
+
+const prismarineItem = require('prismarine-item');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const ANVILS = ['anvil', 'chipped_anvil', 'damaged_anvil'];
+
+// Material that repairs gear on an anvil, by name prefix
+const REPAIR_MATERIALS = {
+    wooden_: 'planks',
+    stone_: 'cobblestone',
+    iron_: 'iron_ingot',
+    chainmail_: 'iron_ingot',
+    golden_: 'gold_ingot',
+    diamond_: 'diamond',
+    netherite_: 'netherite_ingot',
+    leather_: 'leather',
+    turtle_: 'scute',
+    elytra: 'phantom_membrane',
+    shield: 'planks'
+};
+
+const OPTIONS_TIMEOUT = 5000;
+const RESULT_TIMEOUT = 3000;
+
+class EnchantingAbility {
+    constructor(bot, pathfinder) {
+        this.bot = bot;
+        this.pathfinder = pathfinder;
+        this.isActive = false;
+        this.maxAnvilLevels = config.enchanting?.maxAnvilLevels ?? 20;
+    }
+
+    /**
+     * Execute enchant, repair or disenchant command
+     * @param {object} command - Parsed command with target item
+     */
+    async execute(command) {
+        this.isActive = true;
+
+        try {
+            if (command.action === 'enchant') {
+                await this.enchant(command.target, command.option);
+            } else if (command.action === 'repair') {
+                await this.repair(command.target, command.with, command.name);
+            } else if (command.action === 'disenchant') {
+                await this.disenchant(command.target);
+            }
+        } catch (error) {
+            logger.error(`Enchanting error: ${error.message}`);
+            this.sendChat(`${command.action} failed: ${error.message}`);
+        }
+
+        this.isActive = false;
+    }
+
+    /**
+     * Enchant an item at an enchanting table with lapis from the inventory
+     * @param {string} itemName - Item to enchant (e.g. diamond_pickaxe or book)
+     * @param {number} option - Offer to take (1-3), or null for the best one we can afford
+     * @returns {boolean} - True if the item was enchanted
+     */
+    async enchant(itemName, option = null) {
+        const item = this.findItem(itemName, i => !this.isEnchanted(i));
+        if (!item) {
+            this.sendChat(`No unenchanted ${itemName} to enchant`);
+            return false;
+        }
+
+        const lapis = this.bot.inventory.items().find(i => i.name === 'lapis_lazuli');
+        if (!lapis) {
+            this.sendChat('Need lapis_lazuli to enchant');
+            return false;
+        }
+
+        const tableBlock = await this.ensureStation(['enchanting_table']);
+        if (!tableBlock) {
+            this.sendChat('Need an enchanting table nearby or in my inventory');
+            return false;
+        }
+
+        await this.moveToBlock(tableBlock);
+        const table = await this.bot.openEnchantmentTable(tableBlock);
+
+        try {
+            await table.putTargetItem(item);
+            await table.putLapis(lapis);
+
+            // The table sends its three offers once the item is in
+            const deadline = Date.now() + OPTIONS_TIMEOUT;
+            while (!table.enchantments.some(offer => offer.level > 0) && Date.now() < deadline && this.isActive) {
+                await this.delay(100);
+            }
+
+            const offers = table.enchantments.map((offer, i) => ({ ...offer, option: i + 1 }));
+            const available = offers.filter(offer => offer.level > 0);
+            if (available.length === 0) {
+                this.sendChat(`The table offers nothing for ${item.name}`);
+                await table.takeTargetItem();
+                return false;
+            }
+
+            this.sendChat(`Offers for ${item.name}: ${available.map(offer => this.describeOffer(offer)).join(', ')}`);
+
+            // Each offer costs its number in lapis and levels, and needs its level shown
+            const levels = this.bot.experience?.level ?? 0;
+            const affordable = available.filter(offer =>
+                offer.level <= levels && offer.option <= lapis.count);
+
+            const choice = option
+                ? affordable.find(offer => offer.option === option)
+                : affordable[affordable.length - 1];
+            if (!choice) {
+                this.sendChat(option
+                    ? `Can't take offer ${option} with ${levels} levels and ${lapis.count} lapis`
+                    : `Not enough levels (${levels}) or lapis for any offer`);
+                await table.takeTargetItem();
+                return false;
+            }
+
+            await table.enchant(choice.option - 1);
+            await table.takeTargetItem();
+            this.sendChat(`✨ Enchanted ${item.name} (${this.describeOffer(choice)})`);
+            logger.info(`Enchanted ${item.name} with offer ${choice.option} for ${choice.level} levels`);
+            return true;
+        } finally {
+            table.close();
+        }
+    }
+
+    /**
+     * Repair, combine or rename an item at an anvil within the XP-level budget
+     * @param {string} itemName - Item to work on
+     * @param {string} partnerName - Item to combine with (enchanted_book, a second pickaxe...), or null
+     *                               for a second copy of the item or its repair material
+     * @param {string} newName - New name for the item (optional)
+     * @returns {boolean} - True if the anvil was used
+     */
+    async repair(itemName, partnerName = null, newName = null) {
+        // Work on the most worn item that matches
+        const candidates = this.findItems(itemName)
+            .sort((a, b) => (b.durabilityUsed || 0) - (a.durabilityUsed || 0));
+        const item = candidates[0];
+        if (!item) {
+            this.sendChat(`I don't have any ${itemName}`);
+            return false;
+        }
+
+        let partner = null;
+        if (partnerName) {
+            partner = this.findItem(partnerName, i => i.slot !== item.slot);
+            if (!partner) {
+                this.sendChat(`I don't have any ${partnerName}`);
+                return false;
+            }
+        } else if (!newName) {
+            partner = this.findRepairPartner(item);
+            if (!partner) {
+                this.sendChat(`Nothing to repair ${item.name} with`);
+                return false;
+            }
+        }
+
+        const cost = this.getAnvilCost(item, partner, newName);
+        if (cost === 0) {
+            this.sendChat(`Can't use ${item.name}${partner ? ` with ${partner.name}` : ''} on an anvil`);
+            return false;
+        }
+        if (cost !== null && cost > this.maxAnvilLevels) {
+            this.sendChat(`That costs ${cost} levels, over my budget of ${this.maxAnvilLevels}`);
+            return false;
+        }
+        const levels = this.bot.experience?.level ?? 0;
+        if (cost !== null && cost > levels && this.bot.game?.gameMode !== 'creative') {
+            this.sendChat(`That costs ${cost} levels, I have ${levels}`);
+            return false;
+        }
+
+        const anvilBlock = await this.ensureStation(ANVILS);
+        if (!anvilBlock) {
+            this.sendChat('Need an anvil nearby or in my inventory');
+            return false;
+        }
+
+        await this.moveToBlock(anvilBlock);
+        const anvil = await this.bot.openAnvil(anvilBlock);
+
+        try {
+            if (partner) {
+                await anvil.combine(item, partner, newName || undefined);
+            } else {
+                await anvil.rename(item, newName);
+            }
+        } finally {
+            anvil.close();
+        }
+
+        const costText = cost !== null ? ` for ${cost} levels` : '';
+        if (partner) {
+            const repaired = partner.name === item.name || this.isRepairMaterial(item.name, partner.name);
+            const nameText = newName ? ` as "${newName}"` : '';
+            this.sendChat(`🔨 ${repaired ? 'Repaired' : 'Combined'} ${item.name}${nameText}${costText}`);
+        } else {
+            this.sendChat(`🔨 Renamed ${item.name} to "${newName}"${costText}`);
+        }
+        logger.info(`Anvil: ${item.name} + ${partner ? partner.name : 'rename'}${costText}`);
+        return true;
+    }
+
+    /**
+     * Strip the enchantments (except curses) from an item at a grindstone
+     * @returns {boolean} - True if the item came out of the grindstone
+     */
+    async disenchant(itemName) {
+        const item = this.findItem(itemName, i => this.isEnchanted(i));
+        if (!item) {
+            this.sendChat(`No enchanted ${itemName} to disenchant`);
+            return false;
+        }
+
+        const grindstoneBlock = await this.ensureStation(['grindstone']);
+        if (!grindstoneBlock) {
+            this.sendChat('Need a grindstone nearby or in my inventory');
+            return false;
+        }
+
+        await this.moveToBlock(grindstoneBlock);
+        const window = await this.bot.openBlock(grindstoneBlock);
+
+        try {
+            // Grindstone: two inputs, result in slot 2
+            await this.bot.transfer({
+                window,
+                itemType: item.type,
+                metadata: null,
+                count: 1,
+                sourceStart: window.inventoryStart,
+                sourceEnd: window.inventoryEnd,
+                destStart: 0,
+                destEnd: 1
+            });
+
+            const deadline = Date.now() + RESULT_TIMEOUT;
+            while (!window.slots[2] && Date.now() < deadline && this.isActive) {
+                await this.delay(100);
+            }
+
+            if (!window.slots[2]) {
+                this.sendChat(`The grindstone gave nothing for ${item.name}`);
+                return false;
+            }
+
+            await this.bot.putAway(2);
+        } finally {
+            window.close();
+        }
+
+        this.sendChat(`🪨 Disenchanted ${item.name}`);
+        logger.info(`Disenchanted ${item.name}`);
+        return true;
+    }
+
+    /**
+     * A second copy of the item, or its repair material
+     */
+    findRepairPartner(item) {
+        const copy = this.bot.inventory.items()
+            .filter(i => i.name === item.name && i.slot !== item.slot)
+            .sort((a, b) => (a.durabilityUsed || 0) - (b.durabilityUsed || 0))[0];
+        if (copy) return copy;
+
+        return this.bot.inventory.items().find(i => this.isRepairMaterial(item.name, i.name)) || null;
+    }
+
+    /**
+     * Check if an item repairs gear on an anvil (diamond for diamond_pickaxe, any planks for shield)
+     */
+    isRepairMaterial(itemName, materialName) {
+        const prefix = Object.keys(REPAIR_MATERIALS).find(key => itemName.startsWith(key));
+        if (!prefix) return false;
+
+        const material = REPAIR_MATERIALS[prefix];
+        return materialName === material || (material === 'planks' && materialName.endsWith('_planks'));
+    }
+
+    /**
+     * XP levels the anvil will ask for
+     * @returns {number|null} - Levels (0 if the anvil refuses), or null if the cost can't be worked out
+     */
+    getAnvilCost(item, partner, newName) {
+        try {
+            const Item = prismarineItem(this.bot.registry);
+            const creative = this.bot.game?.gameMode === 'creative';
+            return Item.anvil(item, partner, creative, newName || undefined).xpCost;
+        } catch (error) {
+            logger.debug(`Could not work out anvil cost: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Short description of an enchanting table offer: "3: Efficiency II? (30 lvl)"
+     */
+    describeOffer(offer) {
+        const enchant = this.bot.registry?.enchantments?.[offer.expected?.enchant];
+        const clue = enchant ? ` ${enchant.displayName || enchant.name} ${offer.expected.level}?` : '';
+        return `${offer.option}:${clue} (${offer.level} lvl)`;
+    }
+
+    isEnchanted(item) {
+        return (item.enchants?.length || 0) > 0 || item.name === 'enchanted_book';
+    }
+
+    /**
+     * Items matching a name: exact match first, then names containing it (pickaxe -> diamond_pickaxe)
+     */
+    findItems(itemName) {
+        const targetName = itemName.toLowerCase().replace(/-/g, '_');
+        const items = this.bot.inventory.items();
+        const exact = items.filter(i => i.name === targetName);
+        return exact.length > 0 ? exact : items.filter(i => i.name.includes(targetName));
+    }
+
+    findItem(itemName, filter = () => true) {
+        return this.findItems(itemName).find(filter) || null;
+    }
+
+    /**
+     * Find a nearby block of one of the types, or place one from inventory
+     */
+    async ensureStation(types) {
+        const mcData = require('minecraft-data')(this.bot.version);
+        const blockIds = types
+            .map(type => mcData.blocksByName[type]?.id)
+            .filter(id => id !== undefined);
+
+        const positions = this.bot.findBlocks({
+            matching: blockIds,
+            maxDistance: 32,
+            count: 1
+        });
+        if (positions.length > 0) {
+            return this.bot.blockAt(positions[0]);
+        }
+
+        const item = this.bot.inventory.items().find(i => types.includes(i.name));
+        return item ? await this.placeStation(item) : null;
+    }
+
+    /**
+     * Place a workstation item next to the bot
+     * @returns {object|null} - The placed block
+     */
+    async placeStation(stationItem) {
+        try {
+            await this.bot.equip(stationItem, 'hand');
+
+            const botPos = this.bot.entity.position;
+            const offsets = [
+                { x: 1, z: 0 }, { x: -1, z: 0 }, { x: 0, z: 1 }, { x: 0, z: -1 },
+                { x: 1, z: 1 }, { x: 1, z: -1 }, { x: -1, z: 1 }, { x: -1, z: -1 }
+            ];
+
+            for (const offset of offsets) {
+                const targetPos = botPos.offset(offset.x, 0, offset.z).floored();
+                const groundBlock = this.bot.blockAt(targetPos.offset(0, -1, 0));
+                const spaceBlock = this.bot.blockAt(targetPos);
+
+                if (groundBlock && groundBlock.boundingBox === 'block' &&
+                    spaceBlock && spaceBlock.name === 'air') {
+                    try {
+                        await this.bot.placeBlock(groundBlock, { x: 0, y: 1, z: 0 });
+                        logger.info(`Placed ${stationItem.name} at ${targetPos}`);
+                        return this.bot.blockAt(targetPos);
+                    } catch (err) {
+                        logger.debug(`Failed to place at ${targetPos}: ${err.message}`);
+                    }
+                }
+            }
+
+            logger.warn(`Could not find suitable spot for ${stationItem.name}`);
+        } catch (error) {
+            logger.debug(`Failed to place ${stationItem.name}: ${error.message}`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Move next to a block using pathfinder
+     */
+    async moveToBlock(block) {
+        if (!block || !this.bot.pathfinder || !this.pathfinder?.goals) return;
+
+        const distance = this.bot.entity.position.distanceTo(block.position);
+        if (distance <= 3) return;
+
+        try {
+            const { x, y, z } = block.position;
+            await this.bot.pathfinder.goto(new this.pathfinder.goals.GoalNear(x, y, z, 2));
+        } catch (err) {
+            logger.debug(`Pathfinding to ${block.name} failed: ${err.message}`);
+        }
+    }
+
+    /**
+     * Stop enchanting
+     */
+    async stop() {
+        this.isActive = false;
+    }
+
+    /**
+     * Send chat message
+     */
+    sendChat(message) {
+        try {
+            this.bot.chat(message);
+        } catch (e) {
+            logger.debug(`Chat error: ${e.message}`);
+        }
+    }
+
+    /**
+     * Delay utility
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = EnchantingAbility;
@@ -5,17 +5,28 @@
 
 const logger = require('../utils/logger');
 
+// Walk back to the farm waypoint when further away than this
+const FARM_RANGE = 16;
+
 class FarmingAbility {
     constructor(bot, pathfinder, sleeper, homeManager) {
         this.bot = bot;
         this.pathfinder = pathfinder;
         this.sleeper = sleeper; // Auto-sleep module
         this.homeManager = homeManager; // Auto-deposit module
+        this.waypoints = null; // Farm waypoint to come back to (set by setWaypoints)
         this.isActive = false;
         this.harvestCount = 0;
         this.farmLoop = null;
     }
 
+    /**
+     * Come back to the nearest farm waypoint after trips to the storage chests
+     */
+    setWaypoints(waypoints) {
+        this.waypoints = waypoints;
+    }
+
     /**
      * Execute farming command
      * @param {object} command - Parsed command
@@ -40,6 +51,8 @@ class FarmingAbility {
 
         // Run farming loop
         try {
+            await this.returnToFarm();
+
             while (this.isActive) {
                 try {
                     // 0. AUTO SLEEP CHECK
@@ -58,6 +71,7 @@ class FarmingAbility {
                         } else {
                             await this.storeItemsInChest(); // Fallback to old method if no manager
                         }
+                        await this.returnToFarm();
                     }
 
                     // 1. HARVEST PHASE
@@ -101,6 +115,17 @@ class FarmingAbility {
         }
     }
 
+    /**
+     * Walk to the nearest farm waypoint unless the bot is already there
+     */
+    async returnToFarm() {
+        const farm = this.waypoints?.findByTag('farm');
+        if (!farm || this.waypoints.distanceTo(farm, this.bot.entity.position) <= FARM_RANGE) return;
+
+        this.sendChat(`Heading to farm ${farm.name}...`);
+        await this.waypoints.goTo(farm, 2);
+    }
+
     /**
      * Harvest fully grown wheat and replant
      */
@@ -3,51 +3,56 @@
  * Handles setting home, going home, and depositing items
  */
 
-const fs = require('fs');
-const path = require('path');
+const Vec3 = require('vec3');
 const logger = require('../utils/logger');
+const { getDimension } = require('../utils/dimensions');
+
+// How far from the storage waypoint deposit chests are looked for
+const STORAGE_CHEST_RANGE = 8;
 
 class HomeManager {
-    constructor(bot, pathfinder) {
+    /**
+     * @param {object} options - { waypoints } WaypointManager holding the home and storage waypoints
+     */
+    constructor(bot, pathfinder, options = {}) {
         this.bot = bot;
         this.pathfinder = pathfinder;
-        this.homePath = path.join(__dirname, '../data/home.json');
-        this.homeLocation = this.loadHome();
+        this.waypoints = options.waypoints || null;
+
+        // Shared with other bots in the world (set by setCoordinator)
+        this.coordinator = null;
+        this.memberId = null;
     }
 
     /**
-     * Load home location from disk
+     * Share chests with the other bots of a TeamCoordinator
      */
-    loadHome() {
-        try {
-            if (fs.existsSync(this.homePath)) {
-                const data = fs.readFileSync(this.homePath, 'utf8');
-                return JSON.parse(data);
-            }
-        } catch (error) {
-            logger.error(`Failed to load home: ${error.message}`);
-        }
-        return null;
+    setCoordinator(coordinator, memberId) {
+        this.coordinator = coordinator;
+        this.memberId = memberId;
     }
 
     /**
-     * Save home location to disk
+     * Home waypoint in the bot's dimension (nearest one if there are several)
      */
-    saveHome(location) {
-        try {
-            // Ensure directory exists
-            const dir = path.dirname(this.homePath);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
+    get homeLocation() {
+        return this.waypoints?.findByTag('home') || null;
+    }
 
-            fs.writeFileSync(this.homePath, JSON.stringify(location, null, 2));
-            this.homeLocation = location;
-            return true;
-        } catch (error) {
-            logger.error(`Failed to save home: ${error.message}`);
-            return false;
-        }
+    /**
+     * Where the deposit chests are: the nearest storage waypoint, else home
+     */
+    getStorageLocation() {
+        return this.waypoints?.findByTag('storage') || this.homeLocation;
+    }
+
+    /**
+     * Save the home waypoint
+     */
+    saveHome(location) {
+        if (!this.waypoints) return false;
+        this.waypoints.add('home', location, location.dimension, ['home']);
+        return true;
     }
 
     /**
@@ -64,7 +69,7 @@ class HomeManager {
                 x: pos.x,
                 y: pos.y,
                 z: pos.z,
-                dimension: this.bot.game.dimension
+                dimension: getDimension(this.bot)
             };
             this.saveHome(location);
 
@@ -76,6 +81,16 @@ class HomeManager {
         }
 
         if (command.action === 'home') {
+            // Walk to the home waypoint; the server's /home is the fallback when there is none here
+            if (this.homeLocation) {
+                if (command.target === 'deposit') {
+                    await this.goHomeAndDeposit();
+                } else {
+                    await this.goHome();
+                }
+                return;
+            }
+
             if (command.target === 'deposit') {
                 // For deposit, teleport home first then deposit
                 this.bot.chat('/home');
@@ -138,9 +153,14 @@ class HomeManager {
     }
 
     /**
-     * Go home and deposit items
+     * Go to the storage waypoint (or home) and deposit items
      */
     async goHomeAndDeposit() {
+        if (this.waypoints?.findByTag('storage')) {
+            await this.findNearbyChestAndDeposit(STORAGE_CHEST_RANGE);
+            return;
+        }
+
         if (!await this.goHome()) return;
 
         // Look for chests nearby
@@ -159,8 +179,17 @@ class HomeManager {
 
     /**
      * Find nearby chest and deposit non-essential items
+     * With a storage waypoint the bot walks there and uses the chests next to it instead
      */
     async findNearbyChestAndDeposit(radius = 50, extraKeepItems = []) {
+        if (this.waypoints?.findByTag('storage')) {
+            const storage = await this.waypoints.goToTagged('storage');
+            if (storage) {
+                this.sendChat(`At storage ${storage.name}`);
+                radius = STORAGE_CHEST_RANGE;
+            }
+        }
+
         logger.info(`Searching for chest within ${radius}m to deposit items...`);
 
         const mcData = require('minecraft-data')(this.bot.version);
@@ -168,11 +197,8 @@ class HomeManager {
 
         if (!chestId) return false;
 
-        // Find nearest chest
-        const chestBlock = this.bot.findBlock({
-            matching: chestId,
-            maxDistance: radius
-        });
+        // Find nearest chest no other bot is using
+        const chestBlock = this.findDepositChest(chestId, radius);
 
         if (!chestBlock) {
             this.sendChat('Inventory full and no chests found nearby!');
@@ -198,11 +224,37 @@ class HomeManager {
             this.bot.setControlState('forward', false);
         }
 
-        // Deposit with extra keep items
-        await this.depositToChest(chestBlock, extraKeepItems);
+        // Deposit with extra keep items, holding the chest so other bots pick another one
+        const locked = this.coordinator && this.coordinator.lockChest(chestBlock.position, this.memberId);
+        try {
+            await this.depositToChest(chestBlock, extraKeepItems);
+        } finally {
+            if (locked) this.coordinator.unlockChest(chestBlock.position, this.memberId);
+        }
         return true;
     }
 
+    /**
+     * Nearest chest to deposit in
+     * In a team farm job the harvest goes to the job's hand-over chest;
+     * chests other bots have reserved are skipped
+     */
+    findDepositChest(chestId, radius) {
+        if (!this.coordinator) {
+            return this.bot.findBlock({ matching: chestId, maxDistance: radius });
+        }
+
+        const handover = this.coordinator.getHandoverChest(this.memberId);
+        if (handover) {
+            const block = this.bot.blockAt(new Vec3(handover.x, handover.y, handover.z));
+            if (block && block.type === chestId) return block;
+        }
+
+        const positions = this.bot.findBlocks({ matching: chestId, maxDistance: radius, count: 20 });
+        const free = positions.find(position => !this.coordinator.isChestTaken(position, this.memberId));
+        return free ? this.bot.blockAt(free) : null;
+    }
+
     /**
      * Deposit non-essential items to chest
      */
@@ -3,8 +3,22 @@
  * Handles the -bot mine command and -bot mine_all for autonomous mining
  */
 
+const Vec3 = require('vec3');
 const logger = require('../utils/logger');
-const { resolveBlockAlias, getRequiredTool, canToolMine } = require('../data/recipes');
+const { resolveBlockAlias, getVeinBlocks, getRequiredTool, canToolMine, getBlockDrop } = require('../data/recipes');
+const ToolManager = require('./toolManager');
+const { getDimension } = require('../utils/dimensions');
+
+// Vein mining: blocks touching on a face, edge or corner belong to the same vein
+const VEIN_OFFSETS = [];
+for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            if (dx !== 0 || dy !== 0 || dz !== 0) VEIN_OFFSETS.push([dx, dy, dz]);
+        }
+    }
+}
+const MAX_VEIN_SIZE = 64;
 
 class MinerAbility {
     constructor(bot, pathfinder, homeManager, combatAbility) {
@@ -17,6 +31,31 @@ class MinerAbility {
         this.minedCount = 0;
         this.targetCount = 64;
         this.isSuperMining = false;
+        this.veinMode = false;
+        this.toolManager = new ToolManager(bot, pathfinder);
+        this.oreMap = null;
+        this.travelPlanner = null;
+    }
+
+    /**
+     * Share a tool manager that can fetch or craft replacement tools
+     */
+    setToolManager(toolManager) {
+        this.toolManager = toolManager;
+    }
+
+    /**
+     * Ores seen before, so mining can head for a known deposit when none is in range
+     */
+    setOreMap(oreMap) {
+        this.oreMap = oreMap;
+    }
+
+    /**
+     * Far deposits are reached with the travel planner (loaded segments, portals, elytra)
+     */
+    setTravelPlanner(travelPlanner) {
+        this.travelPlanner = travelPlanner;
     }
 
     /**
@@ -43,29 +82,7 @@ class MinerAbility {
      * Get expected drop name for a block (e.g., iron_ore -> raw_iron)
      */
     getExpectedDropName(blockName) {
-        const dropMap = {
-            'iron_ore': 'raw_iron',
-            'deepslate_iron_ore': 'raw_iron',
-            'gold_ore': 'raw_gold',
-            'deepslate_gold_ore': 'raw_gold',
-            'copper_ore': 'raw_copper',
-            'deepslate_copper_ore': 'raw_copper',
-            'coal_ore': 'coal',
-            'deepslate_coal_ore': 'coal',
-            'diamond_ore': 'diamond',
-            'deepslate_diamond_ore': 'diamond',
-            'lapis_ore': 'lapis_lazuli',
-            'deepslate_lapis_ore': 'lapis_lazuli',
-            'redstone_ore': 'redstone',
-            'deepslate_redstone_ore': 'redstone',
-            'emerald_ore': 'emerald',
-            'deepslate_emerald_ore': 'emerald',
-            'nether_quartz_ore': 'quartz',
-            'nether_gold_ore': 'gold_nugget',
-            'ancient_debris': 'ancient_debris',
-            // Most blocks drop themselves
-        };
-        return dropMap[blockName] || blockName;
+        return getBlockDrop(blockName);
     }
 
     /**
@@ -212,11 +229,13 @@ class MinerAbility {
         // Standard single block mining
         this.targetBlockType = command.target;
         this.targetCount = command.count || 64;
-        this.minedCount = 0;
+        // Continue counting from saved progress when a task is resumed
+        this.minedCount = (command.progress && command.progress.mined) || 0;
         this.isSuperMining = false;
+        this.veinMode = !!command.vein;
 
         const blockTypes = resolveBlockAlias(this.targetBlockType);
-        logger.info(`Mining: ${blockTypes.join(', ')} (target: ${this.targetCount}) for ${this.requestingPlayer}`);
+        logger.info(`Mining${this.veinMode ? ' veins of' : ''}: ${blockTypes.join(', ')} (target: ${this.targetCount}) for ${this.requestingPlayer}`);
         // Removed chat spam - only log
 
         await this.goToPlayer(this.requestingPlayer);
@@ -445,20 +464,7 @@ class MinerAbility {
      * Equip the best weapon for combat
      */
     async equipBestWeapon() {
-        const weapons = ['netherite_sword', 'diamond_sword', 'iron_sword', 'golden_sword', 'stone_sword', 'wooden_sword', 'netherite_axe', 'diamond_axe', 'iron_axe'];
-
-        for (const weaponName of weapons) {
-            const weapon = this.bot.inventory.items().find(item => item.name === weaponName);
-            if (weapon) {
-                try {
-                    await this.bot.equip(weapon, 'hand');
-                    return true;
-                } catch (e) {
-                    logger.debug(`Failed to equip ${weaponName}: ${e.message}`);
-                }
-            }
-        }
-        return false;
+        return await this.toolManager.equipBestWeapon();
     }
 
     /**
@@ -494,9 +500,8 @@ class MinerAbility {
             const oreBlock = await this.findNearestBlock(valuableOres, 64);
 
             if (oreBlock) {
-                logger.info(`Found ${oreBlock.name}! Mining...`);
-                await this.navigateToBlock(oreBlock);
-                await this.mineBlockAndCollect(oreBlock);
+                logger.info(`Found ${oreBlock.name}! Mining the vein...`);
+                await this.mineVein(oreBlock);
             } else {
                 // No ores? Find cave/deep area
                 logger.debug('No ores visible. Searching for caves...');
@@ -515,7 +520,7 @@ class MinerAbility {
             // Check threats occasionally
             if (this.minedCount % 5 === 0) await this.checkForThreats();
 
-            const block = await this.findNearestBlock(blockTypes);
+            const block = await this.findNearestBlock(blockTypes) || await this.goToKnownDeposit(blockTypes);
             if (!block) {
                 if (this.minedCount === 0) this.sendChat(`No ${this.targetBlockType} found nearby.`);
                 this.isActive = false;
@@ -525,6 +530,11 @@ class MinerAbility {
             // Tool check
             if (!await this.ensureToolFor(block.name)) return;
 
+            if (this.veinMode) {
+                await this.mineVein(block);
+                return;
+            }
+
             await this.navigateToBlock(block);
             const success = await this.mineBlockAndCollect(block);
 
@@ -541,6 +551,83 @@ class MinerAbility {
         }
     }
 
+    /**
+     * Flood-fill the ore blocks connected to a block, diagonals and deepslate variants included
+     * @returns {object[]} - Blocks of the vein, the start block first
+     */
+    findVein(startBlock) {
+        const names = getVeinBlocks(startBlock.name);
+        const key = pos => `${pos.x},${pos.y},${pos.z}`;
+
+        const vein = [startBlock];
+        const seen = new Set([key(startBlock.position)]);
+
+        for (let i = 0; i < vein.length && vein.length < MAX_VEIN_SIZE; i++) {
+            for (const [dx, dy, dz] of VEIN_OFFSETS) {
+                const position = vein[i].position.offset(dx, dy, dz);
+                if (seen.has(key(position))) continue;
+                seen.add(key(position));
+
+                const block = this.bot.blockAt(position);
+                if (block && names.includes(block.name)) {
+                    vein.push(block);
+                    if (vein.length >= MAX_VEIN_SIZE) break;
+                }
+            }
+        }
+
+        return vein;
+    }
+
+    /**
+     * Mine a whole ore vein, always taking the block closest to the bot next,
+     * then report how much it held
+     * @returns {number} - Blocks mined
+     */
+    async mineVein(startBlock) {
+        const vein = this.findVein(startBlock);
+        const names = getVeinBlocks(startBlock.name);
+        const startTime = Date.now();
+        const drops = [...new Set(vein.map(block => this.getExpectedDropName(block.name)))];
+        const dropsBefore = drops.map(name => this.getInventoryCount(name));
+
+        logger.info(`Vein of ${vein.length} ${startBlock.name} at ${startBlock.position}`);
+
+        const remaining = vein.map(block => ({ position: block.position, attempts: 0 }));
+        let mined = 0;
+        while (remaining.length > 0 && this.isActive &&
+            (this.isSuperMining || this.minedCount < this.targetCount)) {
+            const botPos = this.bot.entity.position;
+            remaining.sort((a, b) => botPos.distanceTo(a.position) - botPos.distanceTo(b.position));
+            const entry = remaining.shift();
+            const block = this.bot.blockAt(entry.position);
+
+            // Gone already (mined while clearing the way, or by someone else)
+            if (!block || !names.includes(block.name)) continue;
+            if (!await this.ensureToolFor(block.name)) break;
+
+            await this.navigateToBlock(block);
+            if (await this.mineBlockAndCollect(block)) {
+                mined++;
+                this.minedCount++;
+            } else if (++entry.attempts < 3) {
+                // Usually a block in the way was dug first; try again
+                remaining.push(entry);
+            }
+        }
+
+        const seconds = Math.round((Date.now() - startTime) / 1000);
+        const gained = drops
+            .map((name, i) => ({ name, count: this.getInventoryCount(name) - dropsBefore[i] }))
+            .filter(drop => drop.count > 0)
+            .map(drop => `+${drop.count} ${drop.name}`);
+        const { x, y, z } = startBlock.position;
+        this.sendChat(`⛏️ Vein at ${x}, ${y}, ${z}: mined ${mined}/${vein.length} ${startBlock.name} in ${seconds}s` +
+            (gained.length > 0 ? ` (${gained.join(', ')})` : ''));
+
+        return mined;
+    }
+
     /**
      * Check for nearby hostile mobs and defend
      */
@@ -625,7 +712,9 @@ class MinerAbility {
     async ensureToolFor(blockName) {
         const requiredTool = getRequiredTool(blockName);
         if (requiredTool) {
-            const hasTool = await this.equipBestTool(blockName);
+            // Mining pauses here while a worn-out tool is replaced
+            const hasTool = await this.toolManager.ensureTool(blockName, requiredTool) &&
+                await this.toolManager.equipBestTool(blockName, requiredTool);
             if (!hasTool) {
                 logger.debug(`Need ${requiredTool} to mine ${blockName}`);
                 this.isActive = false;
@@ -681,6 +770,42 @@ class MinerAbility {
 
         return this.bot.blockAt(blocks[0]);
     }
+    /**
+     * Walk to the nearest deposit in the ore map when none is in range
+     * Entries that turn out to be gone are dropped from the map
+     */
+    async goToKnownDeposit(blockTypes) {
+        if (!this.oreMap) return null;
+
+        const dimension = getDimension(this.bot);
+        const known = this.oreMap.query({
+            dimension,
+            position: this.bot.entity.position,
+            names: blockTypes,
+            limit: 5
+        });
+
+        for (const ore of known) {
+            if (!this.isActive) break;
+
+            const position = new Vec3(ore.x, ore.y, ore.z);
+            logger.info(`No ${ore.name} in range, going to known deposit at ${position} (${Math.round(ore.distance)} blocks)`);
+            if (this.travelPlanner && ore.distance > this.travelPlanner.directRange) {
+                await this.travelPlanner.travel({ x: ore.x, y: ore.y, z: ore.z }, { range: 4, quiet: true });
+                if (!this.isActive) break;
+            }
+            await this.navigateToLocation(position);
+
+            const block = this.bot.blockAt(position);
+            if (block && blockTypes.includes(block.name)) return block;
+
+            // Unloaded chunks give null: keep the entry, it may be reachable next time
+            if (block) this.oreMap.remove(position, dimension);
+        }
+
+        return null;
+    }
+
     async navigateToBlock(block) {
         // Check if block is within reach (no navigation needed)
         const distance = this.bot.entity.position.distanceTo(block.position);
@@ -858,68 +983,37 @@ class MinerAbility {
     }
 
     async equipBestTool(blockName) {
-        // Define tool requirements for blocks
-        const toolTypes = {
-            'shovel': ['dirt', 'grass_block', 'sand', 'gravel', 'clay', 'soul_sand', 'soul_soil', 'snow_block', 'mud', 'concrete_powder'],
-            'axe': ['log', 'planks', 'wood', 'chest', 'crafting_table', 'bookshelf', 'fence', 'pumpkin', 'melon', 'ladder'],
-            'pickaxe': ['stone', 'cobblestone', 'ore', 'andesite', 'diorite', 'granite', 'deepslate', 'obsidian', 'bricks', 'concrete', 'terracotta'],
-            'hoe': ['leaves', 'sculk', 'hay_block', 'nether_wart_block', 'shroomlight', 'target']
-        };
-
-        // Determine required tool type
-        let requiredType = 'pickaxe'; // Default
-        for (const [type, keywords] of Object.entries(toolTypes)) {
-            if (keywords.some(k => blockName.includes(k))) {
-                requiredType = type;
-                break;
-            }
+        const requiredType = this.toolManager.getToolType(blockName);
+
+        // Tools about to break are skipped; without a pickaxe, pause and get a replacement
+        if (await this.toolManager.equipBestTool(blockName) ||
+            (requiredType === 'pickaxe' && await this.toolManager.ensureTool(blockName) &&
+                await this.toolManager.equipBestTool(blockName))) {
+            // Reset the warning flag when we successfully equip a tool
+            this.noToolWarningShown = false;
+            return true;
         }
 
-        // Find ALL tools of required type in inventory (not just one)
-        const items = this.bot.inventory.items().filter(i => i.name.includes(requiredType));
-
-        // Sort best to worst (Netherite > Diamond > Iron > Gold > Stone > Wood)
-        const materialOrder = ['netherite', 'diamond', 'iron', 'golden', 'stone', 'wooden'];
-        items.sort((a, b) => {
-            const ia = materialOrder.findIndex(m => a.name.includes(m));
-            const ib = materialOrder.findIndex(m => b.name.includes(m));
-            return ia - ib;
-        });
-
-        const bestTool = items.length > 0 ? items[0] : null;
-
-        if (bestTool) {
-            try {
-                await this.bot.equip(bestTool, 'hand');
-                // Reset the warning flag when we successfully equip a tool
-                this.noToolWarningShown = false;
-                return true;
-            } catch (e) {
-                logger.debug(`Failed to equip ${bestTool.name}: ${e.message}`);
-                return false;
-            }
-        } else {
-            // No tool found - inform the player!
-            logger.warn(`No ${requiredType} found in inventory!`);
+        // No tool found - inform the player!
+        logger.warn(`No usable ${requiredType} found in inventory!`);
 
-            // Only show warning once to avoid chat spam
-            if (!this.noToolWarningShown) {
-                this.noToolWarningShown = true;
-                this.sendChat(`⚠️ My ${requiredType} broke and I don't have another one! Please give me a ${requiredType} to continue mining.`);
-            }
-
-            // Stop mining - don't try with hand for blocks that need tools
-            if (requiredType === 'pickaxe') {
-                this.isActive = false;
-                return false;
-            }
+        // Only show warning once to avoid chat spam
+        if (!this.noToolWarningShown) {
+            this.noToolWarningShown = true;
+            this.sendChat(`⚠️ My ${requiredType} is worn out and I don't have another one! Please give me a ${requiredType} to continue mining.`);
+        }
 
-            // For non-essential tools (like hoe for leaves), continue with hand
-            try {
-                await this.bot.unequip('hand');
-            } catch (e) { }
-            return true;
+        // Stop mining - don't try with hand for blocks that need tools
+        if (requiredType === 'pickaxe') {
+            this.isActive = false;
+            return false;
         }
+
+        // For non-essential tools (like hoe for leaves), continue with hand
+        try {
+            await this.bot.unequip('hand');
+        } catch (e) { }
+        return true;
     }
 
     async collectDrops(pos) {
@@ -939,11 +1033,22 @@ class MinerAbility {
         }
     }
 
+    /**
+     * Progress of the current mining task, saved so it can resume after a reconnect
+     */
+    getProgress() {
+        if (!this.isActive || this.isSuperMining) return null;
+        return { mined: this.minedCount, target: this.targetCount };
+    }
+
     async stop() {
         this.isActive = false;
         this.isSuperMining = false;
         this.bot.clearControlStates();
         this.bot.stopDigging();
+        if (this.travelPlanner && this.travelPlanner.isActive) {
+            await this.travelPlanner.stop();
+        }
     }
 
     delay(ms) { return new Promise(r => setTimeout(r, ms)); }
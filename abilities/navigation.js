@@ -1,9 +1,26 @@
 /**
  * Navigation Ability Module
  * Handles the -bot come and -bot go commands
+ * Far or cross-dimension targets go through the travel planner
  */
 
+const config = require('../config');
 const logger = require('../utils/logger');
+const { getDimension } = require('../utils/dimensions');
+
+// How often follow mode checks on the player (ms)
+const FOLLOW_TICK = 500;
+
+// How long to wait for a /tpa to be accepted before walking instead
+const TPA_WAIT = 20000;
+
+// Following through a portal: how long the teleport may take, then how long to look for the player
+const PORTAL_WAIT = 15000;
+const PORTAL_ARRIVE_WAIT = 5000;
+
+// Guarding: longest fight with one mob, and how far from the player a mob is chased
+const GUARD_TIMEOUT = 15000;
+const GUARD_CHASE_RANGE = 16;
 
 class NavigationAbility {
     constructor(bot, pathfinder, homeManager) {
@@ -13,6 +30,23 @@ class NavigationAbility {
         this.isActive = false;
         this.targetPosition = null;
         this.targetPlayer = null;
+        this.travelPlanner = null;
+        this.combatAbility = null;
+        this.following = null; // { player, formation, lastKnown: { x, y, z, dimension, portal }, lostSince } while following
+    }
+
+    /**
+     * Set the combat ability whose hostile mob list guard mode uses
+     */
+    setCombatAbility(combatAbility) {
+        this.combatAbility = combatAbility;
+    }
+
+    /**
+     * Set the travel planner used for trips beyond the loaded chunks
+     */
+    setTravelPlanner(travelPlanner) {
+        this.travelPlanner = travelPlanner;
     }
 
     /**
@@ -26,6 +60,13 @@ class NavigationAbility {
             await this.comeToPlayer(command.target);
         } else if (command.action === 'go') {
             await this.goToCoordinates(command.target);
+        } else if (command.action === 'follow') {
+            await this.follow(command.target, {
+                distance: command.distance,
+                formation: command.formation,
+                guard: command.guard,
+                lastKnown: command.progress?.lastKnown
+            });
         }
 
         this.isActive = false;
@@ -56,6 +97,16 @@ class NavigationAbility {
      */
     async goToCoordinates(coords) {
         const { x, y, z } = coords;
+        const dimension = coords.dimension || getDimension(this.bot);
+
+        // Far targets, other dimensions and a chosen travel mode go through the travel planner
+        if (this.travelPlanner && (dimension !== getDimension(this.bot) || coords.mode ||
+            this.travelPlanner.flatDistance(this.bot.entity.position, coords) > this.travelPlanner.directRange)) {
+            logger.info(`[Navigation] Planning trip to ${x}, ${y}, ${z} (${dimension})`);
+            await this.travelPlanner.travel({ x, y, z, dimension }, { mode: coords.mode || null });
+            return;
+        }
+
         this.sendChat(`Going to ${x}, ${y}, ${z}`);
         logger.info(`[Navigation] Going to ${x}, ${y}, ${z}`);
 
@@ -231,6 +282,10 @@ class NavigationAbility {
         this.targetPlayer = null;
         this.stopMovement();
 
+        if (this.travelPlanner && this.travelPlanner.isActive) {
+            await this.travelPlanner.stop();
+        }
+
         if (this.bot.pathfinder) {
             try {
                 this.bot.pathfinder.setGoal(null);
@@ -240,6 +295,21 @@ class NavigationAbility {
         }
     }
 
+    /**
+     * Progress of a planned trip (blocks travelled, ETA) for the task status
+     * While following it is the player's last known position, so a resumed follow knows where to look
+     */
+    getProgress() {
+        if (this.following) {
+            return {
+                player: this.following.player,
+                lastKnown: this.following.lastKnown,
+                status: `Following ${this.following.player}${this.following.lostSince ? ' (looking for them)' : ''}`
+            };
+        }
+        return this.travelPlanner ? this.travelPlanner.getProgress() : null;
+    }
+
     /**
      * Stop all movement
      */
@@ -362,50 +432,291 @@ class NavigationAbility {
 
     /**
      * Follow a player continuously
+     * Keeps a formation spot next to them, guards them from mobs if asked, and when they
+     * vanish (teleport, out of range) asks for a /tpa or travels to where they were last seen
+     * @param {object} options - { distance, formation: any|behind|left|right, guard, lastKnown }
+     *                           lastKnown comes from saved progress when the follow resumes after a reconnect
      */
-    async follow(playerName) {
+    async follow(playerName, options = {}) {
+        const followConfig = config.follow || {};
+        const distance = options.distance ?? followConfig.distance ?? 2;
+        const formation = options.formation || followConfig.formation || 'any';
+        const guard = options.guard ?? followConfig.guard ?? false;
+
         this.targetPlayer = playerName;
         this.isActive = true;
+        this.following = {
+            player: playerName,
+            formation,
+            lastKnown: options.lastKnown || null,
+            lostSince: null
+        };
 
-        const player = this.findPlayer(playerName);
-        if (!player) {
+        let player = this.findPlayer(playerName);
+        if (!player && !this.following.lastKnown && !this.getOnlineName(playerName)) {
             this.sendChat(`Player ${playerName} not found`);
+            this.following = null;
             return;
         }
 
-        this.sendChat(`Following ${playerName}...`);
+        this.sendChat(`Following ${playerName}${formation !== 'any' ? ` (${formation})` : ''} at ${distance} blocks${guard ? ', guarding' : ''}...`);
         logger.info(`[Navigation] Started following ${playerName}`);
 
-        // Use GoalFollow for dynamic following
-        if (this.pathfinder && this.bot.pathfinder) {
-            const { goals } = require('mineflayer-pathfinder');
+        if (!this.pathfinder || !this.pathfinder.goals || !this.bot.pathfinder) {
+            // Fallback simple follow
+            this.sendChat('Pathfinder not available, using simple follow');
+            if (player) await this.navigateTo(player.position, playerName);
+            this.following = null;
+            return;
+        }
+
+        let goalSpot = null;
 
-            try {
-                // Follow at distance of 2 blocks
-                const goal = new goals.GoalFollow(player, 2);
-                this.bot.pathfinder.setGoal(goal, true); // true = dynamic goal
+        try {
+            while (this.isActive && this.targetPlayer === playerName) {
+                player = this.findPlayer(playerName);
 
-                // Monitor loop to stop if command cancelled
-                while (this.isActive && this.targetPlayer === playerName) {
-                    await this.delay(1000);
+                if (!player) {
+                    // Vanished: teleported, went through a portal or out of range
+                    goalSpot = null;
+                    if (!await this.recoverFollow(playerName, followConfig)) break;
+                    continue;
+                }
 
-                    // Specific check if player is too far (teleported?)
-                    const currentPlayer = this.findPlayer(playerName);
-                    if (!currentPlayer) {
-                        this.sendChat(`Lost sight of ${playerName}`);
-                        break;
+                // Standing in a portal means they may be about to teleport through it
+                const feet = this.bot.blockAt(player.position.floored());
+                this.following.lostSince = null;
+                this.following.lastKnown = {
+                    x: player.position.x,
+                    y: player.position.y,
+                    z: player.position.z,
+                    dimension: getDimension(this.bot),
+                    portal: feet && feet.name === 'nether_portal'
+                        ? { x: feet.position.x, y: feet.position.y, z: feet.position.z }
+                        : null
+                };
+
+                if (guard) {
+                    const threat = this.findThreat(player, followConfig.guardRange ?? 8);
+                    if (threat) {
+                        goalSpot = null;
+                        await this.defendPlayer(player, threat);
+                        continue;
                     }
                 }
-            } catch (error) {
-                logger.error(`[Navigation] Follow error: ${error.message}`);
-                this.sendChat(`Cannot follow: ${error.message}`);
-            } finally {
-                if (this.bot.pathfinder) this.bot.pathfinder.setGoal(null);
+
+                goalSpot = this.keepFormation(player, formation, distance, goalSpot);
+                await this.delay(FOLLOW_TICK);
             }
-        } else {
-            // Fallback simple follow
-            this.sendChat('Pathfinder not available, using simple follow');
-            await this.navigateTo(player.position, playerName);
+        } catch (error) {
+            logger.error(`[Navigation] Follow error: ${error.message}`);
+            this.sendChat(`Cannot follow: ${error.message}`);
+        } finally {
+            this.following = null;
+            if (this.bot.pathfinder) this.bot.pathfinder.setGoal(null);
+        }
+    }
+
+    /**
+     * Point the pathfinder at the formation spot next to the player
+     * @returns {object|null} - The spot the goal was set for, to skip resetting it every tick
+     */
+    keepFormation(player, formation, distance, previousSpot) {
+        const { goals } = this.pathfinder;
+
+        if (formation === 'any') {
+            if (!previousSpot) this.bot.pathfinder.setGoal(new goals.GoalFollow(player, distance), true);
+            return { entity: player.id };
+        }
+
+        // Facing direction from yaw (yaw 0 faces north, -z)
+        const forwardX = -Math.sin(player.yaw);
+        const forwardZ = -Math.cos(player.yaw);
+        const [offsetX, offsetZ] = {
+            behind: [-forwardX, -forwardZ],
+            left: [forwardZ, -forwardX],
+            right: [-forwardZ, forwardX]
+        }[formation] || [-forwardX, -forwardZ];
+
+        const spot = {
+            x: Math.floor(player.position.x + offsetX * distance),
+            y: Math.floor(player.position.y),
+            z: Math.floor(player.position.z + offsetZ * distance)
+        };
+
+        // Only re-plan when the spot moved, the pathfinder works on one goal at a time
+        const moved = !previousSpot || previousSpot.entity !== undefined ||
+            Math.abs(previousSpot.x - spot.x) + Math.abs(previousSpot.z - spot.z) >= 2;
+        if (moved) this.bot.pathfinder.setGoal(new goals.GoalNear(spot.x, spot.y, spot.z, 1));
+
+        return moved ? spot : previousSpot;
+    }
+
+    /**
+     * Get back to a player who vanished: through the portal they were standing in, /tpa if
+     * the server has it, then travel to where they were last seen and wait there for them
+     * @returns {boolean} - False when it is time to give up
+     */
+    async recoverFollow(playerName, followConfig) {
+        const following = this.following;
+        const lostTimeout = followConfig.lostTimeout ?? 300000;
+
+        if (!following.lostSince) {
+            following.lostSince = Date.now();
+            this.bot.pathfinder.setGoal(null);
+            logger.info(`[Navigation] Lost sight of ${playerName}`);
+
+            const portal = following.lastKnown?.portal;
+            if (portal && following.lastKnown.dimension === getDimension(this.bot)) {
+                this.sendChat(`${playerName} went through a portal, following`);
+                if (await this.followThroughPortal(portal)) {
+                    const out = this.bot.entity.position;
+                    following.lastKnown = { x: out.x, y: out.y, z: out.z, dimension: getDimension(this.bot), portal: null };
+                    if (await this.waitForPlayer(playerName, PORTAL_ARRIVE_WAIT)) return true;
+                }
+                if (!this.isActive) return false;
+            }
+
+            const onlineName = this.getOnlineName(playerName);
+            if (followConfig.tpa !== false && onlineName) {
+                this.sendChat(`/tpa ${onlineName}`);
+                if (await this.waitForPlayer(playerName, TPA_WAIT)) return true;
+            }
+
+            if (following.lastKnown) {
+                const { x, y, z, dimension } = following.lastKnown;
+                this.sendChat(`Lost sight of ${playerName}, going to where I last saw them`);
+                if (this.travelPlanner) {
+                    await this.travelPlanner.travel({ x, y, z, dimension, name: `${playerName}'s last position` }, { range: 3, quiet: true });
+                } else if (dimension === getDimension(this.bot)) {
+                    await this.navigateTo(require('vec3')(x, y, z), null, true);
+                }
+                if (!this.isActive) return false;
+            }
+        }
+
+        if (Date.now() - following.lostSince > lostTimeout) {
+            this.sendChat(`Lost track of ${playerName}, stopped following`);
+            return false;
+        }
+
+        // Wait where they were last seen; they may come back or log in again
+        await this.waitForPlayer(playerName, 2000);
+        return this.isActive;
+    }
+
+    /**
+     * Walk into the portal a followed player left through and wait for the teleport
+     * The portal and where the bot came out are recorded as a linked pair
+     * @returns {boolean} - True when the bot changed dimension
+     */
+    async followThroughPortal(portal) {
+        const from = getDimension(this.bot);
+        const { goals } = this.pathfinder;
+
+        try {
+            await this.bot.pathfinder.goto(new goals.GoalBlock(portal.x, portal.y, portal.z));
+        } catch (error) {
+            // The teleport itself can cut the path short
+            logger.debug(`[Navigation] Path into the portal ended: ${error.message}`);
+        }
+
+        const startTime = Date.now();
+        while (this.isActive && Date.now() - startTime < PORTAL_WAIT) {
+            const dimension = getDimension(this.bot);
+            if (dimension !== from) {
+                const out = this.bot.entity.position;
+                this.travelPlanner?.waypoints?.recordPortalPair({ ...portal, dimension: from }, { x: out.x, y: out.y, z: out.z, dimension });
+
+                // Give the chunks on the other side a moment to arrive
+                await this.delay(2000);
+                return true;
+            }
+            await this.delay(500);
+        }
+        return false;
+    }
+
+    /**
+     * A player's exact username if they are on the server (commands arrive lowercased)
+     */
+    getOnlineName(playerName) {
+        return Object.keys(this.bot.players).find(name => name.toLowerCase() === playerName.toLowerCase()) || null;
+    }
+
+    /**
+     * Wait until a player's entity is in range again
+     */
+    async waitForPlayer(playerName, timeout) {
+        const startTime = Date.now();
+        while (this.isActive && Date.now() - startTime < timeout) {
+            if (this.findPlayer(playerName)) return true;
+            await this.delay(500);
+        }
+        return !!this.findPlayer(playerName);
+    }
+
+    /**
+     * Hostile mob after the player: close to them, or near and looking their way
+     */
+    findThreat(player, guardRange) {
+        const hostileMobs = this.combatAbility ? this.combatAbility.hostileMobs : [];
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const entity of Object.values(this.bot.entities)) {
+            if (!entity.position || entity === this.bot.entity || entity.type === 'player') continue;
+
+            const name = (entity.name || '').toLowerCase();
+            if (!hostileMobs.some(mob => name === mob)) continue;
+
+            const distance = entity.position.distanceTo(player.position);
+            if (distance > guardRange) continue;
+
+            // A mob that has picked a target turns to face it
+            const toPlayer = Math.atan2(-(player.position.x - entity.position.x), -(player.position.z - entity.position.z));
+            const facing = Math.abs(Math.atan2(Math.sin(entity.yaw - toPlayer), Math.cos(entity.yaw - toPlayer)));
+            if (distance > 4 && facing > Math.PI / 4) continue;
+
+            if (distance < nearestDistance) {
+                nearest = entity;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Fight a mob going for the player, then get back in formation
+     */
+    async defendPlayer(player, threat) {
+        logger.info(`[Navigation] Guarding ${player.username} from ${threat.name}`);
+        const { goals } = this.pathfinder;
+        const startTime = Date.now();
+
+        if (this.combatAbility) await this.combatAbility.equipBestWeapon();
+        this.bot.pathfinder.setGoal(new goals.GoalFollow(threat, 2), true);
+
+        try {
+            while (this.isActive && Date.now() - startTime < GUARD_TIMEOUT) {
+                const target = this.bot.entities[threat.id];
+                if (!target || (target.health !== undefined && target.health <= 0)) return;
+                if (target.position.distanceTo(player.position) > GUARD_CHASE_RANGE) return;
+
+                if (this.bot.entity.position.distanceTo(target.position) <= 3.5) {
+                    await this.bot.lookAt(target.position.offset(0, target.height * 0.5, 0));
+                    try {
+                        await this.bot.attack(target);
+                    } catch (error) {
+                        logger.debug(`[Navigation] Guard attack failed: ${error.message}`);
+                    }
+                    await this.delay(400); // Attack cooldown
+                } else {
+                    await this.delay(100);
+                }
+            }
+        } finally {
+            this.bot.pathfinder.setGoal(null);
         }
     }
 }
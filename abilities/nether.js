@@ -1,9 +1,72 @@
 /**
  * Nether Portal Ability Module
  * Handles navigation to/through Nether portals with lava safety
+ *
+ * Nether highway: for an overworld destination the bot goes into the nether, walks to the
+ * spot that links back to the destination (1:8), uses the portal there or builds one, and
+ * comes out next to the destination. Portal pairs it has been through are saved as linked
+ * portal waypoints, which the travel planner reuses
  */
 
+const Vec3 = require('vec3');
 const logger = require('../utils/logger');
+const { getDimension, convertPosition } = require('../utils/dimensions');
+
+// How far from a portal waypoint the portal blocks are looked for
+const PORTAL_WAYPOINT_RANGE = 8;
+
+// A portal this close to the linked spot is the one the game sends the bot to (vanilla searches 16 blocks in the nether)
+const LINK_SEARCH_RANGE = 16;
+
+// Obsidian for a frame without corners, and with them
+const FRAME_OBSIDIAN = 10;
+const FRAME_OBSIDIAN_WITH_CORNERS = 14;
+
+// Any of these will do for the corners of a 10-obsidian frame
+const CORNER_BLOCKS = ['cobblestone', 'cobbled_deepslate', 'netherrack', 'blackstone', 'stone', 'dirt'];
+
+// Casting fills the 6 inside cells so lava can't run into them, plus one block the water stands on
+const CAST_FILLERS = 7;
+
+// How long flowing water from the last cast may take to drain out of a frame cell
+const DRAIN_TIMEOUT = 3000;
+
+// How far away a lava source for casting obsidian may be
+const LAVA_SEARCH_RANGE = 32;
+
+const AIR = ['air', 'cave_air', 'void_air'];
+const LIQUIDS = ['water', 'lava', 'flowing_water', 'flowing_lava'];
+
+const FACES = [
+    new Vec3(0, 1, 0), new Vec3(0, -1, 0),
+    new Vec3(1, 0, 0), new Vec3(-1, 0, 0),
+    new Vec3(0, 0, 1), new Vec3(0, 0, -1)
+];
+
+/**
+ * Cells of a 4x5 portal frame standing on the ground at origin, bottom row first
+ * @param {string} axis - 'x' when the frame runs along x, 'z' along z
+ * @returns {object} - { frame: [{ position, corner }], inside: positions the portal fills }
+ */
+function portalFrame(origin, axis) {
+    const frame = [];
+    const inside = [];
+
+    for (let dy = 0; dy < 5; dy++) {
+        for (let across = 0; across < 4; across++) {
+            const position = axis === 'x' ? origin.offset(across, dy, 0) : origin.offset(0, dy, across);
+            const side = across === 0 || across === 3;
+            const end = dy === 0 || dy === 4;
+
+            if (side || end) {
+                frame.push({ position, corner: side && end });
+            } else {
+                inside.push(position);
+            }
+        }
+    }
+    return { frame, inside };
+}
 
 class NetherAbility {
     constructor(bot, pathfinder) {
@@ -12,12 +75,37 @@ class NetherAbility {
         this.isActive = false;
         this.lavaSafetyEnabled = false;
         this.safetyCheckInterval = null;
+        this.waypoints = null; // Portal waypoints (set by setWaypoints)
+        this.travelPlanner = null; // Long trips in the nether (set by setTravelPlanner)
+    }
+
+    /**
+     * Use the travel planner for the nether leg of a highway trip
+     */
+    setTravelPlanner(travelPlanner) {
+        this.travelPlanner = travelPlanner;
+    }
+
+    /**
+     * Use waypoints tagged "portal" before searching the area for portal blocks
+     */
+    setWaypoints(waypoints) {
+        this.waypoints = waypoints;
     }
 
     /**
      * Execute nether command
      */
     async execute(command) {
+        if (command.subAction === 'travel') {
+            await this.executeHighway(command.target);
+            return;
+        }
+        if (command.subAction === 'build') {
+            await this.executeBuild();
+            return;
+        }
+
         this.isActive = true;
 
         try {
@@ -38,7 +126,9 @@ class NetherAbility {
             await this.navigateToPortal(portal);
 
             // Enter the portal
-            await this.enterPortal(portal);
+            if (!await this.enterPortal(portal)) {
+                return { success: false, message: 'Portal did not teleport' };
+            }
 
             return { success: true, message: 'Entered Nether portal' };
 
@@ -63,6 +153,21 @@ class NetherAbility {
             return null;
         }
 
+        // A portal right here, then the nearest portal waypoint, then a wide search
+        const nearby = this.bot.findBlock({ matching: portalBlockId, maxDistance: PORTAL_WAYPOINT_RANGE });
+        if (nearby) return nearby;
+
+        // A portal waypoint can be outside the loaded chunks, so walk there before looking
+        if (this.waypoints?.findByTag('portal')) {
+            const waypoint = await this.waypoints.goToTagged('portal');
+            const portal = waypoint && this.bot.findBlock({
+                matching: portalBlockId,
+                maxDistance: PORTAL_WAYPOINT_RANGE
+            });
+            if (portal) return portal;
+            logger.warn('Nether: No portal at the portal waypoint, searching the area');
+        }
+
         const portals = this.bot.findBlocks({
             matching: portalBlockId,
             maxDistance: 256,
@@ -86,7 +191,26 @@ class NetherAbility {
             return;
         }
 
-        const { goals, Movements } = require('mineflayer-pathfinder');
+        const { goals } = require('mineflayer-pathfinder');
+        this.setSafeMovements();
+
+        // Navigate to portal
+        const goal = new goals.GoalGetToBlock(portal.position.x, portal.position.y, portal.position.z);
+
+        try {
+            await this.bot.pathfinder.goto(goal);
+            logger.info('Reached portal location');
+        } catch (error) {
+            logger.warn(`Pathfinder to portal failed: ${error.message}, using simple navigation`);
+            await this.simpleNavigate(portal.position);
+        }
+    }
+
+    /**
+     * Pathfinder movements that dig through netherrack but keep away from lava and long drops
+     */
+    setSafeMovements() {
+        const { Movements } = require('mineflayer-pathfinder');
         const mcData = require('minecraft-data')(this.bot.version);
 
         // Configure safe movements - avoid lava!
@@ -103,24 +227,16 @@ class NetherAbility {
         }
 
         this.bot.pathfinder.setMovements(movements);
-
-        // Navigate to portal
-        const goal = new goals.GoalGetToBlock(portal.position.x, portal.position.y, portal.position.z);
-
-        try {
-            await this.bot.pathfinder.goto(goal);
-            logger.info('Reached portal location');
-        } catch (error) {
-            logger.warn(`Pathfinder to portal failed: ${error.message}, using simple navigation`);
-            await this.simpleNavigate(portal.position);
-        }
     }
 
     /**
-     * Enter the portal (stand inside it)
+     * Enter the portal (stand inside it) and wait for the teleport
+     * The portal and where the bot came out are recorded as a linked pair
+     * @returns {boolean} - True when the bot changed dimension
      */
     async enterPortal(portal) {
         this.sendChat('Entering Nether portal...');
+        const from = getDimension(this.bot);
 
         // Move into the portal block
         const portalCenter = portal.position.offset(0.5, 0, 0.5);
@@ -132,31 +248,537 @@ class NetherAbility {
         // Wait for dimension change or timeout
         const startTime = Date.now();
         const timeout = 15000; // 15 seconds
+        let inPortal = false;
 
-        while (Date.now() - startTime < timeout && this.isActive) {
+        while (Date.now() - startTime < timeout && this.isActive && getDimension(this.bot) === from) {
             await this.delay(500);
 
             // Check if we're in the portal (close to portal block)
             const dist = this.bot.entity.position.distanceTo(portal.position);
-            if (dist < 1.5) {
-                // We're in the portal, wait for teleport
+            if (dist < 1.5 && !inPortal) {
+                // We're in the portal, stand still and wait for teleport
+                inPortal = true;
+                this.bot.setControlState('forward', false);
                 this.sendChat('In portal, waiting for teleport...');
-                await this.delay(5000); // Portal animation takes a few seconds
-                break;
             }
         }
 
         this.bot.setControlState('forward', false);
 
         // Check current dimension
-        const dimension = this.bot.game?.dimension;
+        const dimension = getDimension(this.bot);
         logger.info(`Current dimension: ${dimension}`);
 
-        if (dimension === 'the_nether' || dimension === 'minecraft:the_nether') {
+        if (dimension === from) {
+            this.sendChat('The portal did not take me anywhere');
+            return false;
+        }
+
+        if (dimension === 'the_nether') {
             this.sendChat('Arrived in the Nether! Lava safety mode active.');
-        } else if (dimension === 'overworld' || dimension === 'minecraft:overworld') {
+        } else if (dimension === 'overworld') {
             this.sendChat('Back in the Overworld!');
         }
+
+        if (this.waypoints) {
+            const { x, y, z } = portal.position;
+            const out = this.bot.entity.position;
+            this.waypoints.recordPortalPair({ x, y, z, dimension: from }, { x: out.x, y: out.y, z: out.z, dimension });
+        }
+
+        // Give the chunks on the other side a moment to arrive
+        await this.delay(2000);
+        return true;
+    }
+
+    /**
+     * Nether highway to an overworld position: into the nether, across to the linked spot,
+     * out through the portal there (built if there is none) and on to the destination
+     * @param {object} destination - { x, y, z } in the overworld (y may be null)
+     */
+    async executeHighway(destination) {
+        this.isActive = true;
+
+        try {
+            // In the overworld the trip starts with the nearest portal, or one built right here
+            if (getDimension(this.bot) === 'overworld') {
+                const portal = await this.findNetherPortal() || await this.buildPortal();
+                if (!this.isActive) return;
+                if (!portal) {
+                    this.sendChat('No portal nearby and I can\'t build one');
+                    return;
+                }
+
+                await this.navigateToPortal(portal);
+                if (!await this.enterPortal(portal)) return;
+            }
+
+            if (getDimension(this.bot) !== 'the_nether') {
+                this.sendChat('The nether highway starts in the overworld or the nether');
+                return;
+            }
+
+            this.enableLavaSafety();
+            this.setSafeMovements();
+
+            const linked = convertPosition({ x: destination.x, y: null, z: destination.z }, 'overworld', 'the_nether');
+            const known = this.findLinkedPortal(linked);
+            this.sendChat(`🔥 Overworld ${destination.x}, ${destination.z} links to ${linked.x}, ${linked.z} in the nether` +
+                (known ? `, using portal ${known.name}` : ''));
+
+            // Walk to the known portal, or to the linked spot and look for one there
+            const target = known
+                ? { x: known.x, y: known.y, z: known.z, dimension: 'the_nether', name: known.name }
+                : { ...linked, dimension: 'the_nether' };
+            if (!await this.travelTo(target, known ? 2 : 4)) {
+                if (this.isActive) this.sendChat('Can\'t get to the linked spot in the nether');
+                return;
+            }
+
+            let portal = this.findPortalBlock(LINK_SEARCH_RANGE);
+            if (!portal) {
+                this.sendChat('No portal at the linked spot, building one');
+                portal = await this.buildPortal();
+            }
+            if (!portal || !this.isActive) return;
+
+            await this.navigateToPortal(portal);
+            if (!await this.enterPortal(portal)) return;
+            this.disableLavaSafety();
+
+            // Last stretch in the overworld
+            const arrived = await this.travelTo({ ...destination, dimension: 'overworld' }, 2);
+            if (arrived) this.sendChat(`🔥 Nether highway done, at ${destination.x}, ${destination.z}`);
+        } catch (error) {
+            logger.error(`Nether highway error: ${error.message}`);
+            this.sendChat(`Error: ${error.message}`);
+        } finally {
+            this.disableLavaSafety();
+            this.isActive = false;
+        }
+    }
+
+    /**
+     * Build and light a portal where the bot stands
+     */
+    async executeBuild() {
+        this.isActive = true;
+        try {
+            const portal = await this.buildPortal();
+            if (portal && this.waypoints) {
+                const { x, y, z } = portal.position;
+                const name = `portal-${x}-${z}`;
+                this.waypoints.add(name, { x, y, z }, getDimension(this.bot), ['portal']);
+                this.sendChat(`📍 Saved it as waypoint ${name}`);
+            }
+        } catch (error) {
+            logger.error(`Portal build error: ${error.message}`);
+            this.sendChat(`Error: ${error.message}`);
+        } finally {
+            this.isActive = false;
+        }
+    }
+
+    /**
+     * Nether portal waypoint within LINK_SEARCH_RANGE of the linked spot (x and z only,
+     * heights in the nether have nothing to do with the overworld)
+     */
+    findLinkedPortal(linked) {
+        if (!this.waypoints) return null;
+
+        const distance = w => Math.hypot(w.x - linked.x, w.z - linked.z);
+        const portals = this.waypoints.list({ dimension: 'the_nether', tag: 'portal' })
+            .filter(w => distance(w) <= LINK_SEARCH_RANGE);
+        if (portals.length === 0) return null;
+
+        return portals.reduce((nearest, w) => distance(w) < distance(nearest) ? w : nearest);
+    }
+
+    /**
+     * Travel with the travel planner, or straight to the pathfinder without it
+     */
+    async travelTo(target, range) {
+        if (this.travelPlanner) {
+            return await this.travelPlanner.travel(target, { range, quiet: false });
+        }
+
+        const { goals } = this.pathfinder;
+        const goal = target.y == null
+            ? new goals.GoalNearXZ(target.x, target.z, range)
+            : new goals.GoalNear(target.x, target.y, target.z, range);
+        try {
+            await this.bot.pathfinder.goto(goal);
+            return true;
+        } catch (error) {
+            logger.warn(`Nether: Path failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Nearest portal block within range, or null
+     */
+    findPortalBlock(range) {
+        const mcData = require('minecraft-data')(this.bot.version);
+        const portalBlockId = mcData.blocksByName['nether_portal']?.id;
+        if (portalBlockId === undefined) return null;
+
+        return this.bot.findBlock({ matching: portalBlockId, maxDistance: range });
+    }
+
+    /**
+     * Build a portal frame next to the bot and light it
+     * Uses obsidian from the inventory; in the overworld it can also cast obsidian in place
+     * with a water bucket and lava (water boils away in the nether)
+     * @returns {object|null} - A portal block of the lit portal
+     */
+    async buildPortal() {
+        const count = name => this.bot.inventory.items()
+            .filter(item => item.name === name).reduce((sum, item) => sum + item.count, 0);
+
+        const obsidian = count('obsidian');
+        const canCast = getDimension(this.bot) !== 'the_nether' && count('water_bucket') > 0 &&
+            (count('lava_bucket') > 0 || count('bucket') > 0);
+        const lighter = this.bot.inventory.items().find(item => item.name === 'flint_and_steel' || item.name === 'fire_charge');
+
+        if (!lighter) {
+            this.sendChat('Need flint_and_steel or a fire_charge to light a portal');
+            return null;
+        }
+        if (obsidian < FRAME_OBSIDIAN && !canCast) {
+            this.sendChat(`Need ${FRAME_OBSIDIAN} obsidian to build a portal (have ${obsidian})` +
+                (getDimension(this.bot) === 'the_nether' ? '' : ', or a water bucket and a bucket to cast it from lava'));
+            return null;
+        }
+
+        // Corners are obsidian when there is enough, else any block that is at hand
+        const useObsidianCorners = obsidian >= FRAME_OBSIDIAN_WITH_CORNERS;
+        const casting = obsidian < FRAME_OBSIDIAN;
+        const fillers = this.bot.inventory.items().filter(item => CORNER_BLOCKS.includes(item.name))
+            .reduce((sum, item) => sum + item.count, 0);
+        const fillersNeeded = (useObsidianCorners ? 0 : 4) + (casting ? CAST_FILLERS : 0);
+        if (fillers < fillersNeeded) {
+            this.sendChat(casting
+                ? `Need ${fillersNeeded} cobblestone or similar blocks for the corners and to keep lava out of the portal while casting`
+                : `Need ${FRAME_OBSIDIAN_WITH_CORNERS} obsidian, or 4 cobblestone or similar blocks for the frame corners`);
+            return null;
+        }
+
+        const site = this.findPortalSite();
+        if (!site) {
+            this.sendChat('No flat spot next to me for a portal');
+            return null;
+        }
+
+        this.sendChat(`🔨 Building a portal at ${site.origin.x}, ${site.origin.y}, ${site.origin.z}` +
+            (casting ? ' (casting obsidian)' : ''));
+
+        // Lava next to the frame is on purpose while casting
+        const wasSafe = this.lavaSafetyEnabled;
+        if (casting) this.disableLavaSafety();
+
+        try {
+            for (const position of [...site.inside, ...site.frame.map(cell => cell.position)]) {
+                if (!this.isActive) return null;
+                const block = this.bot.blockAt(position);
+                if (block && block.name === 'obsidian' && !site.inside.includes(position)) continue;
+                if (!await this.clearCell(position)) {
+                    this.sendChat(`Can't clear ${block?.name || 'the block'} at ${position.x}, ${position.y}, ${position.z}`);
+                    return null;
+                }
+            }
+
+            // Lava poured into the sides and top would run into the inside cells, so while casting
+            // they are filled once the bottom row is down and dug out again before lighting
+            const bottom = site.frame.filter(cell => cell.position.y === site.origin.y);
+            const rest = site.frame.filter(cell => cell.position.y !== site.origin.y);
+
+            if (!await this.placeFrameCells(bottom, site, useObsidianCorners)) return null;
+            if (casting) {
+                for (const position of site.inside) {
+                    if (!this.isActive) return null;
+                    const filler = this.bot.inventory.items().find(item => CORNER_BLOCKS.includes(item.name));
+                    if (!filler || !await this.placeAt(position, filler)) {
+                        this.sendChat(`Couldn't fill the portal at ${position.x}, ${position.y}, ${position.z} for casting`);
+                        return null;
+                    }
+                }
+            }
+            if (!await this.placeFrameCells(rest, site, useObsidianCorners)) return null;
+
+            // Fillers, or lava that hardened inside, must go before the portal can light
+            for (const position of site.inside) {
+                if (!this.isActive) return null;
+                if (!await this.clearCell(position)) {
+                    const block = this.bot.blockAt(position);
+                    this.sendChat(`Can't clear ${block?.name || 'the block'} inside the portal at ${position.x}, ${position.y}, ${position.z}`);
+                    return null;
+                }
+            }
+
+            return await this.lightPortal(site.inside[0]);
+        } finally {
+            if (wasSafe) this.enableLavaSafety();
+        }
+    }
+
+    /**
+     * Place obsidian (or filler corners) into frame cells, casting obsidian when none is left
+     * @returns {boolean} - True when every cell holds its block
+     */
+    async placeFrameCells(cells, site, useObsidianCorners) {
+        for (const { position, corner } of cells) {
+            if (!this.isActive) return false;
+            if (this.bot.blockAt(position)?.name === 'obsidian') continue;
+
+            let placed;
+            if (corner && !useObsidianCorners) {
+                const filler = this.bot.inventory.items().find(item => CORNER_BLOCKS.includes(item.name));
+                placed = filler ? await this.placeAt(position, filler) : false;
+            } else {
+                const item = this.bot.inventory.items().find(i => i.name === 'obsidian');
+                placed = item ? await this.placeAt(position, item) : await this.castObsidian(position, site.axis);
+            }
+
+            if (!placed) {
+                this.sendChat(`Couldn't place the frame at ${position.x}, ${position.y}, ${position.z}`);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Spot two blocks beside the bot with solid ground under the whole frame and nothing
+     * in the way that can't be dug
+     * @returns {object|null} - { origin, axis, frame, inside }
+     */
+    findPortalSite() {
+        const feet = this.bot.entity.position.floored();
+        const sites = [
+            { origin: feet.offset(-1, 0, 2), axis: 'x' },
+            { origin: feet.offset(-1, 0, -2), axis: 'x' },
+            { origin: feet.offset(2, 0, -1), axis: 'z' },
+            { origin: feet.offset(-2, 0, -1), axis: 'z' }
+        ];
+
+        for (const { origin, axis } of sites) {
+            const { frame, inside } = portalFrame(origin, axis);
+
+            const ground = frame.filter(cell => cell.position.y === origin.y)
+                .map(cell => this.bot.blockAt(cell.position.offset(0, -1, 0)));
+            if (ground.some(block => !block || block.boundingBox !== 'block')) continue;
+
+            const cells = [...inside, ...frame.map(cell => cell.position)].map(position => this.bot.blockAt(position));
+            const blocked = cells.some(block => !block || LIQUIDS.includes(block.name) ||
+                block.name === 'nether_portal' || (!AIR.includes(block.name) && !this.bot.canDigBlock(block)));
+            if (blocked) continue;
+
+            return { origin, axis, frame, inside };
+        }
+        return null;
+    }
+
+    /**
+     * Dig a block so the cell is empty
+     */
+    async clearCell(position) {
+        for (let attempt = 0; attempt < 4 && this.isActive; attempt++) {
+            const block = this.bot.blockAt(position);
+            if (!block) return false;
+            if (AIR.includes(block.name)) return true;
+
+            try {
+                const tool = this.bot.pathfinder?.bestHarvestTool(block);
+                if (tool) await this.bot.equip(tool, 'hand');
+                await this.bot.dig(block);
+            } catch (error) {
+                logger.debug(`Nether: Dig failed at ${position}: ${error.message}`);
+            }
+        }
+        return AIR.includes(this.bot.blockAt(position)?.name);
+    }
+
+    /**
+     * Place an item into a cell against any solid neighbour
+     */
+    async placeAt(position, item) {
+        for (const face of FACES) {
+            const reference = this.bot.blockAt(position.minus(face));
+            if (!reference || reference.boundingBox !== 'block') continue;
+
+            try {
+                await this.bot.equip(item, 'hand');
+                await this.bot.placeBlock(reference, face);
+                return true;
+            } catch (error) {
+                logger.debug(`Nether: Failed to place ${item.name} at ${position}: ${error.message}`);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Cast one obsidian block in place: pour lava into the cell, then water into the cell
+     * beside it outside the frame, and scoop the water back up
+     * @param {string} axis - Axis the frame runs along; the water goes on either side of it
+     */
+    async castObsidian(position, axis) {
+        if (!await this.fillLavaBucket()) return false;
+
+        try {
+            await this.bot.pathfinder.goto(new this.pathfinder.goals.GoalNear(position.x, position.y, position.z, 3));
+        } catch (error) {
+            logger.debug(`Nether: Path back to the frame failed: ${error.message}`);
+        }
+
+        // Water from the last cast may still be running through the cell, and lava that
+        // ran into it may have left cobblestone
+        const drainUntil = Date.now() + DRAIN_TIMEOUT;
+        while (LIQUIDS.includes(this.bot.blockAt(position)?.name) && Date.now() < drainUntil) {
+            await this.delay(250);
+        }
+        if (!await this.clearCell(position)) return false;
+
+        const lavaBucket = this.bot.inventory.items().find(item => item.name === 'lava_bucket');
+        if (!lavaBucket || !await this.pourInto(position, lavaBucket)) return false;
+
+        // Water flowing onto a lava source turns it into obsidian. It goes in front of or behind
+        // the frame, never into the frame, standing on a filler block when there is no ground
+        const waterBucket = this.bot.inventory.items().find(item => item.name === 'water_bucket');
+        if (!waterBucket) return false;
+
+        const sides = axis === 'x' ? [new Vec3(0, 0, 1), new Vec3(0, 0, -1)] : [new Vec3(1, 0, 0), new Vec3(-1, 0, 0)];
+        let waterCell = null;
+        let support = null;
+        for (const side of sides) {
+            const cell = position.plus(side);
+            if (!AIR.includes(this.bot.blockAt(cell)?.name)) continue;
+
+            const below = cell.offset(0, -1, 0);
+            if (!this.hasSolidNeighbour(cell) && AIR.includes(this.bot.blockAt(below)?.name)) {
+                const filler = this.bot.inventory.items().find(item => CORNER_BLOCKS.includes(item.name));
+                if (!filler || !await this.placeAt(below, filler)) continue;
+                support = below;
+            }
+            if (await this.pourInto(cell, waterBucket)) {
+                waterCell = cell;
+                break;
+            }
+        }
+        if (!waterCell) return false;
+
+        await this.delay(1000);
+
+        // Scoop the water back up for the next block
+        const bucket = this.bot.inventory.items().find(item => item.name === 'bucket');
+        if (bucket) {
+            try {
+                await this.bot.equip(bucket, 'hand');
+                await this.bot.lookAt(waterCell.offset(0.5, 0.5, 0.5), true);
+                this.bot.activateItem();
+                await this.delay(300);
+            } catch (error) {
+                logger.debug(`Nether: Couldn't pick the water back up: ${error.message}`);
+            }
+        }
+
+        // Take the block the water stood on back for the next cast
+        if (support) await this.clearCell(support);
+
+        return this.bot.blockAt(position)?.name === 'obsidian';
+    }
+
+    /**
+     * Whether a cell touches a full block that a bucket or block can be placed against
+     */
+    hasSolidNeighbour(position) {
+        return FACES.some(face => this.bot.blockAt(position.minus(face))?.boundingBox === 'block');
+    }
+
+    /**
+     * Empty a bucket into a cell by aiming at a solid neighbour's face
+     */
+    async pourInto(position, bucket) {
+        for (const face of FACES) {
+            const reference = this.bot.blockAt(position.minus(face));
+            if (!reference || reference.boundingBox !== 'block') continue;
+
+            try {
+                await this.bot.equip(bucket, 'hand');
+                // Aim at the middle of the face the fluid should come out of
+                await this.bot.lookAt(reference.position.offset(0.5 + face.x * 0.5, 0.5 + face.y * 0.5, 0.5 + face.z * 0.5), true);
+                this.bot.activateItem();
+                await this.delay(300);
+                return true;
+            } catch (error) {
+                logger.debug(`Nether: Failed to pour ${bucket.name}: ${error.message}`);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Make sure there is a lava bucket, filling an empty bucket from the nearest lava source
+     */
+    async fillLavaBucket() {
+        if (this.bot.inventory.items().some(item => item.name === 'lava_bucket')) return true;
+
+        const bucket = this.bot.inventory.items().find(item => item.name === 'bucket');
+        const mcData = require('minecraft-data')(this.bot.version);
+        const lavaId = mcData.blocksByName['lava']?.id;
+        if (!bucket || lavaId === undefined) return false;
+
+        // Sources only: flowing lava has metadata above 0
+        const source = this.bot.findBlock({
+            matching: block => block.type === lavaId && block.metadata === 0,
+            maxDistance: LAVA_SEARCH_RANGE
+        });
+        if (!source) {
+            this.sendChat('No lava nearby to cast obsidian from');
+            return false;
+        }
+
+        try {
+            const { x, y, z } = source.position;
+            await this.bot.pathfinder.goto(new this.pathfinder.goals.GoalNear(x, y, z, 3));
+            await this.bot.equip(bucket, 'hand');
+            await this.bot.lookAt(source.position.offset(0.5, 0.5, 0.5), true);
+            this.bot.activateItem();
+            await this.delay(500);
+        } catch (error) {
+            logger.debug(`Nether: Couldn't fill a lava bucket: ${error.message}`);
+        }
+
+        return this.bot.inventory.items().some(item => item.name === 'lava_bucket');
+    }
+
+    /**
+     * Light the portal on the bottom obsidian of the frame
+     * @param {object} insideBottom - Lowest cell inside the frame
+     * @returns {object|null} - A portal block once it is lit
+     */
+    async lightPortal(insideBottom) {
+        const lighter = this.bot.inventory.items().find(item => item.name === 'flint_and_steel' || item.name === 'fire_charge');
+        const floor = this.bot.blockAt(insideBottom.offset(0, -1, 0));
+        if (!lighter || !floor) return null;
+
+        try {
+            await this.bot.equip(lighter, 'hand');
+            await this.bot.activateBlock(floor, new Vec3(0, 1, 0));
+            await this.delay(500);
+        } catch (error) {
+            logger.debug(`Nether: Lighting failed: ${error.message}`);
+        }
+
+        const portal = this.bot.blockAt(insideBottom);
+        if (!portal || portal.name !== 'nether_portal') {
+            this.sendChat('The portal didn\'t light, is the frame complete?');
+            return null;
+        }
+
+        this.sendChat('🌀 Portal lit');
+        return portal;
     }
 
     /**
@@ -340,9 +962,19 @@ class NetherAbility {
         this.isActive = false;
         this.bot.clearControlStates();
         this.disableLavaSafety();
+        if (this.travelPlanner && this.travelPlanner.isActive) {
+            this.travelPlanner.stop();
+        }
         logger.info('Nether ability stopped');
     }
 
+    /**
+     * Progress of the walking part of a highway trip for the task status
+     */
+    getProgress() {
+        return this.travelPlanner ? this.travelPlanner.getProgress() : null;
+    }
+
     /**
      * Send chat message
      */
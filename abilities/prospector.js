@@ -0,0 +1,195 @@
+/**
+ * Prospector Module
+ * Watches for ore blocks the bot can actually see and keeps them in the ore map,
+ * and answers -bot ores near with the closest known deposits
+ *
+ * Only ores with a face open to air, water or lava are recorded, the same ores a player
+ * walking past would see, so the map never gives away ores hidden inside stone
+ */
+
+const Vec3 = require('vec3');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDimension } = require('../utils/dimensions');
+const { resolveBlockAlias, getVeinBlocks } = require('../data/recipes');
+
+const OPEN_BLOCKS = ['air', 'cave_air', 'water', 'lava'];
+
+const FACES = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+const DEPOSITS_IN_CHAT = 5;
+
+class Prospector {
+    constructor(bot, oreMap) {
+        this.bot = bot;
+        this.oreMap = oreMap;
+        this.isActive = false;
+
+        const prospectingConfig = config.prospecting || {};
+        this.scanInterval = prospectingConfig.scanInterval ?? 10000;
+        this.scanRadius = prospectingConfig.scanRadius ?? 32;
+        this.searchRadius = prospectingConfig.searchRadius ?? 128;
+
+        this.interval = null;
+        this.oreIds = null;
+        this.onBlockUpdate = this.onBlockUpdate.bind(this);
+    }
+
+    /**
+     * Start scanning for ores in the background
+     */
+    startScanning() {
+        if (this.interval) return;
+
+        this.interval = setInterval(() => this.scan(), this.scanInterval);
+        this.bot.on('blockUpdate', this.onBlockUpdate);
+        logger.info(`⛏️ Prospector: Watching for ores (${this.oreMap.size} known)`);
+    }
+
+    /**
+     * Stop scanning and write the ore map to disk
+     */
+    stopScanning() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        this.bot.removeListener('blockUpdate', this.onBlockUpdate);
+        this.oreMap.save();
+    }
+
+    /**
+     * Execute ores command: list the known deposits closest to the player
+     * @param {object} command - Parsed command with optional target ore and radius
+     */
+    async execute(command) {
+        const dimension = getDimension(this.bot);
+        const player = this.bot.players[command.username]?.entity;
+        const center = (player || this.bot.entity).position;
+        const radius = command.radius || this.searchRadius;
+        const names = command.target
+            ? [...new Set(resolveBlockAlias(command.target).flatMap(name => getVeinBlocks(name)))]
+            : null;
+
+        const deposits = this.oreMap.deposits({ dimension, position: center, radius, names, limit: DEPOSITS_IN_CHAT });
+        const label = command.target || 'ores';
+
+        if (deposits.length === 0) {
+            this.sendChat(`No known ${label} within ${radius} blocks. I only remember ores I've seen`);
+            return;
+        }
+
+        this.sendChat(`⛏️ Known ${label} near ${player ? command.username : 'me'}:`);
+        for (const deposit of deposits) {
+            this.sendChat(`${deposit.name} x${deposit.count} at ${deposit.x}, ${deposit.y}, ${deposit.z} ` +
+                `(${Math.round(deposit.distance)} blocks)`);
+        }
+    }
+
+    /**
+     * Record the visible ores around the bot and forget recorded ones that are gone
+     */
+    scan() {
+        if (!this.bot.entity) return;
+
+        try {
+            const dimension = getDimension(this.bot);
+            const center = this.bot.entity.position;
+
+            const positions = this.bot.findBlocks({
+                matching: this.getOreIds(),
+                maxDistance: this.scanRadius,
+                count: 512
+            });
+
+            let found = 0;
+            for (const position of positions) {
+                const block = this.bot.blockAt(position);
+                if (block && this.isExposed(position) && this.oreMap.add(block.name, position, dimension)) {
+                    found++;
+                }
+            }
+
+            // blockAt is null in unloaded chunks, so only ores we can check are dropped
+            for (const ore of this.oreMap.query({ dimension, position: center, radius: this.scanRadius })) {
+                const block = this.bot.blockAt(new Vec3(ore.x, ore.y, ore.z));
+                if (block && block.name !== ore.name) this.oreMap.remove(ore, dimension);
+            }
+
+            if (found > 0) {
+                logger.debug(`Prospector: ${found} new ores seen (${this.oreMap.size} known)`);
+            }
+        } catch (error) {
+            logger.debug(`Prospector scan error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Keep the map current as blocks change: mined ores are forgotten,
+     * ores uncovered by a new opening are recorded
+     */
+    onBlockUpdate(oldBlock, newBlock) {
+        if (!newBlock) return;
+        const dimension = getDimension(this.bot);
+
+        if (oldBlock && this.isOre(oldBlock.name) && !this.isOre(newBlock.name)) {
+            this.oreMap.remove(newBlock.position, dimension);
+        }
+
+        if (OPEN_BLOCKS.includes(newBlock.name)) {
+            for (const [dx, dy, dz] of FACES) {
+                const neighbour = this.bot.blockAt(newBlock.position.offset(dx, dy, dz));
+                if (neighbour && this.isOre(neighbour.name)) {
+                    this.oreMap.add(neighbour.name, neighbour.position, dimension);
+                }
+            }
+        }
+    }
+
+    /**
+     * Check if a block has a face a player could see
+     */
+    isExposed(position) {
+        return FACES.some(([dx, dy, dz]) => {
+            const neighbour = this.bot.blockAt(position.offset(dx, dy, dz));
+            return neighbour && OPEN_BLOCKS.includes(neighbour.name);
+        });
+    }
+
+    isOre(blockName) {
+        return blockName.endsWith('_ore') || blockName === 'ancient_debris';
+    }
+
+    /**
+     * Block ids of every ore in this version
+     */
+    getOreIds() {
+        if (!this.oreIds) {
+            const mcData = require('minecraft-data')(this.bot.version);
+            this.oreIds = Object.values(mcData.blocksByName)
+                .filter(block => this.isOre(block.name))
+                .map(block => block.id);
+        }
+        return this.oreIds;
+    }
+
+    /**
+     * The ores command finishes right away; scanning stops with stopScanning
+     */
+    async stop() {
+        this.isActive = false;
+    }
+
+    /**
+     * Send chat message
+     */
+    sendChat(message) {
+        try {
+            this.bot.chat(message);
+        } catch (e) {
+            logger.debug(`Chat error: ${e.message}`);
+        }
+    }
+}
+
+module.exports = Prospector;
@@ -5,12 +5,21 @@
  */
 
 const logger = require('../utils/logger');
+const { getDimension } = require('../utils/dimensions');
 
 class Sleeper {
     constructor(bot, pathfinder) {
         this.bot = bot;
         this.pathfinder = pathfinder;
         this.isActive = false;
+        this.waypoints = null; // Bed waypoints (set by setWaypoints)
+    }
+
+    /**
+     * Go to waypoints tagged "bed" when no bed is nearby, and remember the respawn bed
+     */
+    setWaypoints(waypoints) {
+        this.waypoints = waypoints;
     }
 
     /**
@@ -41,8 +50,8 @@ class Sleeper {
             this.sendChat('Looking for a bed to sleep on... 🛏️');
             logger.info('Sleeper: Attempting to sleep');
 
-            // Step 1: Look for nearby bed
-            let bed = this.findNearestBed();
+            // Step 1: Look for nearby bed, or at the nearest bed waypoint
+            let bed = await this.findBed();
 
             // Step 2: If no bed nearby, try to place one from inventory
             if (!bed) {
@@ -102,6 +111,17 @@ class Sleeper {
         return bed;
     }
 
+    /**
+     * Nearest bed, walking to the nearest bed waypoint first when none is in range
+     */
+    async findBed() {
+        const bed = this.findNearestBed();
+        if (bed || !this.waypoints?.findByTag('bed')) return bed;
+
+        this.sendChat('Going to my bed waypoint...');
+        return await this.waypoints.goToTagged('bed') ? this.findNearestBed() : null;
+    }
+
     /**
      * Get all bed block IDs
      */
@@ -271,7 +291,7 @@ class Sleeper {
     async setRespawn() {
         this.sendChat('Setting respawn point...');
 
-        let bed = this.findNearestBed();
+        let bed = await this.findBed();
 
         if (!bed) {
             // Try placing from inventory
@@ -289,6 +309,9 @@ class Sleeper {
         try {
             await this.bot.activateBlock(bed);
             this.sendChat('Respawn point set! ✅');
+            if (this.waypoints) {
+                this.waypoints.add('respawn', bed.position, getDimension(this.bot), ['bed']);
+            }
         } catch (err) {
             if (err.message.includes('safely') || err.message.includes('monster')) {
                 this.sendChat('Monsters nearby, but tried to set spawn.');
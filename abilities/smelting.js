@@ -0,0 +1,381 @@
+/**
+ * Smelting Ability Module
+ * Handles the -bot smelt command and smelting for crafting recipes
+ * Finds or places a furnace, smoker or blast furnace and picks fuel from inventory
+ */
+
+const logger = require('../utils/logger');
+const { getSmeltingResult, getSmeltingInputs, smeltingFuels } = require('../data/recipes');
+
+// Outputs that smokers and blast furnaces can also make (at double speed)
+const SMOKER_OUTPUTS = ['baked_potato', 'dried_kelp'];
+const BLAST_FURNACE_OUTPUTS = ['iron_ingot', 'gold_ingot', 'copper_ingot', 'netherite_scrap'];
+
+class SmeltingAbility {
+    constructor(bot, pathfinder, craftingAbility = null) {
+        this.bot = bot;
+        this.pathfinder = pathfinder;
+        this.craftingAbility = craftingAbility;
+        this.isActive = false;
+    }
+
+    /**
+     * Execute smelt command
+     * @param {object} command - Parsed command, target is the input (raw_iron) or the product (iron_ingot)
+     */
+    async execute(command) {
+        this.isActive = true;
+        const target = command.target.toLowerCase().replace(/-/g, '_');
+        const count = command.count || 1;
+
+        // Accept both "-bot smelt raw_iron" and "-bot smelt iron_ingot"
+        const inputResult = getSmeltingResult(target);
+        const output = inputResult || target;
+        const preferredInput = inputResult ? target : null;
+
+        if (!this.canSmelt(output)) {
+            this.sendChat(`Don't know how to smelt ${target}`);
+            this.isActive = false;
+            return;
+        }
+
+        try {
+            const success = await this.smelt(output, count, preferredInput);
+            if (success) {
+                this.sendChat(`🔥 Smelted ${output} x${count}!`);
+            } else {
+                this.sendChat(`Could not finish smelting ${output}`);
+            }
+        } catch (error) {
+            logger.error(`Smelting error: ${error.message}`);
+            this.sendChat(`Smelting failed: ${error.message}`);
+        }
+
+        this.isActive = false;
+    }
+
+    /**
+     * Check if an item is a smelting product
+     */
+    canSmelt(output) {
+        return getSmeltingInputs(output).length > 0;
+    }
+
+    /**
+     * Count inputs in inventory that smelt into the output
+     */
+    countInputs(output) {
+        const inputs = getSmeltingInputs(output);
+        return this.bot.inventory.items()
+            .filter(item => inputs.includes(item.name))
+            .reduce((sum, item) => sum + item.count, 0);
+    }
+
+    /**
+     * Smelt items until we have produced `count` of the output
+     * @param {string} output - Product to make (e.g. iron_ingot)
+     * @param {number} count - How many to make
+     * @param {string} preferredInput - Input to use first (optional)
+     * @returns {boolean} - True if all items were smelted
+     */
+    async smelt(output, count, preferredInput = null) {
+        this.isActive = true;
+
+        try {
+            if (this.countInputs(output) === 0) {
+                this.sendChat(`No ${getSmeltingInputs(output).join('/')} to smelt`);
+                return false;
+            }
+
+            const furnaceBlock = await this.ensureFurnace(output);
+            if (!furnaceBlock) {
+                this.sendChat('Need a furnace (or 8 cobblestone to craft one)');
+                return false;
+            }
+
+            logger.info(`Smelting ${output} x${count} in ${furnaceBlock.name} at ${furnaceBlock.position}`);
+            await this.moveToBlock(furnaceBlock);
+
+            let smelted = 0;
+            while (smelted < count && this.isActive) {
+                const input = this.findInput(output, preferredInput);
+                if (!input) break;
+
+                // Furnace input slot holds one stack
+                const batch = Math.min(count - smelted, input.count, 64);
+                const produced = await this.smeltBatch(furnaceBlock, input, batch);
+                if (produced === 0) break;
+
+                smelted += produced;
+                logger.info(`Smelting: ${smelted}/${count} ${output}`);
+            }
+
+            return smelted >= count;
+        } finally {
+            this.isActive = false;
+        }
+    }
+
+    /**
+     * Smelt one batch: load fuel and input, wait, collect output
+     * @returns {number} - Number of items collected
+     */
+    async smeltBatch(furnaceBlock, input, amount) {
+        const furnace = await this.bot.openFurnace(furnaceBlock);
+        let collected = 0;
+
+        try {
+            // Collect anything left over from an earlier run
+            if (furnace.outputItem()) {
+                await furnace.takeOutput();
+            }
+
+            if (!await this.loadFuel(furnace, amount, input.name)) {
+                this.sendChat('No fuel! Need coal, charcoal, planks or a lava bucket');
+                return 0;
+            }
+
+            await furnace.putInput(input.type, null, amount);
+
+            // Furnaces take 10s per item, smokers and blast furnaces 5s
+            const perItem = furnaceBlock.name === 'furnace' ? 10000 : 5000;
+            const deadline = Date.now() + amount * perItem + 15000;
+
+            while (collected < amount && Date.now() < deadline && this.isActive) {
+                await this.delay(1000);
+
+                const out = furnace.outputItem();
+                if (out) {
+                    await furnace.takeOutput();
+                    collected += out.count;
+                }
+
+                // Out of fuel with input left - top up
+                if (furnace.inputItem() && !this.hasFuel(furnace) && furnace.fuel === 0) {
+                    if (!await this.loadFuel(furnace, furnace.inputItem().count, input.name)) {
+                        this.sendChat('Ran out of fuel!');
+                        break;
+                    }
+                }
+            }
+
+            // Take back unsmelted input if we stopped early
+            if (furnace.inputItem()) {
+                await furnace.takeInput();
+            }
+        } catch (error) {
+            logger.error(`Furnace error: ${error.message}`);
+        } finally {
+            furnace.close();
+        }
+
+        return collected;
+    }
+
+    /**
+     * Put enough fuel for `amount` items into the furnace
+     */
+    async loadFuel(furnace, amount, inputName) {
+        if (this.hasFuel(furnace)) return true;
+
+        // A burnt lava bucket leaves its empty bucket in the fuel slot
+        if (furnace.fuelItem()) {
+            await furnace.takeFuel();
+        }
+
+        const fuel = this.pickFuel(inputName);
+        if (!fuel) return false;
+
+        const fuelCount = Math.min(fuel.item.count, Math.ceil(amount / fuel.smelts));
+        await furnace.putFuel(fuel.item.type, null, fuelCount);
+        logger.info(`Smelting: Loaded ${fuelCount} ${fuel.item.name} as fuel`);
+        return true;
+    }
+
+    /**
+     * Whether the fuel slot holds something that burns (an empty bucket does not)
+     */
+    hasFuel(furnace) {
+        const fuel = furnace.fuelItem();
+        return !!fuel && fuel.name !== 'bucket';
+    }
+
+    /**
+     * Choose fuel from inventory, never burning the item being smelted
+     */
+    pickFuel(inputName) {
+        const items = this.bot.inventory.items();
+
+        for (const fuel of smeltingFuels) {
+            const item = items.find(i => i.name !== inputName &&
+                (fuel.name === 'planks' ? i.name.endsWith('_planks') : i.name === fuel.name));
+            if (item) {
+                return { item, smelts: fuel.smelts };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find an input item in inventory for the output
+     */
+    findInput(output, preferredInput = null) {
+        const items = this.bot.inventory.items();
+
+        if (preferredInput) {
+            const preferred = items.find(item => item.name === preferredInput);
+            if (preferred) return preferred;
+        }
+
+        const inputs = getSmeltingInputs(output);
+        return items.find(item => inputs.includes(item.name)) || null;
+    }
+
+    /**
+     * Furnace block types that can smelt the output, best first
+     */
+    getFurnaceTypes(output) {
+        if (output.startsWith('cooked_') || SMOKER_OUTPUTS.includes(output)) {
+            return ['smoker', 'furnace'];
+        }
+        if (BLAST_FURNACE_OUTPUTS.includes(output)) {
+            return ['blast_furnace', 'furnace'];
+        }
+        return ['furnace'];
+    }
+
+    /**
+     * Find a nearby furnace, place one from inventory or craft one
+     */
+    async ensureFurnace(output) {
+        const mcData = require('minecraft-data')(this.bot.version);
+        const types = this.getFurnaceTypes(output);
+
+        // Nearby furnace
+        for (const type of types) {
+            const blockId = mcData.blocksByName[type]?.id;
+            if (blockId === undefined) continue;
+
+            const positions = this.bot.findBlocks({
+                matching: [blockId],
+                maxDistance: 32,
+                count: 1
+            });
+            if (positions.length > 0) {
+                return this.bot.blockAt(positions[0]);
+            }
+        }
+
+        // Furnace in inventory
+        for (const type of types) {
+            const item = this.bot.inventory.items().find(i => i.name === type);
+            if (item) {
+                return await this.placeFurnace(item);
+            }
+        }
+
+        // Craft a furnace from cobblestone
+        if (this.craftingAbility && this.countInventoryItem('cobblestone') >= 8) {
+            logger.info('Smelting: Crafting a furnace...');
+            const crafted = await this.craftingAbility.craftSingleItem('furnace', 1);
+            const item = this.bot.inventory.items().find(i => i.name === 'furnace');
+            if (crafted && item) {
+                return await this.placeFurnace(item);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Place a furnace item next to the bot
+     * @returns {object|null} - The placed furnace block
+     */
+    async placeFurnace(furnaceItem) {
+        try {
+            await this.bot.equip(furnaceItem, 'hand');
+
+            const botPos = this.bot.entity.position;
+            const offsets = [
+                { x: 1, z: 0 }, { x: -1, z: 0 }, { x: 0, z: 1 }, { x: 0, z: -1 },
+                { x: 1, z: 1 }, { x: 1, z: -1 }, { x: -1, z: 1 }, { x: -1, z: -1 }
+            ];
+
+            for (const offset of offsets) {
+                const targetPos = botPos.offset(offset.x, 0, offset.z).floored();
+                const groundBlock = this.bot.blockAt(targetPos.offset(0, -1, 0));
+                const spaceBlock = this.bot.blockAt(targetPos);
+
+                if (groundBlock && groundBlock.boundingBox === 'block' &&
+                    spaceBlock && spaceBlock.name === 'air') {
+                    try {
+                        await this.bot.placeBlock(groundBlock, { x: 0, y: 1, z: 0 });
+                        logger.info(`Placed ${furnaceItem.name} at ${targetPos}`);
+                        return this.bot.blockAt(targetPos);
+                    } catch (err) {
+                        logger.debug(`Failed to place at ${targetPos}: ${err.message}`);
+                    }
+                }
+            }
+
+            logger.warn(`Could not find suitable spot for ${furnaceItem.name}`);
+        } catch (error) {
+            logger.debug(`Failed to place furnace: ${error.message}`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Move next to a block using pathfinder
+     */
+    async moveToBlock(block) {
+        if (!block || !this.bot.pathfinder || !this.pathfinder?.goals) return;
+
+        const distance = this.bot.entity.position.distanceTo(block.position);
+        if (distance <= 3) return;
+
+        try {
+            const { x, y, z } = block.position;
+            await this.bot.pathfinder.goto(new this.pathfinder.goals.GoalNear(x, y, z, 2));
+        } catch (err) {
+            logger.debug(`Pathfinding to furnace failed: ${err.message}`);
+        }
+    }
+
+    /**
+     * Count how many of an item we have
+     */
+    countInventoryItem(itemName) {
+        return this.bot.inventory.items()
+            .filter(item => item.name === itemName)
+            .reduce((sum, item) => sum + item.count, 0);
+    }
+
+    /**
+     * Stop smelting
+     */
+    async stop() {
+        this.isActive = false;
+    }
+
+    /**
+     * Send chat message
+     */
+    sendChat(message) {
+        try {
+            this.bot.chat(message);
+        } catch (e) {
+            logger.debug(`Chat error: ${e.message}`);
+        }
+    }
+
+    /**
+     * Delay utility
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = SmeltingAbility;
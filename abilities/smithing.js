@@ -0,0 +1,303 @@
+/**
+ * Smithing Ability Module
+ * Handles netherite upgrades for crafting plans (-bot make netherite_pickaxe) and the -bot trim command
+ * Finds, places or crafts a smithing table and fills its slots
+ */
+
+const logger = require('../utils/logger');
+const { getSmithingRecipe, getTrimRecipe } = require('../data/recipes');
+
+const TRIMMABLE_ARMOR = /_(helmet|chestplate|leggings|boots)$/;
+const RESULT_TIMEOUT = 3000;
+
+class SmithingAbility {
+    constructor(bot, pathfinder, craftingAbility = null) {
+        this.bot = bot;
+        this.pathfinder = pathfinder;
+        this.craftingAbility = craftingAbility;
+        this.isActive = false;
+    }
+
+    /**
+     * Execute trim command
+     * @param {object} command - Parsed command with target armor, pattern and material
+     */
+    async execute(command) {
+        this.isActive = true;
+
+        try {
+            const success = await this.trim(command.target, command.pattern, command.material);
+            if (success) {
+                this.sendChat(`✨ Trimmed ${command.target} with ${command.pattern} ${command.material}!`);
+            }
+        } catch (error) {
+            logger.error(`Smithing error: ${error.message}`);
+            this.sendChat(`Smithing failed: ${error.message}`);
+        }
+
+        this.isActive = false;
+    }
+
+    /**
+     * Upgrade diamond gear until we have made `count` of the output
+     * @param {string} output - Item to make (e.g. netherite_pickaxe)
+     * @param {number} count - How many to make
+     * @returns {boolean} - True if all items were upgraded
+     */
+    async upgrade(output, count) {
+        this.isActive = true;
+
+        try {
+            const recipe = getSmithingRecipe(output, this.bot.registry);
+            if (!recipe) {
+                this.sendChat(`Don't know how to smith ${output}`);
+                return false;
+            }
+
+            const tableBlock = await this.ensureSmithingTable();
+            if (!tableBlock) {
+                this.sendChat('Need a smithing table (or 2 iron_ingot and 4 planks to craft one)');
+                return false;
+            }
+
+            logger.info(`Smithing ${output} x${count} at ${tableBlock.position}`);
+
+            let made = 0;
+            while (made < count && this.isActive) {
+                const missing = this.findMissing([recipe.template, recipe.base, recipe.addition]);
+                if (missing) {
+                    this.sendChat(`Need ${missing} to make ${output}`);
+                    break;
+                }
+
+                if (!await this.smith(tableBlock, recipe)) break;
+                made++;
+                logger.info(`Smithing: ${made}/${count} ${output}`);
+            }
+
+            return made >= count;
+        } finally {
+            this.isActive = false;
+        }
+    }
+
+    /**
+     * Put an armor trim on a piece of armor
+     * @param {string} armor - Armor item (e.g. diamond_chestplate)
+     * @param {string} pattern - Trim pattern (e.g. coast)
+     * @param {string} material - Trim material (e.g. gold or gold_ingot)
+     * @returns {boolean} - True if the armor was trimmed
+     */
+    async trim(armor, pattern, material) {
+        if (!TRIMMABLE_ARMOR.test(armor)) {
+            this.sendChat(`${armor} is not armor that can be trimmed`);
+            return false;
+        }
+
+        const trimRecipe = getTrimRecipe(pattern, material);
+        if (!trimRecipe) {
+            this.sendChat(`Unknown trim ${pattern} ${material}`);
+            return false;
+        }
+        if (this.bot.registry?.itemsByName && !this.bot.registry.itemsByName[trimRecipe.template]) {
+            this.sendChat('Armor trims need Minecraft 1.20 or newer');
+            return false;
+        }
+
+        const recipe = { template: trimRecipe.template, base: armor, addition: trimRecipe.material };
+        const missing = this.findMissing([recipe.template, recipe.base, recipe.addition]);
+        if (missing) {
+            this.sendChat(`Need ${missing} to trim ${armor}`);
+            return false;
+        }
+
+        const tableBlock = await this.ensureSmithingTable();
+        if (!tableBlock) {
+            this.sendChat('Need a smithing table (or 2 iron_ingot and 4 planks to craft one)');
+            return false;
+        }
+
+        return await this.smith(tableBlock, recipe);
+    }
+
+    /**
+     * Run one smithing table operation and collect the result
+     * @param {object} tableBlock - Smithing table block
+     * @param {object} recipe - { template, base, addition }, template is null before 1.20
+     * @returns {boolean} - True if the result was taken
+     */
+    async smith(tableBlock, recipe) {
+        await this.moveToBlock(tableBlock);
+
+        const window = await this.bot.openBlock(tableBlock);
+        try {
+            // 1.20+: template, base, addition, result. Before: base, addition, result
+            const inputs = recipe.template
+                ? [recipe.template, recipe.base, recipe.addition]
+                : [recipe.base, recipe.addition];
+            const resultSlot = inputs.length;
+
+            for (let slot = 0; slot < inputs.length; slot++) {
+                const item = this.bot.inventory.items().find(i => i.name === inputs[slot]);
+                if (!item) {
+                    this.sendChat(`Need ${inputs[slot]}`);
+                    return false;
+                }
+
+                await this.bot.transfer({
+                    window,
+                    itemType: item.type,
+                    metadata: null,
+                    count: 1,
+                    sourceStart: window.inventoryStart,
+                    sourceEnd: window.inventoryEnd,
+                    destStart: slot,
+                    destEnd: slot + 1
+                });
+            }
+
+            // The server fills in the result after the inputs arrive
+            const deadline = Date.now() + RESULT_TIMEOUT;
+            while (!window.slots[resultSlot] && Date.now() < deadline && this.isActive) {
+                await this.delay(100);
+            }
+
+            if (!window.slots[resultSlot]) {
+                logger.warn(`Smithing table gave no result for ${inputs.join(' + ')}`);
+                return false;
+            }
+
+            await this.bot.putAway(resultSlot);
+            return true;
+        } finally {
+            // Closing the window returns unused inputs to the inventory
+            window.close();
+        }
+    }
+
+    /**
+     * First item of a list that is not in the inventory
+     */
+    findMissing(itemNames) {
+        return itemNames.find(name => name && this.countInventoryItem(name) === 0) || null;
+    }
+
+    /**
+     * Find a nearby smithing table, place one from inventory or craft one
+     */
+    async ensureSmithingTable() {
+        const mcData = require('minecraft-data')(this.bot.version);
+        const blockId = mcData.blocksByName['smithing_table']?.id;
+        if (blockId !== undefined) {
+            const positions = this.bot.findBlocks({
+                matching: [blockId],
+                maxDistance: 32,
+                count: 1
+            });
+            if (positions.length > 0) {
+                return this.bot.blockAt(positions[0]);
+            }
+        }
+
+        let item = this.bot.inventory.items().find(i => i.name === 'smithing_table');
+        if (!item && this.craftingAbility) {
+            logger.info('Smithing: Crafting a smithing table...');
+            const crafted = await this.craftingAbility.craftSingleItem('smithing_table', 1);
+            item = crafted && this.bot.inventory.items().find(i => i.name === 'smithing_table');
+        }
+
+        return item ? await this.placeSmithingTable(item) : null;
+    }
+
+    /**
+     * Place a smithing table item next to the bot
+     * @returns {object|null} - The placed smithing table block
+     */
+    async placeSmithingTable(tableItem) {
+        try {
+            await this.bot.equip(tableItem, 'hand');
+
+            const botPos = this.bot.entity.position;
+            const offsets = [
+                { x: 1, z: 0 }, { x: -1, z: 0 }, { x: 0, z: 1 }, { x: 0, z: -1 },
+                { x: 1, z: 1 }, { x: 1, z: -1 }, { x: -1, z: 1 }, { x: -1, z: -1 }
+            ];
+
+            for (const offset of offsets) {
+                const targetPos = botPos.offset(offset.x, 0, offset.z).floored();
+                const groundBlock = this.bot.blockAt(targetPos.offset(0, -1, 0));
+                const spaceBlock = this.bot.blockAt(targetPos);
+
+                if (groundBlock && groundBlock.boundingBox === 'block' &&
+                    spaceBlock && spaceBlock.name === 'air') {
+                    try {
+                        await this.bot.placeBlock(groundBlock, { x: 0, y: 1, z: 0 });
+                        logger.info(`Placed smithing table at ${targetPos}`);
+                        return this.bot.blockAt(targetPos);
+                    } catch (err) {
+                        logger.debug(`Failed to place at ${targetPos}: ${err.message}`);
+                    }
+                }
+            }
+
+            logger.warn('Could not find suitable spot for smithing table');
+        } catch (error) {
+            logger.debug(`Failed to place smithing table: ${error.message}`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Move next to a block using pathfinder
+     */
+    async moveToBlock(block) {
+        if (!block || !this.bot.pathfinder || !this.pathfinder?.goals) return;
+
+        const distance = this.bot.entity.position.distanceTo(block.position);
+        if (distance <= 3) return;
+
+        try {
+            const { x, y, z } = block.position;
+            await this.bot.pathfinder.goto(new this.pathfinder.goals.GoalNear(x, y, z, 2));
+        } catch (err) {
+            logger.debug(`Pathfinding to smithing table failed: ${err.message}`);
+        }
+    }
+
+    /**
+     * Count how many of an item we have
+     */
+    countInventoryItem(itemName) {
+        return this.bot.inventory.items()
+            .filter(item => item.name === itemName)
+            .reduce((sum, item) => sum + item.count, 0);
+    }
+
+    /**
+     * Stop smithing
+     */
+    async stop() {
+        this.isActive = false;
+    }
+
+    /**
+     * Send chat message
+     */
+    sendChat(message) {
+        try {
+            this.bot.chat(message);
+        } catch (e) {
+            logger.debug(`Chat error: ${e.message}`);
+        }
+    }
+
+    /**
+     * Delay utility
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = SmithingAbility;
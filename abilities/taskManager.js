@@ -3,15 +3,34 @@
  * Handles task queuing and complex multi-step goals
  */
 
+const fs = require('fs');
+const path = require('path');
 const logger = require('../utils/logger');
 
 class TaskManager {
-    constructor(bot) {
+    /**
+     * @param {object} options - { statePath } to save tasks somewhere other than data/tasks.json
+     */
+    constructor(bot, options = {}) {
         this.bot = bot;
         this.taskQueue = [];
         this.currentTask = null;
         this.isRunning = false;
         this.abilities = {};
+        this.commandHandler = null;
+
+        // Persisted state so tasks survive reconnects
+        this.statePath = options.statePath || path.join(__dirname, '../data/tasks.json');
+        this.activeTask = null; // Command currently running in CommandHandler, with progress
+        this.isSuspended = false;
+        this.nextTaskId = Date.now();
+    }
+
+    /**
+     * Set the command handler used to run queued commands
+     */
+    setCommandHandler(handler) {
+        this.commandHandler = handler;
     }
 
     /**
@@ -25,12 +44,14 @@ class TaskManager {
      * Add a task to the queue
      */
     addTask(task) {
-        this.taskQueue.push({
+        const queued = {
             ...task,
-            id: Date.now(),
+            id: this.nextTaskId++,
             status: 'pending',
             createdAt: new Date()
-        });
+        };
+        this.taskQueue.push(queued);
+        this.saveState();
 
         logger.info(`Task added: ${task.action} ${task.target || ''}`);
 
@@ -38,6 +59,53 @@ class TaskManager {
         if (!this.isRunning) {
             this.processQueue();
         }
+
+        return queued;
+    }
+
+    /**
+     * Remove a pending task by its 1-based queue position
+     * @returns {object|null} - The removed task
+     */
+    removeTask(position) {
+        if (position < 1 || position > this.taskQueue.length) return null;
+
+        const [removed] = this.taskQueue.splice(position - 1, 1);
+        this.saveState();
+        logger.info(`Task cancelled: ${removed.action} ${removed.target || ''}`);
+        return removed;
+    }
+
+    /**
+     * Move a pending task to another 1-based queue position
+     * @returns {object|null} - The moved task
+     */
+    moveTask(from, to) {
+        if (from < 1 || from > this.taskQueue.length) return null;
+
+        const target = Math.max(1, Math.min(to, this.taskQueue.length));
+        const [task] = this.taskQueue.splice(from - 1, 1);
+        this.taskQueue.splice(target - 1, 0, task);
+        this.saveState();
+        return task;
+    }
+
+    /**
+     * Remove all pending tasks
+     * @returns {number} - Number of tasks removed
+     */
+    clearQueue() {
+        const count = this.taskQueue.length;
+        this.taskQueue = [];
+        this.saveState();
+        return count;
+    }
+
+    /**
+     * Get pending tasks in run order
+     */
+    getQueue() {
+        return this.taskQueue;
     }
 
     /**
@@ -66,47 +134,38 @@ class TaskManager {
 
     /**
      * Expand a crafting goal into subtasks
+     * Follows the full recipe tree and skips what the inventory already holds
      */
     expandCraftingGoal(goal) {
-        const tasks = [];
-        const { getRecipe, getAllIngredients } = require('../data/recipes');
+        const { planCrafting } = require('../utils/craftingPlanner');
 
-        const recipe = getRecipe(goal.target);
-        if (!recipe) {
-            return [goal]; // Just try to craft directly
+        const inventory = {};
+        for (const item of this.bot.inventory.items()) {
+            inventory[item.name] = (inventory[item.name] || 0) + item.count;
         }
 
-        // Add prerequisite gathering/crafting tasks
-        for (const [ingredient, count] of Object.entries(recipe.ingredients)) {
-            const ingredientRecipe = getRecipe(ingredient);
-
-            if (ingredientRecipe) {
-                // Need to craft this ingredient first
-                tasks.push({
-                    action: 'make',
-                    target: ingredient,
-                    count: count,
-                    priority: 1
-                });
-            } else {
-                // Need to gather this ingredient
-                tasks.push({
-                    action: 'gather',
-                    target: ingredient,
-                    count: count,
-                    priority: 0
-                });
+        const plan = planCrafting(goal.target, goal.count || 1, { inventory, registry: this.bot.registry });
+        const tasks = [];
+
+        for (const step of plan.steps) {
+            if (step.item === goal.target) continue;
+
+            switch (step.action) {
+                case 'gather':
+                    tasks.push({ action: 'mine', target: step.source, count: step.count });
+                    break;
+                case 'smelt':
+                    tasks.push({ action: 'smelt', target: step.item, count: step.count });
+                    break;
+                case 'craft':
+                case 'smith':
+                    tasks.push({ action: 'make', target: step.item, count: step.total });
+                    break;
             }
         }
 
         // Add the main crafting task
-        tasks.push({
-            ...goal,
-            priority: 2
-        });
-
-        // Sort by priority
-        tasks.sort((a, b) => (a.priority || 0) - (b.priority || 0));
+        tasks.push(goal);
 
         return tasks;
     }
@@ -132,9 +191,16 @@ class TaskManager {
 
         this.isRunning = true;
 
-        while (this.taskQueue.length > 0) {
+        while (this.taskQueue.length > 0 && !this.isSuspended) {
+            // Queued tasks wait for whatever the player started directly
+            if (this.commandHandler && this.commandHandler.isTaskRunning()) {
+                await this.delay(1000);
+                continue;
+            }
+
             this.currentTask = this.taskQueue.shift();
             this.currentTask.status = 'running';
+            this.saveState();
 
             logger.info(`Executing task: ${this.currentTask.action}`);
 
@@ -158,6 +224,12 @@ class TaskManager {
      * Execute a single task
      */
     async executeTask(task) {
+        // Route through the command handler so permissions, status and progress tracking apply
+        if (this.commandHandler) {
+            await this.commandHandler.execute({ ...task, valid: true });
+            return;
+        }
+
         const ability = this.abilities[task.action];
 
         if (!ability) {
@@ -177,6 +249,7 @@ class TaskManager {
      */
     async stopAll() {
         this.taskQueue = [];
+        this.saveState();
 
         if (this.currentTask && this.abilities[this.currentTask.action]) {
             try {
@@ -190,6 +263,117 @@ class TaskManager {
         this.isRunning = false;
     }
 
+    /**
+     * Record the command CommandHandler is running so it can be resumed
+     */
+    setActiveTask(command) {
+        this.activeTask = {
+            ...command,
+            progress: command.progress || null,
+            startedAt: Date.now()
+        };
+        this.saveState();
+    }
+
+    /**
+     * Update progress of the running command (blocks mined, layers placed, ...)
+     */
+    updateProgress(progress) {
+        if (!this.activeTask) return;
+        this.activeTask.progress = progress;
+        this.saveState();
+    }
+
+    /**
+     * Forget the running command once it finished or was stopped
+     */
+    clearActiveTask() {
+        if (this.isSuspended) return;
+        this.activeTask = null;
+        this.saveState();
+    }
+
+    /**
+     * Freeze the saved state when the bot disconnects, so tasks failing
+     * because of the disconnect are not removed from disk
+     */
+    suspend() {
+        this.isSuspended = true;
+        logger.info('TaskManager: Suspended, saved tasks will resume after reconnect');
+    }
+
+    /**
+     * Load saved task state from disk
+     */
+    loadState() {
+        try {
+            if (fs.existsSync(this.statePath)) {
+                const data = fs.readFileSync(this.statePath, 'utf8');
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            logger.error(`Failed to load tasks: ${error.message}`);
+        }
+        return null;
+    }
+
+    /**
+     * Save running and pending tasks to disk
+     */
+    saveState() {
+        if (this.isSuspended) return false;
+
+        try {
+            const dir = path.dirname(this.statePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const state = {
+                activeTask: this.activeTask,
+                queue: this.taskQueue,
+                savedAt: new Date()
+            };
+            fs.writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+            return true;
+        } catch (error) {
+            logger.error(`Failed to save tasks: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Resume tasks saved before the last disconnect.
+     * The interrupted task runs first, continuing from its saved progress.
+     */
+    resumeSavedTasks() {
+        const state = this.loadState();
+        if (!state) return 0;
+
+        const tasks = [...(state.queue || [])];
+        if (state.activeTask) {
+            tasks.unshift({ ...state.activeTask, resumed: true });
+        }
+
+        for (const task of tasks) {
+            this.taskQueue.push({ ...task, id: this.nextTaskId++, status: 'pending' });
+        }
+        this.saveState();
+
+        if (tasks.length === 0) return 0;
+
+        logger.info(`TaskManager: Resuming ${tasks.length} saved task(s)`);
+        if (state.activeTask && this.commandHandler) {
+            const task = state.activeTask;
+            this.commandHandler.sendChat(`Resuming ${task.action} ${task.target || ''} for ${task.username}`.trim());
+        }
+
+        if (!this.isRunning) {
+            this.processQueue();
+        }
+        return tasks.length;
+    }
+
     /**
      * Get queue status
      */
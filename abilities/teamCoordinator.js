@@ -0,0 +1,663 @@
+/**
+ * Team Coordinator
+ * Splits a -bot team job between the bots in one world and runs each part
+ * through that bot's TaskManager:
+ * - make:  gatherers mine the raw materials and hand them over in a chest,
+ *          the crafter smelts and crafts
+ * - farm:  one bot harvests into a hand-over chest, another moves it to storage
+ * - build: every builder gets a range of layers
+ * Chests and build cells are reserved so bots don't fight over them.
+ * Only bots in the same process (one fleet) can share a coordinator.
+ */
+
+const logger = require('../utils/logger');
+const { getRecipe, getSmeltingSource } = require('../data/recipes');
+
+// One coordinator per world, shared by every bot connected to it
+const coordinators = new Map(); // "host:port" -> TeamCoordinator
+
+// Same command from the same player within this time is one job (every bot hears it)
+const DEDUPE_MS = 3000;
+
+// Items mined as another block name (aliases in data/recipes)
+const GATHER_AS = {
+    cobblestone: 'stone',
+    planks: 'log'
+};
+
+const FINISHED = ['completed', 'failed', 'stopped'];
+
+class TeamCoordinator {
+    constructor(world) {
+        this.world = world;
+        this.members = new Map(); // id -> { id, bot, commandHandler, taskManager, listeners }
+        this.jobs = new Map(); // id -> job
+        this.reservations = new Map(); // "chest:x,y,z" / "cell:x,y,z" -> { memberId, jobId }
+        this.recentCommands = new Map(); // dedupe key -> { time, jobId }
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Coordinator shared by all bots on one server
+     */
+    static forWorld(host, port) {
+        const world = `${host}:${port}`;
+        if (!coordinators.has(world)) {
+            coordinators.set(world, new TeamCoordinator(world));
+        }
+        return coordinators.get(world);
+    }
+
+    /**
+     * Status of every coordinator in this process (for the dashboard)
+     */
+    static getAllStatus() {
+        return [...coordinators.values()].map(coordinator => coordinator.getStatus());
+    }
+
+    /**
+     * Add a bot to the team for this connection
+     * @param {object} member - { id, bot, commandHandler, taskManager }
+     */
+    join(member) {
+        this.leave(member.id);
+
+        // Follow the team parts this bot runs
+        const onStart = (task) => {
+            if (task.team) this.updateSubtask(task.team, 'running');
+        };
+        const onFinish = (task) => {
+            if (task.team) this.updateSubtask(task.team, task.status === 'running' ? 'completed' : task.status, task.error);
+        };
+        member.commandHandler.on('taskStart', onStart);
+        member.commandHandler.on('taskFinish', onFinish);
+
+        this.members.set(member.id, { ...member, listeners: { onStart, onFinish } });
+        logger.info(`Team: ${member.id} joined ${this.world} (${this.members.size} bot(s))`);
+
+        // Parts that waited for this bot to reconnect
+        for (const job of this.jobs.values()) {
+            this.dispatch(job);
+        }
+    }
+
+    /**
+     * Remove a bot when it disconnects
+     * Its queued parts stay in its saved tasks and continue after it reconnects
+     */
+    leave(memberId) {
+        const member = this.members.get(memberId);
+        if (!member) return;
+
+        member.commandHandler.removeListener('taskStart', member.listeners.onStart);
+        member.commandHandler.removeListener('taskFinish', member.listeners.onFinish);
+        this.members.delete(memberId);
+
+        // Locks held for a moment (chest open, cell being placed) are released; job chests stay
+        for (const [key, reservation] of this.reservations) {
+            if (reservation.memberId === memberId && !reservation.jobId) {
+                this.reservations.delete(key);
+            }
+        }
+        logger.info(`Team: ${memberId} left ${this.world}`);
+    }
+
+    /**
+     * Whether this member is the first to handle a team command
+     * Every bot in the world hears the same chat message; only one may act on it
+     */
+    claim(command) {
+        const key = `${command.username}|${command.subAction}|${command.target || ''}|${JSON.stringify(command.task || null)}`;
+        const now = Date.now();
+
+        for (const [oldKey, entry] of this.recentCommands) {
+            if (now - entry.time > DEDUPE_MS) this.recentCommands.delete(oldKey);
+        }
+        if (this.recentCommands.has(key)) return false;
+
+        this.recentCommands.set(key, { time: now });
+        return true;
+    }
+
+    /**
+     * Plan a team job and queue its parts on the members
+     * @param {object} command - Parsed -bot team command ({ subAction, task, username })
+     * @param {string} requesterId - Member that received the command (reports back in chat)
+     * @returns {object} - { job } or { error }
+     */
+    submit(command, requesterId) {
+        const members = [...this.members.values()];
+        if (members.length === 0) {
+            return { error: 'No bots in the team' };
+        }
+
+        const job = {
+            id: `team-${this.nextJobId++}`,
+            type: command.subAction,
+            target: command.task.target,
+            count: command.task.count || null,
+            username: command.username,
+            requesterId,
+            status: 'running',
+            subtasks: [],
+            layersDone: new Set(),
+            createdAt: Date.now(),
+            finishedAt: null
+        };
+
+        let plan;
+        switch (command.subAction) {
+            case 'make':
+                plan = this.planMake(job, command.task);
+                break;
+            case 'farm':
+                plan = this.planFarm(job, command.task);
+                break;
+            case 'build':
+                plan = this.planBuild(job, command.task);
+                break;
+            default:
+                return { error: `Unknown team job: ${command.subAction}` };
+        }
+        if (plan.error) {
+            this.releaseJob(job);
+            return plan;
+        }
+
+        this.jobs.set(job.id, job);
+        logger.info(`Team: ${job.id} ${this.getJobName(job)} split into ${job.subtasks.length} part(s)`);
+        this.dispatch(job);
+        return { job, notes: plan.notes || [] };
+    }
+
+    /**
+     * Add a part of a job for one member
+     * @param {number[]} after - Parts that must finish first
+     */
+    addSubtask(job, memberId, role, command, after = []) {
+        const subtask = {
+            id: job.subtasks.length + 1,
+            memberId,
+            role,
+            command: { ...command, username: job.username },
+            after,
+            status: 'waiting',
+            queuedId: null,
+            error: null
+        };
+        job.subtasks.push(subtask);
+        return subtask.id;
+    }
+
+    /**
+     * Members that have a -bot ability, least busy first
+     */
+    membersWith(ability) {
+        return [...this.members.values()]
+            .filter(member => member.commandHandler.abilities[ability])
+            .sort((a, b) => this.getLoad(a) - this.getLoad(b));
+    }
+
+    /**
+     * Running task, queued tasks and unfinished team parts of a member
+     */
+    getLoad(member) {
+        let load = member.taskManager.getQueue().length;
+        if (member.commandHandler.isTaskRunning()) load++;
+        for (const job of this.jobs.values()) {
+            if (job.status !== 'running') continue;
+            load += job.subtasks.filter(s => s.memberId === member.id && !FINISHED.includes(s.status)).length;
+        }
+        return load;
+    }
+
+    /**
+     * make: gatherers mine raw materials and put them in a chest, the crafter takes them and crafts
+     */
+    planMake(job, task) {
+        const crafter = this.membersWith('make')[0];
+        if (!crafter) return { error: 'No bot in the team can craft' };
+
+        const raw = this.getRawMaterials(task.target, task.count || 1, crafter.bot.registry);
+        // Hand-over steps need the team ability on both sides
+        const gatherers = crafter.commandHandler.abilities.team
+            ? this.membersWith('mine').filter(member => member.id !== crafter.id && member.commandHandler.abilities.team)
+            : [];
+        const chest = gatherers.length > 0 ? this.findFreeChest(crafter) : null;
+
+        // Alone (or nowhere to hand items over): the crafter gathers everything itself
+        if (gatherers.length === 0 || !chest) {
+            this.addSubtask(job, crafter.id, 'crafter', { action: 'make', target: task.target, count: task.count, keyword: 'make' });
+            return {
+                notes: gatherers.length > 0 ? [`No free chest near ${crafter.bot.username} to hand over items, ${crafter.bot.username} gathers alone`] : []
+            };
+        }
+
+        this.reserve(`chest:${this.posKey(chest.position)}`, crafter.id, job.id);
+        job.chest = this.toPlain(chest.position);
+
+        // Share the raw materials round-robin between gatherers
+        const deposits = [];
+        const chains = new Map(gatherers.map(member => [member.id, []]));
+        Object.entries(raw).forEach(([item, count], i) => {
+            const member = gatherers[i % gatherers.length];
+            chains.get(member.id).push({ action: 'mine', target: item, count, keyword: 'mine' });
+        });
+        for (const [memberId, steps] of chains) {
+            if (steps.length === 0) continue;
+            let previous = [];
+            for (const step of steps) {
+                previous = [this.addSubtask(job, memberId, 'gatherer', step, previous)];
+            }
+            deposits.push(this.addSubtask(job, memberId, 'gatherer',
+                { action: 'team', target: 'deposit', chest: job.chest, keyword: 'team' }, previous));
+        }
+
+        const withdraw = this.addSubtask(job, crafter.id, 'crafter',
+            { action: 'team', target: 'withdraw', chest: job.chest, keyword: 'team' }, deposits);
+        this.addSubtask(job, crafter.id, 'crafter',
+            { action: 'make', target: task.target, count: task.count, keyword: 'make' }, [withdraw]);
+        return {};
+    }
+
+    /**
+     * farm: the harvester fills a hand-over chest, the storer empties it into other chests
+     */
+    planFarm(job) {
+        const harvester = this.membersWith('farm')[0];
+        if (!harvester) return { error: 'No bot in the team can farm' };
+
+        const storer = [...this.members.values()]
+            .filter(member => member.id !== harvester.id && member.commandHandler.abilities.team)
+            .sort((a, b) => this.getLoad(a) - this.getLoad(b))[0];
+        const chest = storer ? this.findFreeChest(harvester) : null;
+
+        this.addSubtask(job, harvester.id, 'harvester', { action: 'farm', keyword: 'farm' });
+        if (!storer || !chest) {
+            return {
+                notes: [storer ? `No free chest near ${harvester.bot.username}, it stores its own harvest` : 'Only one bot can farm, it stores its own harvest']
+            };
+        }
+
+        this.reserve(`chest:${this.posKey(chest.position)}`, harvester.id, job.id);
+        job.chest = this.toPlain(chest.position);
+        this.addSubtask(job, storer.id, 'storer', { action: 'team', target: 'store', chest: job.chest, keyword: 'team' });
+        return {};
+    }
+
+    /**
+     * build: the blueprint's layers are split into one range per builder, bottom first
+     */
+    planBuild(job, task) {
+        const builders = this.membersWith('build');
+        if (builders.length === 0) return { error: 'No bot in the team can build' };
+
+        const blueprint = builders[0].commandHandler.abilities.build.getBlueprint(task);
+        if (!blueprint) return { error: `Unknown build type: ${task.target}` };
+
+        const origin = this.getBuildOrigin(job.username, builders[0]);
+        const layerCount = blueprint.layers.length;
+        const used = builders.slice(0, Math.min(builders.length, layerCount));
+        const perBuilder = Math.ceil(layerCount / used.length);
+
+        job.origin = origin;
+        job.layerCount = layerCount;
+
+        used.forEach((member, i) => {
+            const from = i * perBuilder;
+            const to = Math.min(layerCount, from + perBuilder) - 1;
+            if (from > to) return;
+            this.addSubtask(job, member.id, 'builder', {
+                ...task,
+                action: 'build',
+                keyword: 'build',
+                origin,
+                layers: { from, to }
+            });
+        });
+        return {};
+    }
+
+    /**
+     * Build next to the requesting player when a bot can see them
+     */
+    getBuildOrigin(username, fallback) {
+        for (const member of this.members.values()) {
+            const player = member.bot.players[username];
+            if (player && player.entity) {
+                const pos = player.entity.position;
+                return { x: Math.floor(pos.x) + 3, y: Math.floor(pos.y), z: Math.floor(pos.z) + 3 };
+            }
+        }
+        const pos = fallback.bot.entity.position;
+        return { x: Math.floor(pos.x) + 5, y: Math.floor(pos.y), z: Math.floor(pos.z) + 5 };
+    }
+
+    /**
+     * Raw materials to mine for an item (smelt inputs, logs, stone...)
+     * @param {object} registry - The crafter's bot.registry
+     */
+    getRawMaterials(itemName, count, registry = null, depth = 0) {
+        const raw = {};
+        const add = (name, amount) => { raw[name] = (raw[name] || 0) + amount; };
+
+        if (GATHER_AS[itemName]) {
+            add(GATHER_AS[itemName], itemName === 'planks' ? Math.ceil(count / 4) : count);
+            return raw;
+        }
+
+        // Smelted items come from their ore; "x from block" recipes are never the way to get x
+        const smeltSource = getSmeltingSource(itemName);
+        const recipe = getRecipe(itemName, registry);
+        if (smeltSource || !recipe || recipe.output || depth > 6) {
+            add(smeltSource || itemName, count);
+            return raw;
+        }
+
+        const crafts = Math.ceil(count / (recipe.count || 1));
+        for (const [ingredient, amount] of Object.entries(recipe.ingredients)) {
+            for (const [name, subAmount] of Object.entries(this.getRawMaterials(ingredient, amount * crafts, registry, depth + 1))) {
+                add(name, subAmount);
+            }
+        }
+        return raw;
+    }
+
+    /**
+     * Queue every part whose earlier parts are done, and finish the job when all are done
+     */
+    dispatch(job) {
+        if (job.status !== 'running') return;
+
+        for (const subtask of job.subtasks) {
+            if (subtask.status !== 'waiting') continue;
+
+            const before = subtask.after.map(id => job.subtasks[id - 1]);
+            if (!before.every(s => FINISHED.includes(s.status))) continue;
+
+            const member = this.members.get(subtask.memberId);
+            if (!member) continue; // Queued once the bot is back
+
+            const queued = member.taskManager.addTask({
+                ...subtask.command,
+                team: { jobId: job.id, subtaskId: subtask.id, world: this.world }
+            });
+            subtask.queuedId = queued.id;
+            subtask.status = 'queued';
+        }
+
+        if (job.subtasks.every(s => FINISHED.includes(s.status))) {
+            const failed = job.subtasks.filter(s => s.status === 'failed');
+            this.finishJob(job, failed.length > 0 ? 'failed' : 'completed');
+        }
+    }
+
+    /**
+     * A member started or finished one part (from its command handler events)
+     */
+    updateSubtask(ref, status, error = null) {
+        const job = this.jobs.get(ref.jobId);
+        if (!job || job.status !== 'running') return;
+
+        const subtask = job.subtasks[ref.subtaskId - 1];
+        if (!subtask || FINISHED.includes(subtask.status)) return;
+
+        subtask.status = status;
+        subtask.error = error || null;
+
+        // A player stopping one part stops the whole job
+        if (status === 'stopped') {
+            this.stopJob(job)
+                .catch(error => logger.error(`Team: Failed to stop ${job.id}: ${error.message}`));
+            return;
+        }
+        if (FINISHED.includes(status)) {
+            logger.info(`Team: ${job.id} part ${subtask.id} (${this.describeCommand(subtask.command)}) ${status} on ${subtask.memberId}`);
+            this.dispatch(job);
+        }
+    }
+
+    /**
+     * Stop one job, or every running job
+     * @returns {number} - Jobs stopped
+     */
+    async stop(jobId = null) {
+        const jobs = [...this.jobs.values()].filter(job => job.status === 'running' && (!jobId || job.id === jobId));
+        for (const job of jobs) {
+            await this.stopJob(job);
+        }
+        return jobs.length;
+    }
+
+    async stopJob(job) {
+        if (job.status !== 'running') return;
+        job.status = 'stopped';
+
+        for (const subtask of job.subtasks) {
+            if (FINISHED.includes(subtask.status)) continue;
+            const previous = subtask.status;
+            subtask.status = 'stopped';
+
+            const member = this.members.get(subtask.memberId);
+            if (!member) continue;
+
+            if (previous === 'queued') {
+                const position = member.taskManager.getQueue().findIndex(t => t.id === subtask.queuedId) + 1;
+                if (position > 0) member.taskManager.removeTask(position);
+            } else if (previous === 'running') {
+                const current = member.commandHandler.getCurrentTask();
+                if (current && current.team && current.team.jobId === job.id) {
+                    await member.commandHandler.stopCurrentTask();
+                }
+            }
+        }
+        this.finishJob(job, 'stopped');
+    }
+
+    finishJob(job, status) {
+        job.status = status;
+        job.finishedAt = Date.now();
+        this.releaseJob(job);
+
+        const duration = Math.floor((job.finishedAt - job.createdAt) / 1000);
+        logger.info(`Team: ${job.id} ${status} after ${duration}s`);
+        this.say(job, `Team job ${job.id} (${this.getJobName(job)}) ${status} in ${duration}s`);
+    }
+
+    /**
+     * Reply in chat through the bot that received the command (or any team bot)
+     */
+    say(job, message) {
+        const member = this.members.get(job.requesterId) || this.members.values().next().value;
+        if (member) member.commandHandler.sendChat(message);
+    }
+
+    /**
+     * Reserve a chest or build cell
+     * @param {string} key - "chest:x,y,z" or "cell:x,y,z"
+     * @param {string} jobId - Held until the job ends; without one, until release()
+     * @returns {boolean} - False if another bot holds it
+     */
+    reserve(key, memberId, jobId = null) {
+        const current = this.reservations.get(key);
+        if (current) {
+            return current.memberId === memberId;
+        }
+        this.reservations.set(key, { memberId, jobId });
+        return true;
+    }
+
+    release(key, memberId) {
+        const current = this.reservations.get(key);
+        if (current && current.memberId === memberId && !current.jobId) {
+            this.reservations.delete(key);
+        }
+    }
+
+    releaseJob(job) {
+        for (const [key, reservation] of this.reservations) {
+            if (reservation.jobId === job.id) this.reservations.delete(key);
+        }
+    }
+
+    /**
+     * Hold a chest while this member opens it (deposit, storage run)
+     * @returns {boolean} - False if another bot holds it
+     */
+    lockChest(position, memberId) {
+        return this.reserve(`chest:${this.posKey(position)}`, memberId);
+    }
+
+    unlockChest(position, memberId) {
+        this.release(`chest:${this.posKey(position)}`, memberId);
+    }
+
+    /**
+     * Whether another bot (or another job) holds this chest
+     * @param {string} jobId - Job chests of this job count as free
+     */
+    isChestTaken(position, memberId, jobId = null) {
+        const reservation = this.reservations.get(`chest:${this.posKey(position)}`);
+        if (!reservation) return false;
+        if (jobId && reservation.jobId === jobId) return false;
+        return reservation.memberId !== memberId || !!reservation.jobId;
+    }
+
+    /**
+     * Hand-over chest of a running farm job this member harvests for
+     */
+    getHandoverChest(memberId) {
+        for (const job of this.jobs.values()) {
+            if (job.status !== 'running' || !job.chest) continue;
+            const harvesting = job.subtasks.some(s => s.memberId === memberId && s.role === 'harvester' && !FINISHED.includes(s.status));
+            if (harvesting) return job.chest;
+        }
+        return null;
+    }
+
+    /**
+     * Nearest chest to a member that no one has reserved
+     */
+    findFreeChest(member, maxDistance = 32) {
+        const chestId = member.bot.registry && member.bot.registry.blocksByName.chest
+            ? member.bot.registry.blocksByName.chest.id
+            : null;
+        if (chestId === null) return null;
+
+        const positions = member.bot.findBlocks({ matching: chestId, maxDistance, count: 20 });
+        const free = positions.find(position => !this.reservations.has(`chest:${this.posKey(position)}`));
+        return free ? member.bot.blockAt(free) : null;
+    }
+
+    /**
+     * Reserve a build cell for a builder
+     */
+    reserveCell(jobId, memberId, position) {
+        return this.reserve(`cell:${this.posKey(position)}`, memberId, jobId);
+    }
+
+    isJobRunning(jobId) {
+        const job = this.jobs.get(jobId);
+        return !!job && job.status === 'running';
+    }
+
+    /**
+     * Whether a farm job's harvester is still at work
+     */
+    isHarvesting(jobId) {
+        const job = this.jobs.get(jobId);
+        return !!job && job.status === 'running' &&
+            job.subtasks.some(s => s.role === 'harvester' && !FINISHED.includes(s.status));
+    }
+
+    /**
+     * A builder finished a layer (relative to the job origin)
+     */
+    reportLayer(jobId, layer) {
+        const job = this.jobs.get(jobId);
+        if (job) job.layersDone.add(layer);
+    }
+
+    /**
+     * Wait until the layer below a builder's range is done
+     * Stops waiting when the job ends, the lower builder gave up or the caller stops
+     */
+    async waitForLayer(jobId, layer, isActive = () => true) {
+        const job = this.jobs.get(jobId);
+        if (!job || layer < 0) return;
+
+        const lowerPart = job.subtasks.find(s => s.command.layers && s.command.layers.from <= layer && s.command.layers.to >= layer);
+        while (isActive() && job.status === 'running' && !job.layersDone.has(layer)) {
+            if (lowerPart && FINISHED.includes(lowerPart.status)) return;
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+    }
+
+    /**
+     * Combined progress of every job in this world
+     */
+    getStatus() {
+        return {
+            world: this.world,
+            members: [...this.members.keys()],
+            jobs: [...this.jobs.values()].map(job => this.describeJob(job))
+        };
+    }
+
+    describeJob(job) {
+        const done = job.subtasks.filter(s => FINISHED.includes(s.status)).length;
+        return {
+            id: job.id,
+            name: this.getJobName(job),
+            type: job.type,
+            target: job.target,
+            count: job.count,
+            username: job.username,
+            status: job.status,
+            progress: `${done}/${job.subtasks.length}`,
+            layersDone: job.layerCount ? `${job.layersDone.size}/${job.layerCount}` : undefined,
+            chest: job.chest || null,
+            createdAt: job.createdAt,
+            finishedAt: job.finishedAt,
+            parts: job.subtasks.map(subtask => ({
+                id: subtask.id,
+                bot: subtask.memberId,
+                role: subtask.role,
+                task: this.describeCommand(subtask.command),
+                status: subtask.status,
+                progress: this.getSubtaskProgress(subtask),
+                error: subtask.error || undefined
+            }))
+        };
+    }
+
+    /**
+     * Live progress of a running part (blocks mined, layers built...)
+     */
+    getSubtaskProgress(subtask) {
+        if (subtask.status !== 'running') return null;
+        const member = this.members.get(subtask.memberId);
+        const active = member && member.taskManager.activeTask;
+        return active && active.team && active.team.subtaskId === subtask.id ? active.progress : null;
+    }
+
+    getJobName(job) {
+        return [job.type, job.target, job.count ? `x${job.count}` : null].filter(Boolean).join(' ');
+    }
+
+    describeCommand(command) {
+        if (command.action === 'team') return `${command.target} chest`;
+        if (command.layers) return `build ${command.target} layers ${command.layers.from + 1}-${command.layers.to + 1}`;
+        return `${command.action} ${command.target || ''}${command.count ? ` x${command.count}` : ''}`.trim();
+    }
+
+    posKey(position) {
+        return `${Math.floor(position.x)},${Math.floor(position.y)},${Math.floor(position.z)}`;
+    }
+
+    toPlain(position) {
+        return { x: position.x, y: position.y, z: position.z };
+    }
+}
+
+module.exports = TeamCoordinator;
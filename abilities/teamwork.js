@@ -0,0 +1,274 @@
+/**
+ * Teamwork Ability
+ * Handles -bot team commands for one bot: hands team jobs to the shared
+ * TeamCoordinator and runs this bot's chest steps of a job
+ * (deposit gathered items, withdraw them to craft, move a farm's harvest to storage)
+ */
+
+const logger = require('../utils/logger');
+const Vec3 = require('vec3');
+
+class TeamworkAbility {
+    constructor(bot, pathfinder, coordinator, homeManager, memberId) {
+        this.bot = bot;
+        this.pathfinder = pathfinder;
+        this.coordinator = coordinator;
+        this.homeManager = homeManager;
+        this.memberId = memberId;
+        this.isActive = false;
+        this.movedCount = 0;
+    }
+
+    /**
+     * Handle a -bot team command typed by a player
+     * Every bot in the team hears it; only the first one answers
+     */
+    async handleCommand(command) {
+        if (!this.coordinator.claim(command)) return;
+
+        switch (command.subAction) {
+            case 'status':
+                await this.reportStatus();
+                break;
+            case 'stop': {
+                const stopped = await this.coordinator.stop(command.target || null);
+                this.sendChat(stopped > 0 ? `Stopped ${stopped} team job(s)` : 'No team job running');
+                break;
+            }
+            default: {
+                const result = this.coordinator.submit(command, this.memberId);
+                if (result.error) {
+                    this.sendChat(result.error);
+                    return;
+                }
+
+                const { job } = result;
+                const bots = [...new Set(job.subtasks.map(s => s.memberId))];
+                this.sendChat(`Team job ${job.id}: ${this.coordinator.getJobName(job)} split into ${job.subtasks.length} part(s) for ${bots.join(', ')}`);
+                for (const note of result.notes) {
+                    this.sendChat(note);
+                }
+            }
+        }
+    }
+
+    /**
+     * Run one chest step of a team job (queued by the coordinator)
+     * @param {object} command - { target: 'deposit' | 'withdraw' | 'store', chest, team }
+     */
+    async execute(command) {
+        this.isActive = true;
+        this.movedCount = 0;
+        const chestPos = new Vec3(command.chest.x, command.chest.y, command.chest.z);
+
+        try {
+            switch (command.target) {
+                case 'deposit':
+                    await this.deposit(chestPos);
+                    break;
+                case 'withdraw':
+                    await this.withdraw(chestPos);
+                    break;
+                case 'store':
+                    await this.store(chestPos, command.team);
+                    break;
+                default:
+                    this.sendChat(`Unknown team step: ${command.target}`);
+            }
+        } finally {
+            this.isActive = false;
+        }
+    }
+
+    /**
+     * Put gathered items in the job's hand-over chest
+     */
+    async deposit(chestPos) {
+        const chestBlock = await this.goToChest(chestPos);
+        await this.homeManager.depositToChest(chestBlock);
+    }
+
+    /**
+     * Take everything out of the job's hand-over chest
+     */
+    async withdraw(chestPos) {
+        const chestBlock = await this.goToChest(chestPos);
+        const taken = await this.takeAll(chestBlock);
+        this.sendChat(`Took ${taken} item(s) from the team chest`);
+    }
+
+    /**
+     * Keep moving a farm's harvest from the hand-over chest into free storage chests
+     * Runs until the harvester stops or the bot is stopped
+     */
+    async store(chestPos, team) {
+        this.sendChat('Storing the team harvest...');
+
+        while (this.isActive && this.coordinator.isHarvesting(team.jobId)) {
+            try {
+                const handover = await this.goToChest(chestPos);
+                const taken = await this.takeAll(handover);
+                if (taken > 0) {
+                    await this.storeInventory(chestPos);
+                }
+            } catch (error) {
+                logger.debug(`Team store error: ${error.message}`);
+            }
+
+            // Check again in 30s, staying responsive to stop
+            for (let i = 0; i < 60 && this.isActive; i++) {
+                await this.delay(500);
+            }
+        }
+    }
+
+    /**
+     * Deposit the inventory in chests near the hand-over chest that no other bot uses
+     */
+    async storeInventory(handoverPos) {
+        const chestId = this.bot.registry.blocksByName.chest.id;
+        const positions = this.bot.findBlocks({ matching: chestId, maxDistance: 32, count: 20 })
+            .filter(position => !position.equals(handoverPos))
+            .filter(position => !this.coordinator.isChestTaken(position, this.memberId));
+
+        if (positions.length === 0) {
+            this.sendChat('No free storage chest for the harvest!');
+            return;
+        }
+
+        for (const position of positions) {
+            if (!this.isActive || !this.hasItemsToStore()) break;
+            if (!this.coordinator.lockChest(position, this.memberId)) continue;
+
+            try {
+                const chestBlock = await this.goToChest(position);
+                await this.homeManager.depositToChest(chestBlock);
+            } catch (error) {
+                logger.debug(`Team store error at ${position}: ${error.message}`);
+            } finally {
+                this.coordinator.unlockChest(position, this.memberId);
+            }
+        }
+    }
+
+    /**
+     * Whether the inventory has more than tools, armor and food left
+     */
+    hasItemsToStore() {
+        const keep = ['sword', 'pickaxe', 'axe', 'shovel', 'hoe', 'helmet', 'chestplate', 'leggings', 'boots', 'torch', 'bread', 'steak'];
+        return this.bot.inventory.items().some(item => !keep.some(k => item.name.includes(k)));
+    }
+
+    /**
+     * Walk next to a chest
+     * @returns {object} - The chest block
+     */
+    async goToChest(position) {
+        const chestBlock = this.bot.blockAt(position);
+        if (!chestBlock || !chestBlock.name.includes('chest')) {
+            throw new Error(`No chest at ${position}`);
+        }
+
+        if (this.bot.pathfinder) {
+            const { goals } = require('mineflayer-pathfinder');
+            await this.bot.pathfinder.goto(new goals.GoalNear(position.x, position.y, position.z, 2));
+        }
+        return chestBlock;
+    }
+
+    /**
+     * Withdraw every stack from a chest until the inventory is full
+     * @returns {number} - Items taken
+     */
+    async takeAll(chestBlock) {
+        const chest = await this.bot.openChest(chestBlock);
+        let taken = 0;
+
+        try {
+            for (const item of chest.containerItems()) {
+                if (!this.isActive) break;
+                try {
+                    await chest.withdraw(item.type, null, item.count);
+                    taken += item.count;
+                } catch (error) {
+                    // Inventory full
+                    logger.debug(`Could not withdraw ${item.name}: ${error.message}`);
+                    break;
+                }
+            }
+        } finally {
+            chest.close();
+        }
+
+        this.movedCount += taken;
+        return taken;
+    }
+
+    /**
+     * Combined progress of the team jobs in chat
+     */
+    async reportStatus() {
+        const status = this.coordinator.getStatus();
+        const jobs = status.jobs.filter(job => job.status === 'running');
+
+        if (jobs.length === 0) {
+            this.sendChat(`No team job running. Team: ${status.members.join(', ') || 'none'}`);
+            return;
+        }
+
+        for (const job of jobs) {
+            const layers = job.layersDone ? `, layers ${job.layersDone}` : '';
+            this.sendChat(`${job.id} ${job.name}: ${job.progress} parts done${layers}`);
+            await this.delay(500);
+
+            const running = job.parts
+                .filter(part => part.status === 'running')
+                .map(part => `${part.bot}: ${part.task}${this.formatProgress(part.progress)}`);
+            if (running.length > 0) {
+                this.sendChat(running.join(' | '));
+                await this.delay(500);
+            }
+        }
+    }
+
+    /**
+     * Short text for a part's live progress (mined blocks, built layers, moved items)
+     */
+    formatProgress(progress) {
+        if (!progress) return '';
+        if (progress.mined !== undefined) return ` (${progress.mined}/${progress.target})`;
+        if (progress.layersPlaced !== undefined) return ` (${progress.layersPlaced} layers)`;
+        if (progress.moved !== undefined) return ` (${progress.moved} items)`;
+        return '';
+    }
+
+    /**
+     * Progress of the current chest step
+     */
+    getProgress() {
+        if (!this.isActive) return null;
+        return { moved: this.movedCount };
+    }
+
+    async stop() {
+        this.isActive = false;
+        if (this.bot.pathfinder) {
+            this.bot.pathfinder.setGoal(null);
+        }
+    }
+
+    sendChat(message) {
+        try {
+            this.bot.chat(message);
+            logger.info(`[Team] ${message}`);
+        } catch (error) {
+            logger.debug(`Chat error: ${error.message}`);
+        }
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = TeamworkAbility;
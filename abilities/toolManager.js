@@ -0,0 +1,293 @@
+/**
+ * Tool Manager Module
+ * Picks tools and weapons by tier and remaining durability, puts worn ones aside before
+ * they break and gets a replacement from the home chests or by crafting one
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { canToolMine } = require('../data/recipes');
+
+// Best first
+const TOOL_MATERIALS = ['netherite', 'diamond', 'iron', 'golden', 'stone', 'wooden'];
+
+// Materials worth crafting as a replacement, best first (netherite needs a smithing upgrade, gold wears out fast)
+const CRAFT_MATERIALS = ['diamond', 'iron', 'stone', 'wooden'];
+
+// Tool type by block name keyword
+const TOOL_TYPES = {
+    'shovel': ['dirt', 'grass_block', 'sand', 'gravel', 'clay', 'soul_sand', 'soul_soil', 'snow_block', 'mud', 'concrete_powder'],
+    'axe': ['log', 'planks', 'wood', 'chest', 'crafting_table', 'bookshelf', 'fence', 'pumpkin', 'melon', 'ladder'],
+    'pickaxe': ['stone', 'cobblestone', 'ore', 'andesite', 'diorite', 'granite', 'deepslate', 'obsidian', 'bricks', 'concrete', 'terracotta'],
+    'hoe': ['leaves', 'sculk', 'hay_block', 'nether_wart_block', 'shroomlight', 'target']
+};
+
+const WEAPON_PRIORITY = [
+    'netherite_sword', 'diamond_sword', 'iron_sword', 'golden_sword', 'stone_sword', 'wooden_sword',
+    'netherite_axe', 'diamond_axe', 'iron_axe', 'golden_axe', 'stone_axe', 'wooden_axe'
+];
+
+const HOME_CHEST_RANGE = 8;
+
+class ToolManager {
+    constructor(bot, pathfinder, homeManager = null, craftingAbility = null) {
+        this.bot = bot;
+        this.pathfinder = pathfinder;
+        this.homeManager = homeManager;
+        this.craftingAbility = craftingAbility;
+
+        const toolConfig = config.tools || {};
+        this.minDurability = toolConfig.minDurability ?? 8;
+        this.mendingMinDurability = toolConfig.mendingMinDurability ?? 32;
+
+        this.isReplacing = false;
+        this.wornWarnings = new Set(); // "slot:name" of tools already reported as worn
+    }
+
+    /**
+     * Tool type for mining a block (pickaxe, axe, shovel or hoe)
+     */
+    getToolType(blockName) {
+        for (const [type, keywords] of Object.entries(TOOL_TYPES)) {
+            if (keywords.some(k => blockName.includes(k))) {
+                return type;
+            }
+        }
+        return 'pickaxe';
+    }
+
+    /**
+     * Uses left before an item breaks (Infinity for items without durability)
+     */
+    getRemainingUses(item) {
+        if (!item.maxDurability) return Infinity;
+        return item.maxDurability - (item.durabilityUsed || 0);
+    }
+
+    hasMending(item) {
+        return (item.enchants || []).some(enchant => enchant.name === 'mending');
+    }
+
+    /**
+     * Check if an item still has more uses left than its reserve
+     * Mending items keep a bigger reserve so XP can repair them instead of losing them
+     */
+    isUsable(item) {
+        const reserve = this.hasMending(item) ? this.mendingMinDurability : this.minDurability;
+        return this.getRemainingUses(item) > reserve;
+    }
+
+    /**
+     * Best usable tool of a type: best material first, then the one with the most uses left
+     * @param {string} type - pickaxe, axe, shovel or hoe
+     * @param {string} requiredTool - Lowest tool that works (e.g. stone_pickaxe), optional
+     */
+    findBestTool(type, requiredTool = null) {
+        const tools = this.bot.inventory.items().filter(item =>
+            item.name.endsWith(`_${type}`) &&
+            this.isUsable(item) &&
+            (!requiredTool || canToolMine(item.name, requiredTool)));
+
+        tools.sort((a, b) =>
+            TOOL_MATERIALS.findIndex(m => a.name.startsWith(m)) - TOOL_MATERIALS.findIndex(m => b.name.startsWith(m)) ||
+            this.getRemainingUses(b) - this.getRemainingUses(a));
+
+        this.reportWorn(type);
+        return tools[0] || null;
+    }
+
+    /**
+     * Log worn tools of a type once
+     */
+    reportWorn(type) {
+        for (const item of this.bot.inventory.items()) {
+            const key = `${item.slot}:${item.name}`;
+            if (!item.name.endsWith(`_${type}`) || this.isUsable(item) || this.wornWarnings.has(key)) continue;
+
+            this.wornWarnings.add(key);
+            const uses = this.getRemainingUses(item);
+            logger.info(`ToolManager: Putting ${item.name} aside with ${uses} uses left` +
+                (this.hasMending(item) ? ' (Mending, repairs with XP)' : ''));
+        }
+    }
+
+    /**
+     * Equip the best usable tool for a block
+     * @returns {boolean} - True if a tool is in hand
+     */
+    async equipBestTool(blockName, requiredTool = null) {
+        const tool = this.findBestTool(this.getToolType(blockName), requiredTool);
+        if (!tool) return false;
+
+        if (this.bot.heldItem && this.bot.heldItem.slot === tool.slot) return true;
+
+        try {
+            await this.bot.equip(tool, 'hand');
+            return true;
+        } catch (e) {
+            logger.debug(`Failed to equip ${tool.name}: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Equip the best weapon that is not about to break
+     */
+    async equipBestWeapon() {
+        const inventory = this.bot.inventory.items();
+
+        for (const weaponName of WEAPON_PRIORITY) {
+            const weapons = inventory
+                .filter(item => item.name === weaponName && this.isUsable(item))
+                .sort((a, b) => this.getRemainingUses(b) - this.getRemainingUses(a));
+            if (weapons.length === 0) continue;
+
+            try {
+                await this.bot.equip(weapons[0], 'hand');
+                logger.debug(`Equipped ${weaponName}`);
+                return true;
+            } catch (error) {
+                logger.debug(`Failed to equip ${weaponName}: ${error.message}`);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Make sure a usable tool for a block is in the inventory, getting a replacement if needed
+     * Waits while the replacement is fetched or crafted, then walks back
+     * @returns {boolean} - True if a usable tool is available
+     */
+    async ensureTool(blockName, requiredTool = null) {
+        const type = this.getToolType(blockName);
+        if (this.findBestTool(type, requiredTool)) return true;
+        if (this.isReplacing) return false;
+
+        this.isReplacing = true;
+        const returnTo = this.bot.entity.position.clone();
+        const lowest = requiredTool || `wooden_${type}`;
+
+        try {
+            this.sendChat(`🔧 No ${type} left that won't break, getting a new one...`);
+
+            let replaced = await this.fetchFromHome(type, requiredTool);
+            if (!replaced) replaced = await this.craftReplacement(type, requiredTool);
+
+            if (replaced) {
+                this.sendChat(`🔧 Got a ${replaced}, back to work`);
+                await this.goTo(returnTo);
+                return true;
+            }
+
+            this.sendChat(`⚠️ No ${type} (${lowest} or better) in home chests and can't craft one`);
+            return false;
+        } catch (error) {
+            logger.error(`ToolManager: Replacement failed: ${error.message}`);
+            return false;
+        } finally {
+            this.isReplacing = false;
+        }
+    }
+
+    /**
+     * Take a usable tool from the chests at the storage waypoint or home
+     * @returns {string|null} - Name of the tool taken
+     */
+    async fetchFromHome(type, requiredTool) {
+        const home = this.homeManager?.getStorageLocation();
+        if (!home) return null;
+
+        const mcData = require('minecraft-data')(this.bot.version);
+        const chestIds = ['chest', 'trapped_chest', 'barrel']
+            .map(name => mcData.blocksByName[name]?.id)
+            .filter(id => id !== undefined);
+
+        await this.homeManager.goToPosition(home.x, home.y, home.z, 2);
+
+        const positions = this.bot.findBlocks({ matching: chestIds, maxDistance: HOME_CHEST_RANGE, count: 20 });
+        for (const position of positions) {
+            const chestBlock = this.bot.blockAt(position);
+            if (!chestBlock) continue;
+
+            const chest = await this.bot.openContainer(chestBlock);
+            try {
+                const tool = chest.containerItems()
+                    .filter(item => item.name.endsWith(`_${type}`) && this.isUsable(item) &&
+                        (!requiredTool || canToolMine(item.name, requiredTool)))
+                    .sort((a, b) =>
+                        TOOL_MATERIALS.findIndex(m => a.name.startsWith(m)) -
+                        TOOL_MATERIALS.findIndex(m => b.name.startsWith(m)))[0];
+
+                if (tool) {
+                    // Shift-click moves exactly this tool, not the first one of its kind
+                    await this.bot.clickWindow(tool.slot, 0, 1);
+                    logger.info(`ToolManager: Took ${tool.name} from chest at ${position}`);
+                    return tool.name;
+                }
+            } finally {
+                chest.close();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Craft the best tool the inventory and known chests have the materials for
+     * Only plans that need no gathering are used, so a broken pickaxe never sends the bot mining
+     * @returns {string|null} - Name of the tool crafted
+     */
+    async craftReplacement(type, requiredTool) {
+        if (!this.craftingAbility) return null;
+
+        for (const material of CRAFT_MATERIALS) {
+            const toolName = `${material}_${type}`;
+            if (requiredTool && !canToolMine(toolName, requiredTool)) continue;
+
+            // Worn copies count as "have", so ask for one more than we hold
+            const count = this.countInventoryItem(toolName) + 1;
+            const plan = this.craftingAbility.makePlan(toolName, count);
+            if (plan.steps.some(step => step.action === 'gather') || Object.keys(plan.missing).length > 0) continue;
+
+            logger.info(`ToolManager: Crafting ${toolName}`);
+            await this.craftingAbility.execute({ target: toolName, count });
+            if (this.countInventoryItem(toolName) >= count) return toolName;
+        }
+
+        return null;
+    }
+
+    /**
+     * Walk back to where the replacement trip started
+     */
+    async goTo(position) {
+        if (!this.bot.pathfinder || !this.pathfinder?.goals) return;
+        if (this.bot.entity.position.distanceTo(position) <= 3) return;
+
+        try {
+            await this.bot.pathfinder.goto(new this.pathfinder.goals.GoalNear(position.x, position.y, position.z, 1));
+        } catch (err) {
+            logger.debug(`ToolManager: Could not walk back: ${err.message}`);
+        }
+    }
+
+    countInventoryItem(itemName) {
+        return this.bot.inventory.items()
+            .filter(item => item.name === itemName)
+            .reduce((sum, item) => sum + item.count, 0);
+    }
+
+    /**
+     * Send chat message
+     */
+    sendChat(message) {
+        try {
+            this.bot.chat(message);
+        } catch (e) {
+            logger.debug(`Chat error: ${e.message}`);
+        }
+    }
+}
+
+module.exports = ToolManager;
@@ -0,0 +1,490 @@
+/**
+ * Travel Planner
+ * Gets the bot to places thousands of blocks away. The pathfinder only sees loaded chunks,
+ * so long trips are split into segments that end inside the loaded area, and every next
+ * segment is planned from wherever the bot got to once the chunks around it have loaded.
+ * With travel modes set, stretches can be covered with an elytra
+ *
+ * Portal waypoints are shortcuts: a trip can go through the nether (1 block there is 8 in
+ * the overworld) or end in the other dimension. Progress and ETA are reported in chat and
+ * through getProgress(), which the dashboard shows for the running task
+ */
+
+const Vec3 = require('vec3');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDimension, getPortalDestination, convertPosition } = require('../utils/dimensions');
+
+// Blocks per second until the bot has travelled far enough to measure its own speed
+const DEFAULT_SPEED = 4.3;
+
+// Directions tried when a segment has no path, in degrees off the straight line
+const DETOURS = [0, 30, -30, 60, -60, 90, -90];
+
+// Rounds of failed segments before a waypoint is tried as a stepping stone
+const MAX_FAILURES = 3;
+
+// Shortest segment worth handing to the pathfinder, and the loaded margin kept beyond its end
+const MIN_SEGMENT = 16;
+
+// Closer than this the rest is walked, whatever mode got the bot here
+const ARRIVE_RANGE = 16;
+const LOADED_MARGIN = 16;
+
+// How far from a portal waypoint the portal blocks are looked for, and how long the teleport may take
+const PORTAL_RANGE = 8;
+const PORTAL_TIMEOUT = 15000;
+
+// Pathfinder errors that mean someone else stopped the bot, not that there is no path
+const STOP_ERRORS = ['GoalChanged', 'PathStopped'];
+
+class TravelPlanner {
+    constructor(bot, pathfinder, waypoints = null) {
+        this.bot = bot;
+        this.pathfinder = pathfinder;
+        this.waypoints = waypoints;
+
+        const travelConfig = config.travel || {};
+        this.directRange = travelConfig.directRange ?? 96;
+        this.segmentLength = travelConfig.segmentLength ?? 96;
+        this.reportInterval = travelConfig.reportInterval ?? 30000;
+        this.portalCost = travelConfig.portalCost ?? 64;
+
+        this.isActive = false;
+        this.trip = null;
+        this.travelModes = null;
+    }
+
+    /**
+     * Set the travel modes (elytra) the planner may pick instead of walking
+     */
+    setTravelModes(travelModes) {
+        this.travelModes = travelModes;
+    }
+
+    /**
+     * Travel to a position, in this dimension or the other one
+     * @param {object} target - { x, y, z, dimension, name } (dimension defaults to the bot's;
+     *                          without y any height at x, z will do)
+     * @param {object} options - { range } how close to get, { quiet } no chat (trips made for another ability),
+     *                           { mode } walk or elytra instead of letting the planner pick
+     * @returns {boolean} - True when the bot got there
+     */
+    async travel(target, { range = 2, quiet = false, mode = null } = {}) {
+        const dimension = getDimension(this.bot);
+        const goal = { x: target.x, y: target.y, z: target.z, dimension: target.dimension || dimension };
+        const label = target.name || [goal.x, goal.y, goal.z].filter(n => n != null).map(Math.floor).join(', ');
+        const start = this.bot.entity.position;
+
+        // Short trips in loaded chunks go straight to the pathfinder, unless a player asked to ride or fly
+        const riding = mode && mode !== 'walk';
+        if (!riding && goal.dimension === dimension && this.flatDistance(start, goal) <= this.directRange && this.isLoaded(goal)) {
+            this.isActive = true;
+            try {
+                const reached = await this.pathTo(this.goalNear(goal, range));
+                if (!quiet && this.isActive) this.sendChat(reached ? `🧭 Arrived at ${label}` : `🧭 Can't reach ${label}`);
+                return reached;
+            } finally {
+                this.isActive = false;
+            }
+        }
+
+        const route = this.planRoute(start, dimension, goal);
+        if (!route) {
+            if (!quiet) {
+                this.sendChat(`I don't know a way to the ${goal.dimension}. Add portal waypoints with -bot waypoint add <name> portal`);
+            }
+            return false;
+        }
+
+        this.isActive = true;
+        this.trip = {
+            label,
+            legs: route.legs,
+            leg: 0,
+            travelled: 0,
+            startTime: Date.now(),
+            lastReport: Date.now(),
+            quiet,
+            mode
+        };
+
+        const portals = route.legs.filter(leg => leg.type === 'portal').length;
+        logger.info(`Travel: ${Math.round(route.cost)} blocks to ${label} in ${route.legs.length} legs`);
+        if (!quiet) {
+            this.sendChat(`🧭 Travelling to ${label}: about ${Math.round(route.cost)} blocks` +
+                `${portals > 0 ? ` through ${portals} portal${portals === 1 ? '' : 's'}` : ''}, ` +
+                `ETA ${this.formatDuration(route.cost / DEFAULT_SPEED)}`);
+        }
+
+        try {
+            for (; this.trip.leg < route.legs.length; this.trip.leg++) {
+                const leg = route.legs[this.trip.leg];
+                const isLast = this.trip.leg === route.legs.length - 1;
+                const done = leg.type === 'portal'
+                    ? await this.usePortal(leg)
+                    : await this.walkLeg(leg, isLast ? range : 2, new Set());
+
+                if (!done) {
+                    if (!quiet && this.isActive) this.sendChat(`🧭 Can't get any further towards ${label}`);
+                    return false;
+                }
+            }
+
+            if (!quiet) {
+                this.sendChat(`🧭 Arrived at ${label} after ${this.formatDuration((Date.now() - this.trip.startTime) / 1000)}`);
+            }
+            return true;
+        } finally {
+            this.isActive = false;
+            this.trip = null;
+        }
+    }
+
+    /**
+     * Cheapest way to the target: straight there, or through a pair of portal waypoints
+     * @returns {object|null} - { cost, legs } with walk legs { type, dimension, to, cost }
+     *                          and portal legs { type, portal, dimension, cost }
+     */
+    planRoute(start, dimension, target) {
+        const routes = [];
+        const walk = (legDimension, from, to) =>
+            ({ type: 'walk', dimension: legDimension, to, cost: this.flatDistance(from, to) });
+        const portalLeg = (portal, toDimension) =>
+            ({ type: 'portal', portal, dimension: toDimension, cost: this.portalCost });
+        const portals = portalDimension => this.waypoints
+            ? this.waypoints.list({ dimension: portalDimension, tag: 'portal' })
+            : [];
+        // Where a portal comes out: its recorded partner, else the spot the 1:8 scale points at
+        const exitOf = (portal, from, to) =>
+            this.waypoints?.getLinkedPortal(portal) || convertPosition(portal, from, to);
+
+        if (target.dimension === dimension) {
+            routes.push([walk(dimension, start, target)]);
+        }
+
+        const other = getPortalDestination(dimension);
+        if (other) {
+            for (const portal of portals(dimension)) {
+                const arrival = exitOf(portal, dimension, other);
+                const there = [walk(dimension, start, portal), portalLeg(portal, other)];
+
+                if (target.dimension === other) {
+                    routes.push([...there, walk(other, arrival, target)]);
+                } else if (target.dimension === dimension) {
+                    // Through the other dimension and back out near the target
+                    for (const exit of portals(other)) {
+                        const back = exitOf(exit, other, dimension);
+                        routes.push([...there, walk(other, arrival, exit), portalLeg(exit, dimension), walk(dimension, back, target)]);
+                    }
+                }
+            }
+        }
+
+        if (routes.length === 0) return null;
+
+        return routes
+            .map(legs => ({ legs, cost: legs.reduce((sum, leg) => sum + leg.cost, 0) }))
+            .reduce((best, route) => route.cost < best.cost ? route : best);
+    }
+
+    /**
+     * Walk to a position in the bot's dimension one loaded segment at a time
+     * @param {Set} tried - Waypoints already used as stepping stones on this leg
+     */
+    async walkLeg(leg, range, tried) {
+        let failures = 0;
+        const failedModes = new Set();
+        // Closest the bot has been to the end of the leg; only getting closer than this resets failures
+        let closest = this.flatDistance(this.bot.entity.position, leg.to);
+
+        while (this.isActive) {
+            if (getDimension(this.bot) !== leg.dimension) return false;
+            this.report();
+
+            const position = this.bot.entity.position;
+            const remaining = this.flatDistance(position, leg.to);
+
+            // Ride or fly the next stretch when that beats walking; a mode that got nowhere isn't tried again on this leg
+            if (this.travelModes && remaining > ARRIVE_RANGE) {
+                const mode = this.travelModes.chooseMode(leg.to, {
+                    dimension: leg.dimension,
+                    skip: failedModes,
+                    preferred: this.trip?.mode
+                });
+                if (mode !== 'walk') {
+                    if (!await this.rideStretch(mode, leg.to)) failedModes.add(mode);
+                    if (!this.isActive) return false;
+                    closest = Math.min(closest, this.flatDistance(this.bot.entity.position, leg.to));
+                    continue;
+                }
+            }
+
+            // Last stretch: the target itself is loaded
+            let reached;
+            if (remaining <= this.segmentLength && this.isLoaded(leg.to)) {
+                if (await this.pathTo(this.goalNear(leg.to, range))) return true;
+                reached = false;
+            } else {
+                reached = await this.nextSegment(leg.to);
+            }
+            if (!this.isActive) return false;
+
+            // A sideways detour that got no closer counts as a failure, so the bot can't swing between detours forever
+            if (reached) {
+                const now = this.flatDistance(this.bot.entity.position, leg.to);
+                if (now < closest) {
+                    closest = now;
+                    failures = 0;
+                    continue;
+                }
+            }
+
+            // Nothing worked from here: let more chunks load, then go around through a known waypoint
+            failures++;
+            if (failures < MAX_FAILURES) {
+                await this.delay(1000);
+                continue;
+            }
+
+            const stone = this.findSteppingStone(leg, tried);
+            if (!stone) return false;
+
+            tried.add(stone);
+            logger.info(`Travel: No way through, going via waypoint ${stone.name}`);
+            if (!this.trip?.quiet) this.sendChat(`🧭 No way through here, going via ${stone.name}`);
+            if (!await this.walkLeg({ type: 'walk', dimension: leg.dimension, to: stone }, 3, tried)) return false;
+            failures = 0;
+            closest = this.flatDistance(this.bot.entity.position, leg.to);
+        }
+        return false;
+    }
+
+    /**
+     * Cover a stretch with a travel mode, counting the distance like a walked segment
+     */
+    async rideStretch(mode, target) {
+        const before = this.bot.entity.position.clone();
+        logger.info(`Travel: Going by ${mode}`);
+
+        const moved = await this.travelModes.ride(mode, target, !!this.trip?.quiet);
+        if (this.trip) this.trip.travelled += this.flatDistance(before, this.bot.entity.position);
+        return moved;
+    }
+
+    /**
+     * Walk one segment towards a far target, ending inside the loaded chunks
+     * Tries the straight line first, then directions further and further off it
+     * @returns {boolean} - True when the bot moved a segment
+     */
+    async nextSegment(target) {
+        const position = this.bot.entity.position;
+        const heading = Math.atan2(target.z - position.z, target.x - position.x);
+        const maxLength = Math.min(this.segmentLength, this.flatDistance(position, target));
+
+        for (const detour of DETOURS) {
+            if (!this.isActive) return false;
+
+            const angle = heading + detour * Math.PI / 180;
+            const end = this.furthestLoaded(position, angle, detour === 0 ? maxLength : maxLength / 2);
+            if (!end) continue;
+
+            if (await this.pathTo(new this.pathfinder.goals.GoalNearXZ(end.x, end.z, 3))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Furthest point in a direction, up to maxLength, that still has loaded chunks beyond it
+     */
+    furthestLoaded(position, angle, maxLength) {
+        const dx = Math.cos(angle);
+        const dz = Math.sin(angle);
+        const at = distance => ({ x: position.x + dx * distance, y: position.y, z: position.z + dz * distance });
+
+        let best = null;
+        for (let distance = MIN_SEGMENT; distance <= maxLength; distance += 8) {
+            if (!this.isLoaded(at(distance + LOADED_MARGIN))) break;
+            best = at(distance);
+        }
+        return best;
+    }
+
+    /**
+     * Nearest waypoint in this dimension that is closer to the target than the bot
+     */
+    findSteppingStone(leg, tried) {
+        if (!this.waypoints) return null;
+
+        const position = this.bot.entity.position;
+        const remaining = this.flatDistance(position, leg.to);
+        const candidates = this.waypoints.list({ dimension: leg.dimension })
+            .filter(w => !tried.has(w) && this.flatDistance(w, leg.to) < remaining && this.flatDistance(w, position) > MIN_SEGMENT);
+
+        if (candidates.length === 0) return null;
+        return candidates.reduce((nearest, w) =>
+            this.flatDistance(w, position) < this.flatDistance(nearest, position) ? w : nearest);
+    }
+
+    /**
+     * Go through the portal at a portal waypoint
+     */
+    async usePortal(leg) {
+        const mcData = require('minecraft-data')(this.bot.version);
+        const portalId = mcData.blocksByName['nether_portal']?.id;
+        const portal = portalId !== undefined && this.bot.findBlock({ matching: portalId, maxDistance: PORTAL_RANGE });
+
+        if (!portal) {
+            if (!this.trip?.quiet) this.sendChat(`No portal at waypoint ${leg.portal.name}`);
+            return false;
+        }
+
+        if (!this.trip?.quiet) this.sendChat(`🌀 Taking portal ${leg.portal.name} to the ${leg.dimension}`);
+        const { x, y, z } = portal.position;
+        if (!await this.pathTo(new this.pathfinder.goals.GoalBlock(x, y, z))) {
+            // Walk the last bit in if the pathfinder won't stand in the portal
+            await this.bot.lookAt(portal.position.offset(0.5, 0.5, 0.5));
+            this.bot.setControlState('forward', true);
+            await this.delay(1000);
+            this.bot.setControlState('forward', false);
+        }
+
+        // The teleport takes about four seconds of standing in the portal
+        const from = getDimension(this.bot);
+        const startTime = Date.now();
+        while (this.isActive && Date.now() - startTime < PORTAL_TIMEOUT) {
+            if (getDimension(this.bot) === leg.dimension) {
+                // Give the chunks on the other side a moment to arrive
+                await this.delay(2000);
+                logger.info(`Travel: Arrived in the ${leg.dimension}`);
+
+                const { x: outX, y: outY, z: outZ } = this.bot.entity.position;
+                this.waypoints?.recordPortalPair({ x, y, z, dimension: from }, { x: outX, y: outY, z: outZ, dimension: leg.dimension });
+                return true;
+            }
+            await this.delay(500);
+        }
+        return false;
+    }
+
+    /**
+     * Run one pathfinder goal, counting the distance covered
+     * @returns {boolean} - True when the goal was reached
+     */
+    async pathTo(goal) {
+        const before = this.bot.entity.position.clone();
+        try {
+            await this.bot.pathfinder.goto(goal);
+            return true;
+        } catch (error) {
+            // Stopped by a command or another ability: end the trip instead of trying around it
+            if (STOP_ERRORS.includes(error.name)) this.isActive = false;
+            logger.debug(`Travel: Segment failed: ${error.message}`);
+            return false;
+        } finally {
+            if (this.trip) this.trip.travelled += this.flatDistance(before, this.bot.entity.position);
+        }
+    }
+
+    /**
+     * Goal near a position, or near its x and z when it has no y
+     */
+    goalNear(position, range) {
+        const { goals } = this.pathfinder;
+        return position.y == null
+            ? new goals.GoalNearXZ(position.x, position.z, range)
+            : new goals.GoalNear(position.x, position.y, position.z, range);
+    }
+
+    /**
+     * Check if the chunk at a position is loaded (blockAt is null outside the loaded area)
+     */
+    isLoaded(position) {
+        const y = Math.floor(this.bot.entity.position.y);
+        return this.bot.blockAt(new Vec3(Math.floor(position.x), y, Math.floor(position.z))) !== null;
+    }
+
+    flatDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.z - b.z);
+    }
+
+    /**
+     * Report progress in chat every reportInterval
+     */
+    report() {
+        if (!this.trip || this.trip.quiet || Date.now() - this.trip.lastReport < this.reportInterval) return;
+
+        this.trip.lastReport = Date.now();
+        this.sendChat(`🧭 ${this.getProgress().status}`);
+    }
+
+    /**
+     * Progress of the current trip: blocks travelled and left, ETA in seconds and the leg it is on
+     */
+    getProgress() {
+        const trip = this.trip;
+        if (!trip) return null;
+
+        // The current walk leg is measured from where the bot is, later legs use their planned length
+        const leg = trip.legs[trip.leg];
+        const current = leg && leg.type === 'walk' && getDimension(this.bot) === leg.dimension
+            ? this.flatDistance(this.bot.entity.position, leg.to)
+            : (leg ? leg.cost : 0);
+        const remaining = current + trip.legs.slice(trip.leg + 1).reduce((sum, next) => sum + next.cost, 0);
+
+        const seconds = (Date.now() - trip.startTime) / 1000;
+        const speed = trip.travelled >= 32 && seconds > 0 ? trip.travelled / seconds : DEFAULT_SPEED;
+        const eta = Math.round(remaining / speed);
+        const total = trip.travelled + remaining;
+        const percent = total > 0 ? Math.round(trip.travelled / total * 100) : 100;
+
+        return {
+            target: trip.label,
+            travelled: Math.round(trip.travelled),
+            remaining: Math.round(remaining),
+            eta,
+            leg: trip.leg + 1,
+            legs: trip.legs.length,
+            status: `${trip.label}: ${Math.round(trip.travelled)}/${Math.round(total)} blocks (${percent}%), ETA ${this.formatDuration(eta)}`
+        };
+    }
+
+    formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${total % 60}s`;
+        return `${total}s`;
+    }
+
+    /**
+     * Stop the current trip
+     */
+    async stop() {
+        this.isActive = false;
+        if (this.travelModes && this.travelModes.isActive) {
+            await this.travelModes.stop();
+        }
+        if (this.bot.pathfinder) {
+            this.bot.pathfinder.setGoal(null);
+        }
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Send chat message
+     */
+    sendChat(message) {
+        try {
+            this.bot.chat(message);
+        } catch (e) {
+            logger.debug(`Chat error: ${e.message}`);
+        }
+    }
+}
+
+module.exports = TravelPlanner;
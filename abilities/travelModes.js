@@ -0,0 +1,267 @@
+/**
+ * Travel Modes
+ * Faster ways to cover a stretch of a trip than walking: an elytra with firework boosts.
+ * Boats and horses are left out: the rider's client has to send the vehicle's movement,
+ * and mineflayer only sends steering input
+ *
+ * The travel planner asks chooseMode() before each stretch; the choice depends on what is in
+ * the inventory and on the sky above the bot. ride() then moves the bot as far as that mode
+ * gets it and hands back to walking
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Modes besides walking that can move the bot
+const SUPPORTED_MODES = ['elytra'];
+
+// How often a flight is steered
+const RIDE_TICK = 250;
+
+// A ride that got the bot less than this much closer did not help
+const MIN_PROGRESS = 16;
+
+// Elytra: a firework this often, descend this far out, and the pitch for climbing, cruising and landing
+const BOOST_INTERVAL = 3000;
+const LANDING_DISTANCE = 48;
+const CLIMB_PITCH = 0.5;
+const GLIDE_PITCH = -0.15;
+const LANDING_PITCH = -0.6;
+const MIN_ELYTRA_DURABILITY = 20;
+
+// Longest wait for the bot to land before its chestplate goes back on
+const LANDING_TIMEOUT = 30000;
+
+class TravelModes {
+    constructor(bot, pathfinder) {
+        this.bot = bot;
+        this.pathfinder = pathfinder;
+        this.isActive = false;
+        this.quiet = false;
+
+        const travelConfig = config.travel || {};
+        this.modes = (travelConfig.modes || SUPPORTED_MODES).filter(mode => {
+            if (SUPPORTED_MODES.includes(mode)) return true;
+            logger.warn(`Travel: Unknown travel mode ${mode}, leaving it out of travel.modes`);
+            return false;
+        });
+        this.minDistance = travelConfig.modeMinDistance ?? 64;
+        this.minFireworks = travelConfig.minFireworks ?? 8;
+        this.elytraMinDistance = travelConfig.elytraMinDistance ?? 256;
+        this.cruiseHeight = travelConfig.cruiseHeight ?? 40;
+    }
+
+    /**
+     * Best way to cover the next stretch towards a target
+     * @param {object} options - { dimension } the bot is in, { skip } modes that failed on this leg,
+     *                           { preferred } mode a player asked for
+     * @returns {string} - 'elytra' or 'walk'
+     */
+    chooseMode(target, { dimension = 'overworld', skip = new Set(), preferred = null } = {}) {
+        const distance = this.flatDistance(this.bot.entity.position, target);
+        const usable = mode => this.modes.includes(mode) && !skip.has(mode);
+
+        if (preferred) {
+            return preferred !== 'walk' && usable(preferred) && this.canUse(preferred, target, dimension)
+                ? preferred
+                : 'walk';
+        }
+        if (distance < this.minDistance) return 'walk';
+
+        // Flying is fastest, so it goes first when the trip is long enough
+        if (usable('elytra') && distance >= this.elytraMinDistance && this.canUse('elytra', target, dimension)) return 'elytra';
+        return 'walk';
+    }
+
+    /**
+     * Check the inventory and surroundings for one mode
+     */
+    canUse(mode, target, dimension) {
+        switch (mode) {
+            case 'elytra':
+                // The nether has a roof, and a flight needs open sky to take off
+                return dimension !== 'the_nether' && !!this.findElytra() &&
+                    this.countItem('firework_rocket') >= this.minFireworks && this.hasOpenSky();
+            default:
+                return mode === 'walk';
+        }
+    }
+
+    /**
+     * Cover as much of the way to the target as a mode allows
+     * @param {boolean} quiet - No chat (trips made for another ability)
+     * @returns {boolean} - True when the ride got the bot noticeably closer
+     */
+    async ride(mode, target, quiet = false) {
+        const before = this.flatDistance(this.bot.entity.position, target);
+        this.isActive = true;
+        this.quiet = quiet;
+
+        try {
+            if (mode === 'elytra') await this.flyElytra(target);
+        } catch (error) {
+            logger.warn(`Travel: ${mode} failed: ${error.message}`);
+        } finally {
+            this.isActive = false;
+            this.bot.clearControlStates();
+        }
+
+        const progress = before - this.flatDistance(this.bot.entity.position, target);
+        logger.info(`Travel: ${mode} covered ${Math.round(progress)} blocks`);
+        return progress >= MIN_PROGRESS;
+    }
+
+    /**
+     * Take off with an elytra, boost with fireworks at cruising height and glide down near the target
+     * The chestplate worn before is put back on after landing
+     */
+    async flyElytra(target) {
+        const elytra = this.findElytra();
+        if (!elytra) return;
+
+        const chestSlot = this.bot.getEquipmentDestSlot('torso');
+        const previousChest = this.bot.inventory.slots[chestSlot];
+
+        try {
+            if (elytra.slot !== chestSlot) await this.bot.equip(elytra, 'torso');
+
+            this.sendChat('🪂 Flying with elytra');
+            const cruiseY = this.bot.entity.position.y + this.cruiseHeight;
+            const distance = this.flatDistance(this.bot.entity.position, target);
+            // Fireworks cover about 30 blocks a second; allow twice that long plus the landing
+            const maxTime = distance / 15 * 1000 + 30000;
+            const startTime = Date.now();
+
+            // Jump, then open the elytra while falling (it won't open on the ground or in water)
+            this.bot.setControlState('jump', true);
+            await this.delay(300);
+            this.bot.setControlState('jump', false);
+            await this.delay(200);
+            if (this.bot.entity.onGround || this.bot.entity.isInWater) {
+                logger.info('Travel: Not in the air, the elytra did not open');
+                return;
+            }
+            await this.bot.elytraFly();
+
+            let lastBoost = 0;
+            while (this.isActive && Date.now() - startTime < maxTime) {
+                const position = this.bot.entity.position;
+                if (this.bot.entity.onGround && Date.now() - startTime > 2000) break;
+
+                const remaining = this.flatDistance(position, target);
+                const landing = remaining <= LANDING_DISTANCE;
+                const pitch = landing ? LANDING_PITCH : (position.y < cruiseY ? CLIMB_PITCH : GLIDE_PITCH);
+                await this.bot.look(this.yawTo(target), pitch, true);
+
+                if (!landing && Date.now() - lastBoost >= BOOST_INTERVAL) {
+                    const firework = this.findItem(name => name === 'firework_rocket');
+                    if (firework) {
+                        await this.bot.equip(firework, 'hand');
+                        this.bot.activateItem();
+                        lastBoost = Date.now();
+                    }
+                }
+
+                await this.delay(RIDE_TICK);
+            }
+
+            // Glide the rest of the way down
+            while (this.isActive && !this.bot.entity.onGround && Date.now() - startTime < maxTime) {
+                await this.bot.look(this.yawTo(target), LANDING_PITCH, true);
+                await this.delay(RIDE_TICK);
+            }
+        } finally {
+            await this.restoreChestplate(previousChest);
+        }
+    }
+
+    /**
+     * Put the chestplate worn before a flight back on once the bot is on the ground
+     */
+    async restoreChestplate(previousChest) {
+        if (!previousChest || previousChest.name === 'elytra') return;
+
+        const deadline = Date.now() + LANDING_TIMEOUT;
+        while (!this.bot.entity.onGround && Date.now() < deadline) {
+            await this.delay(RIDE_TICK);
+        }
+        if (!this.bot.entity.onGround) {
+            logger.warn(`Travel: Still in the air, ${previousChest.name} not put back on`);
+            return;
+        }
+
+        const chest = this.bot.inventory.items().find(item => item.name === previousChest.name);
+        if (chest) {
+            await this.bot.equip(chest, 'torso').catch(error => logger.debug(`Travel: Chestplate swap failed: ${error.message}`));
+        }
+    }
+
+    /**
+     * Elytra worn or in the inventory that will last a flight
+     */
+    findElytra() {
+        const chestSlot = this.bot.getEquipmentDestSlot('torso');
+        const candidates = [this.bot.inventory.slots[chestSlot], ...this.bot.inventory.items()];
+        return candidates.find(item => item && item.name === 'elytra' &&
+            (item.maxDurability ? item.maxDurability - (item.durabilityUsed || 0) : Infinity) > MIN_ELYTRA_DURABILITY) || null;
+    }
+
+    /**
+     * Nothing solid in the 12 blocks above the bot
+     */
+    hasOpenSky() {
+        const position = this.bot.entity.position;
+        for (let dy = 2; dy <= 12; dy++) {
+            const block = this.bot.blockAt(position.offset(0, dy, 0));
+            if (!block || block.boundingBox === 'block') return false;
+        }
+        return true;
+    }
+
+    findItem(matches) {
+        return this.bot.inventory.items().find(item => matches(item.name)) || null;
+    }
+
+    countItem(name) {
+        return this.bot.inventory.items()
+            .filter(item => item.name === name)
+            .reduce((sum, item) => sum + item.count, 0);
+    }
+
+    /**
+     * Yaw that faces a position (yaw 0 faces north, -z)
+     */
+    yawTo(target) {
+        const position = this.bot.entity.position;
+        return Math.atan2(-(target.x - position.x), -(target.z - position.z));
+    }
+
+    flatDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.z - b.z);
+    }
+
+    /**
+     * Stop the current ride or flight
+     */
+    async stop() {
+        this.isActive = false;
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Send chat message
+     */
+    sendChat(message) {
+        if (this.quiet) return;
+        try {
+            this.bot.chat(message);
+        } catch (e) {
+            logger.debug(`Chat error: ${e.message}`);
+        }
+    }
+}
+
+module.exports = TravelModes;
@@ -0,0 +1,658 @@
+/**
+ * Tunnel Ability Module
+ * Handles -bot tunnel: branch mining, 3x3 tunnels, a staircase down to a Y level and a spiral quarry
+ * Places torches as it goes, blocks off water and lava, and records every cell it walked through
+ * so -bot tunnel exit can walk back out the way it came
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Vec3 = require('vec3');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const PATTERNS = ['branch', '3x3', 'stairs', 'quarry'];
+
+// Blocks used to wall off water and lava, most common first
+const FILL_BLOCKS = ['cobblestone', 'cobbled_deepslate', 'netherrack', 'stone', 'deepslate', 'andesite',
+    'diorite', 'granite', 'tuff', 'dirt'];
+
+const LIQUIDS = ['water', 'lava', 'flowing_water', 'flowing_lava'];
+const AIR = ['air', 'cave_air', 'void_air'];
+
+const FACES = [
+    new Vec3(1, 0, 0), new Vec3(-1, 0, 0),
+    new Vec3(0, 1, 0), new Vec3(0, -1, 0),
+    new Vec3(0, 0, 1), new Vec3(0, 0, -1)
+];
+
+// Blocks to clear around each cell as [side, up] offsets
+const TUNNEL_1X2 = [[0, 0], [0, 1]];
+const TUNNEL_3X3 = [[0, 0], [0, 1], [0, 2], [-1, 0], [-1, 1], [-1, 2], [1, 0], [1, 1], [1, 2]];
+// Stairs need a third block of headroom to walk back up
+const STAIRCASE = [[0, 0], [0, 1], [0, 2]];
+
+// Gravel and sand fall into the gap, so a block may need digging a few times
+const MAX_DIG_ATTEMPTS = 8;
+const REACH = 4;
+const LAYOUT_SAVE_INTERVAL = 10;
+
+class TunnelAbility {
+    /**
+     * @param {object} options - { layoutPath } to save the tunnel layout somewhere other than data/tunnel.json
+     */
+    constructor(bot, pathfinder, minerAbility, options = {}) {
+        this.bot = bot;
+        this.pathfinder = pathfinder;
+        this.minerAbility = minerAbility;
+        this.layoutPath = options.layoutPath || path.join(__dirname, '../data/tunnel.json');
+        this.isActive = false;
+
+        this.layout = null;
+        this.cellIndex = new Map(); // "x,y,z" -> index in layout.cells
+        this.currentIndex = 0;
+        this.minedCount = 0;
+        this.sinceTorch = 0;
+        this.noTorchWarningShown = false;
+    }
+
+    /**
+     * Execute tunnel command
+     * @param {object} command - Parsed command with pattern and its size options
+     */
+    async execute(command) {
+        if (command.pattern === 'exit') {
+            this.isActive = true;
+            await this.exit();
+            this.isActive = false;
+            return;
+        }
+
+        if (!PATTERNS.includes(command.pattern)) {
+            this.sendChat(`Unknown tunnel pattern ${command.pattern}. Use ${PATTERNS.join(', ')} or exit`);
+            return;
+        }
+
+        const tunnelConfig = config.tunnels || {};
+        this.isActive = true;
+        this.minedCount = 0;
+        this.sinceTorch = 0;
+        this.noTorchWarningShown = false;
+        this.torchSpacing = command.torchSpacing ?? tunnelConfig.torchSpacing ?? 8;
+        this.startLayout(command.pattern);
+
+        const length = command.length || tunnelConfig.length || 32;
+        const targetY = command.y ?? tunnelConfig.targetY ?? -58;
+
+        logger.info(`Tunnel: ${command.pattern} from ${this.origin} facing ${this.forward.x}, ${this.forward.z}`);
+
+        try {
+            switch (command.pattern) {
+                case 'branch':
+                    this.sendChat(`⛏️ Branch mining ${length} blocks...`);
+                    await this.digBranch(length,
+                        command.spacing || tunnelConfig.branchSpacing || 3,
+                        command.branchLength || tunnelConfig.branchLength || 16);
+                    break;
+                case '3x3':
+                    this.sendChat(`⛏️ Digging a 3x3 tunnel ${length} blocks...`);
+                    await this.digStraight(length, TUNNEL_3X3);
+                    break;
+                case 'stairs':
+                    this.sendChat(`⛏️ Digging a staircase down to Y ${targetY}...`);
+                    await this.digStairs(targetY);
+                    break;
+                case 'quarry':
+                    this.sendChat(`⛏️ Digging a spiral quarry down to Y ${targetY}...`);
+                    await this.digQuarry(command.size || tunnelConfig.quarrySize || 5, targetY);
+                    break;
+            }
+        } catch (error) {
+            logger.error(`Tunnel error: ${error.message}`);
+            this.sendChat(`Tunnel failed: ${error.message}`);
+        } finally {
+            this.bot.clearControlStates();
+            this.saveLayout();
+        }
+
+        this.sendChat(`⛏️ Tunnel ${this.isActive ? 'done' : 'stopped'}: mined ${this.minedCount} blocks, ` +
+            `placed ${this.layout.torches.length} torches. -bot tunnel exit walks back out`);
+        this.isActive = false;
+    }
+
+    /**
+     * Branch mining: a 1x2 main tunnel with 1x2 side tunnels on both sides every `spacing` blocks
+     */
+    async digBranch(length, spacing, branchLength) {
+        for (let i = 1; i <= length && this.isActive; i++) {
+            if (!await this.advance(this.at(i, 0, 0), TUNNEL_1X2)) return;
+
+            if (i % spacing !== 0) continue;
+
+            const junction = this.currentIndex;
+            for (const side of [1, -1]) {
+                for (let j = 1; j <= branchLength && this.isActive; j++) {
+                    if (!await this.advance(this.at(i, j * side, 0), TUNNEL_1X2)) break;
+                }
+                if (!await this.walkBack(junction)) return;
+            }
+        }
+    }
+
+    /**
+     * Straight tunnel with the given cross-section
+     */
+    async digStraight(length, crossSection) {
+        for (let i = 1; i <= length && this.isActive; i++) {
+            if (!await this.advance(this.at(i, 0, 0), crossSection)) return;
+        }
+    }
+
+    /**
+     * Staircase: one block forward and one down per step until the feet reach targetY
+     */
+    async digStairs(targetY) {
+        if (this.origin.y <= targetY) {
+            this.sendChat(`Already at Y ${this.origin.y}, nothing to dig down to`);
+            return;
+        }
+
+        for (let i = 1; this.origin.y - i >= targetY && this.isActive; i++) {
+            if (!await this.advance(this.at(i, 0, -i), STAIRCASE)) return;
+        }
+    }
+
+    /**
+     * Spiral quarry: clears a size x size pit one layer at a time down to targetY
+     * Each layer leaves one block of its outer ring standing, next to the previous layer's,
+     * so the blocks left behind form a spiral staircase back up to the start
+     */
+    async digQuarry(size, targetY) {
+        size = Math.max(3, Math.min(size, 16));
+        const cells = this.squareSpiral(size);
+        const ringLength = 4 * (size - 1);
+        const ring = cells.slice(0, ringLength);
+        const inner = cells.slice(ringLength);
+
+        // Top layer: feet and head, walked from the start
+        for (const [f, s] of cells) {
+            if (!this.isActive) return;
+            if (!await this.advance(this.at(f, s, 0), TUNNEL_1X2, { parent: 0 })) return;
+        }
+
+        for (let k = 1; this.origin.y - k >= targetY && this.isActive; k++) {
+            const stair = ring[(k - 1) % ringLength];
+            // Standing on this layer's stair puts the feet on the layer above, next to its stair
+            const parent = this.cellIndex.get(this.key(this.at(stair[0], stair[1], -(k - 1))));
+
+            // Dig down from the start of this layer's ring
+            const first = ring[k % ringLength];
+            if (!await this.goTo(this.at(first[0], first[1], -(k - 1)))) return;
+
+            const order = [];
+            for (let i = 0; i < ringLength - 1; i++) {
+                order.push(ring[(k + i) % ringLength]);
+            }
+
+            for (const [f, s] of [...order, ...inner]) {
+                if (!this.isActive) return;
+                // The cell under the layer above's stair has no headroom, dig it from next door
+                const underStair = k > 1 && f === ring[(k - 2) % ringLength][0] && s === ring[(k - 2) % ringLength][1];
+                const cell = this.at(f, s, -k);
+                if (!await this.advance(cell, [[0, 0]], { parent, enter: !underStair })) return;
+            }
+        }
+    }
+
+    /**
+     * Cells of a size x size square in front of the start, outer ring first, spiralling inward
+     * @returns {number[][]} - [forward, side] pairs
+     */
+    squareSpiral(size) {
+        const cells = [];
+        let minF = 1, maxF = size, minS = 0, maxS = size - 1;
+
+        while (minF <= maxF && minS <= maxS) {
+            for (let f = minF; f <= maxF; f++) cells.push([f, minS]);
+            for (let s = minS + 1; s <= maxS; s++) cells.push([maxF, s]);
+            if (minS < maxS) {
+                for (let f = maxF - 1; f >= minF; f--) cells.push([f, maxS]);
+            }
+            if (minF < maxF) {
+                for (let s = maxS - 1; s > minS; s--) cells.push([minF, s]);
+            }
+            minF++; maxF--; minS++; maxS--;
+        }
+
+        return cells;
+    }
+
+    /**
+     * Dig out a cell and step into it
+     * @param {Vec3} cell - Feet position of the cell
+     * @param {number[][]} crossSection - [side, up] offsets of the blocks to clear
+     * @param {object} options - { parent } cell to walk back through, { enter: false } to only dig it
+     * @returns {boolean} - False when the tunnel has to stop here
+     */
+    async advance(cell, crossSection, options = {}) {
+        const { parent = this.currentIndex, enter = true } = options;
+
+        if (this.minerAbility.isInventoryFull() && !await this.emptyInventory()) {
+            return false;
+        }
+
+        if (this.bot.entity.position.distanceTo(cell.offset(0.5, 0, 0.5)) > REACH) {
+            await this.approach(cell);
+        }
+
+        const blocks = crossSection.map(([side, up]) => cell.offset(this.side.x * side, up, this.side.z * side));
+        this.clearing = new Set(blocks.map(block => this.key(block)));
+
+        // Top down, so falling gravel lands in a spot that still gets dug
+        for (const position of [...blocks].reverse()) {
+            if (!this.isActive) return false;
+            if (!await this.clearBlock(position)) return false;
+        }
+
+        if (!enter) return true;
+
+        const previous = this.layout.cells[this.currentIndex];
+        if (!await this.goTo(cell)) {
+            this.sendChat(`⚠️ Can't get into the tunnel at ${cell.x}, ${cell.y}, ${cell.z}`);
+            return false;
+        }
+
+        this.recordCell(cell, parent);
+
+        // Light the cell we just left, so the torch is never where the next block gets dug
+        if (this.torchSpacing > 0 && ++this.sinceTorch >= this.torchSpacing) {
+            if (await this.placeTorch(new Vec3(previous.x, previous.y, previous.z))) {
+                this.sinceTorch = 0;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Dig one block, walling off any water or lava next to it first
+     * @returns {boolean} - True once the block is gone
+     */
+    async clearBlock(position) {
+        for (let attempt = 0; attempt < MAX_DIG_ATTEMPTS && this.isActive; attempt++) {
+            const block = this.bot.blockAt(position);
+            if (!block) return false;
+            if (AIR.includes(block.name)) return true;
+
+            if (LIQUIDS.includes(block.name)) {
+                // Liquid inside the tunnel: fill it, then dig the filler
+                if (!await this.fillLiquid(position)) return false;
+                continue;
+            }
+
+            if (block.name === 'bedrock' || !this.bot.canDigBlock(block)) {
+                this.sendChat(`⚠️ Hit ${block.name} at ${position.x}, ${position.y}, ${position.z}, stopping here`);
+                return false;
+            }
+
+            if (!await this.sealLiquids(position)) return false;
+
+            if (!await this.minerAbility.equipBestTool(block.name)) return false;
+
+            try {
+                await this.bot.lookAt(position.offset(0.5, 0.5, 0.5));
+                await this.bot.dig(block);
+                this.minedCount++;
+            } catch (e) {
+                logger.debug(`Tunnel dig error: ${e.message}`);
+            }
+        }
+
+        const block = this.bot.blockAt(position);
+        return !!block && AIR.includes(block.name);
+    }
+
+    /**
+     * Block off water and lava next to a block before digging it
+     * Blocks that are part of the tunnel are skipped, they get dug anyway
+     */
+    async sealLiquids(position) {
+        const block = this.bot.blockAt(position);
+
+        for (const face of FACES) {
+            const neighbour = position.plus(face);
+            if (this.clearing.has(this.key(neighbour)) || this.cellIndex.has(this.key(neighbour))) continue;
+
+            const neighbourBlock = this.bot.blockAt(neighbour);
+            if (!neighbourBlock || !LIQUIDS.includes(neighbourBlock.name)) continue;
+
+            logger.info(`Tunnel: Blocking ${neighbourBlock.name} at ${neighbour}`);
+            if (!await this.placeFiller(block, face)) {
+                this.sendChat(`⚠️ ${neighbourBlock.name} ahead and nothing to block it with, stopping here`);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Place a filler block into a liquid, against any solid block next to it
+     */
+    async fillLiquid(position) {
+        for (const face of FACES) {
+            const reference = this.bot.blockAt(position.minus(face));
+            if (reference && reference.boundingBox === 'block' && await this.placeFiller(reference, face)) {
+                return true;
+            }
+        }
+
+        this.sendChat(`⚠️ Can't block the liquid at ${position.x}, ${position.y}, ${position.z}, stopping here`);
+        return false;
+    }
+
+    /**
+     * Place a filler block on a face of a reference block
+     */
+    async placeFiller(referenceBlock, face) {
+        const filler = this.bot.inventory.items().find(item => FILL_BLOCKS.includes(item.name));
+        if (!filler) return false;
+
+        try {
+            await this.bot.equip(filler, 'hand');
+            await this.bot.placeBlock(referenceBlock, face);
+            return true;
+        } catch (e) {
+            logger.debug(`Failed to place ${filler.name}: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Put a torch on a wall of a cell, or on its floor
+     */
+    async placeTorch(cell) {
+        const torch = this.bot.inventory.items().find(item => item.name === 'torch');
+        if (!torch) {
+            if (!this.noTorchWarningShown) {
+                this.noTorchWarningShown = true;
+                this.sendChat('⚠️ Out of torches, the tunnel will stay dark');
+            }
+            return false;
+        }
+
+        const spots = FACES.filter(face => face.y === 0)
+            .map(face => ({ reference: cell.plus(face), face: face.scaled(-1) }));
+        spots.push({ reference: cell.offset(0, -1, 0), face: new Vec3(0, 1, 0) });
+
+        for (const { reference, face } of spots) {
+            const referenceBlock = this.bot.blockAt(reference);
+            if (!referenceBlock || referenceBlock.boundingBox !== 'block') continue;
+
+            try {
+                await this.bot.equip(torch, 'hand');
+                await this.bot.placeBlock(referenceBlock, face);
+                this.layout.torches.push({ x: cell.x, y: cell.y, z: cell.z });
+                return true;
+            } catch (e) {
+                logger.debug(`Failed to place torch at ${cell}: ${e.message}`);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Take a full inventory home through the tunnel and come back to where we stopped
+     * @returns {boolean} - True when back with room in the inventory
+     */
+    async emptyInventory() {
+        const homeManager = this.minerAbility.homeManager;
+        if (!homeManager) {
+            this.sendChat('Inventory full! (No Home Manager configured)');
+            return false;
+        }
+
+        const stoppedAt = this.currentIndex;
+        this.sendChat('Inventory full! Walking out of the tunnel to deposit...');
+        if (!await this.walkBack(0)) return false;
+
+        await homeManager.goHomeAndDeposit();
+
+        this.sendChat('Back to the tunnel...');
+        const route = this.routeToStart(stoppedAt).reverse();
+        for (const index of route) {
+            if (!this.isActive || !await this.goTo(this.cellPosition(index))) return false;
+            this.currentIndex = index;
+        }
+
+        return !this.minerAbility.isInventoryFull();
+    }
+
+    /**
+     * -bot tunnel exit: walk from the nearest recorded cell back to where the tunnel started
+     */
+    async exit() {
+        if (!this.layout) {
+            this.layout = this.loadLayout();
+            this.indexLayout();
+        }
+        if (!this.layout || this.layout.cells.length === 0) {
+            this.sendChat('No tunnel recorded');
+            return false;
+        }
+
+        const dimension = this.bot.game?.dimension;
+        if (this.layout.dimension && dimension && this.layout.dimension !== dimension) {
+            this.sendChat(`The last tunnel is in ${this.layout.dimension}`);
+            return false;
+        }
+
+        const botPos = this.bot.entity.position;
+        let nearest = 0;
+        this.layout.cells.forEach((cell, index) => {
+            if (botPos.distanceTo(new Vec3(cell.x, cell.y, cell.z)) <
+                botPos.distanceTo(this.cellPosition(nearest))) {
+                nearest = index;
+            }
+        });
+
+        this.currentIndex = nearest;
+        this.sendChat('🚪 Walking out of the tunnel...');
+        if (!await this.walkBack(0)) {
+            this.sendChat('⚠️ Lost my way out of the tunnel');
+            return false;
+        }
+
+        const start = this.layout.cells[0];
+        this.sendChat(`🚪 Out of the tunnel at ${start.x}, ${start.y}, ${start.z}`);
+        return true;
+    }
+
+    /**
+     * Walk back through recorded cells until reaching an earlier cell
+     * @param {number} targetIndex - Cell on the way back to the start (0 is the start)
+     */
+    async walkBack(targetIndex) {
+        for (const index of this.routeToStart(this.currentIndex)) {
+            if (!this.isActive) return false;
+            if (!await this.goTo(this.cellPosition(index))) return false;
+            this.currentIndex = index;
+            if (index === targetIndex) return true;
+        }
+
+        return this.currentIndex === targetIndex;
+    }
+
+    /**
+     * Indices from a cell back to the start, following each cell's parent
+     */
+    routeToStart(index) {
+        const route = [];
+        for (let i = index; i !== null && i !== undefined; i = this.layout.cells[i].parent) {
+            route.push(i);
+        }
+        return route;
+    }
+
+    /**
+     * Get within reach of a cell, through the nearest recorded cell on the same level
+     */
+    async approach(cell) {
+        let best = null;
+        for (const [index, recorded] of this.layout.cells.entries()) {
+            if (recorded.y !== cell.y) continue;
+            const distance = cell.distanceTo(new Vec3(recorded.x, recorded.y, recorded.z));
+            if (!best || distance < best.distance) best = { index, distance };
+        }
+
+        if (best && await this.goTo(this.cellPosition(best.index))) {
+            this.currentIndex = best.index;
+        }
+    }
+
+    /**
+     * Walk into a cell using pathfinder
+     */
+    async goTo(position) {
+        if (this.bot.entity.position.floored().equals(position)) return true;
+        if (!this.bot.pathfinder || !this.pathfinder?.goals) return false;
+
+        try {
+            await this.bot.pathfinder.goto(new this.pathfinder.goals.GoalBlock(position.x, position.y, position.z));
+            return true;
+        } catch (err) {
+            logger.debug(`Tunnel: Could not walk to ${position}: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Start a new layout at the bot's feet, facing the nearest compass direction
+     */
+    startLayout(pattern) {
+        this.origin = this.bot.entity.position.floored();
+
+        const yaw = this.bot.entity.yaw;
+        const x = -Math.sin(yaw);
+        const z = -Math.cos(yaw);
+        this.forward = Math.abs(x) > Math.abs(z)
+            ? new Vec3(Math.sign(x), 0, 0)
+            : new Vec3(0, 0, Math.sign(z));
+        this.side = new Vec3(-this.forward.z, 0, this.forward.x);
+
+        this.layout = {
+            pattern,
+            dimension: this.bot.game?.dimension || null,
+            origin: { x: this.origin.x, y: this.origin.y, z: this.origin.z },
+            forward: { x: this.forward.x, z: this.forward.z },
+            cells: [],
+            torches: [],
+            startedAt: new Date()
+        };
+        this.cellIndex.clear();
+        this.currentIndex = this.recordCell(this.origin, null);
+    }
+
+    /**
+     * Position `forward` blocks ahead, `side` blocks to the side and `up` blocks up from the start
+     */
+    at(forward, side, up) {
+        return this.origin.offset(
+            this.forward.x * forward + this.side.x * side,
+            up,
+            this.forward.z * forward + this.side.z * side);
+    }
+
+    /**
+     * Remember a cell we stood in and how to get back from it
+     * @returns {number} - Index of the cell
+     */
+    recordCell(position, parent) {
+        const key = this.key(position);
+        if (this.cellIndex.has(key)) {
+            this.currentIndex = this.cellIndex.get(key);
+            return this.currentIndex;
+        }
+
+        this.layout.cells.push({ x: position.x, y: position.y, z: position.z, parent });
+        this.currentIndex = this.layout.cells.length - 1;
+        this.cellIndex.set(key, this.currentIndex);
+
+        if (this.currentIndex % LAYOUT_SAVE_INTERVAL === 0) {
+            this.saveLayout();
+        }
+        return this.currentIndex;
+    }
+
+    cellPosition(index) {
+        const cell = this.layout.cells[index];
+        return new Vec3(cell.x, cell.y, cell.z);
+    }
+
+    indexLayout() {
+        this.cellIndex.clear();
+        if (!this.layout) return;
+        this.layout.cells.forEach((cell, index) => this.cellIndex.set(this.key(cell), index));
+    }
+
+    key(position) {
+        return `${position.x},${position.y},${position.z}`;
+    }
+
+    /**
+     * Load the last tunnel layout from disk
+     */
+    loadLayout() {
+        try {
+            if (fs.existsSync(this.layoutPath)) {
+                return JSON.parse(fs.readFileSync(this.layoutPath, 'utf8'));
+            }
+        } catch (error) {
+            logger.error(`Failed to load tunnel layout: ${error.message}`);
+        }
+        return null;
+    }
+
+    /**
+     * Save the tunnel layout to disk
+     */
+    saveLayout() {
+        if (!this.layout) return false;
+
+        try {
+            const dir = path.dirname(this.layoutPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            fs.writeFileSync(this.layoutPath, JSON.stringify(this.layout, null, 2));
+            return true;
+        } catch (error) {
+            logger.error(`Failed to save tunnel layout: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Stop tunneling
+     */
+    async stop() {
+        this.isActive = false;
+        this.bot.clearControlStates();
+        this.bot.stopDigging();
+    }
+
+    /**
+     * Send chat message
+     */
+    sendChat(message) {
+        try {
+            this.bot.chat(message);
+        } catch (e) {
+            logger.debug(`Chat error: ${e.message}`);
+        }
+    }
+}
+
+module.exports = TunnelAbility;
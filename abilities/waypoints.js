@@ -0,0 +1,371 @@
+/**
+ * Waypoint Manager
+ * Named, tagged positions per dimension, saved to data/waypoints.json
+ * Supports: -bot waypoint add/list/remove and -bot goto <name|tag>
+ *
+ * Other abilities look places up by tag instead of searching a radius:
+ * home, storage (deposit chests), farm, portal and bed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getDimension, normalizeDimension } = require('../utils/dimensions');
+
+const WAYPOINTS_IN_CHAT = 8;
+
+// Portal waypoints this close to a portal are taken to be that portal
+const PORTAL_MATCH_RANGE = 8;
+
+class WaypointManager {
+    /**
+     * @param {object} options - { filePath } to keep the waypoints somewhere other than data/waypoints.json,
+     *                           { legacyHomePath } old single-home file imported as the "home" waypoint
+     */
+    constructor(bot, pathfinder, options = {}) {
+        this.bot = bot;
+        this.pathfinder = pathfinder;
+        this.filePath = options.filePath || path.join(__dirname, '../data/waypoints.json');
+        this.legacyHomePath = options.legacyHomePath || null;
+        this.isActive = false;
+        this.travelPlanner = null;
+
+        this.waypoints = this.load();
+    }
+
+    /**
+     * Set the travel planner used for far waypoints and waypoints in the other dimension
+     */
+    setTravelPlanner(travelPlanner) {
+        this.travelPlanner = travelPlanner;
+    }
+
+    /**
+     * Load waypoints from disk, importing the old home file the first time
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                return data.waypoints || [];
+            }
+
+            if (this.legacyHomePath && fs.existsSync(this.legacyHomePath)) {
+                const home = JSON.parse(fs.readFileSync(this.legacyHomePath, 'utf8'));
+                const waypoints = [this.createWaypoint('home', home, normalizeDimension(home.dimension), ['home'])];
+                this.save(waypoints);
+                logger.info(`Waypoints: Imported home from ${this.legacyHomePath}`);
+                return waypoints;
+            }
+        } catch (error) {
+            logger.error(`Failed to load waypoints: ${error.message}`);
+        }
+        return [];
+    }
+
+    /**
+     * Save waypoints to disk
+     */
+    save(waypoints = this.waypoints) {
+        try {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            fs.writeFileSync(this.filePath, JSON.stringify({ waypoints }, null, 2));
+            return true;
+        } catch (error) {
+            logger.error(`Failed to save waypoints: ${error.message}`);
+            return false;
+        }
+    }
+
+    createWaypoint(name, position, dimension, tags = [], createdBy = null) {
+        return {
+            name,
+            x: Math.floor(position.x),
+            y: Math.floor(position.y),
+            z: Math.floor(position.z),
+            dimension,
+            tags: [...new Set(tags)],
+            createdBy,
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * Add a waypoint, replacing one with the same name in the same dimension
+     * @returns {object} - The saved waypoint
+     */
+    add(name, position, dimension = getDimension(this.bot), tags = [], createdBy = null) {
+        const waypoint = this.createWaypoint(name, position, dimension, tags, createdBy);
+        this.waypoints = this.waypoints.filter(w => !(w.name === name && w.dimension === dimension));
+        this.waypoints.push(waypoint);
+        this.save();
+        return waypoint;
+    }
+
+    /**
+     * Remove a waypoint; without a dimension the one in the bot's dimension goes first
+     * @returns {object|null} - The removed waypoint
+     */
+    remove(name, dimension = null) {
+        const waypoint = this.get(name, dimension);
+        if (!waypoint) return null;
+
+        this.waypoints = this.waypoints.filter(w => w !== waypoint);
+        this.save();
+        return waypoint;
+    }
+
+    /**
+     * Waypoint by name; without a dimension the bot's dimension is tried first, then any other
+     */
+    get(name, dimension = null) {
+        if (dimension) {
+            return this.waypoints.find(w => w.name === name && w.dimension === dimension) || null;
+        }
+        return this.get(name, getDimension(this.bot)) ||
+            this.waypoints.find(w => w.name === name) || null;
+    }
+
+    /**
+     * Waypoints in a dimension (all dimensions when null), optionally with a tag
+     */
+    list({ dimension = null, tag = null } = {}) {
+        return this.waypoints.filter(w =>
+            (!dimension || w.dimension === dimension) && (!tag || w.tags.includes(tag)));
+    }
+
+    /**
+     * Nearest waypoint with a tag in the bot's dimension
+     * @param {string} tag - home, storage, farm, portal, bed or any tag a player gave
+     * @param {object} near - Position to measure from (default the bot)
+     * @returns {object|null}
+     */
+    findByTag(tag, near = this.bot.entity?.position) {
+        const waypoints = this.list({ dimension: getDimension(this.bot), tag });
+        if (waypoints.length === 0) return null;
+        if (!near) return waypoints[0];
+
+        return waypoints.reduce((nearest, w) =>
+            this.distanceTo(w, near) < this.distanceTo(nearest, near) ? w : nearest);
+    }
+
+    /**
+     * Portal waypoint near a position in a dimension
+     */
+    findPortalNear(position, dimension, range = PORTAL_MATCH_RANGE) {
+        const portals = this.list({ dimension, tag: 'portal' })
+            .filter(w => this.distanceTo(w, position) <= range);
+        if (portals.length === 0) return null;
+
+        return portals.reduce((nearest, w) =>
+            this.distanceTo(w, position) < this.distanceTo(nearest, position) ? w : nearest);
+    }
+
+    /**
+     * Portal waypoint at the other end of a portal waypoint, when the pair has been recorded
+     */
+    getLinkedPortal(portal) {
+        return portal.link ? this.get(portal.link.name, portal.link.dimension) : null;
+    }
+
+    /**
+     * Record two portals that lead to each other so later trips can reuse the pair
+     * An end without a portal waypoint yet gets one named portal-<x>-<z>
+     * @param {object} from - { x, y, z, dimension } of the portal the bot went into
+     * @param {object} to - { x, y, z, dimension } where it came out
+     * @returns {object[]} - The two linked portal waypoints
+     */
+    recordPortalPair(from, to) {
+        const [entry, exit] = [from, to].map(end => this.findPortalNear(end, end.dimension) ||
+            this.add(`portal-${Math.floor(end.x)}-${Math.floor(end.z)}`, end, end.dimension, ['portal']));
+
+        entry.link = { name: exit.name, dimension: exit.dimension };
+        exit.link = { name: entry.name, dimension: entry.dimension };
+        this.save();
+
+        logger.info(`Waypoints: Linked portal ${entry.name} (${entry.dimension}) to ${exit.name} (${exit.dimension})`);
+        return [entry, exit];
+    }
+
+    distanceTo(waypoint, position) {
+        return Math.hypot(waypoint.x - position.x, waypoint.y - position.y, waypoint.z - position.z);
+    }
+
+    /**
+     * Walk to the nearest waypoint with a tag
+     * @returns {object|null} - The waypoint reached, null if there is none or it can't be reached
+     */
+    async goToTagged(tag, range = 2) {
+        const waypoint = this.findByTag(tag);
+        if (!waypoint) return null;
+
+        logger.info(`Waypoints: Going to ${tag} waypoint "${waypoint.name}"`);
+        return await this.goTo(waypoint, range) ? waypoint : null;
+    }
+
+    /**
+     * Walk to a waypoint; with the travel planner it may be far away or in the other dimension
+     * @param {boolean} quiet - No chat from the travel planner (trips other abilities make)
+     */
+    async goTo(waypoint, range = 1, quiet = true) {
+        if (this.travelPlanner) {
+            return await this.travelPlanner.travel(waypoint, { range, quiet });
+        }
+        if (waypoint.dimension !== getDimension(this.bot)) return false;
+
+        try {
+            const goal = new this.pathfinder.goals.GoalNear(waypoint.x, waypoint.y, waypoint.z, range);
+            await this.bot.pathfinder.goto(goal);
+            return true;
+        } catch (error) {
+            logger.debug(`Waypoint path error: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Execute waypoint and goto commands
+     * @param {object} command - Parsed command
+     */
+    async execute(command) {
+        if (command.action === 'goto') {
+            await this.executeGoto(command);
+            return;
+        }
+
+        switch (command.subAction) {
+            case 'add':
+                this.executeAdd(command);
+                break;
+            case 'remove': {
+                const removed = this.remove(command.name);
+                this.sendChat(removed
+                    ? `Removed waypoint ${removed.name} (${removed.dimension})`
+                    : `No waypoint named ${command.name}`);
+                break;
+            }
+            case 'list':
+                this.executeList(command);
+                break;
+        }
+    }
+
+    /**
+     * Add a waypoint at the given coordinates, the player's position or the bot's
+     */
+    executeAdd(command) {
+        const player = this.bot.players[command.username]?.entity;
+        const position = command.position || (player || this.bot.entity).position;
+        const dimension = getDimension(this.bot);
+        const replaced = this.get(command.name, dimension);
+
+        const waypoint = this.add(command.name, position, dimension, command.tags, command.username);
+        const tags = waypoint.tags.length > 0 ? ` [${waypoint.tags.join(', ')}]` : '';
+        this.sendChat(`📍 ${replaced ? 'Moved' : 'Added'} waypoint ${waypoint.name}${tags} at ` +
+            `${waypoint.x}, ${waypoint.y}, ${waypoint.z} (${dimension})`);
+    }
+
+    /**
+     * List waypoints, the bot's dimension first and nearest first
+     */
+    executeList(command) {
+        const dimension = getDimension(this.bot);
+        const position = this.bot.entity.position;
+        const waypoints = this.list({ tag: command.tag }).sort((a, b) =>
+            (a.dimension !== dimension) - (b.dimension !== dimension) ||
+            this.distanceTo(a, position) - this.distanceTo(b, position));
+
+        if (waypoints.length === 0) {
+            this.sendChat(command.tag ? `No waypoints tagged ${command.tag}` : 'No waypoints yet. Add one with -bot waypoint add <name>');
+            return;
+        }
+
+        this.sendChat(`📍 ${waypoints.length} waypoint${waypoints.length === 1 ? '' : 's'}${command.tag ? ` tagged ${command.tag}` : ''}:`);
+        for (const w of waypoints.slice(0, WAYPOINTS_IN_CHAT)) {
+            const tags = w.tags.length > 0 ? ` [${w.tags.join(', ')}]` : '';
+            const where = w.dimension === dimension
+                ? `${Math.round(this.distanceTo(w, position))} blocks`
+                : w.dimension;
+            const link = w.link ? ` ↔ ${w.link.name}` : '';
+            this.sendChat(`${w.name}${tags}: ${w.x}, ${w.y}, ${w.z} (${where})${link}`);
+        }
+        if (waypoints.length > WAYPOINTS_IN_CHAT) {
+            this.sendChat(`...and ${waypoints.length - WAYPOINTS_IN_CHAT} more`);
+        }
+    }
+
+    /**
+     * Go to a waypoint by name, or to the nearest waypoint with that tag
+     */
+    async executeGoto(command) {
+        this.isActive = true;
+        try {
+            const dimension = getDimension(this.bot);
+            let waypoint = this.get(command.target, dimension) || this.findByTag(command.target);
+
+            // The travel planner can take portals to waypoints in the other dimension
+            const elsewhere = this.get(command.target);
+            if (!waypoint && elsewhere && this.travelPlanner) {
+                waypoint = elsewhere;
+            }
+
+            if (!waypoint) {
+                this.sendChat(elsewhere
+                    ? `${elsewhere.name} is in ${elsewhere.dimension} and I'm in ${dimension}`
+                    : `No waypoint or tag named ${command.target}. See -bot waypoint list`);
+                return;
+            }
+
+            // The travel planner reports its own start, progress and arrival
+            if (this.travelPlanner) {
+                await this.goTo(waypoint, 1, false);
+                return;
+            }
+
+            this.sendChat(`Going to ${waypoint.name} (${waypoint.x}, ${waypoint.y}, ${waypoint.z})...`);
+            const reached = await this.goTo(waypoint);
+            if (!this.isActive) return;
+
+            this.sendChat(reached ? `📍 Arrived at ${waypoint.name}` : `Cannot reach ${waypoint.name}`);
+        } finally {
+            this.isActive = false;
+        }
+    }
+
+    /**
+     * Progress of a trip to a waypoint for the task status
+     */
+    getProgress() {
+        return this.travelPlanner ? this.travelPlanner.getProgress() : null;
+    }
+
+    /**
+     * Stop walking to a waypoint
+     */
+    async stop() {
+        this.isActive = false;
+        if (this.travelPlanner && this.travelPlanner.isActive) {
+            await this.travelPlanner.stop();
+        }
+        if (this.bot.pathfinder) {
+            this.bot.pathfinder.setGoal(null);
+        }
+    }
+
+    /**
+     * Send chat message
+     */
+    sendChat(message) {
+        try {
+            this.bot.chat(message);
+        } catch (e) {
+            logger.debug(`Chat error: ${e.message}`);
+        }
+    }
+}
+
+module.exports = WaypointManager;
@@ -1,1420 +1,4 @@
 #!/usr/bin/env node
 
-const mineflayer = require('mineflayer');
-const { pathfinder, Movements, goals } = require('mineflayer-pathfinder');
-const logger = require('./utils/logger');
-
-// Command system imports
-const CommandParser = require('./commands/commandParser');
-const CommandHandler = require('./commands/commandHandler');
-const MinerAbility = require('./abilities/miner');
-const CombatAbility = require('./abilities/combat');
-const NavigationAbility = require('./abilities/navigation');
-const CraftingAbility = require('./abilities/crafting');
-const FarmingAbility = require('./abilities/farming');
-const TaskManager = require('./abilities/taskManager');
-const DoorHandler = require('./utils/doorHandler');
-const HomeManager = require('./abilities/homeManager');
-const Sleeper = require('./abilities/sleeper');
-const AutoEat = require('./abilities/autoEat');
-const InventoryManager = require('./abilities/inventoryManager');
-const ChestManager = require('./abilities/chestManager');
-const BuildingAbility = require('./abilities/building');
-const NetherAbility = require('./abilities/nether');
-const StructureFinder = require('./abilities/structureFinder');
-
-// Mind module for intelligent decision-making
-const BotMind = require('./mind/botMind');
-
-console.log('='.repeat(60));
-console.log('🤖 AI Minecraft Bot - Advanced Player Simulation');
-console.log('='.repeat(60));
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-const serverHost = args[0] || process.env.MINECRAFT_HOST || 'localhost';
-const serverPort = parseInt(args[1]) || parseInt(process.env.MINECRAFT_PORT) || 25565;
-const baseUsername = args[2] || process.env.MINECRAFT_USERNAME || 'AIPlayer';
-
-// Username rotation system for ban evasion
-const usernamePool = [
-    'AIPlayer', 'BotHelper', 'AutoCrafter', 'MineBot', 'PlayerAI',
-    'CraftBot', 'ExploreBot', 'BuildHelper', 'GameBot', 'ServerBot',
-    'FriendlyAI', 'HelpBot', 'ChatBot', 'WorkBot', 'PlayBot',
-    'SmartBot', 'QuickBot', 'FastBot', 'CoolBot', 'NiceBot'
-];
-
-let currentUsernameIndex = 0;
-let currentUsername = baseUsername;
-
-console.log(`🎯 Target Server: ${serverHost}:${serverPort}`);
-console.log(`👤 AI Bot Base Username: ${baseUsername}`);
-console.log(`🔄 Username Pool: ${usernamePool.length} usernames available`);
-console.log('');
-
-let bot = null;
-let reconnectAttempts = 0;
-let isReconnecting = false; // Flag to prevent reconnection loop
-const maxReconnectAttempts = 50; // Increased for ban evasion
-
-// Command system instances
-let commandParser = null;
-let commandHandler = null;
-let taskManager = null;
-let doorHandler = null;
-let botMind = null; // Intelligent mind module
-
-// AI Bot State (global for command access)
-let botState = {
-    currentTask: 'exploring',
-    inventory: {},
-    hasWood: false,
-    hasCraftingTable: false,
-    hasPickaxe: false,
-    isMoving: false,
-    lastChatTime: 0,
-    lastMined: 0,
-    targetPlayer: null,
-    isCreativeMode: true, // Creative mode enabled
-    randomBehaviorsEnabled: true, // Random AI behaviors (moving, jumping, chatting)
-    goals: ['gather_wood', 'craft_table', 'craft_pickaxe', 'mine_stone'],
-    lastTpaAccept: 0, // Track last TPA accept time to prevent spam
-    lastLavaWarning: 0, // Track last lava warning to prevent log spam
-    lastLavaEscape: 0 // Track last lava escape action
-};
-
-// Make botState globally accessible for command handlers
-global.botState = botState;
-
-function getNextUsername() {
-    // If it's the first attempt, use the base username
-    if (reconnectAttempts === 0) {
-        currentUsername = baseUsername;
-    } else {
-        // Rotate through username pool
-        currentUsernameIndex = (currentUsernameIndex + 1) % usernamePool.length;
-        currentUsername = usernamePool[currentUsernameIndex];
-
-        // Add random numbers for uniqueness
-        const randomSuffix = Math.floor(Math.random() * 999);
-        currentUsername = `${currentUsername}${randomSuffix}`;
-    }
-
-    logger.info(`🔄 Using username: ${currentUsername} (attempt ${reconnectAttempts + 1})`);
-    return currentUsername;
-}
-
-const webServer = require('./web-server');
-
-// Start the dashboard
-webServer.start();
-
-// Ping server to check if it's reachable before connecting
-async function pingServer() {
-    return new Promise((resolve) => {
-        const mcProtocol = require('minecraft-protocol');
-        const timeout = setTimeout(() => {
-            logger.debug('Ping timed out');
-            resolve(null); // Timeout - server unreachable
-        }, 60000);
-
-        try {
-            mcProtocol.ping({ host: serverHost, port: serverPort }, (err, result) => {
-                clearTimeout(timeout);
-                if (err) {
-                    logger.debug(`Ping error: ${err.message}`);
-                    resolve(null);
-                } else if (!result || !result.version) {
-                    logger.debug('Ping result invalid');
-                    resolve(null);
-                } else {
-                    resolve(result);
-                }
-            });
-        } catch (pingErr) {
-            clearTimeout(timeout);
-            logger.error(`Ping exception: ${pingErr.message}`);
-            resolve(null);
-        }
-    });
-}
-
-async function createBot() {
-    const username = getNextUsername();
-
-    // Update dashboard
-    webServer.updateBotStatus(username, false, serverHost, serverPort);
-    webServer.addLog(`Initializing bot as ${username}...`);
-
-    // Check if server is reachable first
-    // logger.info('🔍 Checking server availability...');
-    // const serverInfo = await pingServer();
-
-    // Bypass ping check since it causes crashes. Assume server is up or let bot fail naturally.
-    logger.info('⚠️ Skipping pre-connection ping check to avoid stability issues.');
-    const serverInfo = null; // Force null to use fallback logic
-
-    if (!serverInfo) {
-        logger.info(`ℹ️ Proceeding with connection to ${serverHost}:${serverPort}...`);
-    } else {
-        logger.info(`✅ Server reachable! Version: ${serverInfo.version?.name || 'unknown'}`);
-    }
-
-    let version = serverInfo?.version?.name || false;
-
-    // Fix for "Paper 1.21.11" or similar non-standard version strings
-    if (typeof version === 'string') {
-        // Remove branding prefixes
-        version = version.replace(/^(Paper|Spigot|Bukkit|Velocity|BungeeCord|Waterfall) /, '');
-
-        // Map 1.21.11 (Bedrock/Geyser?) to 1.21.1 (Java)
-        if (version.includes('1.21.11')) {
-            version = '1.21.1';
-            logger.info('⚠️ Detected non-standard version 1.21.11, forcing 1.21.1 for compatibility');
-        }
-    }
-
-    // Fallback if version detection failed or is weird
-    const config = require('./config');
-    if (!version || version === 'false') {
-        version = config.bot.version || '1.20.1'; // Default to 1.20.1 from config.js
-        logger.info(`⚠️ Version detection failed, defaulting to ${version}`);
-    }
-
-    const botOptions = {
-        host: serverHost,
-        port: serverPort,
-        username: username,
-        version: version,
-        auth: 'offline',
-        checkTimeoutInterval: 60000,
-        connectTimeout: 60000, // Wait up to 60s for connection (useful for Render/Aternos)
-        keepAlive: true,
-        hideErrors: false // Show detailed errors
-    };
-
-    const proxy = process.env.SOCKS_PROXY;
-    if (proxy) {
-        const [host, port, user, pass] = proxy.split(':');
-        const { ProxyAgent } = require('proxy-agent');
-        botOptions.agent = new ProxyAgent(`socks5://${user && pass ? `${user}:${pass}@` : ''}${host}:${port}`);
-        logger.info(`🌐 Using Proxy: ${host}:${port}`);
-    }
-
-    logger.info(`⚙️ Bot Options: Host=${serverHost}, Port=${serverPort}, Version=${version}, Auth=offline`);
-
-    logger.info('Creating AI bot instance...');
-    bot = mineflayer.createBot(botOptions);
-
-    bot.on('login', () => {
-        webServer.updateBotStatus(bot.username, true, serverHost, serverPort);
-        webServer.addLog('Bot successfully logged in');
-        webServer.setBotInstance(bot); // Enable dashboard commands
-        logger.info(`✅ AI Bot logged in successfully!`);
-        logger.info(`🌍 Connected to ${serverHost}:${serverPort}`);
-        reconnectAttempts = 0;
-
-        console.log('');
-        console.log('🤖 AI Bot is now online and ready to play!');
-        console.log('🎮 Bot will behave like a real intelligent player...');
-        console.log('');
-        console.log('Press Ctrl+C to stop the bot');
-        console.log('='.repeat(60));
-    });
-
-    bot.on('spawn', () => {
-        webServer.addLog('Bot spawned in world');
-        logger.info(`AI Bot spawned at ${bot.entity.position}`);
-
-        // Start stats sync loop
-        setInterval(() => {
-            if (bot && bot.entity) {
-                webServer.updateStats({
-                    health: bot.health,
-                    food: bot.food,
-                    position: bot.entity.position,
-                    task: (botState && botState.currentTask) ? botState.currentTask : 'Idle'
-                });
-            }
-        }, 1000);
-
-        // Initialize command system
-        initializeCommandSystem();
-
-        // Try to enable creative mode if possible (silently)
-        setTimeout(() => {
-            if (botState.isCreativeMode) {
-                try {
-                    bot.chat('/gamemode creative');
-                    // Don't announce creative mode switch to avoid spam
-                } catch (error) {
-                    logger.debug('Could not set creative mode');
-                }
-            }
-        }, 1000);
-
-        // Initialize AI behaviors
-        setTimeout(() => {
-            startAIBehaviors();
-        }, 2000);
-    });
-
-    bot.on('chat', (username, message) => {
-        if (username === bot.username) return;
-        logger.info(`<${username}> ${message}`);
-        handlePlayerChat(username, message);
-    });
-
-    // Auto-accept TPA (teleport) requests
-    bot.on('message', (jsonMsg) => {
-        const message = jsonMsg.toString().toLowerCase();
-
-        // Common TPA request patterns from various plugins (EssentialsX, CMI, etc.)
-        const tpaPatterns = [
-            'has requested to teleport to you',
-            'has requested that you teleport to them',
-            'wants to teleport to you',
-            'is requesting to teleport',
-            'sent you a teleport request',
-            'teleport request from',
-            'tpa request from',
-            '/tpaccept to accept',
-            '/tpyes to accept',
-            'type /tpaccept',
-            'type /tpyes'
-        ];
-
-        const isTpaRequest = tpaPatterns.some(pattern => message.includes(pattern));
-
-        if (isTpaRequest) {
-            const currentTime = Date.now();
-            // Cooldown of 3 seconds to prevent spam
-            if (!botState.lastTpaAccept || currentTime - botState.lastTpaAccept > 3000) {
-                logger.info(`📍 TPA request detected! Auto-accepting...`);
-
-                // Try both common accept commands
-                setTimeout(() => {
-                    bot.chat('/tpaccept');
-                    logger.info('✅ Sent /tpaccept');
-                }, 500);
-
-                botState.lastTpaAccept = currentTime;
-            }
-        }
-    });
-
-    bot.on('playerJoined', (player) => {
-        logger.info(`${player.username} joined the game`);
-        // Disabled welcome messages to reduce chat spam
-        // Players can still interact with the bot using commands
-    });
-
-    bot.on('health', () => {
-        if (bot.health !== undefined && bot.health < 10) {
-            logger.warn('Low health detected, seeking food or safety');
-            botState.currentTask = 'seek_food';
-        }
-    });
-
-    // Auto-respawn when bot dies
-    bot.on('death', () => {
-        logger.warn('🔴 Bot died! Auto-respawning...');
-
-        // Wait a moment then respawn
-        setTimeout(() => {
-            try {
-                bot.chat('/respawn');
-            } catch (e) {
-                // Try alternative respawn method
-                try {
-                    bot.respawn();
-                } catch (e2) {
-                    logger.debug('Respawn methods failed, waiting for auto-respawn');
-                }
-            }
-        }, 1000);
-    });
-
-    bot.on('error', (err) => {
-        logger.error(`❌ AI Bot error: ${err.message}`);
-
-        // Check if this is a protocol/connection error
-        const isConnectionError = err.message.includes('protocol version') ||
-            err.message.includes('ECONNREFUSED') ||
-            err.message.includes('ETIMEDOUT') ||
-            err.message.includes('ENOTFOUND') ||
-            err.message.includes('minecraftVersion');
-
-        if (isConnectionError) {
-            if (err.message.includes('ETIMEDOUT')) {
-                logger.warn('⚠️ Connection TIMED OUT - Render needs more time or Aternos server is OFFLINE');
-                logger.info('💡 TIP: Make sure your Aternos server is actually started before running the bot!');
-            } else {
-                logger.warn('⚠️ Connection/protocol error - server may be offline or incompatible');
-            }
-        }
-
-        scheduleReconnect();
-    });
-
-    bot.on('end', (reason) => {
-        webServer.updateBotStatus(bot.username, false);
-        webServer.addLog(`Disconnected: ${reason}`);
-        logger.warn(`🔌 AI Bot disconnected: ${reason}`);
-        // Don't reconnect if this disconnect was triggered by our own reconnection logic
-        if (!isReconnecting && reason !== 'disconnect.quitting') {
-            scheduleReconnect();
-        }
-    });
-
-    bot.on('kicked', (reason) => {
-        webServer.updateBotStatus(bot.username, false);
-        webServer.addLog(`Kicked: ${JSON.stringify(reason)}`);
-        logger.warn(`👢 AI Bot was kicked: ${reason}`);
-
-        // Check if it's a ban (common ban keywords)
-        const banKeywords = ['ban', 'banned', 'blacklist', 'prohibited', 'blocked', 'suspended'];
-        const isBanned = banKeywords.some(keyword =>
-            reason.toLowerCase().includes(keyword)
-        );
-
-        if (isBanned) {
-            logger.warn(`🚫 Detected ban! Reason: ${reason}`);
-            logger.info(`🔄 Will reconnect with different username...`);
-        }
-
-        scheduleReconnect();
-    });
-
-    return bot;
-}
-
-/**
- * Initialize the command system for -bot commands
- */
-function initializeCommandSystem() {
-    logger.info('🎮 Initializing command system...');
-
-    // Load pathfinder plugin
-    bot.loadPlugin(pathfinder);
-
-    // Setup pathfinder with movements that can open doors
-    const mcData = require('minecraft-data')(bot.version);
-    const defaultMovements = new Movements(bot);
-
-    // Movement configuration
-    defaultMovements.allowSprinting = true;
-    defaultMovements.allowParkour = true;      // Allow jumping gaps
-    defaultMovements.canOpenDoors = true;      // Open doors automatically
-    defaultMovements.canDig = false;           // Don't dig unless necessary (prevents breaking houses)
-    defaultMovements.allow1by1towers = false;  // Don't pillar up
-    defaultMovements.allowFreeMotion = true;   // Allow free motion for better paths
-    defaultMovements.maxDropDown = 4;          // Max fall distance
-
-    // Define openable blocks - these should be passable, not blocked
-    const fenceGates = ['oak_fence_gate', 'spruce_fence_gate', 'birch_fence_gate',
-        'jungle_fence_gate', 'acacia_fence_gate', 'dark_oak_fence_gate',
-        'crimson_fence_gate', 'warped_fence_gate', 'mangrove_fence_gate',
-        'cherry_fence_gate', 'bamboo_fence_gate'];
-    const doors = ['oak_door', 'spruce_door', 'birch_door', 'jungle_door',
-        'acacia_door', 'dark_oak_door', 'crimson_door', 'warped_door',
-        'mangrove_door', 'cherry_door', 'bamboo_door'];
-    const trapdoors = ['oak_trapdoor', 'spruce_trapdoor', 'birch_trapdoor',
-        'jungle_trapdoor', 'acacia_trapdoor', 'dark_oak_trapdoor',
-        'crimson_trapdoor', 'warped_trapdoor', 'mangrove_trapdoor',
-        'cherry_trapdoor', 'bamboo_trapdoor'];
-
-    // Add these to the passable list and ensure they're not avoided
-    [...fenceGates, ...doors, ...trapdoors].forEach(blockName => {
-        const block = mcData.blocksByName[blockName];
-        if (block) {
-            // Don't break these blocks
-            defaultMovements.blocksCantBreak.add(block.id);
-            // Make sure they're not in the avoid list so pathfinder considers them passable
-            defaultMovements.blocksToAvoid.delete(block.id);
-        }
-    });
-
-    bot.pathfinder.setMovements(defaultMovements);
-    logger.info('🗺️ Pathfinder loaded with door/gate support');
-
-    // Create command parser
-    commandParser = new CommandParser();
-
-    // Create command handler
-    commandHandler = new CommandHandler(bot);
-
-    // Create task manager
-    taskManager = new TaskManager(bot);
-
-    // Create pathfinder config object to pass to abilities
-    const pathfinderConfig = {
-        mcData,
-        Movements,
-        goals
-    };
-
-    // Create ability instances with pathfinder
-    const combatAbility = new CombatAbility(bot, pathfinderConfig);
-    const homeManager = new HomeManager(bot, pathfinderConfig);
-
-    // Inject homeManager into navigation for auto-deposit
-    const navigationAbility = new NavigationAbility(bot, pathfinderConfig, homeManager);
-
-    const craftingAbility = new CraftingAbility(bot, pathfinderConfig);
-    const sleeper = new Sleeper(bot, pathfinderConfig);
-    const inventoryManager = new InventoryManager(bot);
-    const netherAbility = new NetherAbility(bot, pathfinderConfig);
-    const chestManager = new ChestManager(bot, pathfinderConfig);
-
-    // Pass sleeper and homeManager to farming ability
-    const farmingAbility = new FarmingAbility(bot, pathfinderConfig, sleeper, homeManager);
-
-    // Miner needs access to combat (defense) and home (inventory)
-
-    // Miner needs access to combat (defense) and home (inventory)
-    const minerAbility = new MinerAbility(bot, pathfinderConfig, homeManager, combatAbility);
-
-    // Building ability with miner for material gathering
-    const buildingAbility = new BuildingAbility(bot, pathfinderConfig, minerAbility);
-
-    // Register abilities with command handler
-    commandHandler.registerAbility('mine', minerAbility);
-    commandHandler.registerAbility('kill', combatAbility);
-    commandHandler.registerAbility('come', navigationAbility);
-    commandHandler.registerAbility('go', navigationAbility);
-    commandHandler.registerAbility('make', craftingAbility);
-    commandHandler.registerAbility('farm', farmingAbility);
-    commandHandler.registerAbility('home', homeManager);
-    commandHandler.registerAbility('sort', chestManager); // Enhanced chest sorting
-    commandHandler.registerAbility('inventory', inventoryManager);
-    commandHandler.registerAbility('equip', inventoryManager);
-    commandHandler.registerAbility('sleeper', sleeper);
-    commandHandler.registerAbility('nether', netherAbility);
-    commandHandler.registerAbility('build', buildingAbility); // Building structures
-
-    // Structure Finder ability for locating structures
-    const structureFinder = new StructureFinder(bot, pathfinderConfig);
-    commandHandler.registerAbility('find', structureFinder);
-
-    // Register abilities with task manager
-    taskManager.registerAbilities(commandHandler.abilities);
-
-    // Start AutoEat monitor
-    const autoEat = new AutoEat(bot);
-    autoEat.start();
-    taskManager.registerAbilities({
-        mine: minerAbility,
-        kill: combatAbility,
-        come: navigationAbility,
-        go: navigationAbility,
-        make: craftingAbility,
-        farm: farmingAbility,
-        home: homeManager
-    });
-
-    // Initialize door handler for auto-opening doors and gates
-    doorHandler = new DoorHandler(bot);
-    doorHandler.startAutoOpen();
-    logger.info('🚪 Door handler active - will auto-open doors and gates');
-
-    // Initialize BotMind for intelligent natural language understanding
-    botMind = new BotMind(bot, commandHandler);
-    logger.info('🧠 BotMind initialized - natural language understanding active');
-
-    logger.info('✅ Command system ready! Use -bot <command> in chat');
-    logger.info('📝 Commands: mine, kill, come, go, make, farm, sethome, home, mine_all, find, stop, status');
-    logger.info('💬 Or just tell me naturally what you need (e.g., "get me some iron")');
-
-    // Announce in chat
-    setTimeout(() => {
-        sendIntelligentChat('Ready! You can use -bot commands or just tell me what you need naturally');
-    }, 2000);
-}
-
-function startAIBehaviors() {
-    logger.info('🧠 Starting AI behaviors...');
-
-    // Main AI loop - makes decisions every 3-8 seconds
-    setInterval(aiDecisionLoop, 3000 + Math.random() * 5000);
-
-    // Movement and exploration
-    setInterval(intelligentMovement, 2000);
-
-    // Look around naturally
-    setInterval(naturalLooking, 5000 + Math.random() * 10000);
-
-    // Random chat behavior DISABLED to reduce spam
-    // setInterval(randomChatting, 30000 + Math.random() * 60000);
-
-    // Inventory management
-    setInterval(manageInventory, 15000);
-
-    // 24/7 Lava danger detection - runs frequently for safety
-    setInterval(checkLavaDanger, 500);
-
-    // 24/7 Water safety - runs very frequently to prevent drowning
-    setInterval(checkWaterSafety, 250);
-
-    logger.info('🎮 AI behaviors activated!');
-    logger.info('🌋 Lava danger detection enabled!');
-    logger.info('💧 Water safety system enabled!');
-}
-
-function aiDecisionLoop() {
-    if (!bot || !bot.entity) return;
-
-    // Skip if command is running
-    if (commandHandler && commandHandler.isExecuting) return;
-
-    // Skip if random behaviors are disabled
-    if (!botState.randomBehaviorsEnabled) return;
-
-    updateBotState();
-
-    switch (botState.currentTask) {
-        case 'exploring':
-            exploreWorld();
-            break;
-        case 'gather_wood':
-            gatherWood();
-            break;
-        case 'craft_table':
-            craftCraftingTable();
-            break;
-        case 'craft_pickaxe':
-            craftPickaxe();
-            break;
-        case 'mine_stone':
-            mineStone();
-            break;
-        case 'follow_player':
-            followTargetPlayer();
-            break;
-        case 'seek_food':
-            seekFood();
-            break;
-        default:
-            botState.currentTask = 'exploring';
-    }
-}
-
-function updateBotState() {
-    if (!bot) return;
-
-    const inventory = bot.inventory.items();
-    botState.hasWood = inventory.some(item =>
-        item.name.includes('log') || item.name.includes('wood'));
-    botState.hasCraftingTable = inventory.some(item =>
-        item.name === 'crafting_table');
-    botState.hasPickaxe = inventory.some(item =>
-        item.name.includes('pickaxe'));
-
-    // Update current goal based on progress
-    if (!botState.hasWood && !botState.goals.includes('gather_wood')) {
-        botState.currentTask = 'gather_wood';
-    } else if (botState.hasWood && !botState.hasCraftingTable) {
-        botState.currentTask = 'craft_table';
-    } else if (botState.hasCraftingTable && !botState.hasPickaxe) {
-        botState.currentTask = 'craft_pickaxe';
-    } else if (botState.hasPickaxe) {
-        botState.currentTask = 'mine_stone';
-    }
-}
-
-async function gatherWood() {
-    logger.debug('🌳 Looking for wood to gather...');
-
-    const trees = bot.findBlocks({
-        matching: [
-            bot.registry.blocksByName.oak_log?.id,
-            bot.registry.blocksByName.birch_log?.id,
-            bot.registry.blocksByName.spruce_log?.id,
-            bot.registry.blocksByName.jungle_log?.id,
-        ].filter(id => id !== undefined),
-        maxDistance: 32,
-        count: 10
-    });
-
-    if (trees.length > 0) {
-        const targetLog = trees[0];
-        logger.info(`🔨 Punching tree at ${targetLog}`);
-
-        try {
-            await bot.lookAt(targetLog);
-            const block = bot.blockAt(targetLog);
-            if (block) {
-                await bot.dig(block);
-                sendIntelligentChat('getting some wood for crafting');
-
-                // Look for more logs nearby
-                setTimeout(() => {
-                    if (Math.random() < 0.7) {
-                        gatherWood();
-                    }
-                }, 1000);
-            }
-        } catch (error) {
-            logger.debug(`Failed to break log: ${error.message}`);
-        }
-    } else {
-        // Move to find trees
-        intelligentMovement();
-    }
-}
-
-async function craftCraftingTable() {
-    if (!botState.hasWood || botState.hasCraftingTable) return;
-
-    logger.info('🔨 Crafting crafting table...');
-
-    try {
-        // First convert logs to planks if needed
-        const logs = bot.inventory.items().filter(item => item.name.includes('log'));
-        if (logs.length > 0 && !bot.inventory.items().some(item => item.name.includes('planks'))) {
-            const plankRecipe = bot.recipesFor(bot.registry.itemsByName.oak_planks?.id || bot.registry.itemsByName.birch_planks?.id, null, 1, null);
-            if (plankRecipe.length > 0) {
-                await bot.craft(plankRecipe[0], 4);
-                logger.info('🪵 Converted logs to planks');
-            }
-        }
-
-        // Now craft crafting table
-        const planks = bot.inventory.items().filter(item => item.name.includes('planks'));
-        if (planks.length >= 4) {
-            const recipe = bot.recipesFor(bot.registry.itemsByName.crafting_table.id, null, 1, null);
-            if (recipe.length > 0) {
-                await bot.craft(recipe[0], 1);
-                sendIntelligentChat('awesome! just made a crafting table. time to craft some tools!');
-                botState.hasCraftingTable = true;
-                botState.currentTask = 'craft_pickaxe';
-            }
-        }
-    } catch (error) {
-        logger.debug(`Failed to craft crafting table: ${error.message}`);
-        // Try a different approach or move on
-        botState.currentTask = 'gather_wood';
-    }
-}
-
-async function craftPickaxe() {
-    if (!botState.hasCraftingTable) return;
-
-    logger.info('⛏️ Trying to craft pickaxe...');
-
-    try {
-        // First place crafting table if needed
-        const craftingTable = bot.inventory.items().find(item => item.name === 'crafting_table');
-        if (craftingTable) {
-            const position = bot.entity.position.offset(1, 0, 0);
-            await bot.equip(craftingTable, 'hand');
-            await bot.placeBlock(bot.blockAt(position.offset(0, -1, 0)), position.subtract(bot.entity.position));
-        }
-
-        // Try to craft wooden pickaxe
-        const recipe = bot.recipesFor(bot.registry.itemsByName.wooden_pickaxe?.id, null, 1, null);
-        if (recipe.length > 0) {
-            await bot.craft(recipe[0], 1);
-            sendIntelligentChat('made a pickaxe! time to mine some stone');
-            botState.hasPickaxe = true;
-        }
-    } catch (error) {
-        logger.debug(`Failed to craft pickaxe: ${error.message}`);
-    }
-}
-
-async function mineStone() {
-    // Less frequent mining - only mine if we haven't mined recently
-    if (botState.lastMined && Date.now() - botState.lastMined < 10000) {
-        intelligentMovement();
-        return;
-    }
-
-    // Return to surface if too deep underground
-    if (bot.entity.position.y < 50) {
-        logger.info('🔝 Returning to surface...');
-        bot.setControlState('jump', true);
-        setTimeout(() => bot.setControlState('jump', false), 3000);
-        botState.currentTask = 'exploring';
-        return;
-    }
-
-    logger.debug('⛏️ Looking for stone to mine...');
-
-    const stones = bot.findBlocks({
-        matching: [
-            bot.registry.blocksByName.stone?.id,
-            bot.registry.blocksByName.cobblestone?.id,
-        ].filter(id => id !== undefined),
-        maxDistance: 8, // Shorter range
-        count: 3 // Fewer blocks
-    });
-
-    if (stones.length > 0 && Math.random() < 0.4) { // Only 40% chance to mine
-        const targetStone = stones[0];
-
-        try {
-            await bot.lookAt(targetStone);
-            const block = bot.blockAt(targetStone);
-            if (block) {
-                // Equip pickaxe
-                const pickaxe = bot.inventory.items().find(item => item.name.includes('pickaxe'));
-                if (pickaxe) {
-                    await bot.equip(pickaxe, 'hand');
-                }
-
-                await bot.dig(block);
-                logger.info(`⛏️ Mined ${block.name}`);
-                botState.lastMined = Date.now();
-
-                // Much less chat spam
-                if (Math.random() < 0.1) {
-                    const miningMessages = [
-                        'found some good stone here!',
-                        'these blocks are perfect for building',
-                        'mining is relaxing, but exploring is more fun!',
-                        'gathering resources for future projects'
-                    ];
-                    sendIntelligentChat(miningMessages[Math.floor(Math.random() * miningMessages.length)]);
-                }
-
-                // Often switch to exploring after mining
-                if (Math.random() < 0.6) {
-                    botState.currentTask = 'exploring';
-                }
-            }
-        } catch (error) {
-            logger.debug(`Failed to mine stone: ${error.message}`);
-        }
-    } else {
-        // More likely to explore instead of mine
-        intelligentMovement();
-    }
-}
-
-function exploreWorld() {
-    if (Math.random() < 0.4) {
-        intelligentMovement();
-    }
-
-    // Random chance to start specific tasks
-    if (Math.random() < 0.1) {
-        const tasks = ['gather_wood', 'mine_stone'];
-        botState.currentTask = tasks[Math.floor(Math.random() * tasks.length)];
-    }
-}
-
-// 24/7 Lava Danger Detection and Avoidance System
-function checkLavaDanger() {
-    if (!bot || !bot.entity) return;
-
-    const pos = bot.entity.position;
-    const dangerRadius = 3; // Check 3 blocks around the bot
-    const warningRadius = 5; // Warn when lava is within 5 blocks
-
-    let nearestLavaDistance = Infinity;
-    let nearestLavaPos = null;
-    let isInImmediateDanger = false;
-
-    // Scan for lava blocks in a cube around the bot
-    for (let x = -warningRadius; x <= warningRadius; x++) {
-        for (let y = -2; y <= 2; y++) { // Check 2 blocks above and below
-            for (let z = -warningRadius; z <= warningRadius; z++) {
-                const checkPos = pos.offset(x, y, z);
-                const block = bot.blockAt(checkPos);
-
-                if (block && (block.name === 'lava' || block.name === 'flowing_lava')) {
-                    const distance = pos.distanceTo(checkPos);
-
-                    if (distance < nearestLavaDistance) {
-                        nearestLavaDistance = distance;
-                        nearestLavaPos = checkPos;
-                    }
-
-                    // Immediate danger if lava is very close
-                    if (distance <= dangerRadius) {
-                        isInImmediateDanger = true;
-                    }
-                }
-            }
-        }
-    }
-
-    // Check if bot is standing in or above lava
-    const blockBelow = bot.blockAt(pos.offset(0, -1, 0));
-    const blockAt = bot.blockAt(pos);
-    const isInLava = (blockAt && (blockAt.name === 'lava' || blockAt.name === 'flowing_lava')) ||
-        (blockBelow && (blockBelow.name === 'lava' || blockBelow.name === 'flowing_lava'));
-
-    if (isInLava) {
-        // EMERGENCY: Bot is in lava!
-        logger.warn('🔥🔥🔥 IN LAVA! Emergency escape!');
-        escapeLavaDanger(nearestLavaPos);
-        return;
-    }
-
-    if (isInImmediateDanger) {
-        // Stop all movement immediately
-        bot.setControlState('forward', false);
-        bot.setControlState('back', false);
-        bot.setControlState('left', false);
-        bot.setControlState('right', false);
-        bot.setControlState('sprint', false);
-
-        logger.warn(`🌋 LAVA DANGER! Lava at ${nearestLavaDistance.toFixed(1)} blocks away!`);
-
-        // Move away from lava
-        escapeLavaDanger(nearestLavaPos);
-    } else if (nearestLavaDistance <= warningRadius && nearestLavaDistance < Infinity) {
-        // Just a warning, lava is nearby but not immediately dangerous
-        if (!botState.lastLavaWarning || Date.now() - botState.lastLavaWarning > 10000) {
-            logger.info(`⚠️ Lava detected ${nearestLavaDistance.toFixed(1)} blocks away - proceeding with caution`);
-            botState.lastLavaWarning = Date.now();
-        }
-    }
-}
-
-// Escape from lava danger by moving in the opposite direction
-function escapeLavaDanger(lavaPos) {
-    if (!bot || !bot.entity || !lavaPos) return;
-
-    const pos = bot.entity.position;
-
-    // Calculate escape direction (opposite of lava)
-    const escapeX = pos.x - lavaPos.x;
-    const escapeZ = pos.z - lavaPos.z;
-
-    // Normalize and calculate escape angle
-    const escapeAngle = Math.atan2(-escapeX, -escapeZ);
-
-    // Look away from lava
-    bot.look(escapeAngle, 0);
-
-    // Jump (in case we're stuck or in lava)
-    if (bot.entity.onGround) {
-        bot.setControlState('jump', true);
-        setTimeout(() => bot.setControlState('jump', false), 100);
-    }
-
-    // Move away from lava
-    bot.setControlState('forward', true);
-    bot.setControlState('sprint', true);
-
-    // Stop after moving away
-    setTimeout(() => {
-        bot.setControlState('forward', false);
-        bot.setControlState('sprint', false);
-    }, 1500);
-
-    // Log escape attempt
-    if (!botState.lastLavaEscape || Date.now() - botState.lastLavaEscape > 5000) {
-        logger.info('🏃 Escaping from lava danger!');
-        botState.lastLavaEscape = Date.now();
-    }
-}
-
-// 24/7 Water Safety System - Prevents drowning
-function checkWaterSafety() {
-    if (!bot || !bot.entity) return;
-
-    const pos = bot.entity.position;
-
-    // Check if bot is in water
-    const blockAtHead = bot.blockAt(pos.offset(0, 1.6, 0)); // Head level
-    const blockAtBody = bot.blockAt(pos);
-    const blockAtFeet = bot.blockAt(pos.offset(0, -0.5, 0));
-
-    const isHeadInWater = blockAtHead && (blockAtHead.name === 'water' || blockAtHead.name === 'flowing_water');
-    const isBodyInWater = blockAtBody && (blockAtBody.name === 'water' || blockAtBody.name === 'flowing_water');
-    const isInWater = isHeadInWater || isBodyInWater;
-
-    if (!isInWater) {
-        // Not in water - reset drowning timer
-        botState.waterEntryTime = null;
-        botState.lastWaterWarning = null;
-        return;
-    }
-
-    // Bot is in water - track time submerged
-    if (!botState.waterEntryTime) {
-        botState.waterEntryTime = Date.now();
-        logger.debug('💧 Entered water');
-    }
-
-    const timeInWater = Date.now() - botState.waterEntryTime;
-
-    // Head submerged - start swimming up IMMEDIATELY
-    if (isHeadInWater) {
-        // Emergency swim up!
-        logger.warn('🌊 HEAD UNDERWATER! Swimming to surface!');
-        swimToSurface();
-        return;
-    }
-
-    // If just body in water (head above), swim towards land if we've been in water too long
-    if (timeInWater > 5000) { // 5 seconds in water
-        if (!botState.lastWaterWarning || Date.now() - botState.lastWaterWarning > 10000) {
-            logger.info('💧 In water for too long, swimming to safety...');
-            botState.lastWaterWarning = Date.now();
-        }
-        swimToSafety();
-    }
-}
-
-// Emergency swim to surface
-function swimToSurface() {
-    if (!bot || !bot.entity) return;
-
-    // Look up
-    bot.look(bot.entity.yaw, -0.8); // Look upward
-
-    // Swim up (jump repeatedly in water = swimming up)
-    bot.setControlState('jump', true);
-
-    // Also try to move forward in case we're under a block
-    bot.setControlState('forward', true);
-
-    // Keep swimming up for a bit
-    setTimeout(() => {
-        // Check if still underwater
-        const blockAtHead = bot.blockAt(bot.entity.position.offset(0, 1.6, 0));
-        if (blockAtHead && (blockAtHead.name === 'water' || blockAtHead.name === 'flowing_water')) {
-            // Still underwater, keep swimming
-            swimToSurface();
-        } else {
-            // Surfaced! Stop swimming up
-            bot.setControlState('jump', false);
-            bot.setControlState('forward', false);
-            logger.info('🏊 Surfaced successfully!');
-        }
-    }, 500);
-}
-
-// Swim towards the nearest land/shore
-function swimToSafety() {
-    if (!bot || !bot.entity) return;
-
-    const pos = bot.entity.position;
-    let nearestLandPos = null;
-    let nearestDistance = Infinity;
-
-    // Search for nearby solid ground
-    for (let x = -8; x <= 8; x++) {
-        for (let z = -8; z <= 8; z++) {
-            for (let y = -2; y <= 2; y++) {
-                const checkPos = pos.offset(x, y, z);
-                const block = bot.blockAt(checkPos);
-                const blockAbove = bot.blockAt(checkPos.offset(0, 1, 0));
-
-                // Looking for solid ground with air above (safe landing spot)
-                if (block && block.boundingBox === 'block' &&
-                    block.name !== 'water' && block.name !== 'flowing_water' &&
-                    blockAbove && blockAbove.name === 'air') {
-                    const distance = pos.distanceTo(checkPos);
-                    if (distance < nearestDistance) {
-                        nearestDistance = distance;
-                        nearestLandPos = checkPos;
-                    }
-                }
-            }
-        }
-    }
-
-    if (nearestLandPos) {
-        // Swim towards land
-        const dx = nearestLandPos.x - pos.x;
-        const dz = nearestLandPos.z - pos.z;
-        const swimAngle = Math.atan2(-dx, -dz);
-
-        bot.look(swimAngle, 0);
-        bot.setControlState('forward', true);
-        bot.setControlState('jump', true); // Keep head above water
-        bot.setControlState('sprint', true);
-
-        setTimeout(() => {
-            bot.setControlState('forward', false);
-            bot.setControlState('jump', false);
-            bot.setControlState('sprint', false);
-        }, 2000);
-
-        logger.debug(`🏊 Swimming towards land at ${nearestLandPos}`);
-    } else {
-        // No land found, just swim up
-        swimToSurface();
-    }
-}
-
-
-function intelligentMovement() {
-    if (botState.isMoving) return;
-
-    // Skip if command is running
-    if (commandHandler && commandHandler.isExecuting) return;
-
-    // Skip if random behaviors are disabled
-    if (!botState.randomBehaviorsEnabled) return;
-
-    botState.isMoving = true;
-
-    // More natural movement patterns
-    const movements = [
-        () => {
-            // Sprint forward
-            bot.setControlState('sprint', true);
-            bot.setControlState('forward', true);
-            setTimeout(() => {
-                bot.setControlState('forward', false);
-                bot.setControlState('sprint', false);
-            }, 1500 + Math.random() * 2000);
-        },
-        () => {
-            // Walk and jump
-            bot.setControlState('forward', true);
-            if (Math.random() < 0.6) {
-                setTimeout(() => {
-                    bot.setControlState('jump', true);
-                    setTimeout(() => bot.setControlState('jump', false), 100);
-                }, 500);
-            }
-            setTimeout(() => bot.setControlState('forward', false), 2000 + Math.random() * 1500);
-        },
-        () => {
-            // Turn and move
-            const randomYaw = bot.entity.yaw + (Math.random() - 0.5) * Math.PI;
-            bot.look(randomYaw, bot.entity.pitch);
-            setTimeout(() => {
-                bot.setControlState('forward', true);
-                // Random sprint
-                if (Math.random() < 0.4) {
-                    bot.setControlState('sprint', true);
-                }
-                setTimeout(() => {
-                    bot.setControlState('forward', false);
-                    bot.setControlState('sprint', false);
-                }, 1000 + Math.random() * 2000);
-            }, 300);
-        },
-        () => {
-            // Jump around for fun
-            if (bot.entity.onGround) {
-                bot.setControlState('jump', true);
-                setTimeout(() => bot.setControlState('jump', false), 100);
-
-                // Sometimes double jump
-                if (Math.random() < 0.3) {
-                    setTimeout(() => {
-                        bot.setControlState('jump', true);
-                        setTimeout(() => bot.setControlState('jump', false), 100);
-                    }, 300);
-                }
-            }
-        }
-    ];
-
-    const movement = movements[Math.floor(Math.random() * movements.length)];
-    movement();
-
-    setTimeout(() => {
-        botState.isMoving = false;
-    }, 2000 + Math.random() * 2000);
-}
-
-function naturalLooking() {
-    if (!bot || !bot.entity) return;
-
-    // Skip if command is running
-    if (commandHandler && commandHandler.isExecuting) return;
-
-    // Skip if random behaviors are disabled
-    if (!botState.randomBehaviorsEnabled) return;
-
-    // Look at nearby players sometimes
-    const nearbyPlayers = Object.values(bot.entities).filter(entity =>
-        entity.type === 'player' &&
-        entity.username !== bot.username &&
-        entity.position.distanceTo(bot.entity.position) < 10
-    );
-
-    if (nearbyPlayers.length > 0 && Math.random() < 0.4) {
-        const targetPlayer = nearbyPlayers[0];
-        bot.lookAt(targetPlayer.position.offset(0, 1.6, 0));
-        logger.debug(`Looking at player: ${targetPlayer.username}`);
-    } else {
-        // Random looking around
-        const randomYaw = bot.entity.yaw + (Math.random() - 0.5) * Math.PI;
-        const randomPitch = (Math.random() - 0.5) * Math.PI / 3;
-        bot.look(randomYaw, randomPitch);
-    }
-}
-
-function handlePlayerChat(username, message) {
-    // Skip if bot is the sender (check exact username AND username pool)
-    if (username === bot.username) return;
-
-    // Also check if the username is from our bot's username pool (we might be responding to our old self)
-    const botUsernames = ['AIPlayer', 'BotHelper', 'AutoCrafter', 'MineBot', 'PlayerAI',
-        'CraftBot', 'ExploreBot', 'BuildHelper', 'GameBot', 'ServerBot',
-        'FriendlyAI', 'HelpBot', 'ChatBot', 'WorkBot', 'PlayBot',
-        'SmartBot', 'QuickBot', 'FastBot', 'CoolBot', 'NiceBot'];
-    const isBotMessage = botUsernames.some(name => username.startsWith(name));
-    if (isBotMessage) {
-        logger.debug(`🚫 Skipping message from bot username: ${username}`);
-        return;
-    }
-
-    const lowerMessage = message.toLowerCase();
-
-    // Log all player messages for debugging
-    logger.debug(`📢 Player message from ${username}: "${message}"`);
-
-    // ONLY process -bot commands - ignore all other chat
-    if (lowerMessage.startsWith('-bot') && commandParser && commandHandler) {
-        const command = commandParser.parse(message, username);
-        if (command) {
-            logger.info(`🎮 Command detected from ${username}: ${JSON.stringify(command)}`);
-            commandHandler.execute(command);
-        } else {
-            // Invalid command format - show help
-            logger.info(`❓ Invalid command format from ${username}: "${message}"`);
-            setTimeout(() => {
-                bot.chat(`${username}, use -bot help to see available commands!`);
-            }, 500);
-        }
-    }
-    // All other messages are ignored - bot only responds to -bot commands
-}
-
-function getActivityResponse() {
-    const activities = {
-        'gather_wood': 'looking for trees to punch and get wood',
-        'craft_table': 'trying to craft a crafting table',
-        'craft_pickaxe': 'working on making a pickaxe',
-        'mine_stone': 'mining stone with my pickaxe',
-        'exploring': 'just exploring the world and having fun',
-        'follow_player': `following ${botState.targetPlayer} around`
-    };
-
-    return activities[botState.currentTask] || 'just playing minecraft like a normal player!';
-}
-
-function randomChatting() {
-    if (!bot || Date.now() - botState.lastChatTime < 15000) return;
-
-    // Skip if random behaviors are disabled
-    if (!botState.randomBehaviorsEnabled) return;
-
-    if (Math.random() < 0.4) { // 40% chance for more active chatting
-        const randomMessages = [
-            'hey everyone! how is everyone doing today?',
-            'this server has such a great community!',
-            'anyone want to go mining together?',
-            'just finished gathering some wood, feels productive!',
-            'minecraft never gets old, love this game!',
-            'working on my crafting skills, still learning!',
-            'anyone found any cool caves or structures lately?',
-            'thanks for making this such a fun server to play on!',
-            'what are you all building today?',
-            'exploring is so much fun, found some interesting spots!',
-            'love meeting new players here!',
-            'anyone need help with anything? i am happy to assist!'
-        ];
-
-        const message = randomMessages[Math.floor(Math.random() * randomMessages.length)];
-        sendIntelligentChat(message);
-    }
-}
-
-function sendIntelligentChat(message) {
-    if (!bot || !message) return;
-
-    const currentTime = Date.now();
-    // Increased cooldown from 3s to 10s to prevent spam
-    if (currentTime - botState.lastChatTime < 10000) return;
-
-    try {
-        bot.chat(message);
-        botState.lastChatTime = currentTime;
-        logger.info(`💬 AI Bot: ${message}`);
-    } catch (error) {
-        logger.debug(`Failed to send chat: ${error.message}`);
-    }
-}
-
-function followTargetPlayer() {
-    if (!botState.targetPlayer) {
-        botState.currentTask = 'exploring';
-        return;
-    }
-
-    const targetEntity = Object.values(bot.entities).find(entity =>
-        entity.username === botState.targetPlayer
-    );
-
-    if (targetEntity) {
-        const distance = bot.entity.position.distanceTo(targetEntity.position);
-
-        if (distance > 5) {
-            // Move towards the player
-            logger.debug(`Following ${botState.targetPlayer}, distance: ${distance.toFixed(1)}`);
-            bot.lookAt(targetEntity.position);
-            bot.setControlState('forward', true);
-
-            // Sprint if far away
-            if (distance > 8) {
-                bot.setControlState('sprint', true);
-            }
-
-            setTimeout(() => {
-                bot.setControlState('forward', false);
-                bot.setControlState('sprint', false);
-            }, 1500);
-        } else if (distance > 25) {
-            // Too far, stop following
-            sendIntelligentChat(`${botState.targetPlayer} you're too far away! come back if you need me`);
-            botState.currentTask = 'exploring';
-            botState.targetPlayer = null;
-        }
-    } else {
-        // Player not found
-        botState.currentTask = 'exploring';
-        botState.targetPlayer = null;
-    }
-}
-
-function seekFood() {
-    // Look for food in inventory first
-    const food = bot.inventory.items().find(item =>
-        item.name.includes('bread') ||
-        item.name.includes('apple') ||
-        item.name.includes('carrot') ||
-        item.name.includes('potato') ||
-        item.name.includes('meat') ||
-        item.name.includes('fish')
-    );
-
-    if (food) {
-        try {
-            bot.equip(food, 'hand').then(() => {
-                bot.consume();
-                // Removed chat message to reduce spam
-                botState.currentTask = 'exploring';
-            });
-        } catch (error) {
-            logger.debug(`Failed to eat food: ${error.message}`);
-        }
-    } else {
-        // Look for food sources
-        intelligentMovement();
-        // Removed chat spam about looking for food
-    }
-}
-
-function manageInventory() {
-    if (!bot) return;
-
-    const inventory = bot.inventory.items();
-    logger.debug(`Inventory: ${inventory.length} items`);
-
-    // Drop useless items if inventory is full
-    if (inventory.length > 30) {
-        const uselessItems = inventory.filter(item =>
-            item.name.includes('dirt') ||
-            item.name.includes('cobblestone') && inventory.filter(i => i.name === item.name).length > 32
-        );
-
-        if (uselessItems.length > 0) {
-            try {
-                bot.toss(uselessItems[0].type, null, uselessItems[0].count);
-                logger.debug(`Dropped ${uselessItems[0].name}`);
-            } catch (error) {
-                logger.debug(`Failed to drop item: ${error.message}`);
-            }
-        }
-    }
-}
-
-function scheduleReconnect() {
-    // Prevent duplicate reconnection calls
-    if (isReconnecting) {
-        logger.debug('Already reconnecting, skipping duplicate call');
-        return;
-    }
-
-    if (reconnectAttempts >= maxReconnectAttempts) {
-        logger.error(`💀 Max reconnection attempts (${maxReconnectAttempts}) reached. Exiting.`);
-        console.log('\n❌ AI Bot failed to maintain connection.');
-        process.exit(1);
-    }
-
-    isReconnecting = true;
-    reconnectAttempts++;
-
-    // Different delays for potential bans vs normal disconnections
-    let delay;
-    if (reconnectAttempts > 1) {
-        // After first reconnect, assume potential ban - use longer delays
-        delay = Math.min(120000, 30000 + (reconnectAttempts * 15000)); // 30s to 2min
-        logger.info(`🔄 Reconnecting with new username in ${delay / 1000}s (attempt ${reconnectAttempts}/${maxReconnectAttempts})`);
-    } else {
-        // First reconnect - quick retry
-        delay = 5000;
-        logger.info(`🔄 Quick reconnect in ${delay / 1000}s (attempt ${reconnectAttempts}/${maxReconnectAttempts})`);
-    }
-
-    setTimeout(() => {
-        try {
-            // Safely clean up old bot instance
-            if (bot) {
-                try {
-                    if (typeof bot.quit === 'function') {
-                        bot.quit();
-                    } else if (typeof bot.end === 'function') {
-                        bot.end();
-                    }
-                } catch (cleanupErr) {
-                    logger.debug(`Bot cleanup skipped: ${cleanupErr.message}`);
-                }
-                bot = null;
-            }
-            isReconnecting = false; // Reset flag before creating new bot
-            createBot();
-        } catch (error) {
-            isReconnecting = false; // Reset flag on error too
-            logger.error(`Error during reconnection: ${error.message}`);
-            // Still try to reconnect after a delay
-            setTimeout(() => {
-                if (!isReconnecting) {
-                    scheduleReconnect();
-                }
-            }, 5000);
-        }
-    }, delay);
-}
-
-// Handle process termination gracefully
-process.on('SIGINT', () => {
-    console.log('\n');
-    logger.info('🛑 Shutting down AI bot...');
-    console.log('AI Bot shutting down gracefully...');
-
-    if (bot && typeof bot.quit === 'function') {
-        bot.quit();
-    }
-
-    setTimeout(() => {
-        console.log('✅ AI Bot shutdown complete. Goodbye!');
-        process.exit(0);
-    }, 1000);
-});
-
-process.on('SIGTERM', () => {
-    logger.info('🛑 Received SIGTERM, shutting down gracefully...');
-    if (bot && typeof bot.quit === 'function') {
-        bot.quit();
-    }
-    process.exit(0);
-});
-
-// Start the AI bot
-console.log('🚀 Starting AI bot...');
-createBot();
\ No newline at end of file
+// Kept for existing scripts: starts bootstrap.js with the "ai" profile
+require('./bootstrap').run({ defaultProfile: 'ai' });
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Bootstrap
+ * Single entry point for every bot setup. The features come from a profile
+ * in config.profiles, picked with --profile <name>, BOT_PROFILE or
+ * config.defaultProfile.
+ *
+ * Usage: node bootstrap.js [host] [port] [username] [--profile <name>]
+ */
+
+const config = require('./config');
+const logger = require('./utils/logger');
+const BotRuntime = require('./runtime/botRuntime');
+const { resolveProfile } = require('./runtime/profiles');
+
+/**
+ * Split command line arguments into positional values and --profile
+ * @returns {object} - { positional, profile }
+ */
+function parseArgs(argv) {
+    const positional = [];
+    let profile = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--profile') {
+            profile = argv[++i] || null;
+        } else if (arg.startsWith('--profile=')) {
+            profile = arg.slice('--profile='.length);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { positional, profile };
+}
+
+function printUsage() {
+    console.log('Usage: node bootstrap.js [host] [port] [username] [--profile <name>]');
+    console.log('\nProfiles (config.profiles):');
+    for (const [name, profile] of Object.entries(config.profiles || {})) {
+        console.log(`  ${name.padEnd(8)} ${profile.description || ''}`);
+    }
+    console.log('\nEnvironment Variables:');
+    console.log('  BOT_PROFILE        - Profile name (default: config.defaultProfile)');
+    console.log('  MINECRAFT_HOST     - Server host');
+    console.log('  MINECRAFT_PORT     - Server port');
+    console.log('  MINECRAFT_USERNAME - Bot username');
+}
+
+/**
+ * Start a bot from the command line and environment
+ * @param {object} options - { defaultProfile } used when neither --profile nor BOT_PROFILE is set
+ * @returns {BotRuntime}
+ */
+function run(options = {}) {
+    const argv = process.argv.slice(2);
+    if (argv.includes('--help') || argv.includes('-h')) {
+        printUsage();
+        process.exit(0);
+    }
+
+    const { positional, profile: profileArg } = parseArgs(argv);
+    const profileName = profileArg || process.env.BOT_PROFILE || options.defaultProfile || config.defaultProfile;
+
+    let profile;
+    try {
+        profile = resolveProfile(profileName);
+    } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+    }
+
+    const host = positional[0] || process.env.MINECRAFT_HOST || config.defaultServer.host;
+    const port = parseInt(positional[1]) || parseInt(process.env.MINECRAFT_PORT) || config.defaultServer.port;
+    const username = positional[2] || process.env.MINECRAFT_USERNAME || config.bot.username;
+
+    if (isNaN(port) || port < 1 || port > 65535) {
+        logger.error('Invalid port number');
+        process.exit(1);
+    }
+    if (!username || username.length < 3 || username.length > 16) {
+        logger.error('Username must be between 3 and 16 characters');
+        process.exit(1);
+    }
+
+    console.log('='.repeat(60));
+    console.log(`🤖 Minecraft 24/7 Bot - ${profile.description || profile.name}`);
+    console.log('='.repeat(60));
+    console.log(`🎯 Target Server: ${host}:${port}`);
+    console.log(`👤 Bot Username: ${username}`);
+    console.log(`🧩 Profile: ${profile.name}`);
+    console.log('');
+
+    const runtime = new BotRuntime({ host, port, username, profile });
+
+    // Handle process termination gracefully
+    const shutdown = async (signal) => {
+        logger.info(`🛑 Received ${signal}, shutting down gracefully...`);
+        await runtime.shutdown();
+        setTimeout(() => process.exit(0), 1000);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    runtime.start();
+    return runtime;
+}
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = {
+    run,
+    parseArgs
+};
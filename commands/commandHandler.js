@@ -1,25 +1,38 @@
 /**
  * Command Handler for Bot Commands
  * Routes parsed commands to appropriate ability modules
+ * Emits 'taskStart' and 'taskFinish' for ability tasks and 'reply' for chat replies
+ * (used by the web dashboard)
  */
 
+const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const HomeManager = require('../abilities/homeManager');
+const PermissionManager = require('./permissionManager');
 
-class CommandHandler {
-    constructor(bot) {
+class CommandHandler extends EventEmitter {
+    /**
+     * @param {object} options - { permissionsPath } where roles are saved (default data/permissions.json)
+     */
+    constructor(bot, options = {}) {
+        super();
         this.bot = bot;
         this.abilities = {};
         this.currentTask = null;
         this.taskQueue = [];
         this.isExecuting = false;
 
-        // Initialize HomeManager
-        // Note: Pathfinder is passed when abilities are registered in ai-bot.js, 
-        // but we can also instantiate it here if needed, though typically 
-        // initialization happens in ai-bot.js. 
-        // For now, we'll wait for ai-bot.js to register it properly, 
-        // OR we can lazy-load it if we have access to pathfinder.
+        // Role-based access to commands (owner / trusted / guest)
+        this.permissions = new PermissionManager({ permissionsPath: options.permissionsPath });
+
+        // TaskManager persists the running task and the queue (set from runtime/commandSystem.js)
+        this.taskManager = null;
+
+        // Runtime state of the bot this handler belongs to (randomBehaviorsEnabled, ...)
+        this.botState = null;
+
+        // Abilities, including HomeManager, are created with the pathfinder and
+        // registered by runtime/commandSystem.js once the bot has spawned
     }
 
     /**
@@ -32,6 +45,20 @@ class CommandHandler {
         logger.info(`Registered ability: ${action}`);
     }
 
+    /**
+     * Set the task manager used for the queue and for saving task progress
+     */
+    setTaskManager(taskManager) {
+        this.taskManager = taskManager;
+    }
+
+    /**
+     * Set the runtime state toggled by the start/stop random commands
+     */
+    setBotState(botState) {
+        this.botState = botState;
+    }
+
     /**
      * Execute a parsed command
      * @param {object} command - Parsed command from CommandParser
@@ -39,6 +66,15 @@ class CommandHandler {
     async execute(command) {
         if (!command.valid) {
             this.sendChat(command.error);
+            this.rejectTask(command, command.error);
+            return;
+        }
+
+        const permission = this.permissions.check(command);
+        if (!permission.allowed) {
+            logger.warn(`Permission denied: ${command.username} (${permission.role}) tried '${permission.keyword}' (requires ${permission.required})`);
+            this.sendChat(`${command.username}, you don't have permission for '${permission.keyword}' (requires ${permission.required}, you are ${permission.role})`);
+            this.rejectTask(command, `Permission denied for '${permission.keyword}'`);
             return;
         }
 
@@ -70,6 +106,18 @@ class CommandHandler {
                 case 'location':
                     await this.handleLocation(command);
                     break;
+                case 'trust':
+                    this.sendChat(this.permissions.trust(command.target));
+                    break;
+                case 'untrust':
+                    this.sendChat(this.permissions.untrust(command.target));
+                    break;
+                case 'perms':
+                    await this.handlePerms(command);
+                    break;
+                case 'queue':
+                    await this.handleQueue(command);
+                    break;
                 case 'show_inventory':
                     await this.handleShowInventory(command);
                     break;
@@ -96,14 +144,6 @@ class CommandHandler {
                         this.sendChat('Navigation ability not initialized');
                     }
                     break;
-                case 'follow':
-                    const followNav = this.abilities['come'];
-                    if (followNav) {
-                        await followNav.follow(command.target);
-                    } else {
-                        this.sendChat('Navigation ability not initialized');
-                    }
-                    break;
                 case 'drop':
                     await this.handleDrop(command);
                     break;
@@ -117,6 +157,15 @@ class CommandHandler {
                         this.sendChat('Home ability not initialized');
                     }
                     break;
+                case 'waypoint':
+                    // Adding, listing and removing waypoints doesn't interrupt the current task
+                    const waypoints = this.abilities['waypoint'];
+                    if (waypoints) {
+                        await waypoints.execute(command);
+                    } else {
+                        this.sendChat('Waypoint ability not initialized');
+                    }
+                    break;
                 case 'sort':
                     // Route to sort ability (homeManager handles sort)
                     const sortAbility = this.abilities['sort'];
@@ -194,14 +243,34 @@ class CommandHandler {
                     if (buildAbility) {
                         if (command.target === 'list') {
                             const builds = buildAbility.getAvailableBuilds();
-                            this.sendChat('Available builds: ' + builds.map(b => b.id).join(', '));
+                            this.sendChat('Available builds: ' + builds.map(b => b.source === 'builtin' ? b.id : `${b.id} (${b.source})`).join(', '));
                         } else {
-                            await buildAbility.execute(command);
+                            // Track as a task so builds can be stopped and resumed
+                            await this.executeAbility(command);
                         }
                     } else {
                         this.sendChat('Building ability not initialized');
                     }
                     break;
+                case 'team':
+                    const teamwork = this.abilities['team'];
+                    if (!teamwork) {
+                        this.sendChat('Team ability not initialized');
+                    } else if (command.team) {
+                        // Chest step of a team job, queued by the coordinator
+                        await this.executeAbility(command);
+                    } else {
+                        await teamwork.handleCommand(command);
+                    }
+                    break;
+                case 'plan':
+                    if (this.abilities['make']) {
+                        // Preview only, so it runs beside the current task
+                        await this.abilities['make'].previewPlan(command);
+                    } else {
+                        this.sendChat('Crafting ability not initialized');
+                    }
+                    break;
                 case 'find':
                     const findAbility = this.abilities['find'];
                     if (findAbility) {
@@ -220,6 +289,7 @@ class CommandHandler {
                         await this.executeAbility(command);
                     } else {
                         this.sendChat('Mining ability not initialized');
+                        this.rejectTask(command, 'Mining ability not initialized');
                     }
                     break;
                 default:
@@ -228,6 +298,7 @@ class CommandHandler {
         } catch (error) {
             logger.error(`Command execution error: ${error.message}`);
             this.sendChat(`Error: ${error.message}`);
+            this.rejectTask(command, error.message);
         }
     }
 
@@ -239,6 +310,7 @@ class CommandHandler {
 
         if (!ability) {
             this.sendChat(`Ability not available: ${command.action}`);
+            this.rejectTask(command, `Ability not available: ${command.action}`);
             return;
         }
 
@@ -247,27 +319,147 @@ class CommandHandler {
             await this.stopCurrentTask();
         }
 
-        this.currentTask = {
+        const task = {
+            id: command.id || null,
             action: command.action,
             target: command.target,
             count: command.count,
             username: command.username,
             startTime: Date.now(),
-            status: 'running'
+            status: 'running',
+            progress: command.progress || null,
+            team: command.team || null
         };
+        this.currentTask = task;
 
         this.isExecuting = true;
         this.sendChat(`Starting: ${command.action} ${typeof command.target === 'object' ? JSON.stringify(command.target) : command.target}`);
 
+        // Persist the task and poll its progress so it can resume after a reconnect
+        if (this.taskManager) {
+            this.taskManager.setActiveTask(command);
+        }
+        const progressTimer = setInterval(() => this.saveTaskProgress(ability, task), 5000);
+        this.emit('taskStart', task);
+
         try {
             await ability.execute(command);
+            if (task.status === 'running') task.status = 'completed';
             this.sendChat(`Completed: ${command.action}`);
         } catch (error) {
             logger.error(`Ability execution error: ${error.message}`);
+            task.status = 'failed';
+            task.error = error.message;
             this.sendChat(`Failed: ${error.message}`);
         } finally {
-            this.currentTask = null;
-            this.isExecuting = false;
+            clearInterval(progressTimer);
+            this.emit('taskFinish', { ...task, duration: Date.now() - task.startTime });
+
+            // A newer command may already have replaced this task
+            if (this.currentTask === task) {
+                this.currentTask = null;
+                this.isExecuting = false;
+                if (this.taskManager) {
+                    this.taskManager.clearActiveTask();
+                }
+            }
+        }
+    }
+
+    /**
+     * Emit a failed 'taskFinish' for a command that ends before its task starts,
+     * so a team part queued as this command is marked failed instead of waiting forever
+     */
+    rejectTask(command, error) {
+        this.emit('taskFinish', {
+            id: command.id || null,
+            action: command.action,
+            target: command.target,
+            count: command.count,
+            username: command.username,
+            startTime: Date.now(),
+            status: 'failed',
+            error: error || 'Command rejected',
+            team: command.team || null,
+            duration: 0
+        });
+    }
+
+    /**
+     * Save progress reported by an ability (e.g. blocks mined, layers placed)
+     */
+    saveTaskProgress(ability, task) {
+        if (this.currentTask !== task || typeof ability.getProgress !== 'function') return;
+
+        const progress = ability.getProgress();
+        if (!progress) return;
+
+        task.progress = progress;
+        if (this.taskManager) {
+            this.taskManager.updateProgress(progress);
+        }
+        this.emit('taskProgress', task);
+    }
+
+    /**
+     * Handle queue command - list, add, reorder and cancel pending tasks
+     */
+    async handleQueue(command) {
+        if (!this.taskManager) {
+            this.sendChat('Task queue not available');
+            return;
+        }
+
+        const describe = (task) => `${task.action} ${typeof task.target === 'object' ? JSON.stringify(task.target) : (task.target || '')}${task.count ? ` x${task.count}` : ''} (${task.username})`;
+
+        switch (command.subAction) {
+            case 'add': {
+                // Tasks queued from the dashboard keep the dashboard role
+                if (command.source) {
+                    command.task.source = command.source;
+                    command.task.role = command.role;
+                }
+                const permission = this.permissions.check(command.task);
+                if (!permission.allowed) {
+                    logger.warn(`Permission denied: ${command.username} (${permission.role}) tried to queue '${permission.keyword}' (requires ${permission.required})`);
+                    this.sendChat(`${command.username}, you don't have permission for '${permission.keyword}' (requires ${permission.required}, you are ${permission.role})`);
+                    return;
+                }
+                this.taskManager.addTask(command.task);
+                this.sendChat(`Queued #${this.taskManager.getQueue().length}: ${describe(command.task)}`);
+                break;
+            }
+            case 'cancel': {
+                const removed = this.taskManager.removeTask(command.position);
+                this.sendChat(removed ? `Cancelled: ${describe(removed)}` : `No task at position ${command.position}`);
+                break;
+            }
+            case 'move': {
+                const moved = this.taskManager.moveTask(command.position, command.newPosition);
+                this.sendChat(moved ? `Moved ${describe(moved)} to position ${Math.min(command.newPosition, this.taskManager.getQueue().length)}` : `No task at position ${command.position}`);
+                break;
+            }
+            case 'clear': {
+                const count = this.taskManager.clearQueue();
+                this.sendChat(`Cleared ${count} queued task(s)`);
+                break;
+            }
+            default: {
+                const queue = this.taskManager.getQueue();
+                if (this.currentTask) {
+                    this.sendChat(`Running: ${describe(this.currentTask)}`);
+                    await this.delay(500);
+                }
+                if (queue.length === 0) {
+                    this.sendChat('Task queue is empty');
+                    return;
+                }
+                const lines = queue.map((task, i) => `${i + 1}. ${describe(task)}`);
+                for (let i = 0; i < lines.length; i += 4) {
+                    this.sendChat(lines.slice(i, i + 4).join(' | '));
+                    await this.delay(500);
+                }
+            }
         }
     }
 
@@ -287,9 +479,8 @@ class CommandHandler {
      * Handle stop random command - disables random AI behaviors
      */
     async handleStopRandom(command) {
-        // Access global botState to disable random behaviors
-        if (global.botState) {
-            global.botState.randomBehaviorsEnabled = false;
+        if (this.botState) {
+            this.botState.randomBehaviorsEnabled = false;
             this.sendChat('Random behaviors disabled (moving, jumping, chatting)');
             logger.info('Random AI behaviors disabled by command');
         } else {
@@ -301,9 +492,8 @@ class CommandHandler {
      * Handle start random command - enables random AI behaviors
      */
     async handleStartRandom(command) {
-        // Access global botState to enable random behaviors
-        if (global.botState) {
-            global.botState.randomBehaviorsEnabled = true;
+        if (this.botState) {
+            this.botState.randomBehaviorsEnabled = true;
             this.sendChat('Random behaviors enabled');
             logger.info('Random AI behaviors enabled by command');
         } else {
@@ -371,6 +561,9 @@ class CommandHandler {
      * Stop the currently running task
      */
     async stopCurrentTask() {
+        if (this.currentTask) {
+            this.currentTask.status = 'stopped';
+        }
         if (this.currentTask && this.abilities[this.currentTask.action]) {
             try {
                 await this.abilities[this.currentTask.action].stop();
@@ -380,6 +573,9 @@ class CommandHandler {
         }
         this.currentTask = null;
         this.isExecuting = false;
+        if (this.taskManager) {
+            this.taskManager.clearActiveTask();
+        }
 
         // Stop all bot movement
         this.bot.setControlState('forward', false);
@@ -480,6 +676,21 @@ class CommandHandler {
         this.sendChat(`My location: X:${x} Y:${y} Z:${z}`);
     }
 
+    /**
+     * Handle perms command - show a player's role or list all roles
+     */
+    async handlePerms(command) {
+        if (command.target) {
+            this.sendChat(`${command.target} is ${this.permissions.getRole(command.target)}`);
+            return;
+        }
+
+        const roles = this.permissions.listRoles();
+        this.sendChat(`You are ${this.permissions.getRole(command.username)}`);
+        await this.delay(500);
+        this.sendChat(`Owners: ${roles.owners.join(', ') || 'none'} | Trusted: ${roles.trusted.join(', ') || 'none'}`);
+    }
+
     /**
      * Handle show inventory command - list items in bot's inventory
      */
@@ -534,7 +745,7 @@ class CommandHandler {
      */
     async handleHelp(command) {
         const helpLines = [
-            'Commands: mine, kill, come, go, make, find, start farm, stop farm, stop, status',
+            'Commands: mine, tunnel, ores, waypoint, goto, kill, come, go, make, plan, smelt, trim, enchant, repair, find, start farm, stop farm, team, stop, status, perms',
             'Example: -bot mine iron_ore | -bot come | -bot find village | -bot drop dirt 32'
         ];
 
@@ -548,6 +759,7 @@ class CommandHandler {
      * Send a chat message from the bot
      */
     sendChat(message) {
+        this.emit('reply', message);
         try {
             this.bot.chat(message);
             logger.info(`Bot: ${message}`);
@@ -4,11 +4,19 @@
  */
 
 const logger = require('../utils/logger');
+const { resolveDimension } = require('../utils/dimensions');
+
+// Where -bot follow keeps the bot relative to the player ('any' is just within distance)
+const FOLLOW_FORMATIONS = ['any', 'behind', 'left', 'right'];
+const FOLLOW_OPTIONS = [...FOLLOW_FORMATIONS, 'guard'];
+
+// Ways to travel -bot go can ask for instead of letting the travel planner pick
+const TRAVEL_MODES = ['walk', 'elytra'];
 
 class CommandParser {
     constructor() {
         this.prefix = '-bot';
-        this.validActions = ['mine', 'kill', 'come', 'go', 'make', 'drop', 'stop', 'start', 'status', 'help', 'sethome', 'home', 'mine_all', 'collect', 'sort', 'equip', 'set', 'enable', 'disable', 'follow', 'location', 'loc', 'pos', 'where', 'inventory', 'inv', 'nether', 'sleep', 'build', 'find', 'cobblestone'];
+        this.validActions = ['mine', 'kill', 'come', 'go', 'make', 'drop', 'stop', 'start', 'status', 'help', 'sethome', 'home', 'mine_all', 'collect', 'sort', 'equip', 'set', 'enable', 'disable', 'follow', 'location', 'loc', 'pos', 'where', 'inventory', 'inv', 'nether', 'sleep', 'build', 'find', 'cobblestone', 'trust', 'untrust', 'perms', 'queue', 'smelt', 'team', 'plan', 'trim', 'enchant', 'repair', 'disenchant', 'tunnel', 'ores', 'waypoint', 'wp', 'goto'];
     }
 
     /**
@@ -50,7 +58,11 @@ class CommandParser {
         }
 
         // Parse based on action type
-        return this.parseAction(action, args, username, message);
+        const command = this.parseAction(action, args, username, message);
+
+        // Keep the typed keyword so permissions can be checked per command
+        command.keyword = action;
+        return command;
     }
 
     /**
@@ -68,6 +80,30 @@ class CommandParser {
                 return this.parseGoCommand(args, username);
             case 'make':
                 return this.parseMakeCommand(args, username);
+            case 'smelt':
+                return this.parseSmeltCommand(args, username);
+            case 'plan':
+                return this.parsePlanCommand(args, username);
+            case 'trim':
+                return this.parseTrimCommand(args, username);
+            case 'enchant':
+                return this.parseEnchantCommand(args, username);
+            case 'repair':
+                return this.parseRepairCommand(args, username, originalMessage);
+            case 'disenchant':
+                return this.parseDisenchantCommand(args, username);
+            case 'tunnel':
+                return this.parseTunnelCommand(args, username);
+            case 'ores':
+                return this.parseOresCommand(args, username);
+            case 'waypoint':
+            case 'wp':
+                return this.parseWaypointCommand(args, username);
+            case 'goto':
+                if (args.length === 0) {
+                    return { valid: false, error: 'Usage: -bot goto <waypoint|tag>. Example: -bot goto storage', username };
+                }
+                return { valid: true, action: 'goto', target: args[0], username };
             case 'drop':
                 return this.parseDropCommand(args, username);
             case 'sort':
@@ -90,6 +126,15 @@ class CommandParser {
                 return this.parseBuildCommand(args, username);
             case 'find':
                 return this.parseFindCommand(args, username);
+            case 'trust':
+            case 'untrust':
+                return this.parseTrustCommand(action, args, username);
+            case 'perms':
+                return { valid: true, action: 'perms', target: args[0] || null, username };
+            case 'queue':
+                return this.parseQueueCommand(args, username);
+            case 'team':
+                return this.parseTeamCommand(args, username);
             case 'sethome':
                 return { valid: true, action: 'sethome', username };
             case 'home':
@@ -112,7 +157,7 @@ class CommandParser {
             case 'inv':
                 return { valid: true, action: 'show_inventory', username };
             case 'nether':
-                return { valid: true, action: 'nether', username };
+                return this.parseNetherCommand(args, username);
             case 'sleep':
                 return { valid: true, action: 'sleep', username };
             case 'cobblestone':
@@ -217,7 +262,7 @@ class CommandParser {
     }
 
     /**
-     * Parse mine command: -bot mine <block_type> [count]
+     * Parse mine command: -bot mine <block_type> [count] [vein]
      */
     parseMineCommand(args, username) {
         if (args.length === 0) {
@@ -228,14 +273,19 @@ class CommandParser {
             };
         }
 
+        // "vein" anywhere after the block mines whole ore veins: -bot mine iron_ore 32 vein
+        const vein = args.slice(1).includes('vein');
+        const rest = args.slice(1).filter(arg => arg !== 'vein');
+
         const blockType = args[0].replace(/-/g, '_');
-        const count = args.length > 1 ? parseInt(args[1]) || 64 : 64;
+        const count = rest.length > 0 ? parseInt(rest[0]) || 64 : 64;
 
         return {
             valid: true,
             action: 'mine',
             target: blockType,
             count: Math.min(count, 256), // Cap at 256
+            vein,
             username
         };
     }
@@ -329,30 +379,52 @@ class CommandParser {
     }
 
     /**
-     * Parse follow command: -bot follow [player]
+     * Parse follow command: -bot follow [player|me] [distance] [behind|left|right] [guard]
      */
     parseFollowCommand(args, username) {
         let target = username; // Default to sender ("me")
+        let rest = args;
 
-        if (args.length > 0) {
-            const arg = args[0].toLowerCase();
-            if (arg !== 'me') {
+        // First word is the player unless it is one of the options
+        if (args.length > 0 && !/^\d+(\.\d+)?$/.test(args[0]) && !FOLLOW_OPTIONS.includes(args[0].toLowerCase())) {
+            if (args[0].toLowerCase() !== 'me') {
                 target = args[0]; // Specific player
             }
+            rest = args.slice(1);
         }
 
-        return {
+        const command = {
             valid: true,
             action: 'follow',
             target: target,
             username
         };
+
+        for (const arg of rest.map(a => a.toLowerCase())) {
+            if (/^\d+(\.\d+)?$/.test(arg)) {
+                command.distance = Math.min(Math.max(parseFloat(arg), 1), 16);
+            } else if (arg === 'guard') {
+                command.guard = true;
+            } else if (FOLLOW_FORMATIONS.includes(arg)) {
+                command.formation = arg;
+            } else {
+                return {
+                    valid: false,
+                    error: 'Usage: -bot follow [player] [distance] [behind|left|right] [guard]',
+                    username
+                };
+            }
+        }
+
+        return command;
     }
 
     /**
      * Parse build command: -bot build <type> [gather|creative]
-     * Types: small_house, survival_house, modern_house, vintage_house, large_house, farm, xp_farm, tiny_shelter, watchtower
+     * Types: small_house, survival_house, modern_house, vintage_house, large_house, farm, xp_farm, tiny_shelter, watchtower,
+     *        plus any blueprint file in blueprints/ (.schem, .litematic, .nbt) by file name
      * Custom sizes: -bot build 15x20 [creative] - builds a custom house of any size up to 50x50
+     * Resume: -bot build resume - finish the last unfinished build at its saved origin
      * Options: gather (mine materials), creative (use /give commands)
      */
     parseBuildCommand(args, username) {
@@ -409,13 +481,12 @@ class CommandParser {
             };
         }
 
-        // Valid build types
-        const validTypes = ['small_house', 'survival_house', 'modern_house', 'modern_mansion', 'vintage_house', 'expanded_house', 'large_house', 'farm', 'xp_farm', 'tiny_shelter', 'watchtower', 'reinforced_outpost', 'list'];
-
-        if (!validTypes.includes(buildType)) {
+        // Build types come from built-in blueprints and files in blueprints/,
+        // so only the name format is checked here; BuildingAbility reports unknown types
+        if (!/^[a-z0-9_]+$/.test(buildType)) {
             return {
                 valid: false,
-                error: `Unknown build type: ${buildType}. Available: ${validTypes.join(', ')}, or use custom size like 15x20 (5-50 range)`,
+                error: `Invalid build type: ${buildType}. Use -bot build list, or a custom size like 15x20 (5-50 range)`,
                 username
             };
         }
@@ -454,6 +525,124 @@ class CommandParser {
         };
     }
 
+    /**
+     * Parse queue command: -bot queue [list|add <command>|cancel <n>|move <n> <pos>|clear]
+     */
+    parseQueueCommand(args, username) {
+        const subAction = args[0] || 'list';
+
+        if (subAction === 'list' || subAction === 'clear') {
+            return { valid: true, action: 'queue', subAction, username };
+        }
+
+        if (subAction === 'add') {
+            const task = this.parse(`${this.prefix} ${args.slice(1).join(' ')}`, username);
+            if (!task.valid) {
+                return task;
+            }
+            if (['queue', 'stop', 'stop_random', 'stop_farm'].includes(task.action)) {
+                return {
+                    valid: false,
+                    error: `Cannot queue '${task.keyword}'`,
+                    username
+                };
+            }
+            return { valid: true, action: 'queue', subAction, task, username };
+        }
+
+        if (subAction === 'cancel' || subAction === 'remove') {
+            const position = parseInt(args[1]);
+            if (isNaN(position)) {
+                return {
+                    valid: false,
+                    error: 'Specify a queue position. Example: -bot queue cancel 2',
+                    username
+                };
+            }
+            return { valid: true, action: 'queue', subAction: 'cancel', position, username };
+        }
+
+        if (subAction === 'move') {
+            const position = parseInt(args[1]);
+            const newPosition = parseInt(args[2]);
+            if (isNaN(position) || isNaN(newPosition)) {
+                return {
+                    valid: false,
+                    error: 'Specify positions. Example: -bot queue move 3 1',
+                    username
+                };
+            }
+            return { valid: true, action: 'queue', subAction, position, newPosition, username };
+        }
+
+        return {
+            valid: false,
+            error: 'Use: -bot queue [list|add <command>|cancel <n>|move <n> <pos>|clear]',
+            username
+        };
+    }
+
+    /**
+     * Parse team command: -bot team [status|stop [job]|make <item> [count]|farm|build <type> [gather|creative]]
+     * Splits the job between every bot in the world (see TeamCoordinator)
+     */
+    parseTeamCommand(args, username) {
+        const subAction = args[0] || 'status';
+
+        if (subAction === 'status') {
+            return { valid: true, action: 'team', subAction, username };
+        }
+
+        if (subAction === 'stop') {
+            return { valid: true, action: 'team', subAction, target: args[1] || null, username };
+        }
+
+        if (subAction === 'farm') {
+            return { valid: true, action: 'team', subAction, task: { valid: true, action: 'farm', keyword: 'farm', username }, username };
+        }
+
+        if (subAction === 'make' || subAction === 'build') {
+            const task = this.parse(`${this.prefix} ${args.join(' ')}`, username);
+            if (!task.valid) {
+                return task;
+            }
+            if (task.action === 'build' && (task.target === 'list' || task.target === 'resume')) {
+                return {
+                    valid: false,
+                    error: 'Specify what to build. Example: -bot team build small_house creative',
+                    username
+                };
+            }
+            return { valid: true, action: 'team', subAction, task, username };
+        }
+
+        return {
+            valid: false,
+            error: 'Use: -bot team [status|stop|make <item> [count]|farm|build <type> [gather|creative]]',
+            username
+        };
+    }
+
+    /**
+     * Parse trust command: -bot trust <player> / -bot untrust <player>
+     */
+    parseTrustCommand(action, args, username) {
+        if (args.length === 0) {
+            return {
+                valid: false,
+                error: `Specify a player. Example: -bot ${action} Steve`,
+                username
+            };
+        }
+
+        return {
+            valid: true,
+            action: action,
+            target: args[0],
+            username
+        };
+    }
+
     parseDisableCommand(args, username) {
         if (args.length === 0) {
             return {
@@ -525,7 +714,7 @@ class CommandParser {
     }
 
     /**
-     * Parse go command: -bot go <x> <y> <z>
+     * Parse go command: -bot go <x> <y> <z> [overworld|nether|end] [walk|elytra]
      */
     parseGoCommand(args, username) {
         if (args.length < 3) {
@@ -548,10 +737,29 @@ class CommandParser {
             };
         }
 
+        // Optional dimension (the travel planner takes a portal to get there) and travel mode
+        const target = { x, y, z };
+        for (const arg of args.slice(3)) {
+            if (TRAVEL_MODES.includes(arg)) {
+                target.mode = arg;
+                continue;
+            }
+
+            const dimension = resolveDimension(arg);
+            if (!dimension) {
+                return {
+                    valid: false,
+                    error: `Unknown dimension or travel mode ${arg}. Use overworld, nether, end or ${TRAVEL_MODES.join(', ')}.`,
+                    username
+                };
+            }
+            target.dimension = dimension;
+        }
+
         return {
             valid: true,
             action: 'go',
-            target: { x, y, z },
+            target,
             username
         };
     }
@@ -580,6 +788,302 @@ class CommandParser {
         };
     }
 
+    /**
+     * Parse plan command: -bot plan <item> [count]
+     * Same arguments as make; only shows the steps
+     */
+    parsePlanCommand(args, username) {
+        if (args.length === 0) {
+            return {
+                valid: false,
+                error: 'Specify what to plan. Example: -bot plan iron_pickaxe',
+                username
+            };
+        }
+
+        return { ...this.parseMakeCommand(args, username), action: 'plan' };
+    }
+
+    /**
+     * Parse smelt command: -bot smelt <item> [count]
+     */
+    parseSmeltCommand(args, username) {
+        if (args.length === 0) {
+            return {
+                valid: false,
+                error: 'Specify what to smelt. Example: -bot smelt raw_iron 16',
+                username
+            };
+        }
+
+        const itemName = args[0].replace(/-/g, '_');
+        const count = args.length > 1 ? parseInt(args[1]) || 1 : 1;
+
+        return {
+            valid: true,
+            action: 'smelt',
+            target: itemName,
+            count: Math.min(count, 256), // Cap at 256
+            username
+        };
+    }
+
+    /**
+     * Parse trim command: -bot trim <armor> <pattern> <material>
+     */
+    parseTrimCommand(args, username) {
+        if (args.length < 3) {
+            return {
+                valid: false,
+                error: 'Usage: -bot trim <armor> <pattern> <material>. Example: -bot trim diamond_chestplate coast gold',
+                username
+            };
+        }
+
+        return {
+            valid: true,
+            action: 'trim',
+            target: args[0].replace(/-/g, '_'),
+            pattern: args[1].replace(/-/g, '_'),
+            material: args[2].replace(/-/g, '_'),
+            count: 1,
+            username
+        };
+    }
+
+    /**
+     * Parse enchant command: -bot enchant <item> [1|2|3]
+     */
+    parseEnchantCommand(args, username) {
+        if (args.length === 0) {
+            return {
+                valid: false,
+                error: 'Specify what to enchant. Example: -bot enchant diamond_pickaxe 3',
+                username
+            };
+        }
+
+        const option = args.length > 1 ? parseInt(args[1]) : null;
+        if (option !== null && ![1, 2, 3].includes(option)) {
+            return {
+                valid: false,
+                error: 'The enchanting table has offers 1, 2 and 3',
+                username
+            };
+        }
+
+        return {
+            valid: true,
+            action: 'enchant',
+            target: args[0].replace(/-/g, '_'),
+            option,
+            username
+        };
+    }
+
+    /**
+     * Parse repair command: -bot repair <item> [with <item>] [name <new name>]
+     */
+    parseRepairCommand(args, username, originalMessage) {
+        if (args.length === 0) {
+            return {
+                valid: false,
+                error: 'Specify what to repair. Example: -bot repair diamond_pickaxe with enchanted_book',
+                username
+            };
+        }
+
+        const withIndex = args.indexOf('with');
+        const nameIndex = args.indexOf('name');
+
+        // Keep the new name as typed, the rest of the message is lowercased
+        let name = null;
+        if (nameIndex !== -1) {
+            const match = originalMessage.match(/\sname\s+(.+)$/i);
+            name = match ? match[1].trim() : null;
+            if (!name) {
+                return {
+                    valid: false,
+                    error: 'Specify the new name. Example: -bot repair diamond_sword name Slicer',
+                    username
+                };
+            }
+        }
+
+        const partner = withIndex !== -1 && withIndex + 1 < args.length && withIndex + 1 !== nameIndex
+            ? args[withIndex + 1].replace(/-/g, '_')
+            : null;
+
+        return {
+            valid: true,
+            action: 'repair',
+            target: args[0].replace(/-/g, '_'),
+            with: partner,
+            name,
+            username
+        };
+    }
+
+    /**
+     * Parse disenchant command: -bot disenchant <item>
+     */
+    parseDisenchantCommand(args, username) {
+        if (args.length === 0) {
+            return {
+                valid: false,
+                error: 'Specify what to disenchant. Example: -bot disenchant iron_sword',
+                username
+            };
+        }
+
+        return {
+            valid: true,
+            action: 'disenchant',
+            target: args[0].replace(/-/g, '_'),
+            username
+        };
+    }
+
+    /**
+     * Parse tunnel command:
+     * -bot tunnel branch [length] [every <n>] [side <n>] [torches <n>]
+     * -bot tunnel 3x3 [length] | stairs [y] | quarry [size] [y] | exit
+     */
+    parseTunnelCommand(args, username) {
+        const patterns = {
+            branch: 'branch', '3x3': '3x3', stairs: 'stairs', staircase: 'stairs',
+            quarry: 'quarry', spiral: 'quarry', exit: 'exit', out: 'exit'
+        };
+        const pattern = patterns[args[0]];
+        if (!pattern) {
+            return {
+                valid: false,
+                error: 'Usage: -bot tunnel <branch|3x3|stairs|quarry|exit>. Example: -bot tunnel stairs -58',
+                username
+            };
+        }
+
+        // Named options, then plain numbers in order
+        const options = {};
+        const numbers = [];
+        for (let i = 1; i < args.length; i++) {
+            if (['every', 'side', 'torches'].includes(args[i]) && i + 1 < args.length) {
+                options[args[i]] = parseInt(args[++i]);
+            } else if (!isNaN(parseInt(args[i]))) {
+                numbers.push(parseInt(args[i]));
+            }
+        }
+
+        const command = { valid: true, action: 'tunnel', pattern, username };
+        if (options.torches !== undefined && !isNaN(options.torches)) command.torchSpacing = options.torches;
+
+        switch (pattern) {
+            case 'branch':
+                if (numbers[0]) command.length = Math.min(numbers[0], 256);
+                if (options.every) command.spacing = options.every;
+                if (options.side) command.branchLength = Math.min(options.side, 64);
+                break;
+            case '3x3':
+                if (numbers[0]) command.length = Math.min(numbers[0], 256);
+                break;
+            case 'stairs':
+                if (numbers.length > 0) command.y = numbers[0];
+                break;
+            case 'quarry':
+                if (numbers[0]) command.size = numbers[0];
+                if (numbers.length > 1) command.y = numbers[1];
+                break;
+        }
+
+        return command;
+    }
+
+    /**
+     * Parse nether command:
+     * -bot nether (enter the nearest portal) / build / <x> [y] <z> (nether highway to overworld coordinates)
+     */
+    parseNetherCommand(args, username) {
+        if (args.length === 0) {
+            return { valid: true, action: 'nether', subAction: 'enter', username };
+        }
+        if (args[0] === 'build') {
+            return { valid: true, action: 'nether', subAction: 'build', username };
+        }
+
+        const coords = args.slice(0, 3).map(Number);
+        if ((args.length === 2 || args.length === 3) && coords.every(n => Number.isFinite(n))) {
+            const target = args.length === 2
+                ? { x: coords[0], y: null, z: coords[1] }
+                : { x: coords[0], y: coords[1], z: coords[2] };
+            return { valid: true, action: 'nether', subAction: 'travel', target, username };
+        }
+
+        return {
+            valid: false,
+            error: 'Usage: -bot nether | build | <x> [y] <z>. Example: -bot nether 4000 -1200',
+            username
+        };
+    }
+
+    /**
+     * Parse ores command: -bot ores near [ore] [radius]
+     */
+    parseOresCommand(args, username) {
+        const rest = args[0] === 'near' ? args.slice(1) : args;
+        const target = rest.find(arg => isNaN(parseInt(arg))) || null;
+        const radius = parseInt(rest.find(arg => !isNaN(parseInt(arg)))) || null;
+
+        return {
+            valid: true,
+            action: 'ores',
+            target: target ? target.replace(/-/g, '_') : null,
+            radius: radius ? Math.min(radius, 1024) : null,
+            username
+        };
+    }
+
+    /**
+     * Parse waypoint command:
+     * -bot waypoint add <name> [x y z] [tags...] / list [tag] / remove <name>
+     */
+    parseWaypointCommand(args, username) {
+        const subAction = { add: 'add', set: 'add', list: 'list', ls: 'list', remove: 'remove', rm: 'remove', delete: 'remove' }[args[0] || 'list'];
+        const usage = 'Usage: -bot waypoint add <name> [x y z] [tags...] | list [tag] | remove <name>';
+
+        if (!subAction) {
+            return { valid: false, error: usage, username };
+        }
+
+        if (subAction === 'list') {
+            return { valid: true, action: 'waypoint', subAction, tag: args[1] || null, username };
+        }
+
+        const name = args[1];
+        if (!name || !/^[a-z0-9_-]{1,32}$/.test(name)) {
+            return {
+                valid: false,
+                error: name ? 'Waypoint names are up to 32 letters, digits, _ or -' : usage,
+                username
+            };
+        }
+
+        if (subAction === 'remove') {
+            return { valid: true, action: 'waypoint', subAction, name, username };
+        }
+
+        // Optional coordinates, then tags (farm, storage, portal, bed...)
+        let rest = args.slice(2);
+        let position = null;
+        const coords = rest.slice(0, 3).map(Number);
+        if (rest.length >= 3 && coords.every(n => Number.isFinite(n))) {
+            position = { x: coords[0], y: coords[1], z: coords[2] };
+            rest = rest.slice(3);
+        }
+        const tags = rest.filter(tag => /^[a-z0-9_-]{1,32}$/.test(tag));
+
+        return { valid: true, action: 'waypoint', subAction, name, position, tags, username };
+    }
+
     /**
      * Parse drop command: -bot drop <item> [count]
      */
@@ -611,19 +1115,37 @@ class CommandParser {
         return [
             '=== Bot Commands ===',
             '-bot mine <block> [count] - Mine blocks (e.g., -bot mine iron_ore 32)',
+            '-bot mine <ore> [count] vein - Mine whole ore veins, nearest vein first',
+            '-bot tunnel <branch|3x3|stairs|quarry> - Dig a tunnel pattern (-bot tunnel exit to walk back out)',
+            '-bot ores near [ore] [radius] - List known ore deposits the bot has seen',
+            '-bot waypoint add <name> [x y z] [tags...] - Save a waypoint (tags: home, storage, farm, portal, bed)',
+            '-bot waypoint list [tag] / remove <name> - Show or delete waypoints',
+            '-bot goto <waypoint|tag> - Walk to a waypoint, or the nearest one with that tag',
             '-bot kill <mob> - Kill mobs (e.g., -bot kill zombie)',
             '-bot come [player] - Come to player (e.g., -bot come)',
-            '-bot go <x> <y> <z> - Go to coordinates',
+            '-bot follow [player] [distance] [behind|left|right] [guard] - Follow a player, fighting mobs that go for them with guard',
+            '-bot go <x> <y> <z> [nether] [walk|elytra] - Go to coordinates, far away or in the other dimension',
             '-bot make <item> [count] - Craft item (e.g., -bot make diamond_pickaxe)',
+            '-bot smelt <item> [count] - Smelt in a furnace (e.g., -bot smelt raw_iron 16)',
+            '-bot trim <armor> <pattern> <material> - Armor trim at a smithing table (e.g., -bot trim diamond_chestplate coast gold)',
+            '-bot enchant <item> [1|2|3] - Enchant at an enchanting table (e.g., -bot enchant diamond_pickaxe)',
+            '-bot repair <item> [with <item>] [name <name>] - Repair, combine or rename on an anvil',
+            '-bot disenchant <item> - Remove enchantments at a grindstone',
             '-bot find <structure> - Find structure (e.g., -bot find village, -bot find fortress)',
             '-bot build <type|WxL> [creative] - Build houses (types or custom 5x5 to 50x50)',
+            '-bot build resume - Finish the last unfinished build',
             '-bot sort chests - Sort and organize nearest chest',
             '-bot sleep - Find a bed and sleep through the night',
             '-bot nether - Find and enter nearest Nether portal safely',
+            '-bot nether <x> [y] <z> - Travel to overworld coordinates through the nether, building the exit portal if needed',
+            '-bot nether build - Build and light a portal here (obsidian, or cast from lava and water)',
             '-bot location - Show coordinates',
             '-bot inventory - List items',
             '-bot stop - Stop current task',
-            '-bot status - Show current task status'
+            '-bot status - Show current task status',
+            '-bot queue [add <command>|cancel <n>|move <n> <pos>|clear] - Manage queued tasks',
+            '-bot perms [player] - Show roles (owner, trusted, guest)',
+            '-bot trust <player> / untrust <player> - Manage trusted players (owner only)'
         ];
     }
 }
@@ -0,0 +1,245 @@
+/**
+ * Permission Manager
+ * Owner / trusted / guest roles for -bot commands, persisted to disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Roles from least to most privileged
+const ROLES = ['guest', 'trusted', 'owner'];
+
+// Minimum role required for each command keyword (every CommandParser.validActions entry)
+const ACTION_PERMISSIONS = {
+    // Read-only information
+    help: 'guest',
+    status: 'guest',
+    location: 'guest',
+    loc: 'guest',
+    pos: 'guest',
+    where: 'guest',
+    inventory: 'guest',
+    inv: 'guest',
+    perms: 'guest',
+    plan: 'guest',
+    ores: 'guest',
+
+    // Normal work
+    mine: 'trusted',
+    mine_all: 'trusted',
+    cobblestone: 'trusted',
+    tunnel: 'trusted',
+    collect: 'trusted',
+    kill: 'trusted',
+    come: 'trusted',
+    go: 'trusted',
+    follow: 'trusted',
+    make: 'trusted',
+    smelt: 'trusted',
+    trim: 'trusted',
+    enchant: 'trusted',
+    repair: 'trusted',
+    disenchant: 'trusted',
+    farm: 'trusted',
+    sort: 'trusted',
+    equip: 'trusted',
+    home: 'trusted',
+    nether: 'trusted',
+    sleep: 'trusted',
+    build: 'trusted',
+    find: 'trusted',
+    stop: 'trusted',
+    start: 'trusted',
+    queue: 'trusted',
+    team: 'trusted',
+    waypoint: 'trusted',
+    wp: 'trusted',
+    goto: 'trusted',
+
+    // Destructive or configuration changes
+    drop: 'owner',
+    sethome: 'owner',
+    set: 'owner',
+    enable: 'owner',
+    disable: 'owner',
+    trust: 'owner',
+    untrust: 'owner'
+};
+
+class PermissionManager {
+    /**
+     * @param {object} options - { permissionsPath } to keep roles somewhere other than data/permissions.json
+     */
+    constructor(options = {}) {
+        this.permissionsPath = options.permissionsPath || path.join(__dirname, '../data/permissions.json');
+        const settings = config.permissions || {};
+        this.defaultRole = ROLES.includes(settings.defaultRole) ? settings.defaultRole : 'guest';
+
+        // Owners from config/env are always owners, even if the file is edited
+        const envOwners = (process.env.BOT_OWNERS || '').split(',');
+        this.configOwners = [...(settings.owners || []), ...envOwners]
+            .map(name => name.trim().toLowerCase())
+            .filter(name => name.length > 0);
+
+        this.data = this.loadPermissions();
+
+        if (this.configOwners.length === 0 && this.data.owners.length === 0) {
+            logger.warn('Permissions: No bot owner configured. Set BOT_OWNERS or config.permissions.owners');
+        }
+    }
+
+    /**
+     * Load roles from disk
+     */
+    loadPermissions() {
+        try {
+            if (fs.existsSync(this.permissionsPath)) {
+                const data = JSON.parse(fs.readFileSync(this.permissionsPath, 'utf8'));
+                return {
+                    owners: (data.owners || []).map(name => name.toLowerCase()),
+                    trusted: (data.trusted || []).map(name => name.toLowerCase())
+                };
+            }
+        } catch (error) {
+            logger.error(`Failed to load permissions: ${error.message}`);
+        }
+        return { owners: [], trusted: [] };
+    }
+
+    /**
+     * Save roles to disk
+     */
+    savePermissions() {
+        try {
+            const dir = path.dirname(this.permissionsPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            fs.writeFileSync(this.permissionsPath, JSON.stringify(this.data, null, 2));
+            return true;
+        } catch (error) {
+            logger.error(`Failed to save permissions: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Get the role of a player
+     * @param {string} username - Player name
+     * @returns {string} - 'owner', 'trusted' or 'guest'
+     */
+    getRole(username) {
+        if (!username) return this.defaultRole;
+        const name = username.toLowerCase();
+
+        if (this.configOwners.includes(name) || this.data.owners.includes(name)) {
+            return 'owner';
+        }
+        if (this.data.trusted.includes(name)) {
+            return 'trusted';
+        }
+        return this.defaultRole;
+    }
+
+    /**
+     * Get the minimum role needed to run a parsed command
+     * Unknown keywords require owner so new commands are locked down by default
+     */
+    getRequiredRole(command) {
+        const keyword = command.keyword || command.action;
+        let required = ACTION_PERMISSIONS[keyword] || 'owner';
+
+        // Creative builds spawn items with /give
+        if (keyword === 'build' && command.creative) {
+            required = 'owner';
+        }
+
+        // Team jobs also need the role of the work they split up
+        if (keyword === 'team' && command.task) {
+            const taskRole = this.getRequiredRole(command.task);
+            if (ROLES.indexOf(taskRole) > ROLES.indexOf(required)) {
+                required = taskRole;
+            }
+        }
+
+        return required;
+    }
+
+    /**
+     * Check whether a player may run a command
+     * @returns {object} - { allowed, role, required, keyword }
+     */
+    check(command) {
+        // Commands from the web dashboard carry the role of the dashboard login
+        const role = command.source === 'dashboard' && ROLES.includes(command.role)
+            ? command.role
+            : this.getRole(command.username);
+        const required = this.getRequiredRole(command);
+
+        return {
+            allowed: ROLES.indexOf(role) >= ROLES.indexOf(required),
+            role,
+            required,
+            keyword: command.keyword || command.action
+        };
+    }
+
+    /**
+     * Grant trusted role to a player
+     * @returns {string} - Result message for chat
+     */
+    trust(username) {
+        const name = username.toLowerCase();
+
+        if (this.getRole(name) === 'owner') {
+            return `${username} is already an owner`;
+        }
+        if (this.data.trusted.includes(name)) {
+            return `${username} is already trusted`;
+        }
+
+        this.data.trusted.push(name);
+        this.savePermissions();
+        logger.info(`Permissions: ${name} is now trusted`);
+        return `${username} is now trusted`;
+    }
+
+    /**
+     * Remove trusted role from a player
+     * @returns {string} - Result message for chat
+     */
+    untrust(username) {
+        const name = username.toLowerCase();
+
+        if (this.getRole(name) === 'owner') {
+            return `Cannot untrust an owner (${username})`;
+        }
+        if (!this.data.trusted.includes(name)) {
+            return `${username} is not trusted`;
+        }
+
+        this.data.trusted = this.data.trusted.filter(n => n !== name);
+        this.savePermissions();
+        logger.info(`Permissions: ${name} is no longer trusted`);
+        return `${username} is no longer trusted`;
+    }
+
+    /**
+     * List all owners and trusted players
+     */
+    listRoles() {
+        const owners = [...new Set([...this.configOwners, ...this.data.owners])];
+        return {
+            owners,
+            trusted: this.data.trusted.filter(name => !owners.includes(name))
+        };
+    }
+}
+
+PermissionManager.ROLES = ROLES;
+PermissionManager.ACTION_PERMISSIONS = ACTION_PERMISSIONS;
+
+module.exports = PermissionManager;
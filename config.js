@@ -60,6 +60,128 @@ module.exports = {
         }
     },
 
+    // Profile used by bootstrap.js when neither --profile nor BOT_PROFILE is given
+    defaultProfile: 'full',
+
+    // Feature sets for bootstrap.js. A profile can extend another and override fields:
+    // - abilities:        -bot command system (pathfinder, abilities, task queue, auto-eat, doors)
+    //                     true for every command, or a list such as ['mine', 'farm', 'home']
+    // - web:              'dashboard' (web-server.js), 'health' (plain uptime check) or false
+    // - database:         log sessions, chat and usernames to DATABASE_URL
+    // - openai:           answer normal chat and greet players with ChatGPT (needs OPENAI_API_KEY)
+    // - behaviors:        'autopilot' (self-directed play with lava/water safety) and/or
+    //                     behaviors/ modules: 'movement', 'blockBreaking', 'chat', 'antiIdle'
+    // - usernameRotation: reconnect with a new username from the pool after kicks and bans
+    // - creativeMode:     try /gamemode creative after spawning
+    profiles: {
+        full: {
+            description: 'Commands, dashboard, autopilot, database and ChatGPT',
+            extends: 'ai',
+            database: true,
+            openai: true
+        },
+        ai: {
+            description: 'Commands, dashboard and autopilot',
+            abilities: true,
+            web: 'dashboard',
+            behaviors: ['autopilot'],
+            usernameRotation: true,
+            creativeMode: true
+        },
+        web: {
+            description: 'Keep-alive movement with the dashboard',
+            web: 'dashboard',
+            behaviors: ['movement', 'antiIdle'],
+            usernameRotation: true
+        },
+        basic: {
+            description: 'Human-like movement, block breaking and chat with a health check',
+            web: 'health',
+            behaviors: ['movement', 'blockBreaking', 'chat', 'antiIdle']
+        },
+        simple: {
+            description: 'Stay connected and look around',
+            behaviors: ['antiIdle']
+        }
+    },
+
+    tools: {
+        // Put a tool aside when it has this many uses left, so it never breaks
+        minDurability: 8,
+        // Mending tools keep more in reserve; XP repairs them while other tools are used
+        mendingMinDurability: 32
+    },
+
+    prospecting: {
+        // Look for ores the bot can see this often (ms) and this far away
+        scanInterval: 10000,
+        scanRadius: 32,
+        // -bot ores near and /api/ores look this far by default
+        searchRadius: 128,
+        // Forget the ores seen longest ago beyond this many
+        maxOres: 20000
+    },
+
+    tunnels: {
+        // Blocks dug between torches (0 for no torches)
+        torchSpacing: 8,
+        // Main tunnel length for branch and 3x3 tunnels
+        length: 32,
+        // Branch mining: side tunnels every branchSpacing blocks, branchLength long on both sides
+        branchSpacing: 3,
+        branchLength: 16,
+        // Staircases and quarries dig down to this Y level (diamonds are most common around -58)
+        targetY: -58,
+        // Width of the spiral quarry
+        quarrySize: 5
+    },
+
+    travel: {
+        // Trips longer than this (blocks) are split into segments that end inside the loaded chunks
+        directRange: 96,
+        // Longest segment handed to the pathfinder at once
+        segmentLength: 96,
+        // Report progress and ETA in chat this often (ms)
+        reportInterval: 30000,
+        // Blocks of walking a trip through a nether portal is worth (getting in, waiting, loading the other side)
+        portalCost: 64,
+        // Ways besides walking the planner may pick (elytra)
+        modes: ['elytra'],
+        // Only fly when at least this many blocks are left
+        modeMinDistance: 64,
+        // Elytra flights need this many firework rockets and this many blocks to go, and climb this high above the start
+        minFireworks: 8,
+        elytraMinDistance: 256,
+        cruiseHeight: 40
+    },
+
+    follow: {
+        // Blocks to keep from the player
+        distance: 2,
+        // Where to walk: any (just within distance), behind, left or right of the player
+        formation: 'any',
+        // Fight mobs going for the player while following
+        guard: false,
+        // How far from the player a mob counts as a threat
+        guardRange: 8,
+        // Ask to be teleported with /tpa when the player vanishes (turn off on servers without it)
+        tpa: true,
+        // Stop following after the player has been gone this long (ms)
+        lostTimeout: 300000
+    },
+
+    enchanting: {
+        // Most XP levels one anvil repair, combine or rename may cost (vanilla refuses 40 and up)
+        maxAnvilLevels: 20
+    },
+
+    permissions: {
+        // Player names with full control (also read from BOT_OWNERS, comma-separated)
+        owners: [],
+        // Role given to players who are neither owner nor trusted
+        defaultRole: 'guest'
+    },
+
     safety: {
         avoidLava: true,
         avoidVoid: true,
@@ -1,164 +1,25 @@
 /**
  * Minecraft Crafting and Smelting Recipes Database
- * Contains all vanilla recipes for crafting automation
+ * Crafting recipes come from minecraft-data for the connected version (bot.registry);
+ * smelting and smithing recipes, block/mob aliases and tool tiers are kept here
  */
 
-// Crafting recipes - format: { output: { count, ingredients: { item: count }, needsTable: bool } }
-const craftingRecipes = {
-    // Wood processing
-    'oak_planks': { count: 4, ingredients: { 'oak_log': 1 }, needsTable: false },
-    'birch_planks': { count: 4, ingredients: { 'birch_log': 1 }, needsTable: false },
-    'spruce_planks': { count: 4, ingredients: { 'spruce_log': 1 }, needsTable: false },
-    'jungle_planks': { count: 4, ingredients: { 'jungle_log': 1 }, needsTable: false },
-    'acacia_planks': { count: 4, ingredients: { 'acacia_log': 1 }, needsTable: false },
-    'dark_oak_planks': { count: 4, ingredients: { 'dark_oak_log': 1 }, needsTable: false },
-    'mangrove_planks': { count: 4, ingredients: { 'mangrove_log': 1 }, needsTable: false },
-    'cherry_planks': { count: 4, ingredients: { 'cherry_log': 1 }, needsTable: false },
-
-    // Basic items
-    'stick': { count: 4, ingredients: { 'planks': 2 }, needsTable: false },
-    'crafting_table': { count: 1, ingredients: { 'planks': 4 }, needsTable: false },
-    'chest': { count: 1, ingredients: { 'planks': 8 }, needsTable: true },
-    'furnace': { count: 1, ingredients: { 'cobblestone': 8 }, needsTable: true },
-    'torch': { count: 4, ingredients: { 'coal': 1, 'stick': 1 }, needsTable: false },
-    'charcoal_torch': { count: 4, ingredients: { 'charcoal': 1, 'stick': 1 }, needsTable: false },
-
-    // Wooden tools
-    'wooden_pickaxe': { count: 1, ingredients: { 'planks': 3, 'stick': 2 }, needsTable: true },
-    'wooden_axe': { count: 1, ingredients: { 'planks': 3, 'stick': 2 }, needsTable: true },
-    'wooden_shovel': { count: 1, ingredients: { 'planks': 1, 'stick': 2 }, needsTable: true },
-    'wooden_sword': { count: 1, ingredients: { 'planks': 2, 'stick': 1 }, needsTable: true },
-    'wooden_hoe': { count: 1, ingredients: { 'planks': 2, 'stick': 2 }, needsTable: true },
-
-    // Stone tools
-    'stone_pickaxe': { count: 1, ingredients: { 'cobblestone': 3, 'stick': 2 }, needsTable: true },
-    'stone_axe': { count: 1, ingredients: { 'cobblestone': 3, 'stick': 2 }, needsTable: true },
-    'stone_shovel': { count: 1, ingredients: { 'cobblestone': 1, 'stick': 2 }, needsTable: true },
-    'stone_sword': { count: 1, ingredients: { 'cobblestone': 2, 'stick': 1 }, needsTable: true },
-    'stone_hoe': { count: 1, ingredients: { 'cobblestone': 2, 'stick': 2 }, needsTable: true },
-
-    // Iron tools
-    'iron_pickaxe': { count: 1, ingredients: { 'iron_ingot': 3, 'stick': 2 }, needsTable: true },
-    'iron_axe': { count: 1, ingredients: { 'iron_ingot': 3, 'stick': 2 }, needsTable: true },
-    'iron_shovel': { count: 1, ingredients: { 'iron_ingot': 1, 'stick': 2 }, needsTable: true },
-    'iron_sword': { count: 1, ingredients: { 'iron_ingot': 2, 'stick': 1 }, needsTable: true },
-    'iron_hoe': { count: 1, ingredients: { 'iron_ingot': 2, 'stick': 2 }, needsTable: true },
-
-    // Gold tools
-    'golden_pickaxe': { count: 1, ingredients: { 'gold_ingot': 3, 'stick': 2 }, needsTable: true },
-    'golden_axe': { count: 1, ingredients: { 'gold_ingot': 3, 'stick': 2 }, needsTable: true },
-    'golden_shovel': { count: 1, ingredients: { 'gold_ingot': 1, 'stick': 2 }, needsTable: true },
-    'golden_sword': { count: 1, ingredients: { 'gold_ingot': 2, 'stick': 1 }, needsTable: true },
-    'golden_hoe': { count: 1, ingredients: { 'gold_ingot': 2, 'stick': 2 }, needsTable: true },
-
-    // Diamond tools
-    'diamond_pickaxe': { count: 1, ingredients: { 'diamond': 3, 'stick': 2 }, needsTable: true },
-    'diamond_axe': { count: 1, ingredients: { 'diamond': 3, 'stick': 2 }, needsTable: true },
-    'diamond_shovel': { count: 1, ingredients: { 'diamond': 1, 'stick': 2 }, needsTable: true },
-    'diamond_sword': { count: 1, ingredients: { 'diamond': 2, 'stick': 1 }, needsTable: true },
-    'diamond_hoe': { count: 1, ingredients: { 'diamond': 2, 'stick': 2 }, needsTable: true },
-
-    // Netherite tools (need smithing table - special case)
-    // Note: Netherite requires smithing, not crafting
-
-    // Iron armor
-    'iron_helmet': { count: 1, ingredients: { 'iron_ingot': 5 }, needsTable: true },
-    'iron_chestplate': { count: 1, ingredients: { 'iron_ingot': 8 }, needsTable: true },
-    'iron_leggings': { count: 1, ingredients: { 'iron_ingot': 7 }, needsTable: true },
-    'iron_boots': { count: 1, ingredients: { 'iron_ingot': 4 }, needsTable: true },
-
-    // Diamond armor
-    'diamond_helmet': { count: 1, ingredients: { 'diamond': 5 }, needsTable: true },
-    'diamond_chestplate': { count: 1, ingredients: { 'diamond': 8 }, needsTable: true },
-    'diamond_leggings': { count: 1, ingredients: { 'diamond': 7 }, needsTable: true },
-    'diamond_boots': { count: 1, ingredients: { 'diamond': 4 }, needsTable: true },
-
-    // Leather armor
-    'leather_helmet': { count: 1, ingredients: { 'leather': 5 }, needsTable: true },
-    'leather_chestplate': { count: 1, ingredients: { 'leather': 8 }, needsTable: true },
-    'leather_leggings': { count: 1, ingredients: { 'leather': 7 }, needsTable: true },
-    'leather_boots': { count: 1, ingredients: { 'leather': 4 }, needsTable: true },
-
-    // Blocks
-    'iron_block': { count: 1, ingredients: { 'iron_ingot': 9 }, needsTable: true },
-    'gold_block': { count: 1, ingredients: { 'gold_ingot': 9 }, needsTable: true },
-    'diamond_block': { count: 1, ingredients: { 'diamond': 9 }, needsTable: true },
-    'coal_block': { count: 1, ingredients: { 'coal': 9 }, needsTable: true },
-    'lapis_block': { count: 1, ingredients: { 'lapis_lazuli': 9 }, needsTable: true },
-    'redstone_block': { count: 1, ingredients: { 'redstone': 9 }, needsTable: true },
-    'emerald_block': { count: 1, ingredients: { 'emerald': 9 }, needsTable: true },
-
-    // Ingots from blocks (reverse)
-    'iron_ingot_from_block': { count: 9, ingredients: { 'iron_block': 1 }, needsTable: false, output: 'iron_ingot' },
-    'gold_ingot_from_block': { count: 9, ingredients: { 'gold_block': 1 }, needsTable: false, output: 'gold_ingot' },
-    'diamond_from_block': { count: 9, ingredients: { 'diamond_block': 1 }, needsTable: false, output: 'diamond' },
-
-    // Combat items
-    'bow': { count: 1, ingredients: { 'stick': 3, 'string': 3 }, needsTable: true },
-    'arrow': { count: 4, ingredients: { 'flint': 1, 'stick': 1, 'feather': 1 }, needsTable: true },
-    'shield': { count: 1, ingredients: { 'planks': 6, 'iron_ingot': 1 }, needsTable: true },
+const config = require('../config');
 
-    // Food
-    'bread': { count: 1, ingredients: { 'wheat': 3 }, needsTable: true },
-    'cake': { count: 1, ingredients: { 'wheat': 3, 'sugar': 2, 'egg': 1, 'milk_bucket': 3 }, needsTable: true },
-    'cookie': { count: 8, ingredients: { 'wheat': 2, 'cocoa_beans': 1 }, needsTable: true },
-    'golden_apple': { count: 1, ingredients: { 'apple': 1, 'gold_ingot': 8 }, needsTable: true },
-    'golden_carrot': { count: 1, ingredients: { 'carrot': 1, 'gold_nugget': 8 }, needsTable: true },
-
-    // Misc items
-    'bucket': { count: 1, ingredients: { 'iron_ingot': 3 }, needsTable: true },
-    'compass': { count: 1, ingredients: { 'iron_ingot': 4, 'redstone': 1 }, needsTable: true },
-    'clock': { count: 1, ingredients: { 'gold_ingot': 4, 'redstone': 1 }, needsTable: true },
-    'bed': { count: 1, ingredients: { 'planks': 3, 'wool': 3 }, needsTable: true },
-    'ladder': { count: 3, ingredients: { 'stick': 7 }, needsTable: true },
-    'fence': { count: 3, ingredients: { 'planks': 4, 'stick': 2 }, needsTable: true },
-    'fence_gate': { count: 1, ingredients: { 'planks': 2, 'stick': 4 }, needsTable: true },
-    'door': { count: 3, ingredients: { 'planks': 6 }, needsTable: true },
-    'trapdoor': { count: 2, ingredients: { 'planks': 6 }, needsTable: true },
-    'boat': { count: 1, ingredients: { 'planks': 5 }, needsTable: true },
-    'minecart': { count: 1, ingredients: { 'iron_ingot': 5 }, needsTable: true },
-    'rail': { count: 16, ingredients: { 'iron_ingot': 6, 'stick': 1 }, needsTable: true },
-    'powered_rail': { count: 6, ingredients: { 'gold_ingot': 6, 'stick': 1, 'redstone': 1 }, needsTable: true },
-
-    // Redstone
-    'piston': { count: 1, ingredients: { 'planks': 3, 'cobblestone': 4, 'iron_ingot': 1, 'redstone': 1 }, needsTable: true },
-    'sticky_piston': { count: 1, ingredients: { 'piston': 1, 'slime_ball': 1 }, needsTable: true },
-    'observer': { count: 1, ingredients: { 'cobblestone': 6, 'redstone': 2, 'quartz': 1 }, needsTable: true },
-    'hopper': { count: 1, ingredients: { 'iron_ingot': 5, 'chest': 1 }, needsTable: true },
-    'dispenser': { count: 1, ingredients: { 'cobblestone': 7, 'bow': 1, 'redstone': 1 }, needsTable: true },
-    'dropper': { count: 1, ingredients: { 'cobblestone': 7, 'redstone': 1 }, needsTable: true },
-    'lever': { count: 1, ingredients: { 'stick': 1, 'cobblestone': 1 }, needsTable: false },
-    'stone_button': { count: 1, ingredients: { 'stone': 1 }, needsTable: false },
-    'wooden_button': { count: 1, ingredients: { 'planks': 1 }, needsTable: false },
-    'pressure_plate': { count: 1, ingredients: { 'stone': 2 }, needsTable: true },
-
-    // Brewing
-    'brewing_stand': { count: 1, ingredients: { 'blaze_rod': 1, 'cobblestone': 3 }, needsTable: true },
-    'cauldron': { count: 1, ingredients: { 'iron_ingot': 7 }, needsTable: true },
-    'glass_bottle': { count: 3, ingredients: { 'glass': 3 }, needsTable: true },
-
-    // Enchanting
-    'enchanting_table': { count: 1, ingredients: { 'diamond': 2, 'obsidian': 4, 'book': 1 }, needsTable: true },
-    'bookshelf': { count: 1, ingredients: { 'planks': 6, 'book': 3 }, needsTable: true },
-    'book': { count: 1, ingredients: { 'paper': 3, 'leather': 1 }, needsTable: true },
-    'paper': { count: 3, ingredients: { 'sugar_cane': 3 }, needsTable: true },
-
-    // Anvil & Smithing
-    'anvil': { count: 1, ingredients: { 'iron_block': 3, 'iron_ingot': 4 }, needsTable: true },
-    'smithing_table': { count: 1, ingredients: { 'iron_ingot': 2, 'planks': 4 }, needsTable: true },
-
-    // Decorative
-    'glass_pane': { count: 16, ingredients: { 'glass': 6 }, needsTable: true },
-    'iron_bars': { count: 16, ingredients: { 'iron_ingot': 6 }, needsTable: true },
-    'painting': { count: 1, ingredients: { 'stick': 8, 'wool': 1 }, needsTable: true },
-    'item_frame': { count: 1, ingredients: { 'stick': 8, 'leather': 1 }, needsTable: true },
-    'sign': { count: 3, ingredients: { 'planks': 6, 'stick': 1 }, needsTable: true },
-
-    // Blast furnace & Smoker
-    'blast_furnace': { count: 1, ingredients: { 'iron_ingot': 5, 'furnace': 1, 'smooth_stone': 3 }, needsTable: true },
-    'smoker': { count: 1, ingredients: { 'furnace': 1, 'oak_log': 4 }, needsTable: true },
+// Recipe ingredients that accept any variant of an item (any plank, any log, any wool)
+const itemFamilies = {
+    planks: name => name.endsWith('_planks'),
+    log: name => name.endsWith('_log'),
+    wool: name => name.endsWith('_wool')
 };
 
+// Recipe variants using these are only kept when there is no plain one (oak_planks from oak_log, not stripped_oak_wood)
+const ALTERNATE_INGREDIENT = /^stripped_|_wood$|_hyphae$/;
+
+// Converted recipes per registry - { item: [recipe, ...] }, best recipe first
+const recipeTables = new WeakMap();
+let defaultRegistry;
+
 // Smelting recipes - format: { input: output }
 const smeltingRecipes = {
     // Ores
@@ -213,6 +74,14 @@ const smeltingRecipes = {
     'chorus_fruit': 'popped_chorus_fruit',
 };
 
+// Furnace fuels in order of preference, with how many items one fuel item smelts
+const smeltingFuels = [
+    { name: 'coal', smelts: 8 },
+    { name: 'charcoal', smelts: 8 },
+    { name: 'lava_bucket', smelts: 100 },
+    { name: 'planks', smelts: 1.5 } // Any *_planks
+];
+
 // Block names for mining - maps common names to actual block IDs
 const blockAliases = {
     'wood': ['oak_log', 'birch_log', 'spruce_log', 'jungle_log', 'acacia_log', 'dark_oak_log'],
@@ -275,29 +144,260 @@ const toolRequirements = {
     'ancient_debris': 'diamond_pickaxe',
 };
 
+// What ores drop when mined without silk touch (most blocks drop themselves)
+const blockDrops = {
+    'iron_ore': 'raw_iron',
+    'deepslate_iron_ore': 'raw_iron',
+    'gold_ore': 'raw_gold',
+    'deepslate_gold_ore': 'raw_gold',
+    'copper_ore': 'raw_copper',
+    'deepslate_copper_ore': 'raw_copper',
+    'coal_ore': 'coal',
+    'deepslate_coal_ore': 'coal',
+    'diamond_ore': 'diamond',
+    'deepslate_diamond_ore': 'diamond',
+    'lapis_ore': 'lapis_lazuli',
+    'deepslate_lapis_ore': 'lapis_lazuli',
+    'redstone_ore': 'redstone',
+    'deepslate_redstone_ore': 'redstone',
+    'emerald_ore': 'emerald',
+    'deepslate_emerald_ore': 'emerald',
+    'nether_quartz_ore': 'quartz',
+    'nether_gold_ore': 'gold_nugget',
+};
+
 // Tool material tiers
 const toolTiers = ['wooden', 'stone', 'iron', 'golden', 'diamond', 'netherite'];
 
+// Smithing table upgrades - format: { output: { base, addition, template } }
+// Before 1.20 the upgrade needs no template
+const NETHERITE_TEMPLATE = 'netherite_upgrade_smithing_template';
+const smithingRecipes = {};
+for (const gear of ['sword', 'shovel', 'pickaxe', 'axe', 'hoe', 'helmet', 'chestplate', 'leggings', 'boots']) {
+    smithingRecipes[`netherite_${gear}`] = {
+        base: `diamond_${gear}`,
+        addition: 'netherite_ingot',
+        template: NETHERITE_TEMPLATE
+    };
+}
+
+// Armor trim patterns (<pattern>_armor_trim_smithing_template) and the materials that color them
+const trimPatterns = ['coast', 'dune', 'eye', 'host', 'raiser', 'rib', 'sentry', 'shaper', 'silence',
+    'snout', 'spire', 'tide', 'vex', 'ward', 'wayfinder', 'wild', 'bolt', 'flow'];
+const trimMaterials = {
+    'iron': 'iron_ingot',
+    'gold': 'gold_ingot',
+    'copper': 'copper_ingot',
+    'netherite': 'netherite_ingot',
+    'lapis': 'lapis_lazuli',
+    'amethyst': 'amethyst_shard',
+    'quartz': 'quartz',
+    'emerald': 'emerald',
+    'diamond': 'diamond',
+    'redstone': 'redstone'
+};
+
 /**
- * Get recipe for an item
+ * Registry to read recipes from: the bot's, or minecraft-data for the configured version
  */
-function getRecipe(itemName) {
-    // Normalize item name
-    const normalized = itemName.toLowerCase().replace(/-/g, '_');
+function resolveRegistry(registry) {
+    if (registry) return registry;
+    if (defaultRegistry === undefined) {
+        try {
+            defaultRegistry = require('minecraft-data')(config.bot.version);
+        } catch (error) {
+            defaultRegistry = null;
+        }
+    }
+    return defaultRegistry;
+}
+
+/**
+ * Family of an item name ('planks' for oak_planks), or null
+ */
+function getItemFamily(name) {
+    return Object.keys(itemFamilies).find(family => itemFamilies[family](name)) || null;
+}
+
+/**
+ * Whether an item satisfies a (possibly generic) ingredient name
+ */
+function matchesItem(wanted, name) {
+    return wanted === name || (itemFamilies[wanted] ? itemFamilies[wanted](name) : false);
+}
 
-    // Check direct match
-    if (craftingRecipes[normalized]) {
-        return { ...craftingRecipes[normalized], name: normalized };
+/**
+ * Name of one shape cell or shapeless ingredient
+ * @returns {string|null|undefined} - null for an empty cell, undefined for an unknown item
+ */
+function getIngredientName(registry, cell) {
+    if (cell === null || cell === undefined) return null;
+
+    // Several accepted items: their family if they share one
+    if (Array.isArray(cell)) {
+        const names = cell.map(option => getIngredientName(registry, option)).filter(Boolean);
+        const family = names.length > 0 ? getItemFamily(names[0]) : null;
+        return family && names.every(name => itemFamilies[family](name)) ? family : names[0];
+    }
+
+    const id = typeof cell === 'object' ? cell.id : cell;
+    if (id === null || id === undefined || id < 0) return null;
+    return registry.items[id]?.name;
+}
+
+/**
+ * Turn one minecraft-data recipe into { count, ingredients, needsTable }
+ */
+function convertRecipe(registry, entry) {
+    const cells = entry.inShape ? entry.inShape.flat() : (entry.ingredients || []);
+    const ingredients = {};
+
+    for (const cell of cells) {
+        const name = getIngredientName(registry, cell);
+        if (name === undefined) return null;
+        if (name === null) continue;
+        ingredients[name] = (ingredients[name] || 0) + 1;
     }
+    if (Object.keys(ingredients).length === 0) return null;
+
+    // Anything bigger than the 2x2 inventory grid needs a crafting table
+    const needsTable = entry.inShape
+        ? entry.inShape.length > 2 || entry.inShape.some(row => row.length > 2)
+        : cells.length > 4;
+
+    return {
+        count: (typeof entry.result === 'object' && entry.result.count) || 1,
+        ingredients,
+        needsTable
+    };
+}
 
-    // Check for recipes with alternate output names
-    for (const [recipeName, recipe] of Object.entries(craftingRecipes)) {
-        if (recipe.output === normalized) {
-            return { ...recipe, name: recipeName };
+/**
+ * Merge recipes that only differ in the variant of an ingredient
+ * (a stick from oak, birch, ... planks becomes a stick from 'planks')
+ * @returns {object[]} - Recipes, the one accepting the most variants first
+ */
+function mergeVariants(recipes) {
+    const plain = recipes.filter(recipe => !Object.keys(recipe.ingredients).some(name => ALTERNATE_INGREDIENT.test(name)));
+    const groups = new Map();
+
+    for (const recipe of plain.length > 0 ? plain : recipes) {
+        const generic = Object.entries(recipe.ingredients)
+            .map(([name, amount]) => `${getItemFamily(name) || name}:${amount}`)
+            .sort();
+        const key = `${recipe.count}|${generic.join(',')}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(recipe);
+    }
+
+    return [...groups.values()]
+        .sort((a, b) => b.length - a.length)
+        .map(group => {
+            const ingredients = {};
+            for (const [name, amount] of Object.entries(group[0].ingredients)) {
+                // Only generic when the variants really use different members (white_bed keeps white_wool)
+                const family = getItemFamily(name);
+                const members = family
+                    ? new Set(group.flatMap(recipe => Object.keys(recipe.ingredients).filter(itemFamilies[family])))
+                    : null;
+                const key = members && members.size > 1 ? family : name;
+                ingredients[key] = (ingredients[key] || 0) + amount;
+            }
+            return { ...group[0], ingredients };
+        });
+}
+
+/**
+ * Crafting recipes of a registry, converted once
+ * @returns {object} - { item: [{ name, count, ingredients, needsTable, output? }] }
+ */
+function getRecipeTable(registry) {
+    registry = resolveRegistry(registry);
+    if (!registry || !registry.recipes) return {};
+    if (recipeTables.has(registry)) return recipeTables.get(registry);
+
+    const table = {};
+    for (const [resultId, entries] of Object.entries(registry.recipes)) {
+        const item = registry.items[resultId];
+        if (!item) continue;
+
+        const recipes = entries.map(entry => convertRecipe(registry, entry)).filter(Boolean);
+        if (recipes.length > 0) {
+            table[item.name] = mergeVariants(recipes).map(recipe => ({ ...recipe, name: item.name }));
         }
     }
 
-    return null;
+    // Recipes that undo a storage recipe (9 iron_ingot from an iron_block) are only
+    // worth it for items already in stock; mark them like the old *_from_block entries
+    for (const [name, recipes] of Object.entries(table)) {
+        for (const recipe of recipes) {
+            const [ingredient, ...others] = Object.keys(recipe.ingredients);
+            const undoes = others.length === 0 &&
+                recipe.count > recipe.ingredients[ingredient] &&
+                (table[ingredient] || []).some(other => other.ingredients[name]);
+            if (undoes) {
+                recipe.name = `${name}_from_${ingredient}`;
+                recipe.output = name;
+            }
+        }
+        recipes.sort((a, b) => Boolean(a.output) - Boolean(b.output));
+    }
+
+    recipeTables.set(registry, table);
+    return table;
+}
+
+/**
+ * Get every crafting recipe for an item, best first
+ * @param {string} itemName - Item to craft
+ * @param {object} registry - bot.registry (optional, defaults to the configured version)
+ */
+function getRecipes(itemName, registry = null) {
+    const normalized = itemName.toLowerCase().replace(/-/g, '_');
+    return (getRecipeTable(registry)[normalized] || [])
+        .map(recipe => ({ ...recipe, ingredients: { ...recipe.ingredients } }));
+}
+
+/**
+ * Get the recipe for an item
+ * @param {string} itemName - Item to craft
+ * @param {object} registry - bot.registry (optional, defaults to the configured version)
+ * @returns {object|null} - { name, count, ingredients: { item: count }, needsTable, output? }
+ */
+function getRecipe(itemName, registry = null) {
+    return getRecipes(itemName, registry)[0] || null;
+}
+
+/**
+ * Get the smithing table upgrade that makes an item
+ * @param {string} itemName - Item to make (e.g. netherite_pickaxe)
+ * @param {object} registry - bot.registry (optional, defaults to the configured version)
+ * @returns {object|null} - { base, addition, template }, template is null before 1.20
+ */
+function getSmithingRecipe(itemName, registry = null) {
+    const normalized = itemName.toLowerCase().replace(/-/g, '_');
+    const recipe = smithingRecipes[normalized];
+    if (!recipe) return null;
+
+    const items = resolveRegistry(registry)?.itemsByName;
+    const hasTemplate = !items || Boolean(items[recipe.template]);
+    return { ...recipe, template: hasTemplate ? recipe.template : null };
+}
+
+/**
+ * Resolve an armor trim pattern and material from their short names
+ * @returns {object|null} - { template, material }, null if either is unknown
+ */
+function getTrimRecipe(pattern, material) {
+    const patternName = pattern.toLowerCase().replace(/-/g, '_').replace(/_armor_trim_smithing_template$/, '');
+    const materialName = material.toLowerCase().replace(/-/g, '_');
+    if (!trimPatterns.includes(patternName)) return null;
+
+    const materialItem = trimMaterials[materialName] ||
+        (Object.values(trimMaterials).includes(materialName) ? materialName : null);
+    if (!materialItem) return null;
+
+    return { template: `${patternName}_armor_trim_smithing_template`, material: materialItem };
 }
 
 /**
@@ -308,6 +408,23 @@ function getSmeltingResult(itemName) {
     return smeltingRecipes[normalized] || null;
 }
 
+/**
+ * Get all items that smelt into the given output (e.g. iron_ingot -> iron_ore, raw_iron, ...)
+ */
+function getSmeltingInputs(itemName) {
+    const normalized = itemName.toLowerCase().replace(/-/g, '_');
+    return Object.keys(smeltingRecipes).filter(input => smeltingRecipes[input] === normalized);
+}
+
+/**
+ * Get the smelting input to gather from the world for an output
+ * Prefers blocks that can be mined (iron_ore) over their drops (raw_iron)
+ */
+function getSmeltingSource(itemName) {
+    const inputs = getSmeltingInputs(itemName);
+    return inputs.find(input => !input.startsWith('raw_')) || inputs[0] || null;
+}
+
 /**
  * Resolve block aliases to actual block names
  */
@@ -316,6 +433,24 @@ function resolveBlockAlias(blockName) {
     return blockAliases[normalized] || [normalized];
 }
 
+/**
+ * Block names that belong to the same ore vein (iron_ore -> iron_ore, deepslate_iron_ore)
+ * Variants come from the blockAliases lists that contain the block
+ */
+function getVeinBlocks(blockName) {
+    const normalized = blockName.toLowerCase().replace(/-/g, '_');
+    const base = normalized.replace(/^deepslate_/, '');
+    const variants = new Set([normalized]);
+
+    for (const names of Object.values(blockAliases)) {
+        if (!names.includes(normalized)) continue;
+        for (const name of names) {
+            if (name.replace(/^deepslate_/, '') === base) variants.add(name);
+        }
+    }
+    return [...variants];
+}
+
 /**
  * Resolve mob aliases to actual mob names
  */
@@ -332,6 +467,13 @@ function getRequiredTool(blockName) {
     return toolRequirements[normalized] || null;
 }
 
+/**
+ * Get the item a block drops when mined (e.g., iron_ore -> raw_iron)
+ */
+function getBlockDrop(blockName) {
+    return blockDrops[blockName] || blockName;
+}
+
 /**
  * Check if a tool can mine a block (tier comparison)
  */
@@ -350,9 +492,10 @@ function canToolMine(toolName, requiredTool) {
 
 /**
  * Get all ingredients needed for an item (recursive)
+ * Smelted items, generic planks and items only made back from a storage block are raw ingredients
  */
-function getAllIngredients(itemName, count = 1) {
-    const recipe = getRecipe(itemName);
+function getAllIngredients(itemName, count = 1, registry = null, depth = 0) {
+    const recipe = getRecipe(itemName, registry);
     if (!recipe) return null;
 
     const needed = {};
@@ -362,15 +505,15 @@ function getAllIngredients(itemName, count = 1) {
         const totalAmount = amount * multiplier;
 
         // Check if ingredient itself needs to be crafted
-        const subRecipe = getRecipe(ingredient);
-        if (subRecipe) {
-            const subIngredients = getAllIngredients(ingredient, totalAmount);
-            if (subIngredients) {
-                for (const [subItem, subAmount] of Object.entries(subIngredients)) {
-                    needed[subItem] = (needed[subItem] || 0) + subAmount;
-                }
-            } else {
-                needed[ingredient] = (needed[ingredient] || 0) + totalAmount;
+        const subRecipe = getRecipe(ingredient, registry);
+        const subIngredients = subRecipe && !subRecipe.output && depth < 10 &&
+            getSmeltingInputs(ingredient).length === 0
+            ? getAllIngredients(ingredient, totalAmount, registry, depth + 1)
+            : null;
+
+        if (subIngredients) {
+            for (const [subItem, subAmount] of Object.entries(subIngredients)) {
+                needed[subItem] = (needed[subItem] || 0) + subAmount;
             }
         } else {
             needed[ingredient] = (needed[ingredient] || 0) + totalAmount;
@@ -381,17 +524,31 @@ function getAllIngredients(itemName, count = 1) {
 }
 
 module.exports = {
-    craftingRecipes,
+    itemFamilies,
     smeltingRecipes,
+    smeltingFuels,
     blockAliases,
     mobAliases,
     toolRequirements,
+    blockDrops,
     toolTiers,
+    smithingRecipes,
+    trimPatterns,
+    trimMaterials,
     getRecipe,
+    getRecipes,
+    getItemFamily,
+    matchesItem,
+    getSmithingRecipe,
+    getTrimRecipe,
     getSmeltingResult,
+    getSmeltingInputs,
+    getSmeltingSource,
     resolveBlockAlias,
+    getVeinBlocks,
     resolveMobAlias,
     getRequiredTool,
+    getBlockDrop,
     canToolMine,
     getAllIngredients
 };
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Fleet
+ * Runs every bot listed in a fleet file in one process, with one dashboard.
+ *
+ * Usage: node fleet.js [fleet file]  (default: FLEET_FILE or fleet.yaml / fleet.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./utils/logger');
+const { FleetSupervisor, loadFleetFile, resolveFleet } = require('./runtime/fleet');
+
+const DEFAULT_FILES = ['fleet.yaml', 'fleet.yml', 'fleet.json'];
+
+function printUsage() {
+    console.log('Usage: node fleet.js [fleet file]');
+    console.log('\nThe fleet file (.yaml, .yml or .json) lists the bots to run:');
+    console.log('  defaults: { host, port, profile }   - shared by every bot');
+    console.log('  bots: [{ id, host, port, username, profile, abilities, waypointsFile, dataDir }]');
+    console.log('\nSee fleet.example.yaml. Environment Variables:');
+    console.log('  FLEET_FILE - Fleet file when none is given');
+}
+
+function run() {
+    const argv = process.argv.slice(2);
+    if (argv.includes('--help') || argv.includes('-h')) {
+        printUsage();
+        process.exit(0);
+    }
+
+    const filePath = argv[0] || process.env.FLEET_FILE || DEFAULT_FILES.find(file => fs.existsSync(file));
+    if (!filePath || !fs.existsSync(filePath)) {
+        logger.error(`Fleet file not found: ${filePath || DEFAULT_FILES.join(', ')}`);
+        printUsage();
+        process.exit(1);
+    }
+
+    let bots;
+    try {
+        bots = resolveFleet(loadFleetFile(filePath), path.dirname(path.resolve(filePath)));
+    } catch (error) {
+        logger.error(`Invalid fleet file ${filePath}: ${error.message}`);
+        process.exit(1);
+    }
+
+    console.log('='.repeat(60));
+    console.log(`🤖 Minecraft 24/7 Bot Fleet - ${bots.length} bot(s) from ${filePath}`);
+    console.log('='.repeat(60));
+    for (const bot of bots) {
+        console.log(`👤 ${bot.id.padEnd(12)} ${bot.username}@${bot.host}:${bot.port} (${bot.profile.name})`);
+    }
+    console.log('');
+
+    const fleet = new FleetSupervisor(bots);
+
+    // Handle process termination gracefully
+    const shutdown = async (signal) => {
+        logger.info(`🛑 Received ${signal}, shutting down the fleet...`);
+        await fleet.shutdown();
+        setTimeout(() => process.exit(0), 1000);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    fleet.start();
+    return fleet;
+}
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = { run };
@@ -177,11 +177,13 @@ class BotMind {
 
             // Execute through command handler if available
             if (this.commandHandler) {
-                // Convert intent to command format that commandHandler understands
+                // Convert intent to command format that commandHandler understands.
+                // The plan's intent wins: "mine a netherite pickaxe" is planned as make
+                const planned = plan.intent || intent;
                 const command = {
                     valid: true,
-                    action: intent.action,
-                    target: intent.target,
+                    action: planned.action,
+                    target: planned.target,
                     count: intent.count,
                     username: intent.username,
                 };
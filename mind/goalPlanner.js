@@ -3,7 +3,7 @@
  * Breaks high-level intents into executable step-by-step plans
  */
 
-const { getRecipe, getAllIngredients, resolveBlockAlias } = require('../data/recipes');
+const { getRecipe, getAllIngredients, getSmithingRecipe, resolveBlockAlias, getSmeltingInputs, getSmeltingSource } = require('../data/recipes');
 const { isCraftable, isGatherable, normalizeItem } = require('./knowledge');
 const logger = require('../utils/logger');
 
@@ -110,7 +110,34 @@ class GoalPlanner {
         }
 
         // Get recipe and required ingredients
-        const recipe = getRecipe(target);
+        const recipe = getRecipe(target, this.bot.registry);
+
+        // Smelt products (e.g. iron_ingot) come from a furnace unless we can craft them now
+        if (this.shouldSmelt(target, recipe, count - currentCount)) {
+            return {
+                steps: this.planSmelting(target, count - currentCount),
+                intent,
+                description: `Smelting ${count} ${target}`,
+            };
+        }
+
+        // Netherite gear is upgraded from diamond gear at a smithing table. The make command
+        // plans the diamond gear, ingots and template and runs the upgrade itself
+        const smithingRecipe = getSmithingRecipe(target, this.bot.registry);
+        if (!recipe && smithingRecipe) {
+            const needed = count - currentCount;
+            return {
+                steps: [{
+                    type: 'craft',
+                    target: target,
+                    count: needed,
+                    description: `Make ${needed} ${target} from ${smithingRecipe.base} at a smithing table`,
+                }],
+                intent,
+                description: `Upgrading ${count} ${target}`,
+            };
+        }
+
         if (!recipe) {
             // If no recipe, try to mine it
             if (isGatherable(target)) {
@@ -131,9 +158,12 @@ class GoalPlanner {
 
             if (shortage > 0) {
                 // Need to acquire this ingredient
-                const ingredientRecipe = getRecipe(ingredient);
+                const ingredientRecipe = getRecipe(ingredient, this.bot.registry);
 
-                if (ingredientRecipe) {
+                if (this.shouldSmelt(ingredient, ingredientRecipe, shortage)) {
+                    // Need to smelt this ingredient
+                    steps.push(...this.planSmelting(ingredient, shortage));
+                } else if (ingredientRecipe) {
                     // Need to craft this ingredient
                     steps.push({
                         type: 'craft',
@@ -179,6 +209,50 @@ class GoalPlanner {
         };
     }
 
+    /**
+     * Plan steps to smelt an item, gathering the input first if needed
+     */
+    planSmelting(target, count) {
+        const steps = [];
+        const inputs = getSmeltingInputs(target);
+        const inputsHave = inputs.reduce((sum, input) => sum + this.countInventoryItem(input), 0);
+
+        if (inputsHave < count) {
+            const source = getSmeltingSource(target);
+            steps.push({
+                type: 'gather',
+                target: source,
+                blockTypes: resolveBlockAlias(source),
+                count: count - inputsHave,
+                description: `Gather ${count - inputsHave} ${source}`,
+            });
+        }
+
+        steps.push({
+            type: 'smelt',
+            target: target,
+            inputs: inputs,
+            count: count,
+            description: `Smelt ${count} ${target}`,
+        });
+
+        return steps;
+    }
+
+    /**
+     * Check if an item should be smelted rather than crafted
+     */
+    shouldSmelt(itemName, recipe, count) {
+        if (getSmeltingInputs(itemName).length === 0) return false;
+        if (!recipe) return true;
+
+        // Only craft when all ingredients are already in inventory
+        const crafts = Math.ceil(count / (recipe.count || 1));
+        return Object.entries(recipe.ingredients).some(
+            ([ingredient, amount]) => this.countInventoryItem(ingredient) < amount * crafts
+        );
+    }
+
     /**
      * Plan navigation
      */
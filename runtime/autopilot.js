@@ -0,0 +1,716 @@
+/**
+ * Autopilot
+ * Self-directed play between commands: gathers wood, crafts a pickaxe, mines,
+ * explores, looks around, and keeps the bot out of lava and deep water
+ */
+
+const logger = require('../utils/logger');
+
+class Autopilot {
+    /**
+     * @param {object} bot - Mineflayer bot
+     * @param {object} state - Shared bot state (currentTask, randomBehaviorsEnabled...)
+     * @param {object} options - { commandHandler, say } where say(message) sends rate-limited chat
+     */
+    constructor(bot, state, options = {}) {
+        this.bot = bot;
+        this.state = state;
+        this.commandHandler = options.commandHandler || null;
+        this.say = options.say || (() => {});
+        this.timers = [];
+        this.isActive = false;
+    }
+
+    /**
+     * Start all loops
+     */
+    start() {
+        if (this.isActive) return;
+        this.isActive = true;
+        logger.info('🧠 Starting AI behaviors...');
+
+        // Main AI loop - makes decisions every 3-8 seconds
+        this.every(() => this.decide(), 3000 + Math.random() * 5000);
+
+        // Movement and exploration
+        this.every(() => this.intelligentMovement(), 2000);
+
+        // Look around naturally
+        this.every(() => this.naturalLooking(), 5000 + Math.random() * 10000);
+
+        // Inventory management
+        this.every(() => this.manageInventory(), 15000);
+
+        // 24/7 Lava danger detection - runs frequently for safety
+        this.every(() => this.checkLavaDanger(), 500);
+
+        // 24/7 Water safety - runs very frequently to prevent drowning
+        this.every(() => this.checkWaterSafety(), 250);
+
+        logger.info('🎮 AI behaviors activated!');
+        logger.info('🌋 Lava danger detection enabled!');
+        logger.info('💧 Water safety system enabled!');
+    }
+
+    /**
+     * Stop all loops
+     */
+    stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.isActive = false;
+    }
+
+    every(fn, interval) {
+        this.timers.push(setInterval(fn, interval));
+    }
+
+    /**
+     * Whether random behaviors should stay out of the way
+     */
+    isPaused() {
+        if (this.commandHandler && this.commandHandler.isExecuting) return true;
+        return !this.state.randomBehaviorsEnabled;
+    }
+
+    decide() {
+        if (!this.bot || !this.bot.entity) return;
+        if (this.isPaused()) return;
+
+        this.updateState();
+
+        switch (this.state.currentTask) {
+            case 'exploring':
+                this.exploreWorld();
+                break;
+            case 'gather_wood':
+                this.gatherWood();
+                break;
+            case 'craft_table':
+                this.craftCraftingTable();
+                break;
+            case 'craft_pickaxe':
+                this.craftPickaxe();
+                break;
+            case 'mine_stone':
+                this.mineStone();
+                break;
+            case 'follow_player':
+                this.followTargetPlayer();
+                break;
+            case 'seek_food':
+                this.seekFood();
+                break;
+            default:
+                this.state.currentTask = 'exploring';
+        }
+    }
+
+    updateState() {
+        const bot = this.bot;
+        const state = this.state;
+
+        const inventory = bot.inventory.items();
+        state.hasWood = inventory.some(item =>
+            item.name.includes('log') || item.name.includes('wood'));
+        state.hasCraftingTable = inventory.some(item =>
+            item.name === 'crafting_table');
+        state.hasPickaxe = inventory.some(item =>
+            item.name.includes('pickaxe'));
+
+        // Update current goal based on progress
+        if (!state.hasWood && !state.goals.includes('gather_wood')) {
+            state.currentTask = 'gather_wood';
+        } else if (state.hasWood && !state.hasCraftingTable) {
+            state.currentTask = 'craft_table';
+        } else if (state.hasCraftingTable && !state.hasPickaxe) {
+            state.currentTask = 'craft_pickaxe';
+        } else if (state.hasPickaxe) {
+            state.currentTask = 'mine_stone';
+        }
+    }
+
+    async gatherWood() {
+        const bot = this.bot;
+        logger.debug('🌳 Looking for wood to gather...');
+
+        const trees = bot.findBlocks({
+            matching: [
+                bot.registry.blocksByName.oak_log?.id,
+                bot.registry.blocksByName.birch_log?.id,
+                bot.registry.blocksByName.spruce_log?.id,
+                bot.registry.blocksByName.jungle_log?.id,
+            ].filter(id => id !== undefined),
+            maxDistance: 32,
+            count: 10
+        });
+
+        if (trees.length === 0) {
+            // Move to find trees
+            this.intelligentMovement();
+            return;
+        }
+
+        const targetLog = trees[0];
+        logger.info(`🔨 Punching tree at ${targetLog}`);
+
+        try {
+            await bot.lookAt(targetLog);
+            const block = bot.blockAt(targetLog);
+            if (block) {
+                await bot.dig(block);
+                this.say('getting some wood for crafting');
+
+                // Look for more logs nearby
+                setTimeout(() => {
+                    if (this.isActive && Math.random() < 0.7) {
+                        this.gatherWood();
+                    }
+                }, 1000);
+            }
+        } catch (error) {
+            logger.debug(`Failed to break log: ${error.message}`);
+        }
+    }
+
+    async craftCraftingTable() {
+        const bot = this.bot;
+        if (!this.state.hasWood || this.state.hasCraftingTable) return;
+
+        logger.info('🔨 Crafting crafting table...');
+
+        try {
+            // First convert logs to planks if needed
+            const logs = bot.inventory.items().filter(item => item.name.includes('log'));
+            if (logs.length > 0 && !bot.inventory.items().some(item => item.name.includes('planks'))) {
+                const plankRecipe = bot.recipesFor(bot.registry.itemsByName.oak_planks?.id || bot.registry.itemsByName.birch_planks?.id, null, 1, null);
+                if (plankRecipe.length > 0) {
+                    await bot.craft(plankRecipe[0], 4);
+                    logger.info('🪵 Converted logs to planks');
+                }
+            }
+
+            // Now craft crafting table
+            const planks = bot.inventory.items().filter(item => item.name.includes('planks'));
+            if (planks.length >= 4) {
+                const recipe = bot.recipesFor(bot.registry.itemsByName.crafting_table.id, null, 1, null);
+                if (recipe.length > 0) {
+                    await bot.craft(recipe[0], 1);
+                    this.say('awesome! just made a crafting table. time to craft some tools!');
+                    this.state.hasCraftingTable = true;
+                    this.state.currentTask = 'craft_pickaxe';
+                }
+            }
+        } catch (error) {
+            logger.debug(`Failed to craft crafting table: ${error.message}`);
+            // Try a different approach or move on
+            this.state.currentTask = 'gather_wood';
+        }
+    }
+
+    async craftPickaxe() {
+        const bot = this.bot;
+        if (!this.state.hasCraftingTable) return;
+
+        logger.info('⛏️ Trying to craft pickaxe...');
+
+        try {
+            // First place crafting table if needed
+            const craftingTable = bot.inventory.items().find(item => item.name === 'crafting_table');
+            if (craftingTable) {
+                const position = bot.entity.position.offset(1, 0, 0);
+                await bot.equip(craftingTable, 'hand');
+                await bot.placeBlock(bot.blockAt(position.offset(0, -1, 0)), position.subtract(bot.entity.position));
+            }
+
+            // Try to craft wooden pickaxe
+            const recipe = bot.recipesFor(bot.registry.itemsByName.wooden_pickaxe?.id, null, 1, null);
+            if (recipe.length > 0) {
+                await bot.craft(recipe[0], 1);
+                this.say('made a pickaxe! time to mine some stone');
+                this.state.hasPickaxe = true;
+            }
+        } catch (error) {
+            logger.debug(`Failed to craft pickaxe: ${error.message}`);
+        }
+    }
+
+    async mineStone() {
+        const bot = this.bot;
+        const state = this.state;
+
+        // Less frequent mining - only mine if we haven't mined recently
+        if (state.lastMined && Date.now() - state.lastMined < 10000) {
+            this.intelligentMovement();
+            return;
+        }
+
+        // Return to surface if too deep underground
+        if (bot.entity.position.y < 50) {
+            logger.info('🔝 Returning to surface...');
+            bot.setControlState('jump', true);
+            setTimeout(() => bot.setControlState('jump', false), 3000);
+            state.currentTask = 'exploring';
+            return;
+        }
+
+        logger.debug('⛏️ Looking for stone to mine...');
+
+        const stones = bot.findBlocks({
+            matching: [
+                bot.registry.blocksByName.stone?.id,
+                bot.registry.blocksByName.cobblestone?.id,
+            ].filter(id => id !== undefined),
+            maxDistance: 8, // Shorter range
+            count: 3 // Fewer blocks
+        });
+
+        // Only 40% chance to mine, otherwise explore
+        if (stones.length === 0 || Math.random() >= 0.4) {
+            this.intelligentMovement();
+            return;
+        }
+
+        const targetStone = stones[0];
+
+        try {
+            await bot.lookAt(targetStone);
+            const block = bot.blockAt(targetStone);
+            if (block) {
+                // Equip pickaxe
+                const pickaxe = bot.inventory.items().find(item => item.name.includes('pickaxe'));
+                if (pickaxe) {
+                    await bot.equip(pickaxe, 'hand');
+                }
+
+                await bot.dig(block);
+                logger.info(`⛏️ Mined ${block.name}`);
+                state.lastMined = Date.now();
+
+                // Much less chat spam
+                if (Math.random() < 0.1) {
+                    const miningMessages = [
+                        'found some good stone here!',
+                        'these blocks are perfect for building',
+                        'mining is relaxing, but exploring is more fun!',
+                        'gathering resources for future projects'
+                    ];
+                    this.say(miningMessages[Math.floor(Math.random() * miningMessages.length)]);
+                }
+
+                // Often switch to exploring after mining
+                if (Math.random() < 0.6) {
+                    state.currentTask = 'exploring';
+                }
+            }
+        } catch (error) {
+            logger.debug(`Failed to mine stone: ${error.message}`);
+        }
+    }
+
+    exploreWorld() {
+        if (Math.random() < 0.4) {
+            this.intelligentMovement();
+        }
+
+        // Random chance to start specific tasks
+        if (Math.random() < 0.1) {
+            const tasks = ['gather_wood', 'mine_stone'];
+            this.state.currentTask = tasks[Math.floor(Math.random() * tasks.length)];
+        }
+    }
+
+    /**
+     * 24/7 Lava Danger Detection and Avoidance
+     */
+    checkLavaDanger() {
+        const bot = this.bot;
+        if (!bot || !bot.entity) return;
+
+        const pos = bot.entity.position;
+        const dangerRadius = 3; // Check 3 blocks around the bot
+        const warningRadius = 5; // Warn when lava is within 5 blocks
+        const isLava = block => block && (block.name === 'lava' || block.name === 'flowing_lava');
+
+        let nearestLavaDistance = Infinity;
+        let nearestLavaPos = null;
+        let isInImmediateDanger = false;
+
+        // Scan for lava blocks in a cube around the bot
+        for (let x = -warningRadius; x <= warningRadius; x++) {
+            for (let y = -2; y <= 2; y++) { // Check 2 blocks above and below
+                for (let z = -warningRadius; z <= warningRadius; z++) {
+                    const checkPos = pos.offset(x, y, z);
+                    if (!isLava(bot.blockAt(checkPos))) continue;
+
+                    const distance = pos.distanceTo(checkPos);
+                    if (distance < nearestLavaDistance) {
+                        nearestLavaDistance = distance;
+                        nearestLavaPos = checkPos;
+                    }
+
+                    // Immediate danger if lava is very close
+                    if (distance <= dangerRadius) {
+                        isInImmediateDanger = true;
+                    }
+                }
+            }
+        }
+
+        // Check if bot is standing in or above lava
+        if (isLava(bot.blockAt(pos)) || isLava(bot.blockAt(pos.offset(0, -1, 0)))) {
+            logger.warn('🔥🔥🔥 IN LAVA! Emergency escape!');
+            this.escapeLavaDanger(nearestLavaPos);
+            return;
+        }
+
+        if (isInImmediateDanger) {
+            // Stop all movement immediately
+            for (const control of ['forward', 'back', 'left', 'right', 'sprint']) {
+                bot.setControlState(control, false);
+            }
+
+            logger.warn(`🌋 LAVA DANGER! Lava at ${nearestLavaDistance.toFixed(1)} blocks away!`);
+            this.escapeLavaDanger(nearestLavaPos);
+        } else if (nearestLavaDistance <= warningRadius) {
+            // Just a warning, lava is nearby but not immediately dangerous
+            if (!this.state.lastLavaWarning || Date.now() - this.state.lastLavaWarning > 10000) {
+                logger.info(`⚠️ Lava detected ${nearestLavaDistance.toFixed(1)} blocks away - proceeding with caution`);
+                this.state.lastLavaWarning = Date.now();
+            }
+        }
+    }
+
+    /**
+     * Escape from lava danger by moving in the opposite direction
+     */
+    escapeLavaDanger(lavaPos) {
+        const bot = this.bot;
+        if (!bot || !bot.entity || !lavaPos) return;
+
+        const pos = bot.entity.position;
+
+        // Look away from lava
+        const escapeAngle = Math.atan2(-(pos.x - lavaPos.x), -(pos.z - lavaPos.z));
+        bot.look(escapeAngle, 0);
+
+        // Jump (in case we're stuck or in lava)
+        if (bot.entity.onGround) {
+            bot.setControlState('jump', true);
+            setTimeout(() => bot.setControlState('jump', false), 100);
+        }
+
+        // Move away from lava, then stop
+        bot.setControlState('forward', true);
+        bot.setControlState('sprint', true);
+        setTimeout(() => {
+            bot.setControlState('forward', false);
+            bot.setControlState('sprint', false);
+        }, 1500);
+
+        if (!this.state.lastLavaEscape || Date.now() - this.state.lastLavaEscape > 5000) {
+            logger.info('🏃 Escaping from lava danger!');
+            this.state.lastLavaEscape = Date.now();
+        }
+    }
+
+    /**
+     * 24/7 Water Safety - prevents drowning
+     */
+    checkWaterSafety() {
+        const bot = this.bot;
+        const state = this.state;
+        if (!bot || !bot.entity) return;
+
+        const pos = bot.entity.position;
+        const isWater = block => block && (block.name === 'water' || block.name === 'flowing_water');
+
+        const isHeadInWater = isWater(bot.blockAt(pos.offset(0, 1.6, 0)));
+        const isBodyInWater = isWater(bot.blockAt(pos));
+
+        if (!isHeadInWater && !isBodyInWater) {
+            // Not in water - reset drowning timer
+            state.waterEntryTime = null;
+            state.lastWaterWarning = null;
+            return;
+        }
+
+        // Bot is in water - track time submerged
+        if (!state.waterEntryTime) {
+            state.waterEntryTime = Date.now();
+            logger.debug('💧 Entered water');
+        }
+
+        // Head submerged - start swimming up IMMEDIATELY
+        if (isHeadInWater) {
+            logger.warn('🌊 HEAD UNDERWATER! Swimming to surface!');
+            this.swimToSurface();
+            return;
+        }
+
+        // Head above water: swim towards land after 5 seconds
+        if (Date.now() - state.waterEntryTime > 5000) {
+            if (!state.lastWaterWarning || Date.now() - state.lastWaterWarning > 10000) {
+                logger.info('💧 In water for too long, swimming to safety...');
+                state.lastWaterWarning = Date.now();
+            }
+            this.swimToSafety();
+        }
+    }
+
+    /**
+     * Emergency swim to surface
+     */
+    swimToSurface() {
+        const bot = this.bot;
+        if (!bot || !bot.entity || !this.isActive) return;
+
+        // Look up and swim up, moving forward in case we're under a block
+        bot.look(bot.entity.yaw, -0.8);
+        bot.setControlState('jump', true);
+        bot.setControlState('forward', true);
+
+        setTimeout(() => {
+            if (!bot.entity) return;
+            const blockAtHead = bot.blockAt(bot.entity.position.offset(0, 1.6, 0));
+            if (blockAtHead && (blockAtHead.name === 'water' || blockAtHead.name === 'flowing_water')) {
+                // Still underwater, keep swimming
+                this.swimToSurface();
+            } else {
+                bot.setControlState('jump', false);
+                bot.setControlState('forward', false);
+                logger.info('🏊 Surfaced successfully!');
+            }
+        }, 500);
+    }
+
+    /**
+     * Swim towards the nearest land/shore
+     */
+    swimToSafety() {
+        const bot = this.bot;
+        if (!bot || !bot.entity) return;
+
+        const pos = bot.entity.position;
+        let nearestLandPos = null;
+        let nearestDistance = Infinity;
+
+        // Look for solid ground with air above (safe landing spot)
+        for (let x = -8; x <= 8; x++) {
+            for (let z = -8; z <= 8; z++) {
+                for (let y = -2; y <= 2; y++) {
+                    const checkPos = pos.offset(x, y, z);
+                    const block = bot.blockAt(checkPos);
+                    const blockAbove = bot.blockAt(checkPos.offset(0, 1, 0));
+
+                    if (block && block.boundingBox === 'block' &&
+                        block.name !== 'water' && block.name !== 'flowing_water' &&
+                        blockAbove && blockAbove.name === 'air') {
+                        const distance = pos.distanceTo(checkPos);
+                        if (distance < nearestDistance) {
+                            nearestDistance = distance;
+                            nearestLandPos = checkPos;
+                        }
+                    }
+                }
+            }
+        }
+
+        if (!nearestLandPos) {
+            // No land found, just swim up
+            this.swimToSurface();
+            return;
+        }
+
+        const swimAngle = Math.atan2(-(nearestLandPos.x - pos.x), -(nearestLandPos.z - pos.z));
+        bot.look(swimAngle, 0);
+        bot.setControlState('forward', true);
+        bot.setControlState('jump', true); // Keep head above water
+        bot.setControlState('sprint', true);
+
+        setTimeout(() => {
+            bot.setControlState('forward', false);
+            bot.setControlState('jump', false);
+            bot.setControlState('sprint', false);
+        }, 2000);
+
+        logger.debug(`🏊 Swimming towards land at ${nearestLandPos}`);
+    }
+
+    intelligentMovement() {
+        const bot = this.bot;
+        if (!bot || !bot.entity) return;
+        if (this.state.isMoving || this.isPaused()) return;
+
+        this.state.isMoving = true;
+
+        // More natural movement patterns
+        const movements = [
+            () => {
+                // Sprint forward
+                bot.setControlState('sprint', true);
+                bot.setControlState('forward', true);
+                setTimeout(() => {
+                    bot.setControlState('forward', false);
+                    bot.setControlState('sprint', false);
+                }, 1500 + Math.random() * 2000);
+            },
+            () => {
+                // Walk and jump
+                bot.setControlState('forward', true);
+                if (Math.random() < 0.6) {
+                    setTimeout(() => {
+                        bot.setControlState('jump', true);
+                        setTimeout(() => bot.setControlState('jump', false), 100);
+                    }, 500);
+                }
+                setTimeout(() => bot.setControlState('forward', false), 2000 + Math.random() * 1500);
+            },
+            () => {
+                // Turn and move
+                const randomYaw = bot.entity.yaw + (Math.random() - 0.5) * Math.PI;
+                bot.look(randomYaw, bot.entity.pitch);
+                setTimeout(() => {
+                    bot.setControlState('forward', true);
+                    // Random sprint
+                    if (Math.random() < 0.4) {
+                        bot.setControlState('sprint', true);
+                    }
+                    setTimeout(() => {
+                        bot.setControlState('forward', false);
+                        bot.setControlState('sprint', false);
+                    }, 1000 + Math.random() * 2000);
+                }, 300);
+            },
+            () => {
+                // Jump around for fun
+                if (bot.entity.onGround) {
+                    bot.setControlState('jump', true);
+                    setTimeout(() => bot.setControlState('jump', false), 100);
+
+                    // Sometimes double jump
+                    if (Math.random() < 0.3) {
+                        setTimeout(() => {
+                            bot.setControlState('jump', true);
+                            setTimeout(() => bot.setControlState('jump', false), 100);
+                        }, 300);
+                    }
+                }
+            }
+        ];
+
+        movements[Math.floor(Math.random() * movements.length)]();
+
+        setTimeout(() => {
+            this.state.isMoving = false;
+        }, 2000 + Math.random() * 2000);
+    }
+
+    naturalLooking() {
+        const bot = this.bot;
+        if (!bot || !bot.entity) return;
+        if (this.isPaused()) return;
+
+        // Look at nearby players sometimes
+        const nearbyPlayers = Object.values(bot.entities).filter(entity =>
+            entity.type === 'player' &&
+            entity.username !== bot.username &&
+            entity.position.distanceTo(bot.entity.position) < 10
+        );
+
+        if (nearbyPlayers.length > 0 && Math.random() < 0.4) {
+            const targetPlayer = nearbyPlayers[0];
+            bot.lookAt(targetPlayer.position.offset(0, 1.6, 0));
+            logger.debug(`Looking at player: ${targetPlayer.username}`);
+        } else {
+            // Random looking around
+            const randomYaw = bot.entity.yaw + (Math.random() - 0.5) * Math.PI;
+            const randomPitch = (Math.random() - 0.5) * Math.PI / 3;
+            bot.look(randomYaw, randomPitch);
+        }
+    }
+
+    followTargetPlayer() {
+        const bot = this.bot;
+        const state = this.state;
+
+        const targetEntity = state.targetPlayer && Object.values(bot.entities).find(entity =>
+            entity.username === state.targetPlayer
+        );
+
+        if (!targetEntity) {
+            // Player not found
+            state.currentTask = 'exploring';
+            state.targetPlayer = null;
+            return;
+        }
+
+        const distance = bot.entity.position.distanceTo(targetEntity.position);
+
+        if (distance > 25) {
+            // Too far, stop following
+            this.say(`${state.targetPlayer} you're too far away! come back if you need me`);
+            state.currentTask = 'exploring';
+            state.targetPlayer = null;
+        } else if (distance > 5) {
+            // Move towards the player, sprint if far away
+            logger.debug(`Following ${state.targetPlayer}, distance: ${distance.toFixed(1)}`);
+            bot.lookAt(targetEntity.position);
+            bot.setControlState('forward', true);
+            if (distance > 8) {
+                bot.setControlState('sprint', true);
+            }
+
+            setTimeout(() => {
+                bot.setControlState('forward', false);
+                bot.setControlState('sprint', false);
+            }, 1500);
+        }
+    }
+
+    seekFood() {
+        const bot = this.bot;
+
+        // Look for food in inventory first
+        const food = bot.inventory.items().find(item =>
+            ['bread', 'apple', 'carrot', 'potato', 'meat', 'fish'].some(name => item.name.includes(name))
+        );
+
+        if (!food) {
+            // Look for food sources
+            this.intelligentMovement();
+            return;
+        }
+
+        bot.equip(food, 'hand')
+            .then(() => bot.consume())
+            .then(() => {
+                this.state.currentTask = 'exploring';
+            })
+            .catch(error => logger.debug(`Failed to eat food: ${error.message}`));
+    }
+
+    manageInventory() {
+        const bot = this.bot;
+        if (!bot || !bot.entity) return;
+
+        const inventory = bot.inventory.items();
+        logger.debug(`Inventory: ${inventory.length} items`);
+
+        // Drop useless items if inventory is full
+        if (inventory.length <= 30) return;
+
+        const uselessItems = inventory.filter(item =>
+            item.name.includes('dirt') ||
+            item.name.includes('cobblestone') && inventory.filter(i => i.name === item.name).length > 32
+        );
+
+        if (uselessItems.length > 0) {
+            bot.toss(uselessItems[0].type, null, uselessItems[0].count)
+                .then(() => logger.debug(`Dropped ${uselessItems[0].name}`))
+                .catch(error => logger.debug(`Failed to drop item: ${error.message}`));
+        }
+    }
+}
+
+module.exports = Autopilot;
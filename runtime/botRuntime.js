@@ -0,0 +1,599 @@
+/**
+ * Bot Runtime
+ * One connected bot built from a profile: connection and reconnects,
+ * username rotation, chat routing and the optional features (command
+ * system, dashboard, database logging, ChatGPT chat and behaviors).
+ */
+
+const http = require('http');
+const EventEmitter = require('events');
+const mineflayer = require('mineflayer');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { describeProfile } = require('./profiles');
+
+// Username rotation pool for ban evasion
+const USERNAME_POOL = [
+    'AIPlayer', 'BotHelper', 'AutoCrafter', 'MineBot', 'PlayerAI',
+    'CraftBot', 'ExploreBot', 'BuildHelper', 'GameBot', 'ServerBot',
+    'FriendlyAI', 'HelpBot', 'ChatBot', 'WorkBot', 'PlayBot',
+    'SmartBot', 'QuickBot', 'FastBot', 'CoolBot', 'NiceBot'
+];
+
+// Modules for the behaviors/ entries a profile can list
+const BEHAVIOR_MODULES = {
+    movement: '../behaviors/movement',
+    blockBreaking: '../behaviors/blockBreaking',
+    chat: '../behaviors/chat',
+    antiIdle: '../behaviors/antiIdle'
+};
+
+// Common TPA request patterns from various plugins (EssentialsX, CMI, etc.)
+const TPA_PATTERNS = [
+    'has requested to teleport to you',
+    'has requested that you teleport to them',
+    'wants to teleport to you',
+    'is requesting to teleport',
+    'sent you a teleport request',
+    'teleport request from',
+    'tpa request from',
+    '/tpaccept to accept',
+    '/tpyes to accept',
+    'type /tpaccept',
+    'type /tpyes'
+];
+
+const BAN_KEYWORDS = ['ban', 'banned', 'blacklist', 'prohibited', 'blocked', 'suspended'];
+
+class BotRuntime extends EventEmitter {
+    /**
+     * @param {object} options - { host, port, username, profile } where profile
+     *   comes from resolveProfile(), plus for fleets:
+     *   id (dashboard bot id, default "default"), dataDir and waypointsFile (where
+     *   tasks, waypoints and build progress are saved, default data/), homeFile
+     *   (old single-home file imported as the home waypoint) and
+     *   startServer (false when the fleet runs the dashboard itself)
+     */
+    constructor(options) {
+        super();
+
+        this.id = options.id || 'default';
+        this.dataDir = options.dataDir || null;
+        this.waypointsFile = options.waypointsFile || null;
+        this.homeFile = options.homeFile || null;
+        this.startServer = options.startServer !== false;
+        this.host = options.host;
+        this.port = options.port;
+        this.baseUsername = options.username;
+        this.profile = options.profile;
+
+        this.bot = null;
+        this.currentUsername = this.baseUsername;
+        this.usernameIndex = 0;
+        this.reconnectAttempts = 0;
+        this.isReconnecting = false;
+        this.isShuttingDown = false;
+        this.maxReconnectAttempts = this.profile.usernameRotation
+            ? 50 // Higher for ban evasion
+            : config.connection.maxReconnectAttempts;
+
+        // Per-connection parts, rebuilt after every reconnect
+        this.commandSystem = null;
+        this.autopilot = null;
+        this.behaviors = {};
+        this.statsTimer = null;
+
+        // AI bot state shared with the autopilot, commands and dashboard
+        this.state = {
+            currentTask: 'exploring',
+            inventory: {},
+            hasWood: false,
+            hasCraftingTable: false,
+            hasPickaxe: false,
+            isMoving: false,
+            lastChatTime: 0,
+            lastMined: 0,
+            targetPlayer: null,
+            isCreativeMode: this.profile.creativeMode,
+            randomBehaviorsEnabled: true, // Random AI behaviors (moving, jumping, chatting)
+            goals: ['gather_wood', 'craft_table', 'craft_pickaxe', 'mine_stone'],
+            lastTpaAccept: 0, // Track last TPA accept time to prevent spam
+            lastLavaWarning: 0, // Track last lava warning to prevent log spam
+            lastLavaEscape: 0 // Track last lava escape action
+        };
+
+        // Optional features, loaded only when the profile uses them
+        this.webServer = this.profile.web === 'dashboard' ? require('../web-server') : null;
+        // This bot's routes and events on the dashboard
+        this.dashboard = this.webServer ? this.webServer.registerBot(this.id, { state: this.state }) : null;
+        this.healthServer = null;
+
+        const DatabaseLogger = this.profile.database ? require('./databaseLogger') : null;
+        this.database = DatabaseLogger ? new DatabaseLogger(this.host, this.port) : null;
+
+        const ChatAI = this.profile.openai ? require('./chatAI') : null;
+        this.chatAI = ChatAI ? new ChatAI() : null;
+    }
+
+    /**
+     * Start the web server (if any) and connect
+     */
+    start() {
+        logger.info(`🧩 Profile "${this.profile.name}": ${describeProfile(this.profile)}`);
+
+        if (!this.startServer) {
+            // The fleet supervisor runs one server for all bots
+        } else if (this.webServer) {
+            this.webServer.start();
+        } else if (this.profile.web === 'health') {
+            this.startHealthServer();
+        }
+
+        this.createBot();
+    }
+
+    /**
+     * Plain health check server for Render/UptimeRobot
+     */
+    startHealthServer() {
+        const port = process.env.PORT || 10000;
+        this.healthServer = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('Bot is alive!');
+        });
+        this.healthServer.listen(port, '0.0.0.0', () => {
+            logger.info(`🚀 Health check server running on port ${port}`);
+        });
+    }
+
+    getNextUsername() {
+        if (!this.profile.usernameRotation || this.reconnectAttempts === 0) {
+            this.currentUsername = this.baseUsername;
+        } else {
+            // Rotate through the pool, with random numbers for uniqueness
+            this.usernameIndex = (this.usernameIndex + 1) % USERNAME_POOL.length;
+            const randomSuffix = Math.floor(Math.random() * 999);
+            this.currentUsername = `${USERNAME_POOL[this.usernameIndex]}${randomSuffix}`;
+        }
+
+        logger.info(`🔄 Using username: ${this.currentUsername} (attempt ${this.reconnectAttempts + 1})`);
+        if (this.database) this.database.logUsernameUsage(this.currentUsername);
+        return this.currentUsername;
+    }
+
+    /**
+     * Minecraft version to connect with
+     */
+    getVersion() {
+        let version = config.bot.version || '1.20.1';
+
+        // Fix for "Paper 1.21.11" or similar non-standard version strings
+        version = version.replace(/^(Paper|Spigot|Bukkit|Velocity|BungeeCord|Waterfall) /, '');
+        if (version.includes('1.21.11')) {
+            version = '1.21.1';
+            logger.info('⚠️ Detected non-standard version 1.21.11, forcing 1.21.1 for compatibility');
+        }
+        return version;
+    }
+
+    createBot() {
+        const username = this.getNextUsername();
+        const version = this.getVersion();
+
+        if (this.dashboard) {
+            this.dashboard.updateBotStatus(username, false, this.host, this.port);
+            this.dashboard.addLog(`Initializing bot as ${username}...`);
+        }
+
+        const botOptions = {
+            host: this.host,
+            port: this.port,
+            username,
+            version,
+            auth: config.bot.auth || 'offline',
+            checkTimeoutInterval: 60000,
+            connectTimeout: 60000, // Wait up to 60s for connection (useful for Render/Aternos)
+            keepAlive: true,
+            hideErrors: false // Show detailed errors
+        };
+
+        const proxy = process.env.SOCKS_PROXY;
+        if (proxy) {
+            const [host, port, user, pass] = proxy.split(':');
+            const { ProxyAgent } = require('proxy-agent');
+            botOptions.agent = new ProxyAgent(`socks5://${user && pass ? `${user}:${pass}@` : ''}${host}:${port}`);
+            logger.info(`🌐 Using Proxy: ${host}:${port}`);
+        }
+
+        logger.info(`⚙️ Bot Options: Host=${this.host}, Port=${this.port}, Version=${version}, Auth=${botOptions.auth}`);
+        this.bot = mineflayer.createBot(botOptions);
+
+        // behaviors/ modules start themselves on the first spawn
+        this.setupBehaviors();
+        this.setupEventHandlers(this.bot);
+        return this.bot;
+    }
+
+    setupBehaviors() {
+        for (const name of this.profile.behaviors) {
+            if (!BEHAVIOR_MODULES[name]) continue;
+            try {
+                const Behavior = require(BEHAVIOR_MODULES[name]);
+                this.behaviors[name] = new Behavior(this.bot, config);
+            } catch (error) {
+                logger.error(`Failed to initialize ${name} behavior: ${error.message}`);
+            }
+        }
+    }
+
+    setupEventHandlers(bot) {
+        bot.on('login', () => {
+            logger.info(`✅ Bot logged in as ${bot.username}`);
+            logger.info(`🌍 Connected to ${this.host}:${this.port}`);
+            this.reconnectAttempts = 0;
+
+            if (this.dashboard) {
+                this.dashboard.updateBotStatus(bot.username, true, this.host, this.port);
+                this.dashboard.addLog('Bot successfully logged in');
+                this.dashboard.setBotInstance(bot); // Enable dashboard commands
+            }
+            if (this.database) {
+                this.database.startSession(bot.username);
+                this.database.updateServerStatus(true, Object.keys(bot.players || {}).length);
+            }
+            this.emit('login', bot);
+        });
+
+        bot.on('spawn', () => {
+            logger.info(`Bot spawned at ${bot.entity.position}`);
+            if (this.dashboard) this.dashboard.addLog('Bot spawned in world');
+
+            // Spawn also fires after respawning: set up once per connection
+            if (!this.statsTimer) {
+                this.onFirstSpawn(bot);
+            }
+
+            // Try to enable creative mode if possible (silently)
+            if (this.state.isCreativeMode) {
+                setTimeout(() => {
+                    if (this.bot === bot) bot.chat('/gamemode creative');
+                }, 1000);
+            }
+            this.emit('spawn', bot);
+        });
+
+        bot.on('chat', (username, message) => {
+            if (username === bot.username) return;
+            logger.info(`<${username}> ${message}`);
+            if (this.database) this.database.logInteraction(username, 'chat', message);
+            this.handlePlayerChat(username, message);
+        });
+
+        bot.on('whisper', (username, message) => {
+            logger.info(`${username} whispers: ${message}`);
+        });
+
+        // Auto-accept TPA (teleport) requests so players can pull the bot to them
+        if (this.profile.abilities) {
+            bot.on('message', (jsonMsg) => {
+                const message = jsonMsg.toString().toLowerCase();
+                if (!TPA_PATTERNS.some(pattern => message.includes(pattern))) return;
+
+                // Cooldown of 3 seconds to prevent spam
+                const now = Date.now();
+                if (now - this.state.lastTpaAccept > 3000) {
+                    logger.info('📍 TPA request detected! Auto-accepting...');
+                    setTimeout(() => bot.chat('/tpaccept'), 500);
+                    this.state.lastTpaAccept = now;
+                }
+            });
+        }
+
+        bot.on('playerJoined', (player) => {
+            if (player.username === bot.username) return;
+            logger.info(`${player.username} joined the game`);
+            if (this.database) this.database.logInteraction(player.username, 'join', null);
+
+            // Greet with ChatGPT once logged in (the join burst on login is not greeted)
+            if (this.chatAI && this.chatAI.isEnabled && bot.entity) {
+                setTimeout(async () => {
+                    const welcome = await this.chatAI.welcome(bot.username, player.username);
+                    this.say(welcome);
+                    if (this.database) this.database.logInteraction(player.username, 'welcome', null, welcome);
+                }, 1500 + Math.random() * 2500);
+            }
+        });
+
+        bot.on('playerLeft', (player) => {
+            logger.info(`${player.username} left the game`);
+            if (this.database) this.database.logInteraction(player.username, 'leave', null);
+        });
+
+        bot.on('health', () => {
+            if (bot.health !== undefined && bot.health < 10 && this.autopilot) {
+                logger.warn('Low health detected, seeking food or safety');
+                this.state.currentTask = 'seek_food';
+            }
+        });
+
+        // Auto-respawn when bot dies
+        bot.on('death', () => {
+            logger.warn('🔴 Bot died! Auto-respawning...');
+            setTimeout(() => {
+                try {
+                    bot.respawn();
+                } catch (error) {
+                    logger.debug('Respawn failed, waiting for auto-respawn');
+                }
+            }, 1000);
+        });
+
+        bot.on('error', (err) => {
+            logger.error(`❌ Bot error: ${err.message}`);
+
+            if (err.message.includes('ETIMEDOUT')) {
+                logger.warn('⚠️ Connection TIMED OUT - Render needs more time or Aternos server is OFFLINE');
+                logger.info('💡 TIP: Make sure your Aternos server is actually started before running the bot!');
+            } else if (['protocol version', 'ECONNREFUSED', 'ENOTFOUND', 'minecraftVersion'].some(text => err.message.includes(text))) {
+                logger.warn('⚠️ Connection/protocol error - server may be offline or incompatible');
+            }
+
+            this.onDisconnect(bot, `error: ${err.message}`);
+        });
+
+        bot.on('kicked', (reason) => {
+            const text = typeof reason === 'string' ? reason : JSON.stringify(reason);
+            logger.warn(`👢 Bot was kicked: ${text}`);
+
+            if (BAN_KEYWORDS.some(keyword => text.toLowerCase().includes(keyword))) {
+                logger.warn(`🚫 Detected ban! Reason: ${text}`);
+                if (this.profile.usernameRotation) {
+                    logger.info('🔄 Will reconnect with different username...');
+                }
+                if (this.database) this.database.logUsernameUsage(bot.username, true, text);
+            }
+
+            if (this.dashboard) this.dashboard.addLog(`Kicked: ${text}`);
+            this.onDisconnect(bot, `kicked: ${text}`);
+        });
+
+        bot.on('end', (reason) => {
+            logger.warn(`🔌 Bot disconnected: ${reason}`);
+            if (this.dashboard) this.dashboard.addLog(`Disconnected: ${reason}`);
+
+            // Don't reconnect if we quit on purpose
+            if (reason !== 'disconnect.quitting') {
+                this.onDisconnect(bot, reason);
+            }
+        });
+    }
+
+    /**
+     * Start per-connection features after the first spawn
+     */
+    onFirstSpawn(bot) {
+        // Stats sync loop for the dashboard
+        this.statsTimer = setInterval(() => {
+            if (this.dashboard && bot.entity) {
+                this.dashboard.updateStats({
+                    health: bot.health,
+                    food: bot.food,
+                    position: bot.entity.position,
+                    task: this.state.currentTask || 'Idle'
+                });
+            }
+        }, 1000);
+
+        if (this.profile.abilities) {
+            const { createCommandSystem } = require('./commandSystem');
+            const TeamCoordinator = require('../abilities/teamCoordinator');
+            this.commandSystem = createCommandSystem(bot, {
+                dashboard: this.dashboard,
+                state: this.state,
+                dataDir: this.dataDir,
+                waypointsFile: this.waypointsFile,
+                homeFile: this.homeFile,
+                abilities: this.profile.abilities,
+                // Bots of one fleet on the same server share team jobs
+                coordinator: TeamCoordinator.forWorld(this.host, this.port),
+                id: this.id
+            });
+
+            // Resume tasks saved before the last disconnect
+            setTimeout(() => {
+                if (this.bot === bot && this.commandSystem) {
+                    this.commandSystem.taskManager.resumeSavedTasks();
+                }
+            }, 5000);
+
+            setTimeout(() => {
+                this.say('Ready! You can use -bot commands or just tell me what you need naturally');
+            }, 2000);
+        }
+
+        if (this.profile.behaviors.includes('autopilot')) {
+            const Autopilot = require('./autopilot');
+            this.autopilot = new Autopilot(bot, this.state, {
+                commandHandler: this.commandSystem ? this.commandSystem.commandHandler : null,
+                say: message => this.say(message)
+            });
+            setTimeout(() => {
+                if (this.autopilot) this.autopilot.start();
+            }, 2000);
+        }
+    }
+
+    /**
+     * Route a player's chat: -bot commands to the command system, anything
+     * else to ChatGPT when enabled
+     */
+    handlePlayerChat(username, message) {
+        // Ignore our own earlier usernames from the rotation pool
+        if (USERNAME_POOL.some(name => username.startsWith(name))) {
+            logger.debug(`🚫 Skipping message from bot username: ${username}`);
+            return;
+        }
+
+        if (message.toLowerCase().startsWith('-bot')) {
+            if (!this.commandSystem) return;
+
+            const command = this.commandSystem.commandParser.parse(message, username);
+            if (command) {
+                logger.info(`🎮 Command detected from ${username}: ${JSON.stringify(command)}`);
+                this.commandSystem.commandHandler.execute(command);
+            } else {
+                logger.info(`❓ Invalid command format from ${username}: "${message}"`);
+                setTimeout(() => {
+                    if (this.bot) this.bot.chat(`${username}, use -bot help to see available commands!`);
+                }, 500);
+            }
+            return;
+        }
+
+        // Answer most normal chat with ChatGPT
+        if (this.chatAI && Math.random() < 0.9) {
+            setTimeout(async () => {
+                const reply = await this.chatAI.reply(this.currentUsername, username, message);
+                this.say(reply);
+                if (this.database) this.database.logInteraction(username, 'chat_response', message, reply);
+                logger.info(`🤖 ChatGPT response to ${username}: "${reply}"`);
+            }, 1000 + Math.random() * 2000);
+        }
+    }
+
+    /**
+     * Send a chat message, at most once every 10 seconds
+     */
+    say(message) {
+        if (!this.bot || !message) return;
+
+        const now = Date.now();
+        if (now - this.state.lastChatTime < 10000) return;
+
+        try {
+            this.bot.chat(message);
+            this.state.lastChatTime = now;
+            logger.info(`💬 Bot: ${message}`);
+            if (this.database) this.database.logInteraction(this.bot.username, 'bot_chat', message);
+        } catch (error) {
+            logger.debug(`Failed to send chat: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop everything tied to the current connection
+     */
+    teardownConnection() {
+        if (this.statsTimer) {
+            clearInterval(this.statsTimer);
+            this.statsTimer = null;
+        }
+        if (this.autopilot) {
+            this.autopilot.stop();
+            this.autopilot = null;
+        }
+        if (this.commandSystem) {
+            // Keeps the saved task state; the interrupted task resumes after the next spawn
+            this.commandSystem.stop();
+            this.commandSystem = null;
+        }
+        for (const [name, behavior] of Object.entries(this.behaviors)) {
+            try {
+                behavior.cleanup();
+            } catch (error) {
+                logger.error(`Error cleaning up ${name} behavior: ${error.message}`);
+            }
+        }
+        this.behaviors = {};
+    }
+
+    onDisconnect(bot, reason) {
+        // error, kicked and end can all fire for one disconnect
+        if (this.bot !== bot || this.isShuttingDown) return;
+
+        if (this.dashboard) this.dashboard.updateBotStatus(bot.username, false);
+        if (this.database) {
+            this.database.endSession(reason);
+            this.database.updateServerStatus(false, 0, reason);
+        }
+        this.teardownConnection();
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        // Prevent duplicate reconnection calls
+        if (this.isReconnecting) {
+            logger.debug('Already reconnecting, skipping duplicate call');
+            return;
+        }
+
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            // A fleet listens for giveUp and keeps its other bots running
+            if (this.listenerCount('giveUp') > 0) {
+                logger.error(`💀 Bot "${this.id}": max reconnection attempts (${this.maxReconnectAttempts}) reached. Giving up.`);
+                this.isShuttingDown = true;
+                this.emit('giveUp');
+                return;
+            }
+            logger.error(`💀 Max reconnection attempts (${this.maxReconnectAttempts}) reached. Exiting.`);
+            process.exit(1);
+        }
+
+        this.isReconnecting = true;
+        this.reconnectAttempts++;
+
+        let delay;
+        if (!this.profile.usernameRotation) {
+            delay = Math.min(config.connection.reconnectDelay * this.reconnectAttempts, config.connection.maxReconnectDelay);
+        } else if (this.reconnectAttempts > 1) {
+            // After first reconnect, assume potential ban - use longer delays (30s to 2min)
+            delay = Math.min(120000, 30000 + (this.reconnectAttempts * 15000));
+        } else {
+            // First reconnect - quick retry
+            delay = 5000;
+        }
+        logger.info(`🔄 Reconnecting in ${delay / 1000}s (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+
+        setTimeout(() => {
+            const oldBot = this.bot;
+            this.bot = null;
+            if (oldBot) {
+                try {
+                    oldBot.removeAllListeners();
+                    oldBot.on('error', () => {}); // Swallow late socket errors
+                    oldBot.quit();
+                } catch (error) {
+                    logger.debug(`Bot cleanup skipped: ${error.message}`);
+                }
+            }
+
+            this.isReconnecting = false;
+            try {
+                this.createBot();
+            } catch (error) {
+                logger.error(`Error during reconnection: ${error.message}`);
+                this.scheduleReconnect();
+            }
+        }, delay);
+    }
+
+    /**
+     * Disconnect for good, keeping saved tasks so they resume on next start
+     */
+    async shutdown() {
+        this.isShuttingDown = true;
+        this.teardownConnection();
+        if (this.database) await this.database.endSession('shutdown');
+        if (this.bot) {
+            try {
+                this.bot.quit();
+            } catch (error) {
+                logger.debug(`Quit failed: ${error.message}`);
+            }
+        }
+    }
+}
+
+BotRuntime.USERNAME_POOL = USERNAME_POOL;
+
+module.exports = BotRuntime;
@@ -0,0 +1,122 @@
+/**
+ * Chat AI
+ * ChatGPT replies and welcome messages with per-player history.
+ * Falls back to canned replies without OPENAI_API_KEY or when the API fails.
+ */
+
+const logger = require('../utils/logger');
+
+const MODEL = 'gpt-4o';
+
+// Messages kept per player for context (to manage API costs)
+const HISTORY_LENGTH = 10;
+
+class ChatAI {
+    constructor(apiKey = process.env.OPENAI_API_KEY) {
+        this.client = null;
+        this.history = new Map(); // playerName -> array of messages
+
+        if (!apiKey) {
+            logger.warn('⚠️  No OPENAI_API_KEY found, running without ChatGPT integration');
+            return;
+        }
+
+        try {
+            const OpenAI = require('openai');
+            this.client = new OpenAI({ apiKey });
+            logger.info('✅ OpenAI initialized successfully');
+        } catch (error) {
+            logger.warn(`⚠️  OpenAI initialization failed: ${error.message}`);
+        }
+    }
+
+    get isEnabled() {
+        return this.client !== null;
+    }
+
+    /**
+     * Reply to a player's chat message
+     * @param {string} botName - Current bot username
+     * @param {string} playerName - Player who spoke
+     * @param {string} message - What they said
+     * @returns {Promise<string>} - Reply for chat
+     */
+    async reply(botName, playerName, message) {
+        if (!this.client) return this.fallbackReply(playerName);
+
+        if (!this.history.has(playerName)) {
+            this.history.set(playerName, []);
+        }
+        const playerHistory = this.history.get(playerName);
+        playerHistory.push({ role: 'user', content: `${playerName}: ${message}` });
+        if (playerHistory.length > HISTORY_LENGTH) {
+            playerHistory.splice(0, playerHistory.length - HISTORY_LENGTH);
+        }
+
+        try {
+            const reply = await this.complete([
+                {
+                    role: 'system',
+                    content: `You are ${botName}, a friendly AI player in a Minecraft server. You should:
+- Respond naturally like a real player
+- Keep responses short (under 50 characters for Minecraft chat)
+- Be helpful, friendly, and engaging
+- Talk about Minecraft activities like building, mining, crafting
+- Use casual gaming language
+- Remember you're playing Minecraft with ${playerName}
+- Don't mention you're an AI unless directly asked`
+                },
+                ...playerHistory
+            ], 60, 0.8);
+
+            playerHistory.push({ role: 'assistant', content: reply });
+            return reply;
+        } catch (error) {
+            logger.error(`ChatGPT API error: ${error.message}`);
+            return this.fallbackReply(playerName);
+        }
+    }
+
+    /**
+     * Welcome message for a player who just joined
+     */
+    async welcome(botName, playerName) {
+        const fallback = `welcome ${playerName}! nice to meet you!`;
+        if (!this.client) return fallback;
+
+        try {
+            return await this.complete([
+                {
+                    role: 'system',
+                    content: `You are ${botName}, a friendly player on a Minecraft server. Generate a short, warm welcome message (under 50 characters) for a new player named ${playerName}. Be casual and friendly like a real player.`
+                }
+            ], 50, 0.8);
+        } catch (error) {
+            logger.debug(`ChatGPT welcome failed: ${error.message}`);
+            return fallback;
+        }
+    }
+
+    async complete(messages, maxTokens, temperature) {
+        const response = await this.client.chat.completions.create({
+            model: MODEL,
+            messages,
+            max_tokens: maxTokens,
+            temperature
+        });
+        return response.choices[0].message.content.trim();
+    }
+
+    fallbackReply(playerName) {
+        const replies = [
+            `hey ${playerName}! how are you doing?`,
+            `hi ${playerName}! what's up?`,
+            `cool ${playerName}! tell me more`,
+            `awesome ${playerName}! that sounds fun!`,
+            `nice ${playerName}! what are you building?`
+        ];
+        return replies[Math.floor(Math.random() * replies.length)];
+    }
+}
+
+module.exports = ChatAI;
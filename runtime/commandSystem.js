@@ -0,0 +1,292 @@
+/**
+ * Command System
+ * Loads the pathfinder and wires every ability into the -bot command handler
+ */
+
+const path = require('path');
+const { pathfinder, Movements, goals } = require('mineflayer-pathfinder');
+const logger = require('../utils/logger');
+
+const CommandParser = require('../commands/commandParser');
+const CommandHandler = require('../commands/commandHandler');
+const MinerAbility = require('../abilities/miner');
+const CombatAbility = require('../abilities/combat');
+const NavigationAbility = require('../abilities/navigation');
+const CraftingAbility = require('../abilities/crafting');
+const SmeltingAbility = require('../abilities/smelting');
+const SmithingAbility = require('../abilities/smithing');
+const EnchantingAbility = require('../abilities/enchanting');
+const ToolManager = require('../abilities/toolManager');
+const TunnelAbility = require('../abilities/tunneling');
+const Prospector = require('../abilities/prospector');
+const FarmingAbility = require('../abilities/farming');
+const TaskManager = require('../abilities/taskManager');
+const OreMap = require('../utils/oreMap');
+const DoorHandler = require('../utils/doorHandler');
+const HomeManager = require('../abilities/homeManager');
+const WaypointManager = require('../abilities/waypoints');
+const TravelPlanner = require('../abilities/travel');
+const TravelModes = require('../abilities/travelModes');
+const Sleeper = require('../abilities/sleeper');
+const AutoEat = require('../abilities/autoEat');
+const InventoryManager = require('../abilities/inventoryManager');
+const ChestManager = require('../abilities/chestManager');
+const BuildingAbility = require('../abilities/building');
+const NetherAbility = require('../abilities/nether');
+const StructureFinder = require('../abilities/structureFinder');
+const TeamCoordinator = require('../abilities/teamCoordinator');
+const TeamworkAbility = require('../abilities/teamwork');
+
+// Mind module for intelligent decision-making
+const BotMind = require('../mind/botMind');
+
+// Openable blocks the pathfinder should walk through instead of breaking
+const WOOD_TYPES = ['oak', 'spruce', 'birch', 'jungle', 'acacia', 'dark_oak',
+    'crimson', 'warped', 'mangrove', 'cherry', 'bamboo'];
+const OPENABLE_BLOCKS = WOOD_TYPES.flatMap(wood =>
+    [`${wood}_fence_gate`, `${wood}_door`, `${wood}_trapdoor`]);
+
+/**
+ * Load the pathfinder plugin with movements that can open doors
+ */
+function setupPathfinder(bot) {
+    bot.loadPlugin(pathfinder);
+
+    const mcData = require('minecraft-data')(bot.version);
+    const defaultMovements = new Movements(bot);
+
+    // Movement configuration
+    defaultMovements.allowSprinting = true;
+    defaultMovements.allowParkour = true;      // Allow jumping gaps
+    defaultMovements.canOpenDoors = true;      // Open doors automatically
+    defaultMovements.canDig = false;           // Don't dig unless necessary (prevents breaking houses)
+    defaultMovements.allow1by1towers = false;  // Don't pillar up
+    defaultMovements.allowFreeMotion = true;   // Allow free motion for better paths
+    defaultMovements.maxDropDown = 4;          // Max fall distance
+
+    for (const blockName of OPENABLE_BLOCKS) {
+        const block = mcData.blocksByName[blockName];
+        if (block) {
+            // Don't break these blocks, and keep them passable for the pathfinder
+            defaultMovements.blocksCantBreak.add(block.id);
+            defaultMovements.blocksToAvoid.delete(block.id);
+        }
+    }
+
+    bot.pathfinder.setMovements(defaultMovements);
+    logger.info('🗺️ Pathfinder loaded with door/gate support');
+
+    return { mcData, Movements, goals };
+}
+
+/**
+ * Create the command system for one bot connection
+ * @param {object} bot - Mineflayer bot
+ * @param {object} options
+ * @param {object} options.dashboard - Handle from webServer.registerBot(), or null when the dashboard is off
+ * @param {object} options.state - Bot runtime state toggled by start/stop random
+ * @param {string} options.dataDir - Directory for tasks.json, permissions.json, waypoints.json, tunnel.json, ores.json and the build checkpoint (default data/)
+ * @param {string} options.waypointsFile - Waypoints file, when not <dataDir>/waypoints.json
+ * @param {string} options.homeFile - Old single-home file imported as the home waypoint, when not <dataDir>/home.json
+ * @param {boolean|string[]} options.abilities - true for every command, or the command names to register
+ * @param {object} options.coordinator - TeamCoordinator shared with the other bots in this world
+ * @param {string} options.id - Name of this bot in the team (fleet bot id)
+ * @returns {object} - { commandParser, commandHandler, taskManager, stop }
+ */
+function createCommandSystem(bot, options = {}) {
+    logger.info('🎮 Initializing command system...');
+
+    const dashboard = options.dashboard || null;
+    const dataDir = options.dataDir || path.join(__dirname, '../data');
+    const memberId = options.id || 'default';
+
+    // A bot on its own is a team of one
+    const coordinator = options.coordinator || new TeamCoordinator('local');
+
+    // Pathfinder config object passed to abilities
+    const pathfinderConfig = setupPathfinder(bot);
+
+    const commandParser = new CommandParser();
+    const commandHandler = new CommandHandler(bot, { permissionsPath: path.join(dataDir, 'permissions.json') });
+    commandHandler.setBotState(options.state || null);
+    const taskManager = new TaskManager(bot, { statePath: path.join(dataDir, 'tasks.json') });
+
+    const combatAbility = new CombatAbility(bot, pathfinderConfig);
+
+    // Named waypoints per dimension; the old home.json becomes the "home" waypoint the first time
+    const waypoints = new WaypointManager(bot, pathfinderConfig, {
+        filePath: options.waypointsFile || path.join(dataDir, 'waypoints.json'),
+        legacyHomePath: options.homeFile || path.join(dataDir, 'home.json')
+    });
+    const homeManager = new HomeManager(bot, pathfinderConfig, { waypoints });
+
+    // Long trips go in loaded segments, with portal waypoints as shortcuts through the nether
+    // Elytra flights are picked from the inventory and the sky above the bot
+    const travelPlanner = new TravelPlanner(bot, pathfinderConfig, waypoints);
+    travelPlanner.setTravelModes(new TravelModes(bot, pathfinderConfig));
+    waypoints.setTravelPlanner(travelPlanner);
+
+    // Inject homeManager into navigation for auto-deposit
+    const navigationAbility = new NavigationAbility(bot, pathfinderConfig, homeManager);
+    navigationAbility.setTravelPlanner(travelPlanner);
+    navigationAbility.setCombatAbility(combatAbility);
+
+    const craftingAbility = new CraftingAbility(bot, pathfinderConfig);
+
+    // Smelting for furnace products (iron_ingot, glass...), used by crafting automatically
+    const smeltingAbility = new SmeltingAbility(bot, pathfinderConfig, craftingAbility);
+    craftingAbility.setSmeltingAbility(smeltingAbility);
+
+    // Smithing for netherite upgrades (used by crafting) and armor trims
+    const smithingAbility = new SmithingAbility(bot, pathfinderConfig, craftingAbility);
+    craftingAbility.setSmithingAbility(smithingAbility);
+
+    // Enchanting table, anvil and grindstone
+    const enchantingAbility = new EnchantingAbility(bot, pathfinderConfig);
+    const sleeper = new Sleeper(bot, pathfinderConfig);
+    sleeper.setWaypoints(waypoints);
+    const inventoryManager = new InventoryManager(bot);
+    const netherAbility = new NetherAbility(bot, pathfinderConfig);
+    netherAbility.setWaypoints(waypoints);
+    netherAbility.setTravelPlanner(travelPlanner);
+    const chestManager = new ChestManager(bot, pathfinderConfig);
+
+    // Pass sleeper and homeManager to farming ability
+    const farmingAbility = new FarmingAbility(bot, pathfinderConfig, sleeper, homeManager);
+    farmingAbility.setWaypoints(waypoints);
+
+    // Miner needs access to combat (defense) and home (inventory)
+    const minerAbility = new MinerAbility(bot, pathfinderConfig, homeManager, combatAbility);
+
+    // Worn tools are replaced from the home chests or crafted, so mining pauses instead of stopping
+    const toolManager = new ToolManager(bot, pathfinderConfig, homeManager, craftingAbility);
+    minerAbility.setToolManager(toolManager);
+    combatAbility.setToolManager(toolManager);
+
+    // Ores the bot has seen, kept between sessions so mining can go straight to known deposits
+    const oreMap = new OreMap({ filePath: path.join(dataDir, 'ores.json') });
+    const prospector = new Prospector(bot, oreMap);
+    minerAbility.setOreMap(oreMap);
+    minerAbility.setTravelPlanner(travelPlanner);
+
+    // Tunnel patterns dig with the miner's tools and record their layout next to the other data files
+    const tunnelAbility = new TunnelAbility(bot, pathfinderConfig, minerAbility, {
+        layoutPath: path.join(dataDir, 'tunnel.json')
+    });
+
+    // Building ability with miner for material gathering
+    const buildingAbility = new BuildingAbility(bot, pathfinderConfig, minerAbility, {
+        checkpointPath: path.join(dataDir, 'build-checkpoint.json')
+    });
+
+    // Structure Finder ability for locating structures
+    const structureFinder = new StructureFinder(bot, pathfinderConfig);
+
+    // Team jobs: shared chests, layer ranges and hand-over steps
+    homeManager.setCoordinator(coordinator, memberId);
+    buildingAbility.setCoordinator(coordinator, memberId);
+    const teamworkAbility = new TeamworkAbility(bot, pathfinderConfig, coordinator, homeManager, memberId);
+
+    // Abilities by command name; a profile or fleet bot can enable only some of them
+    const abilities = {
+        mine: minerAbility,
+        tunnel: tunnelAbility,
+        ores: prospector,
+        kill: combatAbility,
+        come: navigationAbility,
+        go: navigationAbility,
+        follow: navigationAbility,
+        make: craftingAbility,
+        smelt: smeltingAbility,
+        trim: smithingAbility,
+        enchant: enchantingAbility,
+        repair: enchantingAbility,
+        disenchant: enchantingAbility,
+        farm: farmingAbility,
+        home: homeManager,
+        waypoint: waypoints,
+        goto: waypoints,
+        sort: chestManager,
+        inventory: inventoryManager,
+        equip: inventoryManager,
+        sleeper,
+        nether: netherAbility,
+        build: buildingAbility,
+        find: structureFinder,
+        team: teamworkAbility
+    };
+
+    // Register abilities with command handler
+    const enabled = Array.isArray(options.abilities) ? options.abilities : Object.keys(abilities);
+    for (const action of enabled) {
+        if (abilities[action]) {
+            commandHandler.registerAbility(action, abilities[action]);
+        } else {
+            logger.warn(`Unknown ability "${action}" in abilities list`);
+        }
+    }
+
+    // Register abilities with task manager
+    taskManager.registerAbilities(commandHandler.abilities);
+
+    // Queued and interrupted tasks run through the command handler
+    commandHandler.setTaskManager(taskManager);
+    taskManager.setCommandHandler(commandHandler);
+
+    // Team jobs are split between every bot that joined this world's coordinator
+    coordinator.join({ id: memberId, bot, commandHandler, taskManager });
+
+    if (dashboard) {
+        // Push task start/finish to the dashboard
+        commandHandler.on('taskStart', (task) => dashboard.broadcastEvent('task_start', task));
+        commandHandler.on('taskFinish', (task) => dashboard.broadcastEvent('task_finish', task));
+        commandHandler.on('taskProgress', (task) => dashboard.broadcastEvent('task_progress', task));
+
+        // Let /api/command run -bot commands
+        dashboard.setCommandHandler(commandHandler);
+
+        // /api/ores lists the deposits this bot has seen
+        dashboard.setOreMap(oreMap);
+    }
+
+    // Start AutoEat monitor
+    const autoEat = new AutoEat(bot);
+    autoEat.start();
+
+    // Record ores as the bot sees them
+    prospector.startScanning();
+
+    // Initialize door handler for auto-opening doors and gates
+    const doorHandler = new DoorHandler(bot);
+    doorHandler.startAutoOpen();
+    logger.info('🚪 Door handler active - will auto-open doors and gates');
+
+    // Initialize BotMind for intelligent natural language understanding
+    const botMind = new BotMind(bot, commandHandler);
+    logger.info('🧠 BotMind initialized - natural language understanding active');
+
+    logger.info('✅ Command system ready! Use -bot <command> in chat');
+    logger.info('📝 Commands: mine, kill, come, go, make, farm, sethome, home, mine_all, find, stop, status');
+
+    return {
+        commandParser,
+        commandHandler,
+        taskManager,
+        botMind,
+
+        /**
+         * Stop background monitors and keep saved tasks for the next connection
+         */
+        stop() {
+            autoEat.stop();
+            prospector.stopScanning();
+            doorHandler.stopAutoOpen();
+            coordinator.leave(memberId);
+            taskManager.suspend();
+        }
+    };
+}
+
+module.exports = {
+    createCommandSystem
+};
@@ -0,0 +1,103 @@
+/**
+ * Database Logger
+ * Records sessions, player interactions, server status and usernames to
+ * DATABASE_URL through server/storage. Every call is a no-op without a
+ * database, and failures never interrupt the bot.
+ */
+
+const logger = require('../utils/logger');
+
+class DatabaseLogger {
+    constructor(serverHost, serverPort) {
+        this.serverHost = serverHost;
+        this.serverPort = serverPort;
+        this.storage = null;
+        this.sessionId = null;
+
+        if (!process.env.DATABASE_URL) {
+            logger.warn('⚠️  DATABASE_URL not set, running without database logging');
+            return;
+        }
+
+        try {
+            this.storage = require('../server/storage.js').storage;
+            logger.info('📊 Database connected successfully');
+        } catch (error) {
+            logger.warn('⚠️  Database TypeScript files need compilation, running without database');
+        }
+    }
+
+    get isEnabled() {
+        return this.storage !== null;
+    }
+
+    /**
+     * Run a storage call, logging failures at debug level
+     */
+    async run(label, fn) {
+        if (!this.storage) return null;
+        try {
+            return await fn(this.storage);
+        } catch (error) {
+            logger.debug(`Database ${label}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async startSession(username) {
+        const session = await this.run('session creation', storage => storage.createBotSession({
+            username,
+            serverHost: this.serverHost,
+            serverPort: this.serverPort,
+            startTime: new Date(),
+            isActive: true
+        }));
+        if (session) {
+            this.sessionId = session.id;
+            logger.info(`📊 Created database session ${this.sessionId}`);
+        }
+    }
+
+    async endSession(reason = 'disconnect') {
+        if (!this.sessionId) return;
+        await this.run('session end', storage => storage.endCurrentSession(reason));
+        logger.info(`📊 Ended database session ${this.sessionId}`);
+        this.sessionId = null;
+    }
+
+    async logInteraction(playerName, messageType, message, botResponse = null) {
+        if (!this.sessionId) return;
+        await this.run('interaction logging', storage => storage.logPlayerInteraction({
+            sessionId: this.sessionId,
+            playerName,
+            messageType,
+            message,
+            botResponse,
+            timestamp: new Date()
+        }));
+    }
+
+    async updateServerStatus(isOnline, playerCount = 0, errorMessage = null) {
+        await this.run('server status update', storage => storage.updateServerStatus({
+            serverHost: this.serverHost,
+            serverPort: this.serverPort,
+            isOnline,
+            playerCount,
+            errorMessage,
+            timestamp: new Date()
+        }));
+    }
+
+    async logUsernameUsage(username, wasBanned = false, banReason = null) {
+        await this.run('username logging', storage => storage.logUsernameUsage({
+            username,
+            serverHost: this.serverHost,
+            serverPort: this.serverPort,
+            wasBanned,
+            banReason,
+            timestamp: new Date()
+        }));
+    }
+}
+
+module.exports = DatabaseLogger;
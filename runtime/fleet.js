@@ -0,0 +1,172 @@
+/**
+ * Fleet Supervisor
+ * Runs several bots in one process from a fleet file. Every bot has its own
+ * server, username, abilities, saved tasks and home; they share one dashboard
+ * where each bot has its own /api/bots/:id/* routes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const BotRuntime = require('./botRuntime');
+const { resolveProfile } = require('./profiles');
+
+// Ids end up in dashboard URLs and data/bots/<id>/
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Fields a fleet entry can set besides its profile's features
+const FEATURE_OVERRIDES = ['abilities', 'behaviors', 'usernameRotation', 'creativeMode', 'database', 'openai'];
+
+// A fleet bot has its own fixed account and game mode, so these stay off unless the
+// fleet file turns them on, whatever its profile (e.g. 'ai') says
+const FLEET_FEATURES = {
+    usernameRotation: false,
+    creativeMode: false
+};
+
+/**
+ * Read a fleet file (.json, .yaml or .yml)
+ * @param {string} filePath - Fleet file path
+ * @returns {object} - { defaults, bots }
+ */
+function loadFleetFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+
+    if (/\.ya?ml$/i.test(filePath)) {
+        let YAML;
+        try {
+            YAML = require('yaml');
+        } catch (error) {
+            throw new Error('YAML fleet files need the "yaml" package (npm install yaml), or use a .json fleet file');
+        }
+        return YAML.parse(text) || {};
+    }
+    return JSON.parse(text);
+}
+
+/**
+ * Turn a fleet file into one BotRuntime options object per bot
+ * @param {object} fleet - Parsed fleet file
+ * @param {string} baseDir - Directory that relative waypointsFile/homeFile/dataDir paths start from
+ * @returns {object[]} - BotRuntime options
+ */
+function resolveFleet(fleet, baseDir = process.cwd()) {
+    const defaults = fleet.defaults || {};
+    const entries = fleet.bots;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('Fleet file needs a non-empty "bots" list');
+    }
+
+    const ids = new Set();
+    const accounts = new Set();
+
+    return entries.map((entry, index) => {
+        const bot = { ...defaults, ...entry };
+        const id = bot.id ? String(bot.id) : null;
+
+        if (!id || !ID_PATTERN.test(id)) {
+            throw new Error(`Fleet bot #${index + 1}: id must be letters, digits, _ or -`);
+        }
+        if (ids.has(id)) {
+            throw new Error(`Fleet bot "${id}": duplicate id`);
+        }
+        ids.add(id);
+
+        const host = bot.host || config.defaultServer.host;
+        const port = parseInt(bot.port) || config.defaultServer.port;
+        const username = bot.username;
+
+        if (isNaN(port) || port < 1 || port > 65535) {
+            throw new Error(`Fleet bot "${id}": invalid port ${bot.port}`);
+        }
+        if (!username || username.length < 3 || username.length > 16) {
+            throw new Error(`Fleet bot "${id}": username must be between 3 and 16 characters`);
+        }
+
+        // Two bots with one account on one server would keep kicking each other
+        const account = `${username.toLowerCase()}@${host}:${port}`;
+        if (accounts.has(account)) {
+            throw new Error(`Fleet bot "${id}": ${username} is already used on ${host}:${port}`);
+        }
+        accounts.add(account);
+
+        const overrides = { ...FLEET_FEATURES };
+        for (const field of FEATURE_OVERRIDES) {
+            if (bot[field] !== undefined) overrides[field] = bot[field];
+        }
+        const profile = resolveProfile(bot.profile || config.defaultProfile, config.profiles, overrides);
+
+        return {
+            id,
+            host,
+            port,
+            username,
+            profile,
+            dataDir: path.resolve(baseDir, bot.dataDir || path.join('data', 'bots', id)),
+            waypointsFile: bot.waypointsFile ? path.resolve(baseDir, bot.waypointsFile) : null,
+            homeFile: bot.homeFile ? path.resolve(baseDir, bot.homeFile) : null,
+            startServer: false
+        };
+    });
+}
+
+class FleetSupervisor {
+    /**
+     * @param {object[]} bots - BotRuntime options from resolveFleet()
+     */
+    constructor(bots) {
+        this.runtimes = new Map(); // id -> BotRuntime
+
+        for (const options of bots) {
+            const runtime = new BotRuntime(options);
+
+            // One bot giving up must not stop the rest of the fleet
+            runtime.on('giveUp', () => {
+                this.runtimes.delete(options.id);
+                if (runtime.dashboard) {
+                    runtime.dashboard.remove();
+                }
+                if (this.runtimes.size === 0) {
+                    logger.error('💀 Every bot in the fleet gave up. Exiting.');
+                    process.exit(1);
+                }
+            });
+
+            this.runtimes.set(options.id, runtime);
+        }
+    }
+
+    /**
+     * Start the shared server and connect every bot
+     */
+    start() {
+        const profiles = [...this.runtimes.values()].map(runtime => runtime.profile);
+
+        if (profiles.some(profile => profile.web === 'dashboard')) {
+            require('../web-server').start();
+        } else if (profiles.some(profile => profile.web === 'health')) {
+            // The first bot with a health check serves it for the whole fleet
+            const runtime = [...this.runtimes.values()].find(runtime => runtime.profile.web === 'health');
+            runtime.startHealthServer();
+        }
+
+        for (const [id, runtime] of this.runtimes) {
+            logger.info(`🚀 Starting fleet bot "${id}" as ${runtime.baseUsername} on ${runtime.host}:${runtime.port}`);
+            runtime.start();
+        }
+    }
+
+    /**
+     * Disconnect every bot, keeping their saved tasks
+     */
+    async shutdown() {
+        await Promise.all([...this.runtimes.values()].map(runtime => runtime.shutdown()));
+    }
+}
+
+module.exports = {
+    FleetSupervisor,
+    loadFleetFile,
+    resolveFleet
+};
@@ -0,0 +1,99 @@
+/**
+ * Profiles
+ * Resolves a named profile from config.profiles into a full feature set
+ */
+
+const config = require('../config');
+
+// Every feature is off unless a profile turns it on
+const DEFAULT_FEATURES = {
+    abilities: false,
+    web: false,
+    database: false,
+    openai: false,
+    behaviors: [],
+    usernameRotation: false,
+    creativeMode: false
+};
+
+const WEB_MODES = ['dashboard', 'health'];
+const BEHAVIORS = ['autopilot', 'movement', 'blockBreaking', 'chat', 'antiIdle'];
+
+// -bot command groups a profile can enable one by one (abilities: ['mine', 'farm'])
+const ABILITIES = ['mine', 'tunnel', 'ores', 'kill', 'come', 'go', 'follow', 'make', 'smelt', 'trim', 'enchant',
+    'repair', 'disenchant', 'farm', 'home', 'waypoint', 'goto', 'sort', 'inventory', 'equip', 'sleeper', 'nether',
+    'build', 'find', 'team'];
+
+/**
+ * Resolve a profile and the profiles it extends
+ * @param {string} name - Profile name
+ * @param {object} profiles - Profiles to resolve from (defaults to config.profiles)
+ * @param {object} overrides - Features applied last, e.g. a fleet bot's own abilities
+ * @returns {object} - Feature set with the profile name
+ */
+function resolveProfile(name, profiles = config.profiles || {}, overrides = {}) {
+    // Walk the extends chain, base profile first
+    const chain = [];
+    let current = name;
+    while (current) {
+        if (chain.includes(current)) {
+            throw new Error(`Profile "${name}" extends itself`);
+        }
+        if (!profiles[current]) {
+            throw new Error(`Unknown profile "${current}". Available: ${Object.keys(profiles).join(', ')}`);
+        }
+        chain.unshift(current);
+        current = profiles[current].extends;
+    }
+
+    const features = { ...DEFAULT_FEATURES };
+    for (const profileName of chain) {
+        const { extends: _base, description, ...profileFeatures } = profiles[profileName];
+        Object.assign(features, profileFeatures);
+        features.description = description || features.description;
+    }
+    Object.assign(features, overrides);
+
+    if (features.web && !WEB_MODES.includes(features.web)) {
+        throw new Error(`Profile "${name}": web must be ${WEB_MODES.join(' or ')} or false`);
+    }
+    if (Array.isArray(features.abilities)) {
+        const unknownAbilities = features.abilities.filter(ability => !ABILITIES.includes(ability));
+        if (unknownAbilities.length > 0) {
+            throw new Error(`Profile "${name}": unknown abilities ${unknownAbilities.join(', ')}`);
+        }
+    } else if (typeof features.abilities !== 'boolean') {
+        throw new Error(`Profile "${name}": abilities must be true, false or a list of commands`);
+    }
+    const unknown = features.behaviors.filter(behavior => !BEHAVIORS.includes(behavior));
+    if (unknown.length > 0) {
+        throw new Error(`Profile "${name}": unknown behaviors ${unknown.join(', ')}`);
+    }
+
+    features.name = name;
+    return features;
+}
+
+/**
+ * Short description of the enabled features for startup logs
+ */
+function describeProfile(profile) {
+    const parts = [];
+    if (Array.isArray(profile.abilities)) {
+        parts.push(`commands (${profile.abilities.join(', ')})`);
+    } else if (profile.abilities) {
+        parts.push('commands');
+    }
+    if (profile.web) parts.push(profile.web);
+    if (profile.database) parts.push('database');
+    if (profile.openai) parts.push('openai');
+    parts.push(...profile.behaviors);
+    return parts.join(', ') || 'connection only';
+}
+
+module.exports = {
+    ABILITIES,
+    BEHAVIORS,
+    resolveProfile,
+    describeProfile
+};
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('../utils/logger').silent = true;
+const { getPlacementPlan, isSecondaryPart } = require('../utils/blockStates');
+
+test('stairs look the way they face and click the upper half for half=top', () => {
+    const plan = getPlacementPlan('oak_stairs', { facing: 'east', half: 'top' });
+    assert.strictEqual(plan.yaw, -Math.PI / 2);
+    assert.strictEqual(plan.pitch, 0);
+
+    // Against the underside of the block above, or high on a side face
+    assert.strictEqual(plan.options[0].side, 'up');
+    assert.strictEqual(plan.options[0].faceVector.y, -1);
+    assert.ok(plan.options.slice(1).every(option => option.delta.y === 0.75));
+});
+
+test('doors stand on the block below and the click position picks the hinge', () => {
+    const left = getPlacementPlan('oak_door', { facing: 'north', hinge: 'left', half: 'lower' });
+    const right = getPlacementPlan('oak_door', { facing: 'north', hinge: 'right', half: 'lower' });
+
+    assert.strictEqual(left.options.length, 1);
+    assert.deepStrictEqual(left.options[0].refOffset, { x: 0, y: -1, z: 0 });
+    assert.strictEqual(left.yaw, 0);
+    // Facing north the right-hand side is east (+x)
+    assert.strictEqual(right.options[0].delta.x, 0.75);
+    assert.strictEqual(left.options[0].delta.x, 0.25);
+    assert.strictEqual(left.options[0].delta.z, 0.5);
+});
+
+test('logs are placed against a face along their axis, in any look direction', () => {
+    const plan = getPlacementPlan('oak_log', { axis: 'x' });
+    assert.deepStrictEqual(plan.options.map(option => option.side), ['west', 'east']);
+    assert.strictEqual(plan.yaw, null);
+});
+
+test('slabs pick the half from the clicked face', () => {
+    const top = getPlacementPlan('stone_slab', { type: 'top' });
+    const bottom = getPlacementPlan('stone_slab', { type: 'bottom' });
+    const double = getPlacementPlan('stone_slab', { type: 'double' });
+
+    assert.strictEqual(top.options[0].side, 'up');
+    assert.strictEqual(bottom.options[0].side, 'down');
+    assert.deepStrictEqual(double.options, bottom.options);
+});
+
+test('trapdoors hang on the block behind them and look away from their facing', () => {
+    const plan = getPlacementPlan('oak_trapdoor', { facing: 'south', half: 'top' });
+    assert.strictEqual(plan.options[0].side, 'north');
+    assert.strictEqual(plan.options[0].delta.y, 0.75);
+    assert.strictEqual(plan.options[1].side, 'up');
+    assert.strictEqual(plan.yaw, 0);
+});
+
+test('furnaces face back towards the player, ladders away from their wall', () => {
+    assert.strictEqual(getPlacementPlan('furnace', { facing: 'north' }).yaw, Math.PI);
+    assert.strictEqual(getPlacementPlan('observer', { facing: 'up' }).pitch, -Math.PI / 2);
+
+    const ladder = getPlacementPlan('ladder', { facing: 'west' });
+    assert.deepStrictEqual(ladder.options.map(option => option.side), ['east']);
+    assert.strictEqual(ladder.yaw, null);
+});
+
+test('plain blocks use the default reference order', () => {
+    const plan = getPlacementPlan('stone');
+    assert.deepStrictEqual(plan.options.map(option => option.side), ['down', 'west', 'east', 'north', 'south', 'up']);
+    assert.strictEqual(plan.yaw, null);
+});
+
+test('upper door halves and bed heads are not placed on their own', () => {
+    assert.strictEqual(isSecondaryPart('oak_door', { half: 'upper' }), true);
+    assert.strictEqual(isSecondaryPart('red_bed', { part: 'head' }), true);
+    assert.strictEqual(isSecondaryPart('oak_stairs', { half: 'top' }), false);
+});
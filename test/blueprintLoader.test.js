@@ -0,0 +1,119 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nbt = require('prismarine-nbt');
+
+require('../utils/logger').silent = true;
+const { loadBlueprintFile, parseBlockState, getItemForCell, getBlueprintId } = require('../utils/blueprintLoader');
+
+/**
+ * Pack palette indices into Litematica's tightly packed longs, as [high, low] int32 pairs
+ */
+function packLongs(indices, bits) {
+    const longs = new Array(Math.ceil(indices.length * bits / 64)).fill(0n);
+    indices.forEach((value, index) => {
+        const bitIndex = index * bits;
+        const longIndex = Math.floor(bitIndex / 64);
+        const offset = BigInt(bitIndex % 64);
+        longs[longIndex] |= (BigInt(value) << offset) & ((1n << 64n) - 1n);
+        if (Number(offset) + bits > 64) {
+            longs[longIndex + 1] |= BigInt(value) >> (64n - offset);
+        }
+    });
+    return longs.map(long => [
+        Number(BigInt.asIntN(32, long >> 32n)),
+        Number(BigInt.asIntN(32, long & 0xffffffffn))
+    ]);
+}
+
+function vector({ x, y, z }) {
+    return nbt.comp({ x: nbt.int(x), y: nbt.int(y), z: nbt.int(z) });
+}
+
+function region({ position, size, palette, indices }) {
+    const bits = Math.max(2, Math.ceil(Math.log2(palette.length)));
+    return nbt.comp({
+        Position: vector(position),
+        Size: vector(size),
+        BlockStatePalette: nbt.list(nbt.comp(palette.map(entry => {
+            const [name, properties] = Array.isArray(entry) ? entry : [entry, null];
+            const tags = { Name: nbt.string(`minecraft:${name}`) };
+            if (properties) {
+                tags.Properties = nbt.comp(Object.fromEntries(
+                    Object.entries(properties).map(([key, value]) => [key, nbt.string(value)])));
+            }
+            return tags;
+        }))),
+        BlockStates: nbt.longArray(packLongs(indices, bits))
+    });
+}
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function writeLitematic(regions, name = 'Test') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-'));
+    dirs.push(dir);
+    const filePath = path.join(dir, 'test.litematic');
+    const root = nbt.comp({
+        Metadata: nbt.comp({ Name: nbt.string(name) }),
+        Regions: nbt.comp(Object.fromEntries(regions.map((r, i) => [`region${i}`, region(r)])))
+    });
+    fs.writeFileSync(filePath, nbt.writeUncompressed(root, 'big'));
+    return filePath;
+}
+
+test('litematic entries that span two longs are unpacked', () => {
+    // 5 palette entries use 3 bits each; entry 21 starts at bit 63 and spans two longs
+    const palette = ['air', 'stone', 'oak_planks', 'glass', ['oak_stairs', { facing: 'east', half: 'top' }]];
+    const indices = Array.from({ length: 25 }, (_, i) => i % 5);
+    const blueprint = loadBlueprintFile(writeLitematic([
+        { position: { x: 0, y: 0, z: 0 }, size: { x: 5, y: 1, z: 5 }, palette, indices }
+    ]));
+
+    assert.deepStrictEqual(blueprint.size, { x: 5, y: 1, z: 5 });
+    assert.strictEqual(blueprint.name, 'Test');
+    for (let index = 0; index < 25; index++) {
+        const x = index % 5;
+        const z = Math.floor(index / 5);
+        const expected = ['air', 'stone', 'oak_planks', 'glass', 'oak_stairs[facing=east,half=top]'][index % 5];
+        assert.strictEqual(blueprint.layers[0][x][z], expected, `cell ${x},${z}`);
+    }
+    assert.deepStrictEqual(blueprint.materials, { stone: 5, oak_planks: 5, glass: 5, oak_stairs: 5 });
+});
+
+test('litematic regions with negative sizes are merged at their min corner', () => {
+    const blueprint = loadBlueprintFile(writeLitematic([
+        { position: { x: 0, y: 0, z: 0 }, size: { x: 1, y: 1, z: 1 }, palette: ['air', 'stone'], indices: [1] },
+        // Size -2 from x=2 covers x=1..2, likewise for z
+        { position: { x: 2, y: 1, z: 2 }, size: { x: -2, y: -1, z: -2 }, palette: ['air', 'glass', 'dirt'], indices: [1, 2, 2, 1] }
+    ]));
+
+    assert.deepStrictEqual(blueprint.size, { x: 3, y: 2, z: 3 });
+    assert.strictEqual(blueprint.layers[0][0][0], 'stone');
+    assert.strictEqual(blueprint.layers[1][1][1], 'glass');
+    assert.strictEqual(blueprint.layers[1][2][1], 'dirt');
+    assert.strictEqual(blueprint.layers[1][1][2], 'dirt');
+    assert.strictEqual(blueprint.layers[1][2][2], 'glass');
+    assert.strictEqual(blueprint.layers[1][0][0], 'air');
+    assert.deepStrictEqual(blueprint.materials, { stone: 1, glass: 2, dirt: 2 });
+});
+
+test('block states are split into name and properties', () => {
+    assert.deepStrictEqual(parseBlockState('oak_door[facing=north,half=lower,hinge=left]'),
+        { name: 'oak_door', properties: { facing: 'north', half: 'lower', hinge: 'left' } });
+    assert.deepStrictEqual(parseBlockState('stone'), { name: 'stone', properties: {} });
+});
+
+test('secondary parts cost no items and double slabs cost two', () => {
+    assert.strictEqual(getItemForCell('oak_door[half=upper]'), null);
+    assert.deepStrictEqual(getItemForCell('oak_door[half=lower]'), { item: 'oak_door', count: 1 });
+    assert.deepStrictEqual(getItemForCell('stone_slab[type=double]'), { item: 'stone_slab', count: 2 });
+    assert.deepStrictEqual(getItemForCell('wall_torch[facing=east]'), { item: 'torch', count: 1 });
+});
+
+test('blueprint ids come from file names', () => {
+    assert.strictEqual(getBlueprintId('My House (v2).schem'), 'my_house_v2');
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const minecraftData = require('minecraft-data');
+
+require('../utils/logger').silent = true;
+const { planCrafting, describePlan } = require('../utils/craftingPlanner');
+
+const registry = minecraftData('1.20.1');
+
+function actions(plan) {
+    return plan.steps.map(step => `${step.action} ${step.item} x${step.count}`);
+}
+
+test('items already in the inventory need no steps', () => {
+    const plan = planCrafting('stick', 4, { registry, inventory: { stick: 4 } });
+    assert.deepStrictEqual(plan.steps, []);
+    assert.deepStrictEqual(plan.used, { stick: 4 });
+    assert.deepStrictEqual(describePlan(plan), ['Already have stick x4, nothing to do']);
+});
+
+test('ingredients are planned before the items made from them, with leftovers kept', () => {
+    const plan = planCrafting('stick', 2, { registry, inventory: { oak_log: 1 } });
+    assert.deepStrictEqual(actions(plan), ['craft planks x4', 'craft stick x4']);
+    assert.deepStrictEqual(plan.used, { oak_log: 1 });
+    assert.deepStrictEqual(plan.leftovers, { planks: 2, stick: 2 });
+});
+
+test('a crafting table is made when a recipe needs one', () => {
+    const plan = planCrafting('wooden_pickaxe', 1, { registry, inventory: { oak_planks: 3, stick: 2 } });
+    assert.deepStrictEqual(actions(plan),
+        ['gather log x1', 'craft planks x4', 'craft crafting_table x1', 'craft wooden_pickaxe x1']);
+    // 3 planks in the inventory plus 4 crafted cover the table and the pickaxe
+    assert.strictEqual(plan.steps[1].total, 7);
+});
+
+test('ores are mined and smelted, with coal for fuel', () => {
+    const plan = planCrafting('iron_pickaxe', 1, {
+        registry, inventory: { stick: 2 }, hasCraftingTable: true, hasFurnace: true
+    });
+    assert.deepStrictEqual(actions(plan),
+        ['gather iron_ore x3', 'gather coal x1', 'smelt iron_ingot x3', 'craft iron_pickaxe x1']);
+    assert.strictEqual(plan.steps[0].yields, 'raw_iron');
+});
+
+test('raw items and fuel in the inventory are smelted without gathering', () => {
+    const plan = planCrafting('iron_ingot', 2, { registry, inventory: { raw_iron: 2, coal: 1 }, hasFurnace: true });
+    assert.deepStrictEqual(actions(plan), ['smelt iron_ingot x2']);
+    assert.deepStrictEqual(plan.used, { raw_iron: 2, coal: 1 });
+});
+
+test('known chests are used before gathering', () => {
+    const chest = { position: { x: 1, y: 2, z: 3 }, items: { oak_planks: 8 } };
+    const plan = planCrafting('chest', 1, { registry, chests: [chest], hasCraftingTable: true });
+    assert.deepStrictEqual(actions(plan), ['withdraw oak_planks x8', 'craft chest x1']);
+    assert.deepStrictEqual(plan.steps[0].chest, { x: 1, y: 2, z: 3 });
+    // The caller's chest contents are left alone
+    assert.strictEqual(chest.items.oak_planks, 8);
+});
+
+test('netherite gear is smithed, and a missing template is reported instead of gathered', () => {
+    const options = { registry, hasCraftingTable: true, hasSmithingTable: true };
+    const without = planCrafting('netherite_pickaxe', 1, { ...options, inventory: { diamond_pickaxe: 1, netherite_ingot: 1 } });
+    assert.deepStrictEqual(actions(without), ['smith netherite_pickaxe x1']);
+    assert.deepStrictEqual(without.missing, { netherite_upgrade_smithing_template: 1 });
+    assert.ok(describePlan(without).some(line => line.startsWith('Missing') && line.includes('netherite_upgrade_smithing_template x1')));
+
+    const withTemplate = planCrafting('netherite_pickaxe', 1, {
+        ...options, inventory: { diamond_pickaxe: 1, netherite_ingot: 1, netherite_upgrade_smithing_template: 1 }
+    });
+    assert.deepStrictEqual(withTemplate.missing, {});
+    assert.deepStrictEqual(actions(withTemplate), ['smith netherite_pickaxe x1']);
+});
+
+test('the plan is described step by step', () => {
+    const plan = planCrafting('furnace', 1, { registry, hasCraftingTable: true });
+    assert.deepStrictEqual(describePlan(plan), [
+        'Plan for furnace x1: 2 step(s)',
+        '1. mine stone for cobblestone x8',
+        '2. craft furnace x1'
+    ]);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { convertPosition, resolveDimension, normalizeDimension, getPortalDestination } = require('../utils/dimensions');
+
+test('overworld positions scale down 1:8 in the nether, rounding towards -infinity', () => {
+    assert.deepStrictEqual(convertPosition({ x: 800, y: 64, z: -9 }, 'overworld', 'the_nether'), { x: 100, y: 64, z: -2 });
+    assert.deepStrictEqual(convertPosition({ x: 7, y: 70, z: -1 }, 'overworld', 'the_nether'), { x: 0, y: 70, z: -1 });
+});
+
+test('nether positions scale up 8:1 in the overworld', () => {
+    assert.deepStrictEqual(convertPosition({ x: 100, y: 40, z: -2 }, 'the_nether', 'overworld'), { x: 800, y: 40, z: -16 });
+});
+
+test('positions within one dimension or to the end keep their scale', () => {
+    assert.deepStrictEqual(convertPosition({ x: 12.7, y: 64, z: -3.2 }, 'overworld', 'overworld'), { x: 12, y: 64, z: -4 });
+    assert.deepStrictEqual(convertPosition({ x: 100, y: 64, z: 100 }, 'overworld', 'the_end'), { x: 100, y: 64, z: 100 });
+});
+
+test('dimension names from players and servers are normalized', () => {
+    assert.strictEqual(resolveDimension('nether'), 'the_nether');
+    assert.strictEqual(resolveDimension('End'), 'the_end');
+    assert.strictEqual(resolveDimension('minecraft:overworld'), 'overworld');
+    assert.strictEqual(resolveDimension('moon'), null);
+    assert.strictEqual(normalizeDimension(undefined), 'overworld');
+});
+
+test('nether portals lead between the overworld and the nether only', () => {
+    assert.strictEqual(getPortalDestination('overworld'), 'the_nether');
+    assert.strictEqual(getPortalDestination('the_nether'), 'overworld');
+    assert.strictEqual(getPortalDestination('the_end'), null);
+});
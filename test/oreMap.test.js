@@ -0,0 +1,89 @@
+const { test, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('../utils/logger').silent = true;
+const OreMap = require('../utils/oreMap');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ore-map-'));
+let map = null;
+
+function createMap(options = {}) {
+    map = new OreMap({ filePath: path.join(dir, `ores-${Date.now()}-${Math.random()}.json`), ...options });
+    return map;
+}
+
+// No save timer may keep the test process running
+afterEach(() => {
+    clearTimeout(map.saveTimer);
+    map.saveTimer = null;
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('touching blocks of one ore are one deposit, nearest first', () => {
+    const ores = createMap();
+    // A 3-block iron vein with a deepslate block, a diagonal neighbour and a separate vein further away
+    ores.add('iron_ore', { x: 10, y: 20, z: 10 }, 'overworld');
+    ores.add('iron_ore', { x: 11, y: 20, z: 10 }, 'overworld');
+    ores.add('deepslate_iron_ore', { x: 12, y: 21, z: 11 }, 'overworld');
+    ores.add('iron_ore', { x: 40, y: 20, z: 40 }, 'overworld');
+    ores.add('coal_ore', { x: 10, y: 21, z: 10 }, 'overworld');
+
+    const deposits = ores.deposits({ position: { x: 0, y: 20, z: 0 }, names: ['iron_ore', 'deepslate_iron_ore'] });
+    assert.deepStrictEqual(deposits.map(d => [d.name, d.count, d.x, d.y, d.z]), [
+        ['iron_ore', 3, 10, 20, 10],
+        ['iron_ore', 1, 40, 20, 40]
+    ]);
+    assert.ok(deposits[0].distance < deposits[1].distance);
+});
+
+test('deposits stay within the dimension, radius and limit asked for', () => {
+    const ores = createMap();
+    ores.add('diamond_ore', { x: 5, y: -50, z: 5 }, 'overworld');
+    ores.add('diamond_ore', { x: 100, y: -50, z: 100 }, 'overworld');
+    ores.add('ancient_debris', { x: 5, y: 15, z: 5 }, 'the_nether');
+
+    const near = ores.deposits({ dimension: 'overworld', position: { x: 0, y: -50, z: 0 }, radius: 32 });
+    assert.deepStrictEqual(near.map(d => d.x), [5]);
+
+    const first = ores.deposits({ dimension: 'overworld', position: { x: 0, y: -50, z: 0 }, limit: 1 });
+    assert.strictEqual(first.length, 1);
+
+    const nether = ores.deposits({ dimension: 'the_nether' });
+    assert.deepStrictEqual(nether.map(d => d.name), ['ancient_debris']);
+});
+
+test('removed ores leave their deposit', () => {
+    const ores = createMap();
+    ores.add('gold_ore', { x: 0, y: 0, z: 0 }, 'overworld');
+    ores.add('gold_ore', { x: 0, y: 1, z: 0 }, 'overworld');
+    assert.strictEqual(ores.remove({ x: 0, y: 1, z: 0 }, 'overworld'), true);
+    assert.strictEqual(ores.remove({ x: 0, y: 1, z: 0 }, 'overworld'), false);
+
+    assert.deepStrictEqual(ores.deposits().map(d => d.count), [1]);
+    assert.strictEqual(ores.size, 1);
+});
+
+test('the oldest ores are forgotten beyond maxOres', () => {
+    const ores = createMap({ maxOres: 10 });
+    for (let i = 0; i < 11; i++) {
+        ores.add('coal_ore', { x: i * 4, y: 0, z: 0 }, 'overworld', 1000 + i);
+    }
+    // One tenth is dropped on top of the overflow
+    assert.strictEqual(ores.size, 9);
+    assert.strictEqual(ores.get({ x: 0, y: 0, z: 0 }, 'overworld'), null);
+    assert.ok(ores.get({ x: 40, y: 0, z: 0 }, 'overworld'));
+});
+
+test('the map is saved and loaded again', () => {
+    const ores = createMap();
+    ores.add('emerald_ore', { x: -3, y: 70, z: -20 }, 'overworld', 1234);
+    assert.strictEqual(ores.save(), true);
+
+    const loaded = new OreMap({ filePath: ores.filePath });
+    assert.deepStrictEqual(loaded.get({ x: -3, y: 70, z: -20 }, 'overworld'),
+        { name: 'emerald_ore', x: -3, y: 70, z: -20, dimension: 'overworld', seenAt: 1234 });
+});
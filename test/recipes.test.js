@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const minecraftData = require('minecraft-data');
+
+require('../utils/logger').silent = true;
+const { getRecipes, getRecipe, matchesItem } = require('../data/recipes');
+
+const registry = minecraftData('1.20.1');
+
+test('recipes are read from minecraft-data', () => {
+    assert.deepStrictEqual(getRecipe('furnace', registry),
+        { name: 'furnace', count: 1, ingredients: { cobblestone: 8 }, needsTable: true });
+    assert.deepStrictEqual(getRecipe('crafting_table', registry),
+        { name: 'crafting_table', count: 1, ingredients: { planks: 4 }, needsTable: false });
+});
+
+test('wood variants of an ingredient are merged into one family', () => {
+    const [stick] = getRecipes('stick', registry);
+    assert.deepStrictEqual(stick.ingredients, { planks: 2 });
+    assert.strictEqual(stick.count, 4);
+    assert.ok(matchesItem('planks', 'birch_planks'));
+    assert.ok(!matchesItem('planks', 'birch_log'));
+});
+
+test('recipes that undo a storage block come last and are marked', () => {
+    const recipes = getRecipes('iron_ingot', registry);
+    const fromBlock = recipes[recipes.length - 1];
+    assert.strictEqual(fromBlock.name, 'iron_ingot_from_iron_block');
+    assert.strictEqual(fromBlock.output, 'iron_ingot');
+    assert.deepStrictEqual(fromBlock.ingredients, { iron_block: 1 });
+    assert.ok(recipes.slice(0, -1).every(recipe => !recipe.output));
+
+    // The storage block itself is a normal recipe
+    assert.strictEqual(getRecipe('iron_block', registry).output, undefined);
+});
+
+test('items with several recipes list them all', () => {
+    const fuels = getRecipes('torch', registry).map(recipe => Object.keys(recipe.ingredients).sort().join('+'));
+    assert.deepStrictEqual(fuels.sort(), ['charcoal+stick', 'coal+stick']);
+});
+
+test('callers get copies that do not change the table', () => {
+    const [chest] = getRecipes('chest', registry);
+    chest.ingredients.planks = 1;
+    assert.deepStrictEqual(getRecipe('chest', registry).ingredients, { planks: 8 });
+});
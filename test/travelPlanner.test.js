@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('../utils/logger').silent = true;
+const TravelPlanner = require('../abilities/travel');
+
+/**
+ * Waypoints stand-in with the two lookups planRoute uses
+ */
+function fakeWaypoints(waypoints) {
+    return {
+        list: ({ dimension = null, tag = null } = {}) => waypoints.filter(w =>
+            (!dimension || w.dimension === dimension) && (!tag || w.tags.includes(tag))),
+        getLinkedPortal: portal => portal.link
+            ? waypoints.find(w => w.name === portal.link.name && w.dimension === portal.link.dimension) || null
+            : null
+    };
+}
+
+function createPlanner(waypoints = []) {
+    const planner = new TravelPlanner({}, null, fakeWaypoints(waypoints));
+    planner.portalCost = 64;
+    return planner;
+}
+
+function portal(name, dimension, x, z, link = null) {
+    return { name, dimension, x, y: 64, z, tags: ['portal'], link };
+}
+
+test('without portals a trip is one walk', () => {
+    const route = createPlanner().planRoute({ x: 0, y: 64, z: 0 }, 'overworld', { x: 300, y: 64, z: 400, dimension: 'overworld' });
+    assert.deepStrictEqual(route.legs.map(leg => leg.type), ['walk']);
+    assert.strictEqual(route.cost, 500);
+});
+
+test('a long overworld trip goes through the nether when that is shorter', () => {
+    const planner = createPlanner([
+        portal('home', 'overworld', 10, 0),
+        portal('far', 'the_nether', 1000, 0)
+    ]);
+    const route = planner.planRoute({ x: 0, y: 64, z: 0 }, 'overworld', { x: 8000, y: 64, z: 0, dimension: 'overworld' });
+
+    assert.deepStrictEqual(route.legs.map(leg => `${leg.type}:${leg.dimension}`),
+        ['walk:overworld', 'portal:the_nether', 'walk:the_nether', 'portal:overworld', 'walk:overworld']);
+    // 10 to the portal, 999 in the nether from x=1, nothing left at the far end
+    assert.strictEqual(route.cost, 10 + 64 + 999 + 64 + 0);
+});
+
+test('a short trip walks even with portals around', () => {
+    const planner = createPlanner([
+        portal('home', 'overworld', 10, 0),
+        portal('far', 'the_nether', 1000, 0)
+    ]);
+    const route = planner.planRoute({ x: 0, y: 64, z: 0 }, 'overworld', { x: 200, y: 64, z: 0, dimension: 'overworld' });
+    assert.deepStrictEqual(route.legs.map(leg => leg.type), ['walk']);
+});
+
+test('a linked portal is where the trip comes out, instead of the 1:8 spot', () => {
+    const planner = createPlanner([
+        portal('home', 'overworld', 0, 0, { name: 'hub', dimension: 'the_nether' }),
+        portal('hub', 'the_nether', 50, 0)
+    ]);
+    const route = planner.planRoute({ x: 0, y: 64, z: 0 }, 'overworld', { x: 60, y: 64, z: 0, dimension: 'the_nether' });
+
+    assert.deepStrictEqual(route.legs.map(leg => leg.type), ['walk', 'portal', 'walk']);
+    assert.strictEqual(route.legs[2].cost, 10);
+});
+
+test('the other dimension without portal waypoints has no route', () => {
+    const planner = createPlanner([portal('far', 'the_nether', 0, 0)]);
+    assert.strictEqual(planner.planRoute({ x: 0, y: 64, z: 0 }, 'overworld', { x: 0, y: 64, z: 0, dimension: 'the_nether' }), null);
+    assert.strictEqual(createPlanner().planRoute({ x: 0, y: 64, z: 0 }, 'the_end', { x: 0, y: 64, z: 0, dimension: 'overworld' }), null);
+});
@@ -0,0 +1,243 @@
+/**
+ * Block States
+ * Works out how to place a block so it ends up in a requested state
+ * (facing, half, axis, type, hinge, open) and fills in sensible states
+ * for built-in blueprints that only list block names.
+ *
+ * Placement follows vanilla rules:
+ * - stairs, doors, fence gates and beds face the way the player looks
+ * - furnaces, chests and most other blocks face back towards the player
+ * - ladders, wall torches and wall signs face away from the block they hang on
+ * - trapdoors take the clicked side face, or face away from the player when
+ *   placed on a top/bottom face
+ * - logs and pillars take the axis of the clicked face
+ * - slabs, stairs and trapdoors go to the top half when the upper half of a
+ *   side face or the underside of a block is clicked
+ */
+
+const { parseBlockState } = require('./blueprintLoader');
+
+// Properties the placer controls and checks afterwards
+const PLACEMENT_PROPERTIES = ['facing', 'half', 'axis', 'type', 'hinge', 'open'];
+
+const DIRECTIONS = {
+    north: { x: 0, y: 0, z: -1 },
+    south: { x: 0, y: 0, z: 1 },
+    west: { x: -1, y: 0, z: 0 },
+    east: { x: 1, y: 0, z: 0 },
+    up: { x: 0, y: 1, z: 0 },
+    down: { x: 0, y: -1, z: 0 }
+};
+
+const OPPOSITE = {
+    north: 'south',
+    south: 'north',
+    west: 'east',
+    east: 'west',
+    up: 'down',
+    down: 'up'
+};
+
+// Mineflayer yaw for looking towards each horizontal direction
+const YAW = {
+    north: 0,
+    west: Math.PI / 2,
+    south: Math.PI,
+    east: -Math.PI / 2
+};
+
+// Default order of reference faces: below, west, east, north, south, above
+const DEFAULT_REFERENCES = ['down', 'west', 'east', 'north', 'south', 'up'];
+
+/**
+ * Which way the player must look for a block to get its `facing` property
+ */
+function getFacingRule(name) {
+    if (name.endsWith('_stairs') || name.endsWith('_door') || name.endsWith('_fence_gate') || name.endsWith('_bed')) {
+        return 'same';
+    }
+    if (name.endsWith('_trapdoor')) return 'trapdoor';
+    if (name === 'ladder' || name.endsWith('wall_torch') || name.endsWith('_wall_sign') ||
+        name.endsWith('_wall_banner') || name.endsWith('_wall_head') || name.endsWith('_wall_skull')) {
+        return 'attached';
+    }
+    return 'opposite';
+}
+
+/**
+ * Check if a cell is placed automatically together with another cell
+ * (upper door halves, bed heads) and must not be placed on its own
+ */
+function isSecondaryPart(name, properties) {
+    if (properties.half === 'upper' && name.endsWith('_door')) return true;
+    if (properties.part === 'head' && name.endsWith('_bed')) return true;
+    return false;
+}
+
+/**
+ * Build one placement option against the neighbour in `side`
+ * @param {string} side - Direction from the target to the reference block
+ * @param {string} half - 'top' or 'bottom' to click the upper or lower part of a side face
+ */
+function makeOption(side, half = null) {
+    const refOffset = DIRECTIONS[side];
+    const faceVector = { x: -refOffset.x, y: -refOffset.y, z: -refOffset.z };
+
+    // Cursor position on the reference block, centre of the clicked face
+    const delta = {
+        x: 0.5 + faceVector.x * 0.5,
+        y: 0.5 + faceVector.y * 0.5,
+        z: 0.5 + faceVector.z * 0.5
+    };
+    if (faceVector.y === 0 && half) {
+        delta.y = half === 'top' ? 0.75 : 0.25;
+    }
+
+    return { side, refOffset, faceVector, delta };
+}
+
+/**
+ * Reference sides that put a slab, stair or trapdoor in the requested half
+ */
+function getHalfOptions(half) {
+    const sides = ['west', 'east', 'north', 'south'];
+    if (half === 'top') {
+        return [makeOption('up'), ...sides.map(side => makeOption(side, 'top'))];
+    }
+    return [makeOption('down'), ...sides.map(side => makeOption(side, 'bottom'))];
+}
+
+/**
+ * Work out how to place a block in the requested state
+ * @param {string} name - Block name
+ * @param {object} properties - Requested block state properties
+ * @returns {object} - { options, yaw, pitch }: placement options in order of
+ *   preference ({ refOffset, faceVector, delta }), plus the look direction
+ *   to use while placing (yaw is null when any direction works)
+ */
+function getPlacementPlan(name, properties = {}) {
+    let options = null;
+    let lookDirection = null;
+    const facing = properties.facing;
+    const rule = facing ? getFacingRule(name) : null;
+
+    if (name.endsWith('_door')) {
+        // Doors stand on the block below; the click position picks the hinge
+        const option = makeOption('down');
+        const dir = DIRECTIONS[facing];
+        if (dir && properties.hinge) {
+            // Vanilla puts the hinge on the right when clicking the right half of the block
+            const rightSide = { x: -dir.z, z: dir.x };
+            const sign = properties.hinge === 'right' ? 1 : -1;
+            option.delta.x = 0.5 + rightSide.x * 0.25 * sign;
+            option.delta.z = 0.5 + rightSide.z * 0.25 * sign;
+        }
+        options = [option];
+    } else if (properties.axis) {
+        const sides = {
+            x: ['west', 'east'],
+            y: ['down', 'up'],
+            z: ['north', 'south']
+        }[properties.axis] || DEFAULT_REFERENCES;
+        options = sides.map(side => makeOption(side));
+    } else if (name.endsWith('_slab') && properties.type) {
+        // Double slabs are placed as a bottom slab, then topped up
+        options = getHalfOptions(properties.type === 'top' ? 'top' : 'bottom');
+    } else if (rule === 'trapdoor' && DIRECTIONS[facing]) {
+        // Hang on the block behind it, or sit on a top/bottom face facing away from us
+        const half = properties.half || 'bottom';
+        const behind = OPPOSITE[facing];
+        options = [makeOption(behind, half), makeOption(half === 'top' ? 'up' : 'down')];
+        lookDirection = OPPOSITE[facing];
+    } else if (rule === 'attached' && DIRECTIONS[facing]) {
+        options = [makeOption(OPPOSITE[facing])];
+    } else if (properties.half === 'top' || properties.half === 'bottom') {
+        options = getHalfOptions(properties.half);
+    }
+
+    if (rule === 'same') {
+        lookDirection = facing;
+    } else if (rule === 'opposite') {
+        lookDirection = OPPOSITE[facing];
+    }
+
+    if (!options) {
+        options = DEFAULT_REFERENCES.map(side => makeOption(side));
+    }
+
+    let yaw = null;
+    let pitch = 0;
+    if (lookDirection === 'up' || lookDirection === 'down') {
+        pitch = lookDirection === 'up' ? Math.PI / 2 : -Math.PI / 2;
+        yaw = 0;
+    } else if (lookDirection && YAW[lookDirection] !== undefined) {
+        yaw = YAW[lookDirection];
+    }
+
+    return { options, yaw, pitch };
+}
+
+/**
+ * Compare a placed block's state with the requested properties
+ * @param {object} block - prismarine-block from bot.blockAt
+ * @param {object} properties - Requested properties
+ * @returns {string[]} - Names of properties that do not match
+ */
+function getStateMismatches(block, properties) {
+    const actual = typeof block.getProperties === 'function' ? block.getProperties() : {};
+    return PLACEMENT_PROPERTIES.filter(key =>
+        properties[key] !== undefined &&
+        actual[key] !== undefined &&
+        String(actual[key]) !== String(properties[key])
+    );
+}
+
+/**
+ * Direction from a cell towards the middle of its layer, along the axis of
+ * the nearest edge (used to point roof stairs up the slope)
+ */
+function getInwardDirection(layer, x, z) {
+    const dx = x - (layer.length - 1) / 2;
+    const dz = z - ((layer[0] ? layer[0].length : 1) - 1) / 2;
+
+    if (Math.abs(dx) >= Math.abs(dz)) {
+        return dx <= 0 ? 'east' : 'west';
+    }
+    return dz <= 0 ? 'south' : 'north';
+}
+
+/**
+ * Fill in placement states for cells that only give a block name
+ * Stairs climb towards the middle of their layer, doors get lower/upper
+ * halves and face inwards, logs stand upright. Cells that already have
+ * properties (e.g. from schematic files) are left alone.
+ * @param {Array} layers - Blueprint layers[y][x][z]
+ * @returns {Array} - New layers with state strings
+ */
+function inferBlockStates(layers) {
+    return layers.map((layer, y) => layer.map((row, x) => row.map((cell, z) => {
+        if (!cell || cell === 'air' || cell.includes('[')) return cell;
+
+        if (cell.endsWith('_stairs')) {
+            return `${cell}[facing=${getInwardDirection(layer, x, z)},half=bottom]`;
+        }
+        if (cell.endsWith('_door')) {
+            const below = y > 0 ? layers[y - 1][x][z] : null;
+            const half = below && parseBlockState(below).name === cell ? 'upper' : 'lower';
+            return `${cell}[facing=${getInwardDirection(layer, x, z)},half=${half}]`;
+        }
+        if (cell.endsWith('_log') || cell.endsWith('_wood')) {
+            return `${cell}[axis=y]`;
+        }
+        return cell;
+    })));
+}
+
+module.exports = {
+    PLACEMENT_PROPERTIES,
+    DIRECTIONS,
+    isSecondaryPart,
+    getPlacementPlan,
+    getStateMismatches,
+    inferBlockStates
+};
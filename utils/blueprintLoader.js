@@ -0,0 +1,371 @@
+/**
+ * Blueprint Loader
+ * Reads Sponge .schem, Litematica .litematic and vanilla structure .nbt files
+ * and converts them into the building blueprint shape: { size, materials, layers }
+ *
+ * Cells are block state strings like 'oak_stairs[facing=north,half=bottom]',
+ * plain block names when the block has no properties, or 'air'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const nbt = require('prismarine-nbt');
+const logger = require('./logger');
+
+const BLUEPRINT_EXTENSIONS = ['.schem', '.litematic', '.nbt'];
+
+// Blocks that are never placed
+const AIR_BLOCKS = ['air', 'cave_air', 'void_air', 'structure_void', 'water', 'lava', 'bubble_column'];
+
+// Blocks placed with a differently named item
+const BLOCK_ITEMS = {
+    'wall_torch': 'torch',
+    'soul_wall_torch': 'soul_torch',
+    'redstone_wall_torch': 'redstone_torch',
+    'redstone_wire': 'redstone',
+    'tripwire': 'string',
+    'cocoa': 'cocoa_beans',
+    'carrots': 'carrot',
+    'potatoes': 'potato',
+    'beetroots': 'beetroot_seeds',
+    'wheat': 'wheat_seeds',
+    'sweet_berry_bush': 'sweet_berries'
+};
+
+// Parsed blueprints cached by file path and modification time
+const cache = new Map();
+
+/**
+ * Split a cell into block name and properties
+ * @param {string} cell - e.g. 'oak_stairs[facing=north,half=bottom]'
+ * @returns {object} - { name, properties }
+ */
+function parseBlockState(cell) {
+    if (!cell) return { name: 'air', properties: {} };
+
+    const bracket = cell.indexOf('[');
+    if (bracket === -1) return { name: cell, properties: {} };
+
+    const properties = {};
+    for (const pair of cell.slice(bracket + 1, -1).split(',')) {
+        const [key, value] = pair.split('=');
+        if (key) properties[key.trim()] = (value || '').trim();
+    }
+    return { name: cell.slice(0, bracket), properties };
+}
+
+/**
+ * Get the block name of a cell without its properties
+ */
+function getBlockName(cell) {
+    return parseBlockState(cell).name;
+}
+
+/**
+ * Build a cell string from a palette entry
+ */
+function toCell(name, properties = {}) {
+    const blockName = name.replace(/^minecraft:/, '');
+    if (AIR_BLOCKS.includes(blockName)) return 'air';
+
+    const keys = Object.keys(properties);
+    if (keys.length === 0) return blockName;
+    return `${blockName}[${keys.map(key => `${key}=${properties[key]}`).join(',')}]`;
+}
+
+/**
+ * Get the inventory item (and how many) a placed cell uses, or null if none
+ * e.g. the upper half of a door or the head of a bed cost nothing extra
+ */
+function getItemForCell(cell) {
+    const { name, properties } = parseBlockState(cell);
+    if (name === 'air') return null;
+
+    if (properties.half === 'upper' && (name.endsWith('_door') || ['tall_grass', 'large_fern', 'sunflower', 'lilac', 'rose_bush', 'peony'].includes(name))) {
+        return null;
+    }
+    if (name.endsWith('_bed') && properties.part === 'head') return null;
+    if (name.endsWith('_slab') && properties.type === 'double') return { item: name, count: 2 };
+
+    let item = BLOCK_ITEMS[name] || name;
+    if (name.endsWith('_wall_sign')) item = name.replace('_wall_sign', '_sign');
+    if (name.endsWith('_wall_banner')) item = name.replace('_wall_banner', '_banner');
+    if (name.endsWith('_wall_head') || name.endsWith('_wall_skull')) item = name.replace('_wall_', '_');
+
+    return { item, count: 1 };
+}
+
+/**
+ * Create empty layers[y][x][z] filled with air
+ */
+function createLayers(size) {
+    const layers = [];
+    for (let y = 0; y < size.y; y++) {
+        const layer = [];
+        for (let x = 0; x < size.x; x++) {
+            layer.push(new Array(size.z).fill('air'));
+        }
+        layers.push(layer);
+    }
+    return layers;
+}
+
+/**
+ * Count materials needed for all layers
+ */
+function countMaterials(layers) {
+    const materials = {};
+    for (const layer of layers) {
+        for (const row of layer) {
+            for (const cell of row) {
+                const needed = getItemForCell(cell);
+                if (!needed) continue;
+                materials[needed.item] = (materials[needed.item] || 0) + needed.count;
+            }
+        }
+    }
+    return materials;
+}
+
+/**
+ * Read a gzipped (or plain) big-endian NBT file into a simplified object
+ */
+function readNbtFile(filePath) {
+    let data = fs.readFileSync(filePath);
+    if (data[0] === 0x1f && data[1] === 0x8b) {
+        data = zlib.gunzipSync(data);
+    }
+    const parsed = nbt.parseUncompressed(data, 'big', { noArraySizeCheck: true });
+    return nbt.simplify(parsed);
+}
+
+/**
+ * Decode Sponge varint-packed block data
+ */
+function decodeVarints(bytes, expected) {
+    const values = new Array(expected);
+    let index = 0;
+    let i = 0;
+
+    while (i < bytes.length && index < expected) {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = bytes[i++] & 0xff;
+            value |= (byte & 0x7f) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+        values[index++] = value;
+    }
+    return values;
+}
+
+/**
+ * Convert a Sponge schematic (.schem, versions 1-3)
+ */
+function convertSponge(root) {
+    const schematic = root.Schematic || root;
+    const size = { x: schematic.Width, y: schematic.Height, z: schematic.Length };
+
+    // Version 3 nests palette and data under "Blocks"
+    const container = schematic.Blocks || schematic;
+    const palette = container.Palette;
+    const blockData = container.Data || container.BlockData;
+    if (!palette || !blockData) {
+        throw new Error('Sponge schematic has no block palette');
+    }
+
+    const paletteById = [];
+    for (const [state, id] of Object.entries(palette)) {
+        const { name, properties } = parseBlockState(state);
+        paletteById[id] = toCell(name, properties);
+    }
+
+    const layers = createLayers(size);
+    const ids = decodeVarints(blockData, size.x * size.y * size.z);
+
+    for (let y = 0; y < size.y; y++) {
+        for (let z = 0; z < size.z; z++) {
+            for (let x = 0; x < size.x; x++) {
+                const id = ids[x + z * size.x + y * size.x * size.z];
+                layers[y][x][z] = paletteById[id] || 'air';
+            }
+        }
+    }
+
+    const metadata = schematic.Metadata || {};
+    return { size, layers, name: metadata.Name, description: metadata.Description };
+}
+
+/**
+ * Convert a long (as [high, low] int32 pair) to an unsigned BigInt
+ */
+function longToBigInt(long) {
+    return BigInt.asUintN(64, (BigInt(long[0]) << 32n) | BigInt(long[1] >>> 0));
+}
+
+/**
+ * Convert a Litematica schematic (.litematic), merging all regions
+ */
+function convertLitematic(root) {
+    const regions = Object.values(root.Regions || {});
+    if (regions.length === 0) {
+        throw new Error('Litematic has no regions');
+    }
+
+    // Region sizes can be negative; work out each region's min corner
+    const boxes = regions.map(region => {
+        const min = {};
+        const size = {};
+        for (const axis of ['x', 'y', 'z']) {
+            const s = region.Size[axis];
+            size[axis] = Math.abs(s);
+            min[axis] = region.Position[axis] + (s < 0 ? s + 1 : 0);
+        }
+        return { region, min, size };
+    });
+
+    const origin = {};
+    const size = {};
+    for (const axis of ['x', 'y', 'z']) {
+        origin[axis] = Math.min(...boxes.map(b => b.min[axis]));
+        size[axis] = Math.max(...boxes.map(b => b.min[axis] + b.size[axis])) - origin[axis];
+    }
+
+    const layers = createLayers(size);
+
+    for (const { region, min, size: regionSize } of boxes) {
+        const palette = region.BlockStatePalette.map(entry => toCell(entry.Name, entry.Properties || {}));
+        const bits = Math.max(2, Math.ceil(Math.log2(palette.length)));
+        const mask = (1n << BigInt(bits)) - 1n;
+        const longs = region.BlockStates.map(longToBigInt);
+        const total = regionSize.x * regionSize.y * regionSize.z;
+
+        for (let index = 0; index < total; index++) {
+            // Entries are packed tightly and may span two longs
+            const bitIndex = index * bits;
+            const longIndex = Math.floor(bitIndex / 64);
+            const offset = BigInt(bitIndex % 64);
+            let value = longs[longIndex] >> offset;
+            if (Number(offset) + bits > 64) {
+                value |= longs[longIndex + 1] << (64n - offset);
+            }
+            const cell = palette[Number(value & mask)] || 'air';
+
+            const x = index % regionSize.x;
+            const z = Math.floor(index / regionSize.x) % regionSize.z;
+            const y = Math.floor(index / (regionSize.x * regionSize.z));
+            layers[min.y - origin.y + y][min.x - origin.x + x][min.z - origin.z + z] = cell;
+        }
+    }
+
+    const metadata = root.Metadata || {};
+    return { size, layers, name: metadata.Name, description: metadata.Description };
+}
+
+/**
+ * Convert a vanilla structure block file (.nbt)
+ */
+function convertStructure(root) {
+    const [sx, sy, sz] = root.size;
+    const size = { x: sx, y: sy, z: sz };
+    const palette = (root.palette || (root.palettes && root.palettes[0]) || [])
+        .map(entry => toCell(entry.Name, entry.Properties || {}));
+
+    const layers = createLayers(size);
+    for (const block of root.blocks || []) {
+        const [x, y, z] = block.pos;
+        layers[y][x][z] = palette[block.state] || 'air';
+    }
+
+    return { size, layers };
+}
+
+/**
+ * Load a single blueprint file
+ * @param {string} filePath - Path to a .schem, .litematic or .nbt file
+ * @returns {object} - Blueprint { name, description, size, materials, layers, source }
+ */
+function loadBlueprintFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const root = readNbtFile(filePath);
+
+    let converted;
+    if (ext === '.schem') {
+        converted = convertSponge(root);
+    } else if (ext === '.litematic') {
+        converted = convertLitematic(root);
+    } else if (ext === '.nbt') {
+        converted = convertStructure(root);
+    } else {
+        throw new Error(`Unsupported blueprint format: ${ext}`);
+    }
+
+    const fileName = path.basename(filePath);
+    const { size, layers } = converted;
+    return {
+        name: converted.name || path.basename(filePath, ext).replace(/_/g, ' '),
+        description: converted.description || `Imported from ${fileName} (${size.x}x${size.y}x${size.z})`,
+        size,
+        materials: countMaterials(layers),
+        layers,
+        source: fileName
+    };
+}
+
+/**
+ * Get the blueprint id for a file name ("My House.schem" -> "my_house")
+ */
+function getBlueprintId(fileName) {
+    return path.basename(fileName, path.extname(fileName))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Load all blueprint files from a directory
+ * Unchanged files are served from cache, broken files are skipped with a warning
+ * @param {string} dir - Directory to scan
+ * @returns {object} - Blueprints keyed by id
+ */
+function loadBlueprints(dir) {
+    const blueprints = {};
+    if (!fs.existsSync(dir)) return blueprints;
+
+    for (const fileName of fs.readdirSync(dir)) {
+        if (!BLUEPRINT_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) continue;
+
+        const filePath = path.join(dir, fileName);
+        try {
+            const mtime = fs.statSync(filePath).mtimeMs;
+            const cached = cache.get(filePath);
+            if (cached && cached.mtime === mtime) {
+                blueprints[getBlueprintId(fileName)] = cached.blueprint;
+                continue;
+            }
+
+            const blueprint = loadBlueprintFile(filePath);
+            cache.set(filePath, { mtime, blueprint });
+            blueprints[getBlueprintId(fileName)] = blueprint;
+            logger.info(`Loaded blueprint ${fileName} (${blueprint.size.x}x${blueprint.size.y}x${blueprint.size.z})`);
+        } catch (error) {
+            logger.warn(`Failed to load blueprint ${fileName}: ${error.message}`);
+        }
+    }
+
+    return blueprints;
+}
+
+module.exports = {
+    BLUEPRINT_EXTENSIONS,
+    parseBlockState,
+    getBlockName,
+    getItemForCell,
+    countMaterials,
+    loadBlueprintFile,
+    loadBlueprints,
+    getBlueprintId
+};
@@ -0,0 +1,434 @@
+/**
+ * Crafting Planner
+ * Builds the full dependency tree for an item and turns it into ordered
+ * withdraw → gather → smelt → craft/smith steps. Items already in the inventory or in
+ * known chests are used first, and leftover output (4 sticks from one craft
+ * when 2 were needed) is reused by later ingredients. Items that can't be
+ * gathered (smithing templates) are listed as missing instead of getting a step.
+ */
+
+const { getRecipes, getSmithingRecipe, getSmeltingInputs, getSmeltingSource, getBlockDrop, smeltingFuels, matchesItem } = require('../data/recipes');
+
+// Plank recipes are per wood type; any log makes 4 of any planks
+const PLANKS_RECIPE = { name: 'planks', count: 4, ingredients: { log: 1 }, needsTable: false };
+
+// Items that are mined from another block
+const GATHER_SOURCES = {
+    cobblestone: 'stone'
+};
+
+// Items only found in loot chests, never mined or crafted from scratch
+const UNGATHERABLE = /_smithing_template$/;
+
+// Blocks that a smelt step can use instead of a furnace
+const FURNACES = ['furnace', 'smoker', 'blast_furnace'];
+
+// Step order when nothing forces another order
+const PHASES = { withdraw: 0, gather: 1, smelt: 2, craft: 3, smith: 3 };
+
+const MAX_DEPTH = 10;
+
+/**
+ * Total of the items in a { name: count } map that satisfy an ingredient
+ */
+function countMatching(items, wanted) {
+    return Object.entries(items)
+        .filter(([name]) => matchesItem(wanted, name))
+        .reduce((sum, [, count]) => sum + count, 0);
+}
+
+/**
+ * Plan how to get `count` of an item
+ * @param {string} target - Item to make (e.g. iron_pickaxe)
+ * @param {number} count - How many the inventory should hold at the end
+ * @param {object} options - { inventory: { name: count }, chests: [{ position, items }],
+ *                             hasCraftingTable, hasFurnace, hasSmithingTable,
+ *                             smelting, smithing, registry }
+ * @returns {object} - { target, count, steps, used, leftovers, missing }
+ *                      missing is { name: count } of items the bot has to be given
+ */
+function planCrafting(target, count = 1, options = {}) {
+    const state = {
+        inventory: { ...(options.inventory || {}) },
+        chests: (options.chests || []).map(chest => ({ position: chest.position, items: { ...chest.items } })),
+        leftovers: [], // { item, count, stepId }
+        steps: [],
+        keys: new Map(), // merge key -> step
+        used: {},
+        missing: {},
+        smelting: options.smelting !== false,
+        smithing: options.smithing !== false,
+        registry: options.registry || null,
+        craftingTable: options.hasCraftingTable ? { stepId: null } : null,
+        furnace: options.hasFurnace ? { stepId: null } : null,
+        smithingTable: options.hasSmithingTable ? { stepId: null } : null
+    };
+
+    need(state, target, count, 0);
+
+    const steps = orderSteps(state.steps);
+    addTotals(steps, options.inventory || {});
+
+    const leftovers = {};
+    for (const entry of state.leftovers) {
+        if (entry.count > 0) leftovers[entry.item] = (leftovers[entry.item] || 0) + entry.count;
+    }
+
+    return {
+        target,
+        count,
+        steps: steps.map(({ id, after, uses, ...step }) => step),
+        used: state.used,
+        leftovers,
+        missing: state.missing
+    };
+}
+
+/**
+ * Get `qty` of an item from stock or by producing it
+ * @returns {number[]} - Ids of the steps the item comes from
+ */
+function need(state, item, qty, depth) {
+    const after = [];
+    let missing = qty - takeFromInventory(state, item, qty);
+    if (missing > 0) missing -= takeLeftovers(state, item, missing, after);
+    if (missing > 0) missing -= takeFromChests(state, item, missing, after);
+    if (missing > 0) after.push(...produce(state, item, missing, depth));
+    return after;
+}
+
+function takeFromInventory(state, item, qty) {
+    let taken = 0;
+    for (const [name, count] of Object.entries(state.inventory)) {
+        if (taken >= qty) break;
+        if (count <= 0 || !matchesItem(item, name)) continue;
+
+        const amount = Math.min(count, qty - taken);
+        state.inventory[name] -= amount;
+        state.used[name] = (state.used[name] || 0) + amount;
+        taken += amount;
+    }
+    return taken;
+}
+
+function takeLeftovers(state, item, qty, after) {
+    let taken = 0;
+    for (const entry of state.leftovers) {
+        if (taken >= qty) break;
+        if (entry.count <= 0 || !matchesItem(item, entry.item)) continue;
+
+        const amount = Math.min(entry.count, qty - taken);
+        entry.count -= amount;
+        after.push(entry.stepId);
+        taken += amount;
+    }
+    return taken;
+}
+
+function takeFromChests(state, item, qty, after) {
+    let taken = 0;
+    for (const chest of state.chests) {
+        for (const [name, count] of Object.entries(chest.items)) {
+            if (taken >= qty) return taken;
+            if (count <= 0 || !matchesItem(item, name)) continue;
+
+            const amount = Math.min(count, qty - taken);
+            chest.items[name] -= amount;
+            const { x, y, z } = chest.position;
+            const step = addStep(state, `withdraw:${x},${y},${z}:${name}`,
+                { action: 'withdraw', item: name, count: 0, chest: chest.position }, []);
+            step.count += amount;
+            after.push(step.id);
+            taken += amount;
+        }
+    }
+    return taken;
+}
+
+/**
+ * How many of an item could be taken without producing it
+ */
+function countAvailable(state, item) {
+    return countMatching(state.inventory, item) +
+        state.leftovers.filter(entry => matchesItem(item, entry.item)).reduce((sum, entry) => sum + entry.count, 0) +
+        state.chests.reduce((sum, chest) => sum + countMatching(chest.items, item), 0);
+}
+
+/**
+ * How many of a recipe's ingredients stock does not cover for `qty` items
+ */
+function countMissingIngredients(state, recipe, qty) {
+    const crafts = Math.ceil(qty / recipe.count);
+    return Object.entries(recipe.ingredients)
+        .filter(([ingredient, amount]) => countAvailable(state, ingredient) < amount * crafts)
+        .length;
+}
+
+/**
+ * Add a gather, smelt, craft or smith step for an item that is not in stock
+ */
+function produce(state, item, qty, depth) {
+    const smithing = state.smithing && getSmithingRecipe(item, state.registry);
+    if (smithing && depth <= MAX_DEPTH) return planSmith(state, item, qty, smithing, depth);
+
+    const smeltable = state.smelting && getSmeltingInputs(item).length > 0;
+    // Recipes that take the item itself (copying a smithing template) never make it from nothing
+    const recipes = item === 'planks'
+        ? [PLANKS_RECIPE]
+        : getRecipes(item, state.registry).filter(candidate => !(item in candidate.ingredients));
+
+    // The recipe with the fewest ingredients still to get (torch from the charcoal we have).
+    // Smelted items and recipes that undo a storage block only when everything is in stock
+    let recipe = null;
+    let fewestMissing = Infinity;
+    if (depth <= MAX_DEPTH) {
+        for (const candidate of recipes) {
+            const missing = countMissingIngredients(state, candidate, qty);
+            if ((candidate.output || smeltable) && missing > 0) continue;
+            if (missing < fewestMissing) {
+                recipe = candidate;
+                fewestMissing = missing;
+            }
+        }
+    }
+
+    if (recipe) return planCraft(state, item, qty, recipe, depth);
+    if (smeltable && depth <= MAX_DEPTH) return planSmelt(state, item, qty, depth);
+    if (UNGATHERABLE.test(item)) {
+        state.missing[item] = (state.missing[item] || 0) + qty;
+        return [];
+    }
+    return [planGather(state, item, qty)];
+}
+
+function planGather(state, item, qty) {
+    const step = addStep(state, `gather:${item}`,
+        { action: 'gather', item, count: 0, source: GATHER_SOURCES[item] || item, yields: getBlockDrop(item) }, []);
+    step.count += qty;
+    return step.id;
+}
+
+function planCraft(state, item, qty, recipe, depth) {
+    const crafts = Math.ceil(qty / recipe.count);
+    const after = [];
+    const uses = {};
+
+    if (recipe.needsTable) {
+        if (!state.craftingTable) {
+            state.craftingTable = { stepId: null };
+            const tableAfter = need(state, 'crafting_table', 1, depth + 1);
+            state.craftingTable.stepId = tableAfter[0] ?? null;
+        }
+        if (state.craftingTable.stepId !== null) after.push(state.craftingTable.stepId);
+    }
+
+    for (const [ingredient, amount] of Object.entries(recipe.ingredients)) {
+        after.push(...need(state, ingredient, amount * crafts, depth + 1));
+        uses[ingredient] = amount * crafts;
+    }
+
+    const step = addStep(state, `craft:${item}`, { action: 'craft', item, count: 0, recipe }, after);
+    step.count += crafts * recipe.count;
+    addUses(step, uses);
+
+    const extra = crafts * recipe.count - qty;
+    if (extra > 0) {
+        state.leftovers.push({ item, count: extra, stepId: step.id });
+    }
+    return [step.id];
+}
+
+function planSmith(state, item, qty, recipe, depth) {
+    const after = [];
+    const uses = {};
+
+    if (!state.smithingTable) {
+        state.smithingTable = { stepId: null };
+        state.smithingTable.stepId = need(state, 'smithing_table', 1, depth + 1)[0] ?? null;
+    }
+    if (state.smithingTable.stepId !== null) after.push(state.smithingTable.stepId);
+
+    // One base, one addition and one template per upgraded item
+    for (const ingredient of [recipe.base, recipe.addition, recipe.template]) {
+        if (!ingredient) continue;
+        after.push(...need(state, ingredient, qty, depth + 1));
+        uses[ingredient] = qty;
+    }
+
+    const step = addStep(state, `smith:${item}`, { action: 'smith', item, count: 0, base: recipe.base }, after);
+    step.count += qty;
+    addUses(step, uses);
+    return [step.id];
+}
+
+function planSmelt(state, item, qty, depth) {
+    const after = [];
+    const uses = {};
+
+    // Inputs we already have (raw_iron, iron_ore...), then mine the rest
+    let missing = qty;
+    for (const input of getSmeltingInputs(item)) {
+        if (missing <= 0) break;
+        const available = Math.min(countAvailable(state, input), missing);
+        if (available > 0) {
+            after.push(...need(state, input, available, depth + 1));
+            uses[input] = available;
+            missing -= available;
+        }
+    }
+    if (missing > 0) {
+        const source = getSmeltingSource(item);
+        after.push(...need(state, source, missing, depth + 1));
+        uses[source] = (uses[source] || 0) + missing;
+    }
+
+    // Fuel we already have, then coal for the rest
+    let unfueled = qty;
+    for (const fuel of smeltingFuels) {
+        if (unfueled <= 0) break;
+        const wanted = Math.ceil(unfueled / fuel.smelts);
+        const available = Math.min(countAvailable(state, fuel.name), wanted);
+        if (available > 0) {
+            after.push(...need(state, fuel.name, available, depth + 1));
+            uses[fuel.name] = available;
+            unfueled -= available * fuel.smelts;
+        }
+    }
+    if (unfueled > 0) {
+        const coal = Math.ceil(unfueled / 8);
+        after.push(...need(state, 'coal', coal, depth + 1));
+        uses.coal = (uses.coal || 0) + coal;
+    }
+
+    if (!state.furnace) {
+        const inInventory = FURNACES.some(name => countMatching(state.inventory, name) > 0);
+        state.furnace = { stepId: null };
+        if (!inInventory) {
+            state.furnace.stepId = need(state, 'furnace', 1, depth + 1)[0] ?? null;
+        }
+    }
+    if (state.furnace.stepId !== null) after.push(state.furnace.stepId);
+
+    const step = addStep(state, `smelt:${item}`, { action: 'smelt', item, count: 0 }, after);
+    step.count += qty;
+    addUses(step, uses);
+    return [step.id];
+}
+
+/**
+ * Add a step, or merge into the existing step with the same key
+ */
+function addStep(state, key, fields, after) {
+    let step = state.keys.get(key);
+    if (!step) {
+        step = { id: state.steps.length, ...fields, after: new Set(), uses: {} };
+        state.steps.push(step);
+        state.keys.set(key, step);
+    }
+    for (const id of after) {
+        if (id !== step.id) step.after.add(id);
+    }
+    return step;
+}
+
+function addUses(step, uses) {
+    for (const [item, amount] of Object.entries(uses)) {
+        step.uses[item] = (step.uses[item] || 0) + amount;
+    }
+}
+
+/**
+ * Order steps so every step comes after the steps it needs,
+ * and otherwise withdraw → gather → smelt → craft
+ */
+function orderSteps(steps) {
+    const done = new Set();
+    const ordered = [];
+
+    while (ordered.length < steps.length) {
+        const pending = steps.filter(step => !done.has(step.id));
+        const ready = pending.filter(step => [...step.after].every(id => done.has(id)));
+        // A dependency loop can only come from a broken recipe; keep going in plan order
+        const next = (ready.length > 0 ? ready : pending)
+            .sort((a, b) => PHASES[a.action] - PHASES[b.action] || a.id - b.id)[0];
+
+        done.add(next.id);
+        ordered.push(next);
+    }
+    return ordered;
+}
+
+/**
+ * Set each step's `total`: how many of the item it yields the inventory holds once the step is done
+ */
+function addTotals(steps, inventory) {
+    const have = { ...inventory };
+
+    for (const step of steps) {
+        for (const [item, amount] of Object.entries(step.uses)) {
+            let left = amount;
+            for (const name of Object.keys(have)) {
+                if (left <= 0) break;
+                if (!matchesItem(item, name)) continue;
+                const taken = Math.min(have[name], left);
+                have[name] -= taken;
+                left -= taken;
+            }
+        }
+        // Mining iron_ore puts raw_iron in the inventory
+        const result = step.yields || step.item;
+        have[result] = (have[result] || 0) + step.count;
+        step.total = countMatching(have, result);
+    }
+}
+
+/**
+ * Chat lines describing a plan
+ * @param {object} plan - Result of planCrafting()
+ * @returns {string[]}
+ */
+function describePlan(plan) {
+    if (plan.steps.length === 0) {
+        return [`Already have ${plan.target} x${plan.count}, nothing to do`];
+    }
+
+    const lines = [`Plan for ${plan.target} x${plan.count}: ${plan.steps.length} step(s)`];
+    plan.steps.forEach((step, i) => {
+        lines.push(`${i + 1}. ${describeStep(step)}`);
+    });
+
+    const missing = Object.entries(plan.missing || {}).map(([name, count]) => `${name} x${count}`);
+    if (missing.length > 0) lines.push(`Missing (can't be gathered, find in chests): ${missing.join(', ')}`);
+
+    const used = Object.entries(plan.used).map(([name, count]) => `${name} x${count}`);
+    if (used.length > 0) lines.push(`From inventory: ${used.join(', ')}`);
+
+    const leftovers = Object.entries(plan.leftovers).map(([name, count]) => `${name} x${count}`);
+    if (leftovers.length > 0) lines.push(`Left over: ${leftovers.join(', ')}`);
+
+    return lines;
+}
+
+function describeStep(step) {
+    switch (step.action) {
+        case 'withdraw': {
+            const { x, y, z } = step.chest;
+            return `take ${step.item} x${step.count} from chest at ${x}, ${y}, ${z}`;
+        }
+        case 'gather':
+            return step.source !== step.item
+                ? `mine ${step.source} for ${step.item} x${step.count}`
+                : `gather ${step.item} x${step.count}`;
+        case 'smith':
+            return `upgrade ${step.base} to ${step.item} x${step.count} at a smithing table`;
+        default:
+            return `${step.action} ${step.item} x${step.count}`;
+    }
+}
+
+module.exports = {
+    planCrafting,
+    describePlan,
+    matchesItem,
+    countMatching
+};
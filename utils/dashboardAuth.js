@@ -0,0 +1,247 @@
+/**
+ * Dashboard Auth
+ * Login sessions, API keys, read-only / operator roles and CSRF tokens
+ * for the web dashboard and REST API
+ *
+ * Secrets come from env vars:
+ * - DASHBOARD_PASSWORD           operator login password
+ * - DASHBOARD_READONLY_PASSWORD  read-only login password (optional)
+ * - DASHBOARD_API_KEYS           comma-separated "key:role" pairs for scripts (role defaults to operator)
+ * - DASHBOARD_ALLOWED_ORIGINS    comma-separated origins allowed to call the API cross-site
+ *
+ * Without a password or API key a random operator token is generated and logged at startup.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Roles from least to most privileged
+const ROLES = ['readonly', 'operator'];
+
+const SESSION_COOKIE = 'dashboard_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+
+// Failed logins allowed per IP per window
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_WINDOW = 60 * 1000;
+
+/**
+ * Hash a secret so comparisons are constant time regardless of length
+ */
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+/**
+ * Compare two secrets in constant time
+ */
+function safeEqual(a, b) {
+    if (!a || !b) return false;
+    return crypto.timingSafeEqual(hashSecret(a), hashSecret(b));
+}
+
+/**
+ * Parse a Cookie header into an object
+ */
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const key = part.slice(0, index).trim();
+        try {
+            cookies[key] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (e) {
+            // Ignore malformed cookie values
+        }
+    }
+    return cookies;
+}
+
+class DashboardAuth {
+    constructor(env = process.env) {
+        this.sessions = new Map(); // id -> { role, csrfToken, expires }
+        this.loginFailures = new Map(); // ip -> { count, since }
+
+        // Login passwords by role
+        this.passwords = [];
+        if (env.DASHBOARD_PASSWORD) {
+            this.passwords.push({ secret: env.DASHBOARD_PASSWORD, role: 'operator' });
+        }
+        if (env.DASHBOARD_READONLY_PASSWORD) {
+            this.passwords.push({ secret: env.DASHBOARD_READONLY_PASSWORD, role: 'readonly' });
+        }
+
+        // API keys for scripts: "key:role,key2"
+        this.apiKeys = (env.DASHBOARD_API_KEYS || '').split(',')
+            .map(entry => entry.trim())
+            .filter(entry => entry.length > 0)
+            .map(entry => {
+                const index = entry.lastIndexOf(':');
+                const role = index > 0 ? entry.slice(index + 1) : '';
+                if (ROLES.includes(role)) {
+                    return { secret: entry.slice(0, index), role };
+                }
+                return { secret: entry, role: 'operator' };
+            });
+
+        this.allowedOrigins = (env.DASHBOARD_ALLOWED_ORIGINS || '').split(',')
+            .map(origin => origin.trim().replace(/\/$/, ''))
+            .filter(origin => origin.length > 0);
+
+        // Never leave the dashboard open: fall back to a one-off token
+        if (this.passwords.length === 0 && this.apiKeys.length === 0) {
+            const token = crypto.randomBytes(12).toString('hex');
+            this.passwords.push({ secret: token, role: 'operator' });
+            logger.warn(`Dashboard: No DASHBOARD_PASSWORD set. Log in with this one-time token: ${token}`);
+        }
+    }
+
+    /**
+     * Check a login password or token
+     * @returns {string|null} - Role for the password, or null
+     */
+    checkPassword(password) {
+        const match = this.passwords.find(entry => safeEqual(password, entry.secret));
+        return match ? match.role : null;
+    }
+
+    /**
+     * Whether an IP has too many recent failed logins
+     */
+    isLoginBlocked(ip) {
+        const failures = this.loginFailures.get(ip);
+        if (!failures) return false;
+        if (Date.now() - failures.since > LOGIN_WINDOW) {
+            this.loginFailures.delete(ip);
+            return false;
+        }
+        return failures.count >= MAX_LOGIN_FAILURES;
+    }
+
+    /**
+     * Record a failed login for rate limiting
+     */
+    recordLoginFailure(ip) {
+        const failures = this.loginFailures.get(ip);
+        if (!failures || Date.now() - failures.since > LOGIN_WINDOW) {
+            this.loginFailures.set(ip, { count: 1, since: Date.now() });
+        } else {
+            failures.count++;
+        }
+        logger.warn(`Dashboard: Failed login from ${ip}`);
+    }
+
+    /**
+     * Start a session for a role
+     * @returns {object} - { id, role, csrfToken, expires }
+     */
+    createSession(role) {
+        const session = {
+            id: crypto.randomBytes(32).toString('hex'),
+            role,
+            csrfToken: crypto.randomBytes(32).toString('hex'),
+            expires: Date.now() + SESSION_TTL
+        };
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    /**
+     * End the session in a request's cookie
+     */
+    destroySession(req) {
+        const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (id) this.sessions.delete(id);
+    }
+
+    /**
+     * Look up the session in a request's cookie, dropping it if expired
+     */
+    getSession(req) {
+        const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = id && this.sessions.get(id);
+        if (!session) return null;
+
+        if (session.expires < Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Work out who is making a request
+     * @returns {object|null} - { role, method: 'apiKey'|'session', session? }
+     */
+    authenticate(req) {
+        let key = req.headers['x-api-key'];
+        const authorization = req.headers.authorization || '';
+        if (!key && authorization.startsWith('Bearer ')) {
+            key = authorization.slice(7).trim();
+        }
+        if (key) {
+            const match = this.apiKeys.find(entry => safeEqual(key, entry.secret));
+            return match ? { role: match.role, method: 'apiKey' } : null;
+        }
+
+        const session = this.getSession(req);
+        return session ? { role: session.role, method: 'session', session } : null;
+    }
+
+    /**
+     * Check if a role is at least the required role
+     */
+    hasRole(role, required) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+
+    /**
+     * Check the CSRF token of a cookie-authenticated request
+     * API key requests carry no cookie, so they can't be forged cross-site
+     * @param {string} token - Token sent in a form field, for plain HTML forms that can't set headers
+     */
+    checkCsrf(req, auth, token = req.headers['x-csrf-token']) {
+        if (auth.method !== 'session') return true;
+        return this.isSameOrigin(req) && safeEqual(token, auth.session.csrfToken);
+    }
+
+    /**
+     * Whether the request's Origin (if any) is this host or an allowed origin
+     */
+    isSameOrigin(req) {
+        const origin = req.headers.origin;
+        if (!origin) return true;
+        try {
+            return new URL(origin).host === req.headers.host || this.isAllowedOrigin(origin);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether a cross-site origin may call the API
+     */
+    isAllowedOrigin(origin) {
+        return Boolean(origin) && this.allowedOrigins.includes(origin.replace(/\/$/, ''));
+    }
+
+    /**
+     * Set-Cookie header value for a session
+     */
+    sessionCookie(session, secure) {
+        const maxAge = Math.floor((session.expires - Date.now()) / 1000);
+        return `${SESSION_COOKIE}=${session.id}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+    }
+
+    /**
+     * Set-Cookie header value that clears the session
+     */
+    clearCookie() {
+        return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+    }
+}
+
+DashboardAuth.ROLES = ROLES;
+
+module.exports = DashboardAuth;
@@ -0,0 +1,73 @@
+/**
+ * Dimensions
+ * Dimension names as the ore map and waypoints store them: "overworld", "the_nether", "the_end",
+ * and the 1:8 coordinate scale between the overworld and the nether
+ */
+
+// One block in the nether is this many in the overworld
+const NETHER_SCALE = 8;
+
+// Names players type for a dimension
+const DIMENSION_ALIASES = {
+    overworld: 'overworld',
+    world: 'overworld',
+    nether: 'the_nether',
+    the_nether: 'the_nether',
+    end: 'the_end',
+    the_end: 'the_end'
+};
+
+/**
+ * Dimension name without the "minecraft:" prefix newer servers send
+ */
+function normalizeDimension(dimension) {
+    return String(dimension || 'overworld').replace(/^minecraft:/, '');
+}
+
+/**
+ * Dimension the bot is in
+ */
+function getDimension(bot) {
+    return normalizeDimension(bot.game?.dimension);
+}
+
+/**
+ * Dimension from a name a player typed (nether, end...), or null
+ */
+function resolveDimension(name) {
+    const key = normalizeDimension(name).toLowerCase();
+    return Object.prototype.hasOwnProperty.call(DIMENSION_ALIASES, key) ? DIMENSION_ALIASES[key] : null;
+}
+
+/**
+ * The dimension a nether portal leads to, or null for the end
+ */
+function getPortalDestination(dimension) {
+    if (dimension === 'overworld') return 'the_nether';
+    if (dimension === 'the_nether') return 'overworld';
+    return null;
+}
+
+/**
+ * Where a position in one dimension lies in another (x and z scale 1:8 between overworld and nether)
+ */
+function convertPosition(position, fromDimension, toDimension) {
+    let scale = 1;
+    if (fromDimension === 'overworld' && toDimension === 'the_nether') scale = 1 / NETHER_SCALE;
+    if (fromDimension === 'the_nether' && toDimension === 'overworld') scale = NETHER_SCALE;
+
+    return {
+        x: Math.floor(position.x * scale),
+        y: position.y,
+        z: Math.floor(position.z * scale)
+    };
+}
+
+module.exports = {
+    NETHER_SCALE,
+    normalizeDimension,
+    getDimension,
+    resolveDimension,
+    getPortalDestination,
+    convertPosition
+};
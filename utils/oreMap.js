@@ -0,0 +1,227 @@
+/**
+ * Ore Map
+ * Persistent record of every ore block a bot has seen, indexed by dimension and chunk
+ * so nearby deposits can be looked up without scanning the world again
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const { getVeinBlocks } = require('../data/recipes');
+
+const SAVE_DELAY = 5000;
+
+class OreMap {
+    /**
+     * @param {object} options - { filePath } to keep the map somewhere other than data/ores.json,
+     *                           { maxOres } to forget the oldest ores beyond this many
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(__dirname, '../data/ores.json');
+        this.maxOres = options.maxOres || config.prospecting?.maxOres || 20000;
+
+        this.chunks = new Map(); // "dimension:cx,cz" -> Map("x,y,z" -> ore)
+        this.size = 0;
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    chunkKey(dimension, x, z) {
+        return `${dimension}:${x >> 4},${z >> 4}`;
+    }
+
+    blockKey(x, y, z) {
+        return `${x},${y},${z}`;
+    }
+
+    /**
+     * Record an ore block, or refresh when it was seen
+     * @returns {boolean} - True if the ore was not known yet
+     */
+    add(name, position, dimension, seenAt = Date.now()) {
+        const { x, y, z } = position;
+        const chunkKey = this.chunkKey(dimension, x, z);
+        if (!this.chunks.has(chunkKey)) this.chunks.set(chunkKey, new Map());
+
+        const chunk = this.chunks.get(chunkKey);
+        const key = this.blockKey(x, y, z);
+        const isNew = !chunk.has(key) || chunk.get(key).name !== name;
+        if (!chunk.has(key)) this.size++;
+
+        chunk.set(key, { name, x, y, z, dimension, seenAt });
+
+        // Forget a tenth at a time so a full map isn't sorted on every new ore
+        if (this.size > this.maxOres) this.forgetOldest(this.size - this.maxOres + Math.ceil(this.maxOres / 10));
+        this.scheduleSave();
+        return isNew;
+    }
+
+    /**
+     * Forget an ore block (mined, or no longer there)
+     */
+    remove(position, dimension) {
+        const { x, y, z } = position;
+        const chunkKey = this.chunkKey(dimension, x, z);
+        const chunk = this.chunks.get(chunkKey);
+        if (!chunk || !chunk.delete(this.blockKey(x, y, z))) return false;
+
+        if (chunk.size === 0) this.chunks.delete(chunkKey);
+        this.size--;
+        this.scheduleSave();
+        return true;
+    }
+
+    get(position, dimension) {
+        const { x, y, z } = position;
+        const chunk = this.chunks.get(this.chunkKey(dimension, x, z));
+        return (chunk && chunk.get(this.blockKey(x, y, z))) || null;
+    }
+
+    /**
+     * Known ores in a dimension, nearest first
+     * @param {object} query - { dimension, position, radius, names, limit }
+     *                         names limits the ore types, position and radius the area
+     * @returns {object[]} - Ores with their distance from the position
+     */
+    query({ dimension = 'overworld', position = null, radius = Infinity, names = null, limit = Infinity } = {}) {
+        const ores = [];
+        const matches = ore => !names || names.includes(ore.name);
+
+        if (position && Number.isFinite(radius)) {
+            // Only the chunks the radius touches
+            const minCx = Math.floor(position.x - radius) >> 4;
+            const maxCx = Math.floor(position.x + radius) >> 4;
+            const minCz = Math.floor(position.z - radius) >> 4;
+            const maxCz = Math.floor(position.z + radius) >> 4;
+            for (let cx = minCx; cx <= maxCx; cx++) {
+                for (let cz = minCz; cz <= maxCz; cz++) {
+                    const chunk = this.chunks.get(`${dimension}:${cx},${cz}`);
+                    if (chunk) ores.push(...[...chunk.values()].filter(matches));
+                }
+            }
+        } else {
+            for (const [chunkKey, chunk] of this.chunks) {
+                if (chunkKey.startsWith(`${dimension}:`)) ores.push(...[...chunk.values()].filter(matches));
+            }
+        }
+
+        const withDistance = ores.map(ore => ({
+            ...ore,
+            distance: position ? Math.hypot(ore.x - position.x, ore.y - position.y, ore.z - position.z) : null
+        }));
+        const inRange = position ? withDistance.filter(ore => ore.distance <= radius) : withDistance;
+
+        if (position) inRange.sort((a, b) => a.distance - b.distance);
+        return inRange.slice(0, limit);
+    }
+
+    /**
+     * Known ores grouped into deposits (touching blocks of the same ore), nearest first
+     * @param {object} query - Same as query()
+     * @returns {object[]} - { name, count, x, y, z, distance } with the position of the nearest block
+     */
+    deposits(query = {}) {
+        const ores = this.query({ ...query, limit: Infinity });
+        const assigned = new Set();
+        const deposits = [];
+
+        for (const ore of ores) {
+            const startKey = this.blockKey(ore.x, ore.y, ore.z);
+            if (assigned.has(startKey)) continue;
+            assigned.add(startKey);
+
+            const family = getVeinBlocks(ore.name);
+            const vein = [ore];
+            for (let i = 0; i < vein.length; i++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dz = -1; dz <= 1; dz++) {
+                            const position = { x: vein[i].x + dx, y: vein[i].y + dy, z: vein[i].z + dz };
+                            const key = this.blockKey(position.x, position.y, position.z);
+                            if (assigned.has(key)) continue;
+
+                            const neighbour = this.get(position, ore.dimension);
+                            if (neighbour && family.includes(neighbour.name)) {
+                                assigned.add(key);
+                                vein.push(neighbour);
+                            }
+                        }
+                    }
+                }
+            }
+
+            deposits.push({ name: ore.name, count: vein.length, x: ore.x, y: ore.y, z: ore.z, distance: ore.distance });
+            if (deposits.length >= (query.limit || Infinity)) break;
+        }
+
+        return deposits;
+    }
+
+    /**
+     * Drop the ores seen longest ago
+     */
+    forgetOldest(count) {
+        const all = [];
+        for (const chunk of this.chunks.values()) all.push(...chunk.values());
+        all.sort((a, b) => a.seenAt - b.seenAt);
+        for (const ore of all.slice(0, count)) this.remove(ore, ore.dimension);
+    }
+
+    /**
+     * Load the map from disk
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                for (const ore of data.ores || []) {
+                    this.add(ore.name, ore, ore.dimension, ore.seenAt);
+                }
+                clearTimeout(this.saveTimer);
+                this.saveTimer = null;
+                logger.info(`Ore map: Loaded ${this.size} known ores`);
+            }
+        } catch (error) {
+            logger.error(`Failed to load ore map: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save a little later, so a scan that finds many ores writes the file once
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+
+    /**
+     * Save the map to disk now
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const ores = [];
+            for (const chunk of this.chunks.values()) {
+                for (const { name, x, y, z, dimension, seenAt } of chunk.values()) {
+                    ores.push({ name, x, y, z, dimension, seenAt });
+                }
+            }
+            fs.writeFileSync(this.filePath, JSON.stringify({ ores }));
+            return true;
+        } catch (error) {
+            logger.error(`Failed to save ore map: ${error.message}`);
+            return false;
+        }
+    }
+}
+
+module.exports = OreMap;
@@ -1,158 +1,434 @@
 #!/usr/bin/env node
 
 const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('./config');
 const logger = require('./utils/logger');
+const DashboardAuth = require('./utils/dashboardAuth');
+const CommandParser = require('./commands/commandParser');
+const TeamCoordinator = require('./abilities/teamCoordinator');
+const { getDimension } = require('./utils/dimensions');
+const { resolveBlockAlias, getVeinBlocks } = require('./data/recipes');
 
 // Web server config
 const PORT = process.env.PORT || 5000;
 
-// Bot instance reference for commands
-let botInstance = null;
-let botInventory = [];
-let commandHistory = [];
-let chatHistory = [];
-let nearbyEntities = { players: [], mobs: [] };
-let configOptions = {
-    randomBehaviors: true,
-    autoEat: true,
-    autoTpaAccept: true,
-    creativeMode: true
-};
+// Bots on the dashboard by id, in registration order (see registerBot)
+const bots = new Map();
+
+/**
+ * Create the dashboard's record of one bot
+ * @param {string} id - Bot id used in /api/bots/:id routes and socket events
+ * @param {object} state - The bot runtime's state (random behaviors, creative mode)
+ */
+function createBotEntry(id, state = null) {
+    return {
+        id,
+        state,
+        bot: null,
+        inventory: [],
+        commandHistory: [],
+        chatHistory: [],
+        entities: { players: [], mobs: [] },
+        config: {
+            randomBehaviors: true,
+            autoEat: true,
+            autoTpaAccept: true,
+            creativeMode: true
+        },
+        status: {
+            isRunning: false,
+            lastSeen: null,
+            currentUsername: 'Offline',
+            serverHost: process.env.MINECRAFT_HOST || 'Not Connected',
+            serverPort: process.env.MINECRAFT_PORT || '',
+            uptime: Date.now(),
+            health: 20,
+            food: 20,
+            position: { x: '-', y: '-', z: '-' },
+            task: 'Idle',
+            logs: []
+        },
+        // -bot command system, set by the bot runtime once the bot has spawned
+        commandHandler: null,
+        // Ores this bot has seen, set by the bot runtime for /api/ores
+        oreMap: null,
+        commandTasks: new Map(), // id -> task status for /api/tasks/:id
+        listeners: null,
+        lastEntitiesJson: '',
+        lastPositionKey: ''
+    };
+}
+
+// Stand-in so routes answer before any bot is registered
+const noBot = createBotEntry(null);
 
-let botStatus = {
-    isRunning: false,
-    lastSeen: null,
-    currentUsername: 'Offline',
-    serverHost: process.env.MINECRAFT_HOST || 'Not Connected',
-    serverPort: process.env.MINECRAFT_PORT || '',
-    uptime: Date.now(),
-    health: 20,
-    food: 20,
-    position: { x: '-', y: '-', z: '-' },
-    task: 'Idle',
-    logs: []
+// Bot used by the un-prefixed /status and /api/* routes
+function getDefaultBot() {
+    return bots.values().next().value || noBot;
+}
+
+// Login sessions, API keys and roles (created in start() from env vars)
+let auth = null;
+
+const commandParser = new CommandParser();
+let nextCommandTaskId = 1;
+
+// Dashboard buttons that have no -bot command
+const DASHBOARD_ACTIONS = {
+    eat: async (entry) => {
+        const food = entry.bot.inventory.items().find(item =>
+            item.name.includes('apple') || item.name.includes('bread') ||
+            item.name.includes('cooked') || item.name.includes('steak') ||
+            item.name.includes('carrot') || item.name.includes('potato')
+        );
+        if (!food) {
+            return { success: false, message: 'No food in inventory' };
+        }
+        await entry.bot.equip(food, 'hand');
+        entry.bot.consume();
+        addLog(entry, `🍎 Eating ${food.name}`);
+        return { success: true, message: `Eating ${food.name}` };
+    },
+    jump: async (entry) => {
+        entry.bot.setControlState('jump', true);
+        setTimeout(() => entry.bot.setControlState('jump', false), 300);
+        return { success: true, message: 'Jumping!' };
+    },
+    respawn: async (entry) => {
+        try {
+            entry.bot.chat('/respawn');
+        } catch (e) {
+            entry.bot.respawn();
+        }
+        addLog(entry, '🔄 Respawning via dashboard');
+        return { success: true, message: 'Respawning...' };
+    }
 };
 
-// Set bot instance for command execution
-function setBotInstance(bot) {
-    botInstance = bot;
-    if (bot) {
-        // Update inventory periodically
-        setInterval(() => {
-            if (botInstance && botInstance.inventory) {
-                try {
-                    botInventory = botInstance.inventory.items().map(item => ({
-                        name: item.name,
-                        displayName: item.displayName,
-                        count: item.count,
-                        slot: item.slot
-                    }));
-                } catch (e) {
-                    // Ignore inventory errors
-                }
-            }
-        }, 2000);
+// Live event stream for the dashboard (see /ws below)
+let wss = null;
+let entityTimer = null;
 
-        // Track nearby entities for map view
-        setInterval(() => {
-            if (botInstance && botInstance.entity) {
-                try {
-                    const players = [];
-                    const mobs = [];
-
-                    // Get nearby players
-                    Object.values(botInstance.players || {}).forEach(player => {
-                        if (player.entity && player.username !== botInstance.username) {
-                            const dist = botInstance.entity.position.distanceTo(player.entity.position);
-                            if (dist < 100) {
-                                players.push({
-                                    name: player.username,
-                                    x: Math.round(player.entity.position.x),
-                                    y: Math.round(player.entity.position.y),
-                                    z: Math.round(player.entity.position.z),
-                                    distance: Math.round(dist)
-                                });
-                            }
-                        }
-                    });
+/**
+ * Send a typed event to every connected dashboard
+ * Types: bots, snapshot, status, chat, health, position, inventory, entities,
+ *        task_start, task_progress, task_finish, log, kicked, disconnect
+ * Events about one bot carry its id in `bot`
+ */
+function broadcastEvent(type, data, entry = null) {
+    if (!wss || wss.clients.size === 0) return;
+
+    const message = JSON.stringify({ type, data, bot: entry ? entry.id : undefined, time: Date.now() });
+    wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN) {
+            client.send(message);
+        }
+    });
+}
+
+// Status payload shared by /status and the websocket snapshot
+function getStatusPayload(entry) {
+    const botStatus = entry.status;
+    const uptimeMs = botStatus.isRunning ? (Date.now() - botStatus.uptime) : 0;
+    const hours = Math.floor(uptimeMs / 3600000);
+    const mins = Math.floor((uptimeMs % 3600000) / 60000);
+    const secs = Math.floor((uptimeMs % 60000) / 1000);
+    const uptimeHtml = botStatus.isRunning ? `${hours}h ${mins}m ${secs}s` : "Offline";
+
+    return {
+        id: entry.id,
+        online: botStatus.isRunning,
+        username: botStatus.currentUsername,
+        server: `${botStatus.serverHost}:${botStatus.serverPort}`,
+        uptime: uptimeHtml,
+        uptimeStart: botStatus.isRunning ? botStatus.uptime : null,
+        health: botStatus.health,
+        food: botStatus.food,
+        position: botStatus.position,
+        task: botStatus.task,
+        logs: botStatus.logs
+    };
+}
 
-                    // Get nearby mobs
-                    Object.values(botInstance.entities || {}).forEach(entity => {
-                        if (entity.type === 'mob' || entity.type === 'hostile') {
-                            const dist = botInstance.entity.position.distanceTo(entity.position);
-                            if (dist < 50) {
-                                mobs.push({
-                                    name: entity.name || entity.displayName || 'Unknown',
-                                    x: Math.round(entity.position.x),
-                                    z: Math.round(entity.position.z),
-                                    distance: Math.round(dist)
-                                });
-                            }
-                        }
+// Short status of every bot for the selector and /api/bots
+function getBotList() {
+    return [...bots.values()].map(entry => ({
+        id: entry.id,
+        username: entry.status.currentUsername,
+        online: entry.status.isRunning,
+        server: `${entry.status.serverHost}:${entry.status.serverPort}`,
+        task: entry.status.task
+    }));
+}
+
+// Read the bot's inventory in the shape the dashboard uses
+function readInventory(entry) {
+    if (!entry.bot || !entry.bot.inventory) return entry.inventory;
+    try {
+        return entry.bot.inventory.items().map(item => ({
+            name: item.name,
+            displayName: item.displayName,
+            count: item.count,
+            slot: item.slot
+        }));
+    } catch (e) {
+        return entry.inventory; // Ignore inventory errors
+    }
+}
+
+// Refresh the inventory and broadcast only the slots that changed
+function syncInventory(entry) {
+    const items = readInventory(entry);
+    const previous = new Map(entry.inventory.map(item => [item.slot, item]));
+    const current = new Set(items.map(item => item.slot));
+
+    const changed = items.filter(item => {
+        const old = previous.get(item.slot);
+        return !old || old.name !== item.name || old.count !== item.count;
+    });
+    const removed = entry.inventory.filter(item => !current.has(item.slot)).map(item => item.slot);
+
+    entry.inventory = items;
+    if (changed.length > 0 || removed.length > 0) {
+        broadcastEvent('inventory', { changed, removed }, entry);
+    }
+}
+
+// Players within 100 blocks and mobs within 50 blocks, for the map view
+function collectEntities(entry) {
+    const bot = entry.bot;
+    if (!bot || !bot.entity) return entry.entities;
+
+    try {
+        const players = [];
+        const mobs = [];
+
+        // Get nearby players
+        Object.values(bot.players || {}).forEach(player => {
+            if (player.entity && player.username !== bot.username) {
+                const dist = bot.entity.position.distanceTo(player.entity.position);
+                if (dist < 100) {
+                    players.push({
+                        name: player.username,
+                        x: Math.round(player.entity.position.x),
+                        y: Math.round(player.entity.position.y),
+                        z: Math.round(player.entity.position.z),
+                        distance: Math.round(dist)
                     });
+                }
+            }
+        });
 
-                    nearbyEntities = { players, mobs };
-                } catch (e) {
-                    // Ignore entity tracking errors
+        // Get nearby mobs
+        Object.values(bot.entities || {}).forEach(entity => {
+            if (entity.type === 'mob' || entity.type === 'hostile') {
+                const dist = bot.entity.position.distanceTo(entity.position);
+                if (dist < 50) {
+                    mobs.push({
+                        name: entity.name || entity.displayName || 'Unknown',
+                        x: Math.round(entity.position.x),
+                        z: Math.round(entity.position.z),
+                        distance: Math.round(dist)
+                    });
                 }
             }
-        }, 1500);
+        });
+
+        entry.entities = { players, mobs };
+    } catch (e) {
+        // Ignore entity tracking errors
+    }
+    return entry.entities;
+}
 
+// Entities plus dimension and facing, as served by /api/entities
+function getEntitiesPayload(entry) {
+    let dimension = 'overworld';
+    let yaw = 0;
+    if (entry.bot && entry.bot.entity) {
+        if (entry.bot.game && entry.bot.game.dimension) {
+            dimension = entry.bot.game.dimension;
+        }
+        yaw = entry.bot.entity.yaw || 0;
+    }
+    const entities = collectEntities(entry);
+    return { players: entities.players, mobs: entities.mobs, dimension, yaw };
+}
+
+// Full state of one bot, sent on connect and served by /api/bots/:id/snapshot
+function getSnapshot(entry) {
+    entry.inventory = readInventory(entry);
+    return {
+        status: getStatusPayload(entry),
+        inventory: entry.inventory,
+        chat: entry.chatHistory,
+        entities: getEntitiesPayload(entry),
+        config: entry.config
+    };
+}
+
+// Set bot instance for command execution
+function setBotInstance(entry, bot) {
+    // Detach from the previous connection's bot
+    if (entry.bot && entry.listeners) {
+        for (const [target, event, listener] of entry.listeners) {
+            target.removeListener(event, listener);
+        }
+    }
+    entry.listeners = null;
+    entry.bot = bot;
+    if (!bot) return;
+
+    let inventoryTimer = null;
+    let lastMove = 0;
+    const listeners = [
+        // Inventory changes come slot by slot; send one diff per burst
+        [bot.inventory, 'updateSlot', () => {
+            clearTimeout(inventoryTimer);
+            inventoryTimer = setTimeout(() => syncInventory(entry), 250);
+        }],
+        [bot, 'health', () => updateStats(entry, { health: bot.health, food: bot.food })],
+        [bot, 'move', () => {
+            if (Date.now() - lastMove < 250 || !bot.entity) return;
+            lastMove = Date.now();
+            updateStats(entry, { position: bot.entity.position });
+        }],
         // Listen for chat messages
-        bot.on('message', (jsonMsg) => {
+        [bot, 'message', (jsonMsg) => {
             const message = jsonMsg.toString();
             if (message.trim()) {
-                chatHistory.unshift({
+                const chatEntry = {
                     time: new Date().toLocaleTimeString(),
                     message: message
-                });
-                if (chatHistory.length > 50) chatHistory.pop();
+                };
+                entry.chatHistory.unshift(chatEntry);
+                if (entry.chatHistory.length > 50) entry.chatHistory.pop();
+                broadcastEvent('chat', chatEntry, entry);
             }
-        });
+        }],
+        [bot, 'kicked', (reason) => broadcastEvent('kicked', { reason: typeof reason === 'string' ? reason : JSON.stringify(reason) }, entry)],
+        [bot, 'end', (reason) => broadcastEvent('disconnect', { reason: String(reason || '') }, entry)]
+    ];
 
-        // Sync config with global botState
-        if (global.botState) {
-            configOptions.randomBehaviors = global.botState.randomBehaviorsEnabled !== false;
-            configOptions.creativeMode = global.botState.isCreativeMode !== false;
+    for (const [target, event, listener] of listeners) {
+        if (target && typeof target.on === 'function') {
+            target.on(event, listener);
         }
     }
+    entry.listeners = listeners.filter(([target]) => target && typeof target.on === 'function');
+
+    entry.inventory = readInventory(entry);
+
+    // Sync config with the bot's runtime state
+    if (entry.state) {
+        entry.config.randomBehaviors = entry.state.randomBehaviorsEnabled !== false;
+        entry.config.creativeMode = entry.state.isCreativeMode !== false;
+    }
 }
 
-// Update extended bot stats
-function updateStats(stats) {
-    if (stats.health !== undefined) botStatus.health = stats.health;
-    if (stats.food !== undefined) botStatus.food = stats.food;
+// Update extended bot stats, broadcasting only what changed
+function updateStats(entry, stats) {
+    const botStatus = entry.status;
+    if ((stats.health !== undefined && stats.health !== botStatus.health) ||
+        (stats.food !== undefined && stats.food !== botStatus.food)) {
+        if (stats.health !== undefined) botStatus.health = stats.health;
+        if (stats.food !== undefined) botStatus.food = stats.food;
+        broadcastEvent('health', { health: botStatus.health, food: botStatus.food }, entry);
+    }
     if (stats.position) {
         botStatus.position = {
             x: Math.round(stats.position.x),
             y: Math.round(stats.position.y),
             z: Math.round(stats.position.z)
         };
+        const key = `${botStatus.position.x},${botStatus.position.y},${botStatus.position.z}`;
+        if (key !== entry.lastPositionKey) {
+            entry.lastPositionKey = key;
+            broadcastEvent('position', botStatus.position, entry);
+        }
+    }
+    if (stats.task && stats.task !== botStatus.task) {
+        botStatus.task = stats.task;
+        broadcastEvent('status', { task: botStatus.task }, entry);
     }
-    if (stats.task) botStatus.task = stats.task;
 }
 
 // Update basic bot status
-function updateBotStatus(username, isConnected, host, port) {
+function updateBotStatus(entry, username, isConnected, host, port) {
+    const botStatus = entry.status;
     botStatus.isRunning = isConnected;
     botStatus.lastSeen = new Date().toISOString();
     if (username) botStatus.currentUsername = username;
     if (host) botStatus.serverHost = host;
     if (port) botStatus.serverPort = port;
+    broadcastEvent('status', getStatusPayload(entry), entry);
+    // Online state and username show in the bot selector
+    broadcastEvent('bots', getBotList());
 }
 
 // Add log entry (limited to last 20)
-function addLog(message) {
-    botStatus.logs.unshift({ time: new Date().toLocaleTimeString(), message });
-    if (botStatus.logs.length > 20) botStatus.logs.pop();
+function addLog(entry, message) {
+    const logEntry = { time: new Date().toLocaleTimeString(), message };
+    entry.status.logs.unshift(logEntry);
+    if (entry.status.logs.length > 20) entry.status.logs.pop();
+    broadcastEvent('log', logEntry, entry);
 }
 
-// Parse POST body
+/**
+ * Add a bot to the dashboard
+ * @param {string} id - Unique bot id, used in /api/bots/:id routes
+ * @param {object} options - { state } runtime state the config toggles change
+ * @returns {object} - Functions that update this bot's dashboard state
+ */
+function registerBot(id, options = {}) {
+    if (bots.has(id)) {
+        throw new Error(`Bot "${id}" is already on the dashboard`);
+    }
+
+    const entry = createBotEntry(id, options.state || null);
+    bots.set(id, entry);
+    broadcastEvent('bots', getBotList());
+
+    return {
+        id,
+        updateBotStatus: (username, isConnected, host, port) => updateBotStatus(entry, username, isConnected, host, port),
+        updateStats: (stats) => updateStats(entry, stats),
+        addLog: (message) => addLog(entry, message),
+        setBotInstance: (bot) => setBotInstance(entry, bot),
+        // Set the command handler that runs /api/command tasks
+        setCommandHandler: (handler) => { entry.commandHandler = handler; },
+        // Set the ore map that /api/ores reads
+        setOreMap: (oreMap) => { entry.oreMap = oreMap; },
+        broadcastEvent: (type, data) => broadcastEvent(type, data, entry),
+        // Take the bot off the dashboard (a fleet bot that gave up)
+        remove: () => unregisterBot(entry)
+    };
+}
+
+/**
+ * Remove a bot from the dashboard and stop listening to its connection
+ */
+function unregisterBot(entry) {
+    if (bots.get(entry.id) !== entry) return;
+
+    setBotInstance(entry, null);
+    entry.commandHandler = null;
+    entry.commandTasks.clear();
+    bots.delete(entry.id);
+    broadcastEvent('bots', getBotList());
+}
+
+// Parse POST body (JSON, or form fields from the login page)
 function parseBody(req) {
     return new Promise((resolve) => {
         let body = '';
         req.on('data', chunk => body += chunk);
         req.on('end', () => {
+            if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+                resolve(Object.fromEntries(new URLSearchParams(body)));
+                return;
+            }
             try {
                 resolve(JSON.parse(body));
             } catch (e) {
@@ -162,153 +438,345 @@ function parseBody(req) {
     });
 }
 
-const server = http.createServer(async (req, res) => {
-    // CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
+// Turn command text ("mine iron_ore 10", with or without -bot) or a parsed command object into a command
+function toCommand(input, username) {
+    if (typeof input === 'string' && input.trim()) {
+        const text = input.trim();
+        const withPrefix = text.toLowerCase().startsWith(commandParser.prefix) ? text : `${commandParser.prefix} ${text}`;
+        return commandParser.parse(withPrefix, username);
+    }
+    if (input && typeof input === 'object' && typeof input.action === 'string') {
+        const { id, source, role, ...fields } = input;
+        return { ...fields, valid: true, username };
+    }
+    return null;
+}
+
+// Parse and start a command, returning the task id to poll
+function startCommandTask(entry, body, user) {
+    if (!entry.commandHandler) {
+        return { success: false, message: 'Command system not ready yet' };
+    }
+
+    // Commands like "come" or "follow" act on a player; default to the dashboard itself
+    const username = typeof body.username === 'string' && /^\w{1,16}$/.test(body.username) ? body.username : 'dashboard';
+    const command = toCommand(body.command, username);
+    if (!command) {
+        return { success: false, message: 'Send command text like "mine iron_ore 10" or a parsed command object' };
+    }
+    if (!command.valid) {
+        return { success: false, message: command.error };
+    }
+
+    const task = {
+        id: `web-${nextCommandTaskId++}`,
+        bot: entry.id,
+        command: typeof body.command === 'string' ? body.command : command.action,
+        action: command.action,
+        username,
+        status: 'running',
+        messages: [],
+        error: null,
+        createdAt: Date.now(),
+        finishedAt: null
+    };
+    entry.commandTasks.set(task.id, task);
+    if (entry.commandTasks.size > 100) {
+        entry.commandTasks.delete(entry.commandTasks.keys().next().value);
+    }
+
+    // Operators have owner rights in game
+    Object.assign(command, { id: task.id, source: 'dashboard', role: user.role === 'operator' ? 'owner' : 'guest' });
+    runCommandTask(entry.commandHandler, task, command);
+
+    return { success: true, taskId: task.id, message: `Started ${command.action}` };
+}
+
+// Run a command through CommandHandler, recording its replies and result on the task
+async function runCommandTask(commandHandler, task, command) {
+    // Replies are collected while the command runs (other commands' replies may mix in)
+    const onReply = (message) => {
+        task.messages.push(message);
+        if (task.messages.length > 20) task.messages.shift();
+    };
+    const onFinish = (finished) => {
+        if (finished.id !== task.id) return;
+        task.status = finished.status === 'running' ? 'completed' : finished.status;
+        task.error = finished.error || null;
+    };
+    commandHandler.on('reply', onReply);
+    commandHandler.on('taskFinish', onFinish);
+
+    try {
+        await commandHandler.execute(command);
+        if (task.status === 'running') task.status = 'completed';
+    } catch (error) {
+        task.status = 'failed';
+        task.error = error.message;
+    } finally {
+        commandHandler.removeListener('reply', onReply);
+        commandHandler.removeListener('taskFinish', onFinish);
+        task.finishedAt = Date.now();
+    }
+}
+
+// Send a JSON response
+function sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+// CORS only for origins listed in DASHBOARD_ALLOWED_ORIGINS; they must use an API key
+function applyCors(req, res) {
+    const origin = req.headers.origin;
+    if (!auth.isAllowedOrigin(origin)) return;
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-CSRF-Token');
+}
+
+// Log in with a password or token and start a session
+async function handleLogin(req, res) {
+    const ip = req.socket.remoteAddress;
+    const body = await parseBody(req);
+    const isForm = (req.headers['content-type'] || '').includes('application/x-www-form-urlencoded');
+
+    if (auth.isLoginBlocked(ip)) {
+        if (isForm) {
+            res.writeHead(429, { 'Content-Type': 'text/html' });
+            res.end(getLoginHTML('Too many attempts, wait a minute'));
+        } else {
+            sendJSON(res, 429, { success: false, message: 'Too many attempts, wait a minute' });
+        }
+        return;
+    }
+
+    const role = auth.checkPassword(body.password || body.token);
+    if (!role) {
+        auth.recordLoginFailure(ip);
+        if (isForm) {
+            res.writeHead(401, { 'Content-Type': 'text/html' });
+            res.end(getLoginHTML('Wrong password'));
+        } else {
+            sendJSON(res, 401, { success: false, message: 'Wrong password' });
+        }
+        return;
+    }
+
+    const session = auth.createSession(role);
+    const secure = req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https';
+    res.setHeader('Set-Cookie', auth.sessionCookie(session, secure));
+    logger.info(`Dashboard: ${role} login from ${ip}`);
+
+    if (isForm) {
+        res.writeHead(302, { Location: '/dashboard' });
+        res.end();
+    } else {
+        sendJSON(res, 200, { success: true, role, csrfToken: session.csrfToken });
+    }
+}
+
+const server = http.createServer(async (req, res) => {
+    applyCors(req, res);
 
     if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const url = req.url.split('?')[0];
+
+    // Health Check (public, for uptime monitors)
+    if (url === '/health') {
         res.writeHead(200);
+        res.end('OK');
+        return;
+    }
+
+    // Login (public)
+    if (url === '/login' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(getLoginHTML());
+        return;
+    }
+    if (url === '/login' && req.method === 'POST') {
+        await handleLogin(req, res);
+        return;
+    }
+    // Everything else needs a session or API key
+    const user = auth.authenticate(req);
+    if (!user) {
+        if (url === '/' || url === '/dashboard' || url === '/logout') {
+            res.writeHead(302, { Location: '/login' });
+            res.end();
+        } else {
+            sendJSON(res, 401, { success: false, message: 'Login required' });
+        }
+        return;
+    }
+
+    // Logout is open to read-only sessions too, but still needs the CSRF token
+    if (url === '/logout' && req.method === 'POST') {
+        const body = await parseBody(req);
+        if (!auth.checkCsrf(req, user, body.csrf_token)) {
+            logger.warn('Dashboard: Rejected /logout with missing or invalid CSRF token');
+            sendJSON(res, 403, { success: false, message: 'Invalid CSRF token' });
+            return;
+        }
+        auth.destroySession(req);
+        res.writeHead(302, { 'Set-Cookie': auth.clearCookie(), Location: '/login' });
         res.end();
         return;
     }
 
-    const url = req.url;
+    // POST routes change the bot: operators only, with a CSRF token for browser sessions
+    if (req.method === 'POST') {
+        if (!auth.hasRole(user.role, 'operator')) {
+            sendJSON(res, 403, { success: false, message: 'Read-only access' });
+            return;
+        }
+        if (!auth.checkCsrf(req, user)) {
+            logger.warn(`Dashboard: Rejected ${url} with missing or invalid CSRF token`);
+            sendJSON(res, 403, { success: false, message: 'Invalid CSRF token' });
+            return;
+        }
+    }
+
+    // /api/bots lists every bot; /api/bots/:id/<route> is /api/<route> for that bot.
+    // Un-prefixed /status and /api/* routes act on the first bot.
+    if (url === '/api/bots') {
+        sendJSON(res, 200, { bots: getBotList() });
+        return;
+    }
+
+    // API: Team jobs split between the bots of each world, with combined progress
+    if (url === '/api/team') {
+        sendJSON(res, 200, { teams: TeamCoordinator.getAllStatus() });
+        return;
+    }
+
+    let entry = getDefaultBot();
+    let route = url;
+    const botRoute = url.match(/^\/api\/bots\/([^/]+)(\/.*)?$/);
+    if (botRoute) {
+        entry = bots.get(decodeURIComponent(botRoute[1]));
+        if (!entry) {
+            sendJSON(res, 404, { success: false, message: 'Unknown bot id' });
+            return;
+        }
+        route = !botRoute[2] || botRoute[2] === '/status' ? '/status' : `/api${botRoute[2]}`;
+    }
+    const bot = entry.bot;
+
+    // API: Full state of one bot (used when switching bots on the dashboard)
+    if (route === '/api/snapshot') {
+        sendJSON(res, 200, getSnapshot(entry));
+        return;
+    }
 
     // API: Status
-    if (url === '/status') {
+    if (route === '/status') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-
-        const uptimeMs = botStatus.isRunning ? (Date.now() - botStatus.uptime) : 0;
-        const hours = Math.floor(uptimeMs / 3600000);
-        const mins = Math.floor((uptimeMs % 3600000) / 60000);
-        const secs = Math.floor((uptimeMs % 60000) / 1000);
-        const uptimeHtml = botStatus.isRunning ? `${hours}h ${mins}m ${secs}s` : "Offline";
-
-        res.end(JSON.stringify({
-            online: botStatus.isRunning,
-            username: botStatus.currentUsername,
-            server: `${botStatus.serverHost}:${botStatus.serverPort}`,
-            uptime: uptimeHtml,
-            health: botStatus.health,
-            food: botStatus.food,
-            position: botStatus.position,
-            task: botStatus.task,
-            logs: botStatus.logs
-        }));
+        res.end(JSON.stringify(getStatusPayload(entry)));
         return;
     }
 
     // API: Inventory
-    if (url === '/api/inventory') {
+    if (route === '/api/inventory') {
+        entry.inventory = readInventory(entry);
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ items: botInventory }));
+        res.end(JSON.stringify({ items: entry.inventory }));
         return;
     }
 
-    // API: Command execution
-    if (url === '/api/command' && req.method === 'POST') {
+    // API: Command execution - -bot command text or a parsed command object
+    if (route === '/api/command' && req.method === 'POST') {
         const body = await parseBody(req);
         const command = body.command;
-        let result = { success: false, message: 'Unknown command' };
+        let result;
 
-        if (!botInstance) {
+        if (!bot) {
             result = { success: false, message: 'Bot not connected' };
-        } else {
+        } else if (typeof command === 'string' && DASHBOARD_ACTIONS[command]) {
             try {
-                switch (command) {
-                    case 'stop':
-                        if (botInstance.pathfinder) {
-                            botInstance.pathfinder.stop();
-                        }
-                        botInstance.clearControlStates();
-                        result = { success: true, message: 'Bot stopped all actions' };
-                        addLog('⏹️ Bot stopped via dashboard');
-                        break;
-
-                    case 'eat':
-                        const food = botInstance.inventory.items().find(item =>
-                            item.name.includes('apple') || item.name.includes('bread') ||
-                            item.name.includes('cooked') || item.name.includes('steak') ||
-                            item.name.includes('carrot') || item.name.includes('potato')
-                        );
-                        if (food) {
-                            await botInstance.equip(food, 'hand');
-                            botInstance.consume();
-                            result = { success: true, message: `Eating ${food.name}` };
-                            addLog(`🍎 Eating ${food.name}`);
-                        } else {
-                            result = { success: false, message: 'No food in inventory' };
-                        }
-                        break;
-
-                    case 'sleep':
-                        const bed = botInstance.findBlock({
-                            matching: block => block.name.includes('bed'),
-                            maxDistance: 16
-                        });
-                        if (bed) {
-                            await botInstance.sleep(bed);
-                            result = { success: true, message: 'Going to sleep' };
-                            addLog('🛏️ Going to sleep');
-                        } else {
-                            result = { success: false, message: 'No bed nearby' };
-                        }
-                        break;
+                result = await DASHBOARD_ACTIONS[command](entry);
+            } catch (error) {
+                result = { success: false, message: error.message };
+            }
+        } else {
+            result = startCommandTask(entry, body, user);
+        }
 
-                    case 'jump':
-                        botInstance.setControlState('jump', true);
-                        setTimeout(() => botInstance.setControlState('jump', false), 300);
-                        result = { success: true, message: 'Jumping!' };
-                        break;
+        const commandText = typeof command === 'string' ? command : JSON.stringify(command);
+        entry.commandHistory.unshift({ command: commandText, result: result.message, taskId: result.taskId, time: new Date().toLocaleTimeString() });
+        if (entry.commandHistory.length > 50) entry.commandHistory.pop();
 
-                    case 'respawn':
-                        try {
-                            botInstance.chat('/respawn');
-                        } catch (e) {
-                            botInstance.respawn();
-                        }
-                        result = { success: true, message: 'Respawning...' };
-                        addLog('🔄 Respawning via dashboard');
-                        break;
+        sendJSON(res, result.taskId ? 202 : 200, result);
+        return;
+    }
 
-                    case 'home':
-                        botInstance.chat('/home');
-                        result = { success: true, message: 'Going home...' };
-                        addLog('🏠 Going home via dashboard');
-                        break;
+    // API: Command tasks started through /api/command
+    if (route === '/api/tasks' && req.method === 'GET') {
+        sendJSON(res, 200, { tasks: [...entry.commandTasks.values()].reverse() });
+        return;
+    }
+    if (route.startsWith('/api/tasks/') && req.method === 'GET') {
+        const task = entry.commandTasks.get(decodeURIComponent(route.slice('/api/tasks/'.length)));
+        if (task) {
+            sendJSON(res, 200, task);
+        } else {
+            sendJSON(res, 404, { success: false, message: 'Unknown task id' });
+        }
+        return;
+    }
 
-                    default:
-                        result = { success: false, message: `Unknown command: ${command}` };
-                }
-            } catch (error) {
-                result = { success: false, message: error.message };
-            }
+    // API: Known ores, nearest first. Query: ore, x, y, z (default the bot), radius, dimension, limit
+    if (route === '/api/ores' && req.method === 'GET') {
+        if (!entry.oreMap) {
+            sendJSON(res, 200, { total: 0, ores: [], deposits: [] });
+            return;
         }
 
-        commandHistory.unshift({ command, result: result.message, time: new Date().toLocaleTimeString() });
-        if (commandHistory.length > 50) commandHistory.pop();
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const coords = ['x', 'y', 'z'].map(axis => parseFloat(params.get(axis)));
+        const position = coords.every(Number.isFinite)
+            ? { x: coords[0], y: coords[1], z: coords[2] }
+            : bot && bot.entity ? bot.entity.position : null;
+        const ore = params.get('ore');
+        const query = {
+            dimension: params.get('dimension') || (bot ? getDimension(bot) : 'overworld'),
+            position,
+            radius: parseFloat(params.get('radius')) || (position ? config.prospecting?.searchRadius || 128 : Infinity),
+            names: ore ? [...new Set(resolveBlockAlias(ore).flatMap(name => getVeinBlocks(name)))] : null
+        };
+        const limit = Math.min(parseInt(params.get('limit')) || 100, 1000);
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(result));
+        const ores = entry.oreMap.query(query);
+        sendJSON(res, 200, {
+            total: ores.length,
+            ores: ores.slice(0, limit),
+            deposits: entry.oreMap.deposits({ ...query, limit })
+        });
         return;
     }
 
     // API: Send chat message
-    if (url === '/api/chat' && req.method === 'POST') {
+    if (route === '/api/chat' && req.method === 'POST') {
         const body = await parseBody(req);
         const message = body.message;
 
-        if (!botInstance) {
+        if (!bot) {
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ success: false, message: 'Bot not connected' }));
             return;
         }
 
         try {
-            botInstance.chat(message);
-            addLog(`💬 Sent: ${message}`);
+            bot.chat(message);
+            addLog(entry, `💬 Sent: ${message}`);
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ success: true, message: 'Message sent' }));
         } catch (error) {
@@ -319,73 +787,60 @@ const server = http.createServer(async (req, res) => {
     }
 
     // API: Command history
-    if (url === '/api/history') {
+    if (route === '/api/history') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ history: commandHistory }));
+        res.end(JSON.stringify({ history: entry.commandHistory }));
         return;
     }
 
     // API: Nearby entities (for map view)
-    if (url === '/api/entities') {
+    if (route === '/api/entities') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        let dimension = 'overworld';
-        let yaw = 0;
-        if (botInstance && botInstance.entity) {
-            if (botInstance.game && botInstance.game.dimension) {
-                dimension = botInstance.game.dimension;
-            }
-            yaw = botInstance.entity.yaw || 0;
-        }
-        res.end(JSON.stringify({
-            players: nearbyEntities.players,
-            mobs: nearbyEntities.mobs,
-            dimension: dimension,
-            yaw: yaw
-        }));
+        res.end(JSON.stringify(getEntitiesPayload(entry)));
         return;
     }
 
     // API: Chat history
-    if (url === '/api/chat-history') {
+    if (route === '/api/chat-history') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ messages: chatHistory }));
+        res.end(JSON.stringify({ messages: entry.chatHistory }));
         return;
     }
 
     // API: Get configuration
-    if (url === '/api/config' && req.method === 'GET') {
+    if (route === '/api/config' && req.method === 'GET') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(configOptions));
+        res.end(JSON.stringify(entry.config));
         return;
     }
 
     // API: Update configuration
-    if (url === '/api/config' && req.method === 'POST') {
+    if (route === '/api/config' && req.method === 'POST') {
         const body = await parseBody(req);
         let result = { success: true, message: 'Configuration updated' };
 
         try {
             if (body.randomBehaviors !== undefined) {
-                configOptions.randomBehaviors = body.randomBehaviors;
-                if (global.botState) {
-                    global.botState.randomBehaviorsEnabled = body.randomBehaviors;
+                entry.config.randomBehaviors = body.randomBehaviors;
+                if (entry.state) {
+                    entry.state.randomBehaviorsEnabled = body.randomBehaviors;
                 }
-                addLog(`⚙️ Random behaviors: ${body.randomBehaviors ? 'ON' : 'OFF'}`);
+                addLog(entry, `⚙️ Random behaviors: ${body.randomBehaviors ? 'ON' : 'OFF'}`);
             }
             if (body.autoEat !== undefined) {
-                configOptions.autoEat = body.autoEat;
-                addLog(`⚙️ Auto-eat: ${body.autoEat ? 'ON' : 'OFF'}`);
+                entry.config.autoEat = body.autoEat;
+                addLog(entry, `⚙️ Auto-eat: ${body.autoEat ? 'ON' : 'OFF'}`);
             }
             if (body.autoTpaAccept !== undefined) {
-                configOptions.autoTpaAccept = body.autoTpaAccept;
-                addLog(`⚙️ Auto TPA accept: ${body.autoTpaAccept ? 'ON' : 'OFF'}`);
+                entry.config.autoTpaAccept = body.autoTpaAccept;
+                addLog(entry, `⚙️ Auto TPA accept: ${body.autoTpaAccept ? 'ON' : 'OFF'}`);
             }
             if (body.creativeMode !== undefined) {
-                configOptions.creativeMode = body.creativeMode;
-                if (global.botState) {
-                    global.botState.isCreativeMode = body.creativeMode;
+                entry.config.creativeMode = body.creativeMode;
+                if (entry.state) {
+                    entry.state.isCreativeMode = body.creativeMode;
                 }
-                addLog(`⚙️ Creative mode: ${body.creativeMode ? 'ON' : 'OFF'}`);
+                addLog(entry, `⚙️ Creative mode: ${body.creativeMode ? 'ON' : 'OFF'}`);
             }
         } catch (error) {
             result = { success: false, message: error.message };
@@ -397,47 +852,47 @@ const server = http.createServer(async (req, res) => {
     }
 
     // API: Movement controls
-    if (url === '/api/movement' && req.method === 'POST') {
+    if (route === '/api/movement' && req.method === 'POST') {
         const body = await parseBody(req);
         const direction = body.direction;
         let result = { success: false, message: 'Unknown direction' };
 
-        if (!botInstance) {
+        if (!bot) {
             result = { success: false, message: 'Bot not connected' };
         } else {
             try {
                 // Clear all movement states first
-                botInstance.clearControlStates();
+                bot.clearControlStates();
 
                 switch (direction) {
                     case 'forward':
-                        botInstance.setControlState('forward', true);
-                        setTimeout(() => botInstance.setControlState('forward', false), 500);
+                        bot.setControlState('forward', true);
+                        setTimeout(() => bot.setControlState('forward', false), 500);
                         result = { success: true, message: 'Moving forward' };
                         break;
                     case 'back':
-                        botInstance.setControlState('back', true);
-                        setTimeout(() => botInstance.setControlState('back', false), 500);
+                        bot.setControlState('back', true);
+                        setTimeout(() => bot.setControlState('back', false), 500);
                         result = { success: true, message: 'Moving backward' };
                         break;
                     case 'left':
-                        botInstance.setControlState('left', true);
-                        setTimeout(() => botInstance.setControlState('left', false), 500);
+                        bot.setControlState('left', true);
+                        setTimeout(() => bot.setControlState('left', false), 500);
                         result = { success: true, message: 'Moving left' };
                         break;
                     case 'right':
-                        botInstance.setControlState('right', true);
-                        setTimeout(() => botInstance.setControlState('right', false), 500);
+                        bot.setControlState('right', true);
+                        setTimeout(() => bot.setControlState('right', false), 500);
                         result = { success: true, message: 'Moving right' };
                         break;
                     case 'jump':
-                        botInstance.setControlState('jump', true);
-                        setTimeout(() => botInstance.setControlState('jump', false), 300);
+                        bot.setControlState('jump', true);
+                        setTimeout(() => bot.setControlState('jump', false), 300);
                         result = { success: true, message: 'Jumping' };
                         break;
                     case 'sneak':
-                        const currentSneak = botInstance.getControlState ? botInstance.getControlState('sneak') : false;
-                        botInstance.setControlState('sneak', !currentSneak);
+                        const currentSneak = bot.getControlState ? bot.getControlState('sneak') : false;
+                        bot.setControlState('sneak', !currentSneak);
                         result = { success: true, message: currentSneak ? 'Stopped sneaking' : 'Sneaking' };
                         break;
                     case 'stop':
@@ -457,19 +912,19 @@ const server = http.createServer(async (req, res) => {
     }
 
     // API: Drop item
-    if (url === '/api/drop-item' && req.method === 'POST') {
+    if (route === '/api/drop-item' && req.method === 'POST') {
         const body = await parseBody(req);
         let result = { success: false, message: 'Failed to drop item' };
 
-        if (!botInstance) {
+        if (!bot) {
             result = { success: false, message: 'Bot not connected' };
         } else {
             try {
-                const item = botInstance.inventory.items().find(i => i.slot === body.slot);
+                const item = bot.inventory.items().find(i => i.slot === body.slot);
                 if (item) {
-                    await botInstance.tossStack(item);
+                    await bot.tossStack(item);
                     result = { success: true, message: `Dropped ${item.count}x ${item.displayName}` };
-                    addLog(`🗑️ Dropped ${item.count}x ${item.displayName}`);
+                    addLog(entry, `🗑️ Dropped ${item.count}x ${item.displayName}`);
                 } else {
                     result = { success: false, message: 'Item not found in slot' };
                 }
@@ -484,20 +939,20 @@ const server = http.createServer(async (req, res) => {
     }
 
     // API: Equip item
-    if (url === '/api/equip-item' && req.method === 'POST') {
+    if (route === '/api/equip-item' && req.method === 'POST') {
         const body = await parseBody(req);
         let result = { success: false, message: 'Failed to equip item' };
 
-        if (!botInstance) {
+        if (!bot) {
             result = { success: false, message: 'Bot not connected' };
         } else {
             try {
-                const item = botInstance.inventory.items().find(i => i.slot === body.slot);
+                const item = bot.inventory.items().find(i => i.slot === body.slot);
                 if (item) {
                     const destination = body.destination || 'hand';
-                    await botInstance.equip(item, destination);
+                    await bot.equip(item, destination);
                     result = { success: true, message: `Equipped ${item.displayName} to ${destination}` };
-                    addLog(`🎒 Equipped ${item.displayName}`);
+                    addLog(entry, `🎒 Equipped ${item.displayName}`);
                 } else {
                     result = { success: false, message: 'Item not found in slot' };
                 }
@@ -514,14 +969,7 @@ const server = http.createServer(async (req, res) => {
     // UI: Dashboard
     if (url === '/dashboard' || url === '/') {
         res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(getDashboardHTML());
-        return;
-    }
-
-    // Health Check
-    if (url === '/health') {
-        res.writeHead(200);
-        res.end('OK');
+        res.end(getDashboardHTML(user));
         return;
     }
 
@@ -529,13 +977,49 @@ const server = http.createServer(async (req, res) => {
     res.end('Not Found');
 });
 
-function getDashboardHTML() {
+// Escape text for HTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function getLoginHTML(error = '') {
     return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Login | Minecraft Bot</title>
+    <style>
+        body { background: #050b14; color: #e0e6ed; font-family: sans-serif; display: flex; align-items: center; justify-content: center; height: 100vh; margin: 0; }
+        form { background: rgba(255, 255, 255, 0.05); border: 1px solid rgba(0, 188, 212, 0.3); border-radius: 12px; padding: 30px; width: 300px; }
+        h1 { font-size: 1.2rem; margin: 0 0 20px; color: #00bcd4; }
+        input, button { width: 100%; box-sizing: border-box; padding: 10px; margin-bottom: 12px; border-radius: 6px; border: 1px solid rgba(0, 188, 212, 0.3); background: #0b1622; color: #e0e6ed; }
+        button { background: #00bcd4; color: #050b14; font-weight: bold; cursor: pointer; }
+        .error { color: #ff2a6d; margin-bottom: 12px; }
+    </style>
+</head>
+<body>
+    <form method="POST" action="/login">
+        <h1>AI Command Center</h1>
+        ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+        <input type="password" name="password" placeholder="Password or token" autofocus required>
+        <button type="submit">Log in</button>
+    </form>
+</body>
+</html>
+    `;
+}
+
+function getDashboardHTML(user) {
+    const csrfToken = user.session ? user.session.csrfToken : '';
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="csrf-token" content="${csrfToken}">
     <title>AI Command Center | Minecraft Bot</title>
     <link href="https://fonts.googleapis.com/css2?family=Orbitron:wght@400;700;900&family=Rajdhani:wght@500;700&family=JetBrains+Mono:wght@400;700&display=swap" rel="stylesheet">
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
@@ -1046,6 +1530,12 @@ function getDashboardHTML() {
                     <div class="app-title">AI Command Center</div>
                 </div>
                 <div class="status-container">
+                    <div class="status-badge" title="Bot shown on the dashboard">
+                        <i class="fas fa-users" style="color: var(--neon-blue)"></i>
+                        <select id="bot-select" onchange="selectBot(this.value)" style="background: none; border: none; color: inherit; font: inherit; cursor: pointer;">
+                            <option value="">No bots</option>
+                        </select>
+                    </div>
                     <div class="status-badge">
                         <div id="status-dot" class="status-dot"></div>
                         <span id="status-text">DISCONNECTED</span>
@@ -1058,6 +1548,12 @@ function getDashboardHTML() {
                         <i class="fas fa-server" style="color: var(--neon-green)"></i>
                         <span id="server-name">---</span>
                     </div>
+                    <form method="POST" action="/logout" class="status-badge" style="margin: 0;">
+                        <input type="hidden" name="csrf_token" value="${csrfToken}">
+                        <i class="fas fa-user-shield" style="color: var(--neon-blue)"></i>
+                        <span>${user.role.toUpperCase()}</span>
+                        <button type="submit" style="background: none; border: none; color: var(--neon-red); cursor: pointer;" title="Log out"><i class="fas fa-sign-out-alt"></i></button>
+                    </form>
                 </div>
             </div>
 
@@ -1386,16 +1882,165 @@ function getDashboardHTML() {
     </div>
 
     <script>
-        async function update() {
+        // POST with the session's CSRF token; back to login when the session expired
+        const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
+
+        async function postJSON(url, body) {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+                body: JSON.stringify(body)
+            });
+            if (res.status === 401) {
+                location.href = '/login';
+            }
+            return res.json();
+        }
+
+        // Bot shown on the dashboard; routes go to /api/bots/<id>/... once one is known
+        let selectedBot = localStorage.getItem('dashboardBot');
+
+        function apiUrl(path) {
+            return selectedBot ? '/api/bots/' + encodeURIComponent(selectedBot) + path : '/api' + path;
+        }
+
+        function renderBotList(list) {
+            const select = document.getElementById('bot-select');
+            if (list.length === 0) {
+                select.innerHTML = '<option value="">No bots</option>';
+                return;
+            }
+            if (!list.some(b => b.id === selectedBot)) {
+                selectBot(list[0].id);
+            }
+            select.innerHTML = list.map(b =>
+                \`<option value="\${escapeHtml(b.id)}" \${b.id === selectedBot ? 'selected' : ''}>\${b.online ? '🟢' : '🔴'} \${escapeHtml(b.id)} (\${escapeHtml(b.username)})</option>\`
+            ).join('');
+        }
+
+        async function selectBot(id) {
+            if (!id || id === selectedBot) return;
+            selectedBot = id;
+            localStorage.setItem('dashboardBot', id);
+            await loadSnapshot();
+        }
+
+        async function loadSnapshot() {
             try {
-                const res = await fetch('/status');
-                const data = await res.json();
-                
-                // Connection Status
+                const res = await fetch(apiUrl('/snapshot'));
+                if (res.ok) renderSnapshot(await res.json());
+            } catch (err) {
+                console.error('Bot switch error:', err);
+            }
+        }
+
+        function renderSnapshot(data) {
+            renderStatus(data.status);
+            inventoryItems = data.inventory || [];
+            renderInventory();
+            renderChat(data.chat || []);
+            renderEntities(data.entities || {});
+            applyConfig(data.config || {});
+        }
+
+        // Live state pushed over the /ws event stream
+        let socket = null;
+        let inventoryItems = [];
+        let uptimeStart = null;
+
+        function escapeHtml(text) {
+            return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+        }
+
+        function connectSocket() {
+            const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+            socket = new WebSocket(\`\${protocol}://\${location.host}/ws\`);
+
+            socket.onmessage = (e) => {
+                try {
+                    handleEvent(JSON.parse(e.data));
+                } catch (err) {
+                    console.error('Dashboard event error:', err);
+                }
+            };
+
+            // Reconnect after the server restarts or the network drops
+            socket.onclose = () => {
+                renderStatus({ online: false });
+                setTimeout(connectSocket, 2000);
+            };
+        }
+
+        function handleEvent(event) {
+            const data = event.data || {};
+            const time = new Date(event.time || Date.now()).toLocaleTimeString();
+
+            if (event.type === 'bots') {
+                renderBotList(data);
+                return;
+            }
+            // The socket's first snapshot is for the first bot; fetch the selected one instead
+            if (event.bot && selectedBot && event.bot !== selectedBot) {
+                if (event.type === 'snapshot') loadSnapshot();
+                return;
+            }
+
+            switch (event.type) {
+                case 'snapshot':
+                    renderSnapshot(data);
+                    break;
+                case 'status':
+                    renderStatus(data);
+                    break;
+                case 'health':
+                    renderVitals(data);
+                    break;
+                case 'position':
+                    renderPosition(data);
+                    break;
+                case 'inventory':
+                    applyInventoryDiff(data);
+                    break;
+                case 'entities':
+                    renderEntities(data);
+                    break;
+                case 'chat':
+                    addChatEntry(data);
+                    break;
+                case 'log':
+                    addLogEntry(data);
+                    break;
+                case 'task_start':
+                    document.getElementById('task-text').innerText = \`\${data.action} \${data.target || ''}\`.trim().toUpperCase();
+                    addLogEntry({ time, message: \`▶️ Started \${data.action} \${data.target || ''} (\${data.username || 'system'})\` });
+                    break;
+                case 'task_progress':
+                    // Abilities with a status line (travel ETA) show it in place of the task name
+                    if (data.progress && data.progress.status) {
+                        document.getElementById('task-text').innerText = data.progress.status.toUpperCase();
+                    }
+                    break;
+                case 'task_finish':
+                    document.getElementById('task-text').innerText = 'IDLE';
+                    addLogEntry({ time, message: \`\${data.status === 'completed' ? '✅' : '❌'} \${data.action} \${data.status}\${data.error ? ': ' + data.error : ''}\` });
+                    break;
+                case 'kicked':
+                case 'disconnect':
+                    renderStatus({ online: false });
+                    addLogEntry({ time, message: \`\${event.type === 'kicked' ? 'Kicked' : 'Disconnected'}: \${data.reason || ''}\` });
+                    break;
+            }
+        }
+
+        function renderStatus(data) {
+            if (!data) return;
+
+            // Connection Status
+            if (data.online !== undefined) {
                 const dot = document.getElementById('status-dot');
                 const text = document.getElementById('status-text');
-                
-                if(data.online) {
+
+                if (data.online) {
                     dot.classList.add('online');
                     text.innerText = 'ONLINE - CONNECTED';
                     text.style.color = 'var(--neon-green)';
@@ -1403,53 +2048,73 @@ function getDashboardHTML() {
                     dot.classList.remove('online');
                     text.innerText = 'OFFLINE';
                     text.style.color = 'var(--neon-red)';
+                    uptimeStart = null;
                 }
+            }
+            if (data.uptimeStart !== undefined) uptimeStart = data.uptimeStart;
 
-                // Header Info
-                document.getElementById('uptime').innerText = data.uptime || '00:00:00';
+            // Header Info
+            if (data.server !== undefined) {
                 document.getElementById('server-name').innerText = data.server || '---';
+                document.getElementById('cfg-server').innerText = data.server || '-';
+            }
+            if (data.username !== undefined) {
                 document.getElementById('username').innerText = data.username || 'Offline';
+                document.getElementById('cfg-username').innerText = data.username || '-';
+            }
 
-                // Vitals
-                const hp = data.health || 0;
-                const fd = data.food || 0;
-                
-                document.getElementById('hp-text').innerText = Math.round(hp) + '/20';
-                document.getElementById('hp-bar').style.width = (hp / 20 * 100) + '%';
-                
-                document.getElementById('food-text').innerText = Math.round(fd) + '/20';
-                document.getElementById('food-bar').style.width = (fd / 20 * 100) + '%';
-                
+            if (data.health !== undefined || data.food !== undefined) renderVitals(data);
+            if (data.task !== undefined) {
                 document.getElementById('task-text').innerText = (data.task || 'IDLE').toUpperCase();
+            }
+            if (data.position) renderPosition(data.position);
+            if (data.logs) renderLogs(data.logs);
+        }
 
-                // Position
-                if(data.position) {
-                    document.getElementById('pos-x').innerText = data.position.x;
-                    document.getElementById('pos-y').innerText = data.position.y;
-                    document.getElementById('pos-z').innerText = data.position.z;
-                }
+        function renderVitals(data) {
+            const hp = data.health || 0;
+            const fd = data.food || 0;
 
-                // Logs
-                if (data.logs && data.logs.length > 0) {
-                    const logsContainer = document.getElementById('logs');
-                    const logsHTML = data.logs.map(l => 
-                        \`<div class="log-entry"><span class="log-time">\${l.time}</span><span class="log-msg">\${l.message}</span></div>\`
-                    ).join('');
-                    
-                    // Only update if changed to prevent scroll jumping (simple check)
-                    if (logsContainer.innerHTML !== logsHTML) {
-                        logsContainer.innerHTML = logsHTML;
-                    }
-                }
+            document.getElementById('hp-text').innerText = Math.round(hp) + '/20';
+            document.getElementById('hp-bar').style.width = (hp / 20 * 100) + '%';
 
-            } catch(e) {
-                console.error("Dashboard update error:", e);
+            document.getElementById('food-text').innerText = Math.round(fd) + '/20';
+            document.getElementById('food-bar').style.width = (fd / 20 * 100) + '%';
+        }
+
+        function renderPosition(position) {
+            for (const axis of ['x', 'y', 'z']) {
+                document.getElementById('pos-' + axis).innerText = position[axis];
+                document.getElementById('map-' + axis).innerText = position[axis];
             }
         }
-        
-        // Initial call and interval
-        update();
-        setInterval(update, 1000);
+
+        function logEntryHTML(entry) {
+            return \`<div class="log-entry"><span class="log-time">\${escapeHtml(entry.time)}</span><span class="log-msg">\${escapeHtml(entry.message)}</span></div>\`;
+        }
+
+        function renderLogs(logs) {
+            document.getElementById('logs').innerHTML = logs.map(logEntryHTML).join('');
+        }
+
+        function addLogEntry(entry) {
+            const container = document.getElementById('logs');
+            container.insertAdjacentHTML('afterbegin', logEntryHTML(entry));
+            while (container.children.length > 20) container.lastElementChild.remove();
+        }
+
+        // Uptime ticks locally between status events
+        setInterval(() => {
+            if (!uptimeStart) {
+                document.getElementById('uptime').innerText = 'Offline';
+                return;
+            }
+            const ms = Date.now() - uptimeStart;
+            const hours = Math.floor(ms / 3600000);
+            const mins = Math.floor((ms % 3600000) / 60000);
+            const secs = Math.floor((ms % 60000) / 1000);
+            document.getElementById('uptime').innerText = \`\${hours}h \${mins}m \${secs}s\`;
+        }, 1000);
 
         // Sidebar Navigation
         document.querySelectorAll('.nav-item').forEach(item => {
@@ -1467,38 +2132,60 @@ function getDashboardHTML() {
                 if (panel) panel.style.display = 'block';
 
                 // Trigger view-specific updates
-                if (view === 'inventory') refreshInventory();
+                if (view === 'inventory') renderInventory();
             });
         });
 
         // Send command to bot
         async function sendCommand(cmd) {
             try {
-                const res = await fetch('/api/command', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ command: cmd })
-                });
-                const data = await res.json();
+                const data = await postJSON(apiUrl('/command'), { command: cmd });
                 showNotification(data.message, data.success ? 'success' : 'error');
+                if (data.taskId) watchTask(data.taskId);
             } catch (e) {
                 showNotification('Failed to send command', 'error');
             }
         }
 
+        // Poll a command task and show its replies in the terminal
+        async function watchTask(taskId) {
+            let shown = 0;
+            while (true) {
+                await new Promise(resolve => setTimeout(resolve, 1500));
+                let task;
+                try {
+                    const res = await fetch(apiUrl('/tasks/' + encodeURIComponent(taskId)));
+                    if (!res.ok) return;
+                    task = await res.json();
+                } catch (e) {
+                    return;
+                }
+
+                task.messages.slice(shown).forEach(m => addTerminalLog('Bot', m));
+                shown = task.messages.length;
+                if (task.status !== 'running') {
+                    showNotification(\`\${task.action}: \${task.status}\${task.error ? ' - ' + task.error : ''}\`, task.status === 'completed' ? 'success' : 'error');
+                    return;
+                }
+            }
+        }
+
         // Send chat message
         async function sendChat() {
             const input = document.getElementById('chat-input');
             const msg = input.value.trim();
             if (!msg) return;
 
+            // -bot commands run through the command system instead of chat
+            if (msg.toLowerCase().startsWith('-bot')) {
+                input.value = '';
+                addTerminalLog('You', msg);
+                await sendCommand(msg);
+                return;
+            }
+
             try {
-                const res = await fetch('/api/chat', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ message: msg })
-                });
-                const data = await res.json();
+                const data = await postJSON(apiUrl('/chat'), { message: msg });
                 if (data.success) {
                     input.value = '';
                     addTerminalLog('You', msg);
@@ -1518,38 +2205,52 @@ function getDashboardHTML() {
             const container = document.getElementById('terminal-logs');
             const entry = document.createElement('div');
             entry.className = 'log-entry';
-            entry.innerHTML = \`<span class="log-time">\${new Date().toLocaleTimeString()}</span><span class="log-msg"><b>\${sender}:</b> \${msg}</span>\`;
+            entry.innerHTML = \`<span class="log-time">\${new Date().toLocaleTimeString()}</span><span class="log-msg"><b>\${escapeHtml(sender)}:</b> \${escapeHtml(msg)}</span>\`;
             container.insertBefore(entry, container.firstChild);
         }
 
-        // Refresh inventory
-        async function refreshInventory() {
-            try {
-                const res = await fetch('/api/inventory');
-                const data = await res.json();
-                const grid = document.getElementById('inventory-grid');
+        // Render inventory from the last snapshot plus diffs
+        function renderInventory() {
+            const grid = document.getElementById('inventory-grid');
 
-                if (!data.items || data.items.length === 0) {
-                    grid.innerHTML = '<div style="color: var(--text-dim); text-align: center; grid-column: 1/-1; padding: 40px;"><i class="fas fa-box" style="font-size: 3rem; margin-bottom: 15px; display: block;"></i>Inventory is empty</div>';
-                    return;
-                }
+            if (inventoryItems.length === 0) {
+                grid.innerHTML = '<div style="color: var(--text-dim); text-align: center; grid-column: 1/-1; padding: 40px;"><i class="fas fa-box" style="font-size: 3rem; margin-bottom: 15px; display: block;"></i>Inventory is empty</div>';
+                return;
+            }
 
-                grid.innerHTML = data.items.map(item => \`
-                    <div class="stat-card inventory-item" style="text-align: center; padding: 15px 15px 40px;">
-                        <div style="font-size: 1.5rem; margin-bottom: 8px;">\${getItemEmoji(item.name)}</div>
-                        <div style="font-weight: bold; color: var(--neon-blue); font-size: 0.85rem;">\${item.displayName || item.name}</div>
-                        <div style="color: var(--neon-green); font-family: 'JetBrains Mono';">&times;\${item.count}</div>
-                        <div class="item-actions">
-                            <button class="item-action-btn" onclick="equipItem(\${item.slot})"><i class="fas fa-hand-paper"></i></button>
-                            <button class="item-action-btn danger" onclick="dropItem(\${item.slot})"><i class="fas fa-trash"></i></button>
-                        </div>
+            grid.innerHTML = inventoryItems.map(item => \`
+                <div class="stat-card inventory-item" style="text-align: center; padding: 15px 15px 40px;">
+                    <div style="font-size: 1.5rem; margin-bottom: 8px;">\${getItemEmoji(item.name)}</div>
+                    <div style="font-weight: bold; color: var(--neon-blue); font-size: 0.85rem;">\${escapeHtml(item.displayName || item.name)}</div>
+                    <div style="color: var(--neon-green); font-family: 'JetBrains Mono';">&times;\${item.count}</div>
+                    <div class="item-actions">
+                        <button class="item-action-btn" onclick="equipItem(\${item.slot})"><i class="fas fa-hand-paper"></i></button>
+                        <button class="item-action-btn danger" onclick="dropItem(\${item.slot})"><i class="fas fa-trash"></i></button>
                     </div>
-                \`).join('');
+                </div>
+            \`).join('');
+        }
+
+        // Manual refresh button
+        async function refreshInventory() {
+            try {
+                const res = await fetch(apiUrl('/inventory'));
+                const data = await res.json();
+                inventoryItems = data.items || [];
+                renderInventory();
             } catch (e) {
                 console.error('Inventory fetch error:', e);
             }
         }
 
+        function applyInventoryDiff(diff) {
+            const removed = new Set([...(diff.removed || []), ...(diff.changed || []).map(item => item.slot)]);
+            inventoryItems = inventoryItems.filter(item => !removed.has(item.slot))
+                .concat(diff.changed || [])
+                .sort((a, b) => a.slot - b.slot);
+            renderInventory();
+        }
+
         function getItemEmoji(name) {
             if (name.includes('diamond')) return '💎';
             if (name.includes('iron')) return '🪨';
@@ -1591,12 +2292,7 @@ function getDashboardHTML() {
         // Movement controls
         async function sendMovement(direction) {
             try {
-                const res = await fetch('/api/movement', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ direction })
-                });
-                const data = await res.json();
+                const data = await postJSON(apiUrl('/movement'), { direction });
                 showNotification(data.message, data.success ? 'success' : 'error');
             } catch (e) {
                 showNotification('Failed to send movement', 'error');
@@ -1608,43 +2304,26 @@ function getDashboardHTML() {
             try {
                 const body = {};
                 body[key] = value;
-                const res = await fetch('/api/config', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(body)
-                });
-                const data = await res.json();
+                const data = await postJSON(apiUrl('/config'), body);
                 showNotification(data.message, data.success ? 'success' : 'error');
             } catch (e) {
                 showNotification('Failed to update config', 'error');
             }
         }
 
-        // Load config on page load
-        async function loadConfig() {
-            try {
-                const res = await fetch('/api/config');
-                const config = await res.json();
-                document.getElementById('toggle-random').checked = config.randomBehaviors !== false;
-                document.getElementById('toggle-autoeat').checked = config.autoEat !== false;
-                document.getElementById('toggle-tpa').checked = config.autoTpaAccept !== false;
-                document.getElementById('toggle-creative').checked = config.creativeMode !== false;
-            } catch (e) {
-                console.error('Failed to load config:', e);
-            }
+        // Show config from the snapshot
+        function applyConfig(config) {
+            document.getElementById('toggle-random').checked = config.randomBehaviors !== false;
+            document.getElementById('toggle-autoeat').checked = config.autoEat !== false;
+            document.getElementById('toggle-tpa').checked = config.autoTpaAccept !== false;
+            document.getElementById('toggle-creative').checked = config.creativeMode !== false;
         }
 
         // Equip item
         async function equipItem(slot) {
             try {
-                const res = await fetch('/api/equip-item', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ slot, destination: 'hand' })
-                });
-                const data = await res.json();
+                const data = await postJSON(apiUrl('/equip-item'), { slot, destination: 'hand' });
                 showNotification(data.message, data.success ? 'success' : 'error');
-                if (data.success) refreshInventory();
             } catch (e) {
                 showNotification('Failed to equip item', 'error');
             }
@@ -1653,103 +2332,76 @@ function getDashboardHTML() {
         // Drop item
         async function dropItem(slot) {
             try {
-                const res = await fetch('/api/drop-item', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ slot })
-                });
-                const data = await res.json();
+                const data = await postJSON(apiUrl('/drop-item'), { slot });
                 showNotification(data.message, data.success ? 'success' : 'error');
-                if (data.success) refreshInventory();
             } catch (e) {
                 showNotification('Failed to drop item', 'error');
             }
         }
 
         // Update map view with entities
-        async function updateMapView() {
-            try {
-                const statusRes = await fetch('/status');
-                const statusData = await statusRes.json();
-                
-                // Update position
-                if (statusData.position) {
-                    document.getElementById('map-x').innerText = statusData.position.x;
-                    document.getElementById('map-y').innerText = statusData.position.y;
-                    document.getElementById('map-z').innerText = statusData.position.z;
-                }
-
-                // Update config view
-                document.getElementById('cfg-username').innerText = statusData.username || '-';
-                document.getElementById('cfg-server').innerText = statusData.server || '-';
-
-                const entitiesRes = await fetch('/api/entities');
-                const entitiesData = await entitiesRes.json();
-                
-                // Update dimension
-                const dimText = document.getElementById('dimension-text');
-                if (dimText) {
-                    dimText.innerText = (entitiesData.dimension || 'overworld').toUpperCase().replace('_', ' ');
-                }
-
-                // Update nearby players
-                const playersContainer = document.getElementById('nearby-players');
-                if (playersContainer) {
-                    if (entitiesData.players && entitiesData.players.length > 0) {
-                        playersContainer.innerHTML = entitiesData.players.map(p => \`
-                            <div class="entity-item">
-                                <span class="name" style="color: var(--neon-green);"><i class="fas fa-user"></i> \${p.name}</span>
-                                <span class="distance">\${p.distance}m</span>
-                            </div>
-                        \`).join('');
-                    } else {
-                        playersContainer.innerHTML = '<div style="color: var(--text-dim); text-align: center; padding: 10px;">No players nearby</div>';
-                    }
-                }
+        function renderEntities(entitiesData) {
+            // Update dimension
+            const dimText = document.getElementById('dimension-text');
+            if (dimText) {
+                dimText.innerText = (entitiesData.dimension || 'overworld').toUpperCase().replace('_', ' ');
+            }
 
-                // Update nearby mobs
-                const mobsContainer = document.getElementById('nearby-mobs');
-                if (mobsContainer) {
-                    if (entitiesData.mobs && entitiesData.mobs.length > 0) {
-                        mobsContainer.innerHTML = entitiesData.mobs.map(m => \`
-                            <div class="entity-item">
-                                <span class="name" style="color: var(--neon-red);"><i class="fas fa-skull"></i> \${m.name}</span>
-                                <span class="distance">\${m.distance}m</span>
-                            </div>
-                        \`).join('');
-                    } else {
-                        mobsContainer.innerHTML = '<div style="color: var(--text-dim); text-align: center; padding: 10px;">No hostile mobs nearby</div>';
-                    }
+            // Update nearby players
+            const playersContainer = document.getElementById('nearby-players');
+            if (playersContainer) {
+                if (entitiesData.players && entitiesData.players.length > 0) {
+                    playersContainer.innerHTML = entitiesData.players.map(p => \`
+                        <div class="entity-item">
+                            <span class="name" style="color: var(--neon-green);"><i class="fas fa-user"></i> \${escapeHtml(p.name)}</span>
+                            <span class="distance">\${p.distance}m</span>
+                        </div>
+                    \`).join('');
+                } else {
+                    playersContainer.innerHTML = '<div style="color: var(--text-dim); text-align: center; padding: 10px;">No players nearby</div>';
                 }
-            } catch (e) {
-                console.error('Map update error:', e);
             }
-        }
 
-        // Update chat history in terminal
-        async function updateChatHistory() {
-            try {
-                const res = await fetch('/api/chat-history');
-                const data = await res.json();
-                const container = document.getElementById('terminal-logs');
-                
-                if (data.messages && data.messages.length > 0) {
-                    container.innerHTML = data.messages.map(m => \`
-                        <div class="log-entry">
-                            <span class="log-time">\${m.time}</span>
-                            <span class="log-msg">\${m.message}</span>
+            // Update nearby mobs
+            const mobsContainer = document.getElementById('nearby-mobs');
+            if (mobsContainer) {
+                if (entitiesData.mobs && entitiesData.mobs.length > 0) {
+                    mobsContainer.innerHTML = entitiesData.mobs.map(m => \`
+                        <div class="entity-item">
+                            <span class="name" style="color: var(--neon-red);"><i class="fas fa-skull"></i> \${escapeHtml(m.name)}</span>
+                            <span class="distance">\${m.distance}m</span>
                         </div>
                     \`).join('');
+                } else {
+                    mobsContainer.innerHTML = '<div style="color: var(--text-dim); text-align: center; padding: 10px;">No hostile mobs nearby</div>';
                 }
-            } catch (e) {
-                console.error('Chat history error:', e);
             }
         }
 
-        // Initialize and start update loops
-        loadConfig();
-        setInterval(updateMapView, 2000);
-        setInterval(updateChatHistory, 3000);
+        // Chat history in terminal
+        function chatEntryHTML(m) {
+            return \`
+                <div class="log-entry">
+                    <span class="log-time">\${escapeHtml(m.time)}</span>
+                    <span class="log-msg">\${escapeHtml(m.message)}</span>
+                </div>
+            \`;
+        }
+
+        function renderChat(messages) {
+            if (messages.length > 0) {
+                document.getElementById('terminal-logs').innerHTML = messages.map(chatEntryHTML).join('');
+            }
+        }
+
+        function addChatEntry(message) {
+            const container = document.getElementById('terminal-logs');
+            container.insertAdjacentHTML('afterbegin', chatEntryHTML(message));
+            while (container.children.length > 50) container.lastElementChild.remove();
+        }
+
+        // Everything after the first snapshot arrives as events
+        connectSocket();
     </script>
     <style>
         @keyframes slideIn { from { transform: translateX(100%); opacity: 0; } to { transform: translateX(0); opacity: 1; } }
@@ -1760,10 +2412,66 @@ function getDashboardHTML() {
     `;
 }
 
+// WebSocket: /ws pushes live events so the dashboard doesn't poll
+wss = new WebSocketServer({
+    server,
+    path: '/ws',
+    // Same auth as the REST API; browser sessions must come from the dashboard's own origin
+    verifyClient: (info, done) => {
+        const user = auth && auth.authenticate(info.req);
+        if (!user) return done(false, 401, 'Login required');
+        if (user.method === 'session' && !auth.isSameOrigin(info.req)) return done(false, 403, 'Forbidden');
+        done(true);
+    }
+});
+
+wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('error', (error) => logger.debug(`Dashboard socket error: ${error.message}`));
+
+    // Bot list and the first bot's full state, then only events
+    const entry = getDefaultBot();
+    socket.send(JSON.stringify({ type: 'bots', data: getBotList(), time: Date.now() }));
+    socket.send(JSON.stringify({ type: 'snapshot', data: getSnapshot(entry), bot: entry.id || undefined, time: Date.now() }));
+});
+
 function start() {
+    // Started once per process, however many bots register
+    if (server.listening || auth) return;
+    auth = new DashboardAuth();
+
     server.listen(PORT, '0.0.0.0', () => {
         logger.info(`🌐 Premium Dashboard running on port ${PORT}`);
     });
+
+    // Drop dashboards that stopped answering pings
+    setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (!socket.isAlive) {
+                socket.terminate();
+                return;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, 30000);
+
+    // Entities move without bot events; only scan while someone is watching
+    if (!entityTimer) {
+        entityTimer = setInterval(() => {
+            if (wss.clients.size === 0) return;
+            for (const entry of bots.values()) {
+                if (!entry.bot) continue;
+                const entities = getEntitiesPayload(entry);
+                const json = JSON.stringify(entities);
+                if (json !== entry.lastEntitiesJson) {
+                    entry.lastEntitiesJson = json;
+                    broadcastEvent('entities', entities, entry);
+                }
+            }
+        }, 1500);
+    }
 }
 
-module.exports = { start, updateBotStatus, updateStats, addLog, setBotInstance };
\ No newline at end of file
+module.exports = { start, registerBot, broadcastEvent };
\ No newline at end of file